@@ -1,6 +1,9 @@
 // api/recommend.js - 제품 추천 API 엔드포인트
 import { getAlgoliaClient } from '../src/services/algolia';
 import { getFirestore } from '../src/services/firebase';
+import config from '../config';
+import { buildBehaviorProfile, topAffinities } from '../src/utils/behavior-profile';
+import { personalizeRecommendations } from '../src/agents/product-recommendation/personalization';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -8,10 +11,10 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { userId, productId, category, limit = 5 } = req.body;
+    const { userId, sessionId, productId, category, limit = 5, language = 'pt-BR' } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({ error: 'Missing required field: userId' });
+    if (!userId && !sessionId) {
+      return res.status(400).json({ error: 'Missing required field: userId or sessionId' });
     }
 
     // Algolia 클라이언트 초기화
@@ -45,53 +48,33 @@ export default async function handler(req, res) {
       
       recommendations = categoryProducts.hits;
     } 
-    // 사용자 기반 추천
+    // 사용자 기반 추천 (세션에 기록된 행동 이벤트 / 최근 검색으로 만든 프로필)
     else {
-      // Firestore에서 사용자 행동 데이터 가져오기
+      const options = config.recommendation.personalization;
       const db = getFirestore();
-      const userDoc = await db.collection('users').doc(userId).get();
-      
-      if (userDoc.exists) {
-        const userData = userDoc.data();
-        const viewedProducts = userData.viewedProducts || [];
-        const categories = userData.preferredCategories || [];
-        
-        // 사용자가 본 제품 카테고리 기반 추천
-        if (viewedProducts.length > 0 || categories.length > 0) {
-          let filterString = '';
-          
-          if (categories.length > 0) {
-            const categoryFilters = categories.map(cat => `category:${cat}`).join(' OR ');
-            filterString = `(${categoryFilters})`;
-          }
-          
-          if (viewedProducts.length > 0) {
-            const excludeViewed = viewedProducts.map(id => `NOT objectID:${id}`).join(' AND ');
-            filterString = filterString ? `${filterString} AND ${excludeViewed}` : excludeViewed;
-          }
-          
-          const personalRecommendations = await index.search('', {
-            filters: filterString,
-            hitsPerPage: limit
-          });
-          
-          recommendations = personalRecommendations.hits;
-        } else {
-          // 기본 인기 제품 추천
-          const popularProducts = await index.search('', {
-            hitsPerPage: limit
-          });
-          
-          recommendations = popularProducts.hits;
-        }
-      } else {
-        // 사용자 데이터가 없는 경우 기본 인기 제품 추천
-        const popularProducts = await index.search('', {
-          hitsPerPage: limit
-        });
-        
-        recommendations = popularProducts.hits;
+      const sessionDoc = await db.collection('sessions').doc(sessionId || userId).get();
+      const profile = buildBehaviorProfile(sessionDoc.exists ? sessionDoc.data() : {}, options);
+      const categories = topAffinities(profile.categories, 3, options.minAffinity).map(({ key }) => key);
+      const filterParts = [];
+
+      // 선호 카테고리 안에서, 이미 본 제품은 제외
+      if (categories.length > 0) {
+        filterParts.push(`(${categories.map(cat => `category:"${cat}"`).join(' OR ')})`);
       }
+      profile.viewedProductIds.forEach(id => filterParts.push(`NOT objectID:${id}`));
+
+      // 프로필 순위 조정을 위해 후보를 넉넉히 가져온 뒤 limit 개만 반환
+      const candidates = await index.search('', {
+        filters: filterParts.length > 0 ? filterParts.join(' AND ') : undefined,
+        hitsPerPage: profile.eventCount > 0 ? limit * 3 : limit
+      });
+
+      recommendations = personalizeRecommendations(
+        candidates.hits.map(hit => ({ ...hit, id: hit.objectID })),
+        profile,
+        options,
+        language
+      ).slice(0, limit);
     }
 
     return res.status(200).json({
@@ -2,6 +2,8 @@
  * 기본 설정 파일
  * 모든 환경에서 공통으로 사용하는 설정
  */
+const path = require('path');
+
 module.exports = {
   // 서버 설정
   server: {
@@ -62,6 +64,91 @@ module.exports = {
     messageTimeout: 30000, // 메시지 타임아웃 (밀리초)
     retryAttempts: 3, // 재시도 횟수
     retryDelay: 1000, // 재시도 간격 (밀리초)
+    // 외부 에이전트용 Agent Card / JSON-RPC 설정
+    agentCard: {
+      name: 'LG Brasil Shopping Assistant',
+      description: 'LG 브라질 쇼핑 어시스턴트 - 제품 추천, 장바구니, 대화형 쇼핑 기능을 A2A 프로토콜로 제공합니다.',
+      url: process.env.A2A_PUBLIC_URL || 'http://localhost:3000/a2a',
+      organization: 'LG Electronics do Brasil',
+      // 외부에 공개할 에이전트별 의도 (내부 콜백 의도는 제외)
+      exposedIntents: {
+        dialogAgent: ['userMessage'],
+        productRecommendationAgent: ['getRecommendation', 'getSimilarProducts'],
+        cartAgent: ['addToCart', 'removeFromCart', 'updateCartQuantity', 'getCart', 'clearCart', 'proceedToCheckout']
+      }
+    },
+    maxStoredTasks: 1000, // 메모리에 보관할 JSON-RPC 작업 수
+    // /a2a 호출자 인증 (Authorization: Bearer <키> 또는 X-API-Key, 키가 없으면 모든 요청 거절)
+    auth: {
+      apiKeys: process.env.A2A_API_KEYS || '', // 클라이언트ID:키 쉼표 구분 (예: intercom:xxx,whatsapp:yyy)
+    },
+    // 메시지 저널 설정
+    journal: {
+      backend: process.env.A2A_JOURNAL_BACKEND || 'memory', // memory | json_file | firebase
+      maxEntries: 1000, // 메모리에 보관할 최근 항목 수
+      maxPersistedEntries: 10000, // 저장소에 보관할 최대 항목 수
+      dataDir: process.env.A2A_JOURNAL_DIR || './data/journal', // json_file 백엔드 디렉토리
+      collectionName: 'a2aMessages', // firebase 백엔드 컬렉션
+    },
+    // 에이전트 / 의도별 동시 실행 제한 (Apify, Gemini 할당량 보호)
+    // maxConcurrent 를 넘는 요청은 maxQueue 까지 대기하고, 그 이상은 A2ABusyError 로 거절합니다.
+    concurrency: {
+      agents: {
+        crawlingCoordinatorAgent: {
+          maxConcurrent: 8,
+          maxQueue: 50,
+          intents: {
+            crawlProductInfo: { maxConcurrent: 3, maxQueue: 20 },
+            crawlCategoryProducts: { maxConcurrent: 2, maxQueue: 10 },
+            crawlCheckoutProcess: { maxConcurrent: 2, maxQueue: 10 },
+            crawlSearchResults: { maxConcurrent: 3, maxQueue: 20 },
+          },
+        },
+        checkoutAutomationAgent: {
+          intents: {
+            getCheckoutProcess: { maxConcurrent: 2, maxQueue: 10 },
+          },
+        },
+        // Gemini 호출 의도 (콜백 의도가 막히지 않도록 의도 단위로만 제한)
+        dialogAgent: {
+          intents: {
+            userMessage: { maxConcurrent: 20, maxQueue: 100 },
+          },
+        },
+        cartAgent: {
+          intents: {
+            extractCartIntent: { maxConcurrent: 10, maxQueue: 50 },
+          },
+        },
+      },
+    },
+    // 서킷 브레이커 설정 (대상 에이전트 / 의도별)
+    // targets 에 선언된 대상만 브레이커를 가지며, 의도 키(`agent.intent`) 설정이 에이전트 설정보다 우선합니다.
+    circuitBreaker: {
+      failureThreshold: 5, // 회로를 여는 연속 실패 횟수
+      resetTimeout: 30000, // 회로를 연 뒤 시험 호출까지의 시간 (밀리초)
+      halfOpenMaxCalls: 1, // half-open 상태에서 허용할 시험 호출 수
+      targets: {
+        // 크롤링 코디네이터는 오류를 success: false 응답으로 돌려주므로 이를 실패로 집계
+        crawlingCoordinatorAgent: { countUnsuccessfulResponses: true },
+        'crawlingCoordinatorAgent.checkProductStock': { failureThreshold: 3, resetTimeout: 60000 },
+      },
+      // 회로가 열린 동안 사용할 대체 경로
+      fallbacks: {
+        'crawlingCoordinatorAgent.checkProductStock': { toAgent: 'productRecommendationAgent', intent: 'getStockStatus' },
+      },
+    },
+    // 분산 추적 설정 (W3C traceparent / OTLP-JSON)
+    tracing: {
+      serviceName: 'lg-a2a-shopping-assistant',
+      exporter: process.env.A2A_TRACE_EXPORTER || 'none', // none | file | otlp
+      filePath: process.env.A2A_TRACE_FILE || './data/traces/spans.jsonl', // file 내보내기 경로
+      endpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || 'http://localhost:4318/v1/traces', // otlp 수집기
+      maxSpans: 5000, // 메모리에 보관할 최근 스팬 수 (/debug/traces 조회용)
+      batchSize: 100, // 한 번에 내보낼 최대 스팬 수
+      flushInterval: 5000, // 내보내기 주기 (밀리초)
+      debugEndpoint: process.env.NODE_ENV !== 'production', // /debug/traces 노출 여부
+    },
   },
 
   // MCP 설정
@@ -69,6 +156,195 @@ module.exports = {
     contextTTL: 1800000, // 컨텍스트 TTL (30분)
     maxTokens: 2048, // LLM 최대 토큰 수
     temperatureDefault: 0.7, // 기본 온도 설정
-    promptTemplateDir: './src/protocols/mcp/templates', // 프롬프트 템플릿 디렉토리
+    promptTemplateDir: './prompts', // 프롬프트 템플릿 디렉토리 (<templateId>/v<version>/)
+    defaultPromptLanguage: 'ko', // 요청 언어의 템플릿 본문이 없을 때 사용할 언어
+    promptVersions: {}, // 템플릿별 고정 버전 (예: { intentAnalysis: 1 }), 지정하지 않으면 최신 버전
+    // 프롬프트 토큰 예산: 슬롯(플레이스홀더)별 우선순위와 최대 토큰 수
+    // priority 가 작은 슬롯부터 남은 예산을 배정하고, 배열(대화 기록)은 오래된 항목부터 버립니다.
+    promptBudget: {
+      maxTokens: 8000, // 프롬프트 최대 토큰 수 (추정치 기준)
+      reservedTokens: 2048, // 응답 생성을 위해 남겨둘 토큰 수
+      slots: {
+        conversationSummary: { priority: 1, maxTokens: 400 },
+        conversationHistory: { priority: 2, maxTokens: 2000 },
+        productContext: { priority: 3, maxTokens: 1500 },
+        collectedInfo: { priority: 4, maxTokens: 500 },
+      },
+      // 오래된 대화는 LLM 으로 요약하여 세션(conversationSummary)에 보관
+      summary: {
+        triggerMessages: 16, // 요약되지 않은 메시지가 이 수를 넘으면 요약 실행
+        keepRecentMessages: 8, // 요약하지 않고 원문으로 유지할 최근 메시지 수
+      },
+    },
+    // 컨텍스트 저장소 (서버리스 호출 간 컨텍스트 유지), 만료 처리는 저장소 백엔드가 담당
+    contextStore: {
+      backend: process.env.MCP_CONTEXT_BACKEND || 'memory', // memory | json_file | firebase
+      dataDir: process.env.MCP_CONTEXT_DIR || './data/context', // json_file 백엔드 디렉토리
+      saveInterval: 0, // json_file 백엔드 저장 간격 (0이면 변경 즉시 저장)
+      collectionName: 'mcpContexts', // firebase 백엔드 컬렉션 (expiresAt 필드에 TTL 정책 설정)
+      sweepInterval: 60000, // memory / json_file 백엔드의 만료 컨텍스트 정리 주기
+    },
+  },
+
+  // 대화 에이전트 설정
+  dialog: {
+    // 의도 분석 결과 처리
+    intentAnalysis: {
+      clarificationThreshold: 0.6, // 가장 높은 확신도가 이 값보다 낮으면 추측하지 않고 확인 질문
+      maxIntents: 3, // 한 메시지에서 처리할 최대 의도 수 (확신도가 기준 이상인 의도만)
+    },
+    // 도구 호출 루프: LLM 이 다른 에이전트 의도를 도구로 호출하며 응답을 만듭니다.
+    toolLoop: {
+      enabled: true, // false 이면 의도 분석(intentAnalysis) 결과로 한 에이전트에 위임
+      maxSteps: 5, // 사용자 메시지 하나에서 호출할 수 있는 최대 도구 수
+      maxResultLength: 2000, // 프롬프트에 넣을 도구 결과 최대 길이 (문자)
+      // 도구로 노출할 에이전트 의도 (인자 스키마는 의도 계약에서 생성)
+      tools: [
+        { agentId: 'productRecommendationAgent', intent: 'getRecommendation' },
+        { agentId: 'productRecommendationAgent', intent: 'getSimilarProducts' },
+        { agentId: 'cartAgent', intent: 'addToCart' },
+        { agentId: 'crawlingCoordinatorAgent', intent: 'checkProductStock' },
+        { agentId: 'purchaseProcessAgent', intent: 'initiatePurchase' },
+        { agentId: 'productComparisonAgent', intent: 'compareProducts' },
+      ],
+    },
+  },
+
+  // 제품 추천 에이전트 설정
+  recommendation: {
+    // 후속 요청("mais barato", "só OLED")을 직전 검색 필터의 변경으로 처리
+    refinement: {
+      stateTtlMs: 30 * 60 * 1000, // 세션에 저장한 직전 검색 상태(recommendationState)의 유효 시간
+    },
+    // 행동 기반 개인화 (세션의 behaviorEvents / recentSearches → 카테고리 / 가격대 / 기능 선호도)
+    personalization: {
+      halfLifeMs: 7 * 24 * 60 * 60 * 1000, // 이벤트 가중치가 절반이 되는 시간
+      maxEvents: 100, // 세션에 보관할 최대 행동 이벤트 수
+      eventWeights: { view: 1, search: 0.5, cartAdd: 3, checkoutStart: 4, purchase: 5 },
+      priceBands: [1000, 3000, 6000], // 가격대 경계 (BRL)
+      affinityWeights: { category: 0.5, priceBand: 0.2, feature: 0.3 }, // 개인화 점수의 선호도별 비중
+      minAffinity: 0.3, // 추천 이유로 설명할 최소 선호도
+      boost: 0.5, // 검색 순위 대비 개인화 점수 비중
+    },
+    // 추천 제품 목록 (/api/products/recommended/:type - popular, featured, new)
+    listings: {
+      candidateLimit: 200, // 정렬 전에 인덱스에서 가져올 후보 제품 수
+      popularityWeights: { view: 1, cartAdd: 5, review: 2 }, // 인기도 = 조회 / 장바구니 추가 / 평점 수(평균 평점 비율 반영) 가중 합
+      featuredFile: path.join(__dirname, 'featured-products.json'), // 큐레이션한 추천 제품 목록
+      newArrivalWindowMs: 30 * 24 * 60 * 60 * 1000, // 처음 크롤링된 뒤 신제품으로 보는 기간
+      interactionFlushMs: 5000, // 조회 / 장바구니 추가 카운터를 모아서 반영하는 주기
+      interactionBatchSize: 100, // 이만큼 제품의 카운터가 쌓이면 주기를 기다리지 않고 반영
+    },
+    // 유사 제품 추천 (getSimilarProducts, 인덱싱할 때 만든 사양 벡터 기준)
+    similarity: {
+      vectorFile: path.join(__dirname, '..', 'data', 'spec-vectors.json'), // 사양 벡터 저장 파일
+      weights: { specs: 0.4, energyRating: 0.1, price: 0.3, features: 0.2 }, // 유사도의 항목별 비중
+      priceMatchRatio: 0.3, // 설명에 가격 차이("20% mais barato")를 언급할 최대 비율
+    },
+  },
+
+  // 검색 설정
+  search: {
+    // 검색 서비스 타입 (src/storage/search/factory.ts 의 SearchServiceType: algolia, in_memory, hybrid)
+    serviceType: process.env.SEARCH_SERVICE_TYPE || 'algolia',
+    // 하이브리드 검색 (키워드 검색 + 로컬 임베딩 의미 검색, reciprocal rank fusion 으로 결합)
+    semantic: {
+      vectorFile: path.join(__dirname, '..', 'data', 'vector-index.json'), // 제품 임베딩 저장 파일
+      conceptsFile: path.join(__dirname, 'semantic-concepts.json'), // 로컬 임베딩 개념 사전
+      dimensions: 512, // 임베딩 차원 수
+      candidateLimit: 50, // 결합 전에 키워드 / 의미 검색에서 각각 가져올 후보 수
+      minSimilarity: 0.1, // 의미 검색 후보로 볼 최소 코사인 유사도
+      rrfK: 60, // reciprocal rank fusion 상수 (점수 = Σ 1 / (k + 순위))
+    },
+  },
+
+  // 장바구니 에이전트 설정
+  cart: {
+    // 교차 판매 (장바구니에 담은 제품과 함께 제안할 추가 상품)
+    crossSell: {
+      maxOffers: 2, // 장바구니 응답에 제안할 최대 추가 상품 수
+      minCoOccurrence: 2, // 함께 구매 후보로 볼 최소 동시 구매 횟수
+      sourceWeights: { boughtTogether: 3, accessory: 2, related: 1 }, // 후보 출처별 점수 비중
+      maxTrackedOffers: 20, // 수락 추적용으로 세션에 보관할 최근 제안 수
+      // 액세서리 규칙: 담은 제품이 when 과 일치하면 filters 로 인덱스에서 액세서리를 찾음
+      accessoryRules: [
+        {
+          id: 'tv-wall-mount',
+          when: { category: 'tv' },
+          filters: 'subCategory:"wall-mount"',
+          reason: { 'pt-BR': 'suporte de parede para instalar sua TV', ko: 'TV 설치용 벽걸이 브라켓', en: 'wall mount to install your TV' },
+        },
+        {
+          id: 'oled-soundbar',
+          when: { subCategory: 'oled-tv' },
+          filters: 'category:"soundbar"',
+          reason: { 'pt-BR': 'som de cinema para a sua OLED', ko: 'OLED TV 와 어울리는 사운드바', en: 'cinema sound for your OLED' },
+        },
+        {
+          id: 'split-installation-kit',
+          when: { category: 'air-conditioner', subCategory: 'split' },
+          filters: 'subCategory:"installation-kit"',
+          reason: { 'pt-BR': 'kit de instalação para o seu ar-condicionado split', ko: '스플릿 에어컨 설치 키트', en: 'installation kit for your split air conditioner' },
+        },
+      ],
+    },
+  },
+
+  // LLM 게이트웨이 설정 (src/services/llm/llm-gateway.js)
+  llm: {
+    providers: {
+      google: {
+        project: process.env.GOOGLE_CLOUD_PROJECT_ID,
+        location: process.env.GOOGLE_CLOUD_LOCATION || 'us-central1',
+      },
+      openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        organization: process.env.OPENAI_ORGANIZATION,
+      },
+      anthropic: {
+        apiKey: process.env.ANTHROPIC_API_KEY,
+      },
+      fake: {}, // 네트워크 없이 결정적 응답을 반환하는 테스트용 제공자
+    },
+    // 작업(프롬프트 템플릿 ID)별 제공자 경로, 앞에서부터 시도하고 오류 시 다음 제공자로 대체
+    routes: {
+      default: [
+        process.env.LLM_PRIMARY || `google:${process.env.GEMINI_MODEL_NAME || 'gemini-pro'}`,
+        process.env.LLM_FALLBACK, // 예: 'openai:gpt-4o-mini'
+      ].filter(Boolean),
+    },
+    defaults: {
+      temperature: 0.7,
+      maxTokens: 2048,
+    },
+    cache: {
+      enabled: true,
+      ttl: 10 * 60 * 1000, // 같은 작업 / 프롬프트 응답 캐시 (10분)
+      maxEntries: 500,
+    },
+    // 모델별 1K 토큰당 비용 (USD), 세션별 사용량 집계에 사용
+    pricing: {
+      'gemini-pro': { input: 0.000125, output: 0.000375 },
+      'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+      'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 },
+    },
+    // 세션별 사용량 보관 (마지막 기록 후 ttl 이 지나거나 maxEntries 를 넘으면 오래된 세션부터 제거)
+    usage: {
+      ttl: 24 * 60 * 60 * 1000,
+      maxEntries: 10000,
+    },
+    // 제공자별 서킷 브레이커 (열린 동안 해당 제공자를 건너뜀)
+    circuitBreaker: {
+      failureThreshold: 3,
+      resetTimeout: 30000,
+    },
+    // 제공자별 요청 제한 (넘는 호출은 대기), 예: { google: { maxRequests: 10, perSeconds: 60 } }
+    rateLimits: {},
+    retries: 1, // 같은 제공자 재시도 횟수 (rate limit / timeout / 5xx)
+    retryDelay: 1000,
+    // 구조화 출력(JSON): 스키마 검증 실패 시 오류를 덧붙여 다시 요청할 횟수
+    structuredOutput: {
+      maxRepairs: 2,
+    },
   },
 };
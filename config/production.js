@@ -36,6 +36,11 @@ module.exports = {
     ...defaultConfig.mcp,
     // 프로덕션 환경에서는 더 긴 컨텍스트 TTL
     contextTTL: 60 * 60 * 1000, // 1시간
+    // 프로덕션(서버리스) 환경에서는 Firestore 에 컨텍스트 저장
+    contextStore: {
+      ...defaultConfig.mcp.contextStore,
+      backend: process.env.MCP_CONTEXT_BACKEND || 'firebase',
+    },
     // 프로덕션 환경에서는 더 낮은 온도로 더 결정적인 응답
     temperatureDefault: 0.4,
   },
@@ -65,6 +65,7 @@ class CheckoutAutomation {
    * @param {object} options - 분석 옵션
    * @param {boolean} options.detailed - 상세 분석 여부
    * @param {number} options.maxDepth - 최대 분석 깊이
+   * @param {function} options.onProgress - 진행 상황 콜백 ({ step, message, progress })
    * @returns {Promise<object>} 체크아웃 프로세스 정보
    */
   async analyzeCheckoutProcess(productUrl, options = {}) {
@@ -72,6 +73,7 @@ class CheckoutAutomation {
     
     const detailed = options.detailed !== false;
     const maxDepth = options.maxDepth || 3;
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
     
     try {
       // 브라우저 컨트롤러가 없는 경우 예외 발생
@@ -83,6 +85,7 @@ class CheckoutAutomation {
       const productId = this._extractProductId(productUrl);
       
       // 브라우저 시작
+      onProgress({ step: 'launchBrowser', message: 'Launching browser', progress: 0.05 });
       const result = await this.browserController.executeAction('launchBrowser');
       if (!result.success) {
         throw new Error(`Failed to launch browser: ${result.error}`);
@@ -90,21 +93,25 @@ class CheckoutAutomation {
       
       try {
         // 제품 페이지 접속
+        onProgress({ step: 'openProduct', message: `Opening product page: ${productUrl}`, progress: 0.15 });
         await this.browserController.executeAction('goToUrl', { url: productUrl });
         
         // 제품 정보 수집
         const productInfo = await this._collectProductInfo();
         
         // 구매 버튼 찾기 및 클릭
+        onProgress({ step: 'startCheckout', message: 'Starting checkout', progress: 0.3 });
         await this._findAndClickBuyButton();
         
         // 체크아웃 단계 분석
+        onProgress({ step: 'analyzeSteps', message: 'Analyzing checkout steps', progress: 0.4 });
         const checkoutData = await this._analyzeCheckoutSteps(maxDepth, detailed);
         
         // 제품 정보 추가
         checkoutData.productInfo = productInfo;
         
         // 체크아웃 프로세스 저장
+        onProgress({ step: 'save', message: 'Saving checkout process', progress: 0.95 });
         this.processManager.saveCheckoutProcess(productId, checkoutData);
         
         this.logger.info('Checkout process analysis completed');
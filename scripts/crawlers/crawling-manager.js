@@ -249,9 +249,11 @@ class CrawlingManager extends EventEmitter {
   /**
    * 체크아웃 프로세스를 크롤링합니다.
    * @param {string} productUrl - 제품 URL
+   * @param {object} options - 크롤링 옵션
+   * @param {function} options.onProgress - 진행 상황 콜백 ({ step, message, progress }, 에이전트의 reportProgress 연결용)
    * @returns {Promise<object>} 체크아웃 프로세스 정보
    */
-  async crawlCheckoutProcess(productUrl) {
+  async crawlCheckoutProcess(productUrl, options = {}) {
     this.logger.info(`CrawlingManager: 체크아웃 프로세스, 크롤링 시작 - ${productUrl}`);
     
     try {
@@ -260,7 +262,9 @@ class CrawlingManager extends EventEmitter {
       this.stats.totalRequests++;
       
       // 체크아웃 자동화 사용
-      const checkoutProcess = await this.checkoutAutomation.analyzeCheckoutProcess(productUrl);
+      const checkoutProcess = await this.checkoutAutomation.analyzeCheckoutProcess(productUrl, {
+        onProgress: options.onProgress
+      });
       
       // 성공 통계 업데이트
       this.stats.successfulRequests++;
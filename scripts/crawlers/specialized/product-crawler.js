@@ -107,6 +107,10 @@ class ProductCrawler {
           if (options.includeRelatedProducts) {
             const relatedProducts = await this._extractRelatedProducts(category);
             result.relatedProducts = relatedProducts;
+            // 교차 판매용 관련 제품 ID (제품 URL 의 마지막 경로)
+            result.relatedProductIds = relatedProducts
+              ? [...new Set(relatedProducts.map(product => this._productIdFromUrl(product.url)).filter(Boolean))]
+              : [];
           }
           
           // 제품 데이터 저장 (옵션에 따라)
@@ -575,6 +579,23 @@ class ProductCrawler {
     return batches;
   }
   
+  /**
+   * 제품 URL 에서 제품 ID 를 추출합니다. (productId / id 쿼리 파라미터 또는 마지막 경로, 확장자 제외)
+   * @param {string} productUrl - 제품 URL
+   * @returns {string|null} 제품 ID (URL 이 잘못되면 null)
+   * @private
+   */
+  _productIdFromUrl(productUrl) {
+    try {
+      const url = new URL(productUrl);
+      const lastPathPart = url.pathname.split('/').filter(Boolean).pop();
+      return url.searchParams.get('productId') || url.searchParams.get('id')
+        || (lastPathPart ? lastPathPart.split('.')[0] : null);
+    } catch (error) {
+      return null;
+    }
+  }
+  
   /**
    * 기본 슬러그 생성 함수
    * @param {string} str - 변환할 문자열
@@ -0,0 +1,133 @@
+/**
+ * 프롬프트 템플릿 버전 비교 스크립트
+ * prompts/ 디렉토리의 템플릿 두 버전을 비교하여 변수 변경과 언어별 본문 차이를 출력합니다.
+ *
+ * 사용법:
+ *   npm run prompts:diff -- <templateId>                     (최신 두 버전 비교)
+ *   npm run prompts:diff -- <templateId> --from 1 --to 2
+ *   npm run prompts:diff -- <templateId> --language pt-BR    (한 언어만 비교)
+ *   npm run prompts:diff -- --list                           (템플릿과 버전 목록)
+ */
+const path = require('path');
+const config = require('../config');
+const PromptTemplateRegistry = require('../src/protocols/mcp-prompt-registry');
+const { diffTemplateVersions } = require('../src/protocols/mcp-prompt-registry');
+
+/**
+ * 명령줄 인자를 파싱합니다.
+ * @param {Array<string>} argv - 명령줄 인자
+ * @returns {Object} 옵션
+ */
+function parseArgs(argv) {
+  const options = { list: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    switch (arg) {
+      case '--from':
+        options.from = Number(next());
+        break;
+      case '--to':
+        options.to = Number(next());
+        break;
+      case '--language':
+        options.language = next();
+        break;
+      case '--dir':
+        options.dir = next();
+        break;
+      case '--list':
+        options.list = true;
+        break;
+      default:
+        if (arg.startsWith('--') || options.templateId) {
+          console.warn(`알 수 없는 인자 무시: ${arg}`);
+        } else {
+          options.templateId = arg;
+        }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 변수 정의를 한 줄로 표시합니다.
+ * @param {string} name - 변수 이름
+ * @param {Object} variable - 변수 정의
+ * @returns {string} 표시 문자열
+ */
+function describeVariable(name, variable) {
+  const type = [].concat(variable.type || 'any').join(' | ');
+  const required = variable.default !== undefined
+    ? `기본값 ${JSON.stringify(variable.default)}`
+    : (variable.required === false ? '선택' : '필수');
+  const description = variable.description ? ` - ${variable.description}` : '';
+  return `${name}: ${type} (${required})${description}`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const registry = new PromptTemplateRegistry({
+    dir: options.dir ? path.resolve(options.dir) : path.resolve(__dirname, '..', config.mcp.promptTemplateDir),
+    defaultLanguage: config.mcp.defaultPromptLanguage
+  });
+
+  if (options.list) {
+    registry.list().forEach(templateId => {
+      console.log(`${templateId}: v${registry.getVersions(templateId).join(', v')}`);
+    });
+    return;
+  }
+
+  if (!options.templateId) {
+    throw new Error('템플릿 ID를 지정하세요. (예: npm run prompts:diff -- intentAnalysis)');
+  }
+
+  const versions = registry.getVersions(options.templateId);
+  const to = options.to !== undefined ? options.to : versions[versions.length - 1];
+  const from = options.from !== undefined ? options.from : versions[versions.indexOf(to) - 1];
+
+  if (from === undefined) {
+    throw new Error(`${options.templateId} 템플릿에 비교할 이전 버전이 없습니다. (버전: ${versions.join(', ')})`);
+  }
+
+  const diff = diffTemplateVersions(registry, options.templateId, from, to);
+  const before = registry.get(options.templateId, { version: from });
+  const after = registry.get(options.templateId, { version: to });
+
+  console.log(`# ${options.templateId} v${from} → v${to}`);
+
+  console.log('\n## 변수');
+  diff.variables.added.forEach(name => console.log(`+ ${describeVariable(name, after.variables[name])}`));
+  diff.variables.removed.forEach(name => console.log(`- ${describeVariable(name, before.variables[name])}`));
+  diff.variables.changed.forEach(name => {
+    console.log(`- ${describeVariable(name, before.variables[name])}`);
+    console.log(`+ ${describeVariable(name, after.variables[name])}`);
+  });
+  if (Object.values(diff.variables).every(names => names.length === 0)) {
+    console.log('(변경 없음)');
+  }
+
+  Object.entries(diff.languages)
+    .filter(([language]) => !options.language || language === options.language)
+    .forEach(([language, lines]) => {
+      console.log(`\n## ${language}`);
+      if (lines.every(line => line.type === ' ')) {
+        console.log('(변경 없음)');
+        return;
+      }
+      lines
+        .filter(line => line.type !== ' ')
+        .forEach(line => console.log(`${line.type} ${line.line}`));
+    });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('템플릿 비교 오류:', error.message);
+    process.exit(1);
+  });
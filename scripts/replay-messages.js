@@ -0,0 +1,136 @@
+/**
+ * A2A 메시지 재실행 스크립트
+ * 메시지 저널에 기록된 대화를 현재 에이전트로 다시 실행하여 운영 환경 문제를 오프라인에서 재현합니다.
+ *
+ * 사용법:
+ *   npm run replay:messages -- --correlation <correlationId>
+ *   npm run replay:messages -- --session <sessionId> [--backend json_file|firebase] [--data-dir ./data/journal]
+ *   npm run replay:messages -- --session <sessionId> --dry-run
+ *   npm run replay:messages -- --correlation <correlationId> --init ./path/to/init.js  (에이전트 초기화 모듈 지정)
+ */
+require('dotenv').config();
+
+// 저장소 모듈(src/storage)은 TypeScript 이므로 ts-node 로 불러옵니다.
+require('ts-node').register({
+  transpileOnly: true,
+  compilerOptions: { module: 'commonjs', moduleResolution: 'node' }
+});
+
+const path = require('path');
+const config = require('../config');
+const A2AMessageJournal = require('../src/protocols/a2a-message-journal');
+const { replayEntries } = require('../src/protocols/a2a-message-journal');
+
+/**
+ * 명령줄 인자를 파싱합니다.
+ * @param {Array<string>} argv - 명령줄 인자
+ * @returns {Object} 옵션
+ */
+function parseArgs(argv) {
+  const options = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    switch (arg) {
+      case '--correlation':
+        options.correlationId = next();
+        break;
+      case '--session':
+        options.sessionId = next();
+        break;
+      case '--backend':
+        options.backend = next();
+        break;
+      case '--data-dir':
+        options.dataDir = next();
+        break;
+      case '--init':
+        options.initModule = next();
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        console.warn(`알 수 없는 인자 무시: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 기록 항목을 한 줄 요약으로 출력합니다.
+ * @param {Object} entry - 저널 항목
+ */
+function printEntry(entry) {
+  const duration = entry.durationMs !== null ? ` ${entry.durationMs}ms` : '';
+  console.log(`  [${entry.recordedAt}] ${entry.kind.padEnd(8)} ${entry.fromAgent} -> ${entry.toAgent} (${entry.intent})${duration}`);
+}
+
+/**
+ * 메인 함수
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.correlationId && !options.sessionId) {
+    console.error('--correlation 또는 --session 인자가 필요합니다.');
+    process.exit(1);
+  }
+
+  const journalConfig = {
+    ...config.a2a.journal,
+    backend: options.backend || config.a2a.journal.backend,
+    dataDir: options.dataDir || config.a2a.journal.dataDir
+  };
+
+  if (journalConfig.backend === 'memory') {
+    console.error('memory 백엔드에는 재실행할 기록이 없습니다. --backend json_file 또는 firebase 를 지정하세요.');
+    process.exit(1);
+  }
+
+  const source = A2AMessageJournal.fromConfig(journalConfig);
+  const filter = options.correlationId
+    ? { correlationId: options.correlationId }
+    : { sessionId: options.sessionId };
+  const entries = await source.loadConversation(filter);
+
+  console.log(`기록된 항목 ${entries.length}개 (${JSON.stringify(filter)})`);
+  entries.forEach(printEntry);
+
+  if (options.dryRun || entries.length === 0) {
+    return;
+  }
+
+  // 현재 코드 기준으로 에이전트를 초기화합니다. 재실행 메시지는 메모리 저널에만 기록합니다.
+  const initialize = require(path.resolve(options.initModule || path.join(__dirname, '../src/api/init')));
+  const { a2aRouter } = await initialize();
+  a2aRouter.journal = new A2AMessageJournal(config.a2a.journal);
+
+  console.log('\n재실행 시작');
+  const results = await replayEntries(a2aRouter, entries, {
+    onStep: ({ request, replayed, error, changed }) => {
+      const status = error ? `오류: ${error.message}` : changed ? '응답 변경됨' : '동일';
+      console.log(`- ${request.toAgent}.${request.intent} → ${status}`);
+      if (changed && !error) {
+        console.log(`  새 응답: ${JSON.stringify(replayed)}`);
+      }
+    }
+  });
+
+  const changedCount = results.filter(result => result.changed).length;
+  console.log(`\n재실행 완료: 요청 ${results.length}개, 응답 변경 ${changedCount}개`);
+
+  if (source.repository && typeof source.repository.destroy === 'function') {
+    source.repository.destroy();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('재실행 오류:', error);
+    process.exit(1);
+  });
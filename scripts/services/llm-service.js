@@ -1,14 +1,22 @@
 /**
  * LLM 서비스 - LLM API 연동을 위한 유틸리티
+ * 제공자 호출, 대체 경로, 응답 캐시는 런타임 에이전트와 같은 LLM 게이트웨이(src/services/llm/llm-gateway.js)를 사용합니다.
  */
-const { VertexAI } = require('@google-cloud/vertexai');
-const { retry } = require('../utils/retry-utils');
+const LLMGateway = require('../../src/services/llm/llm-gateway');
 const { delay } = require('../utils/delay-utils');
 const logger = require('../utils/logger');
 const config = require('../config/default-config');
-const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+
+// 테스트용 모의 제공자 응답
+const MOCK_RESPONSE = '{"name":"Mock","price":100}';
+
+// 제공자별 요청 레이트 제한 (게이트웨이가 제공자 단위로 대기열 처리)
+const RATE_LIMITS = {
+  google: { maxRequests: 10, perSeconds: 60 }, // 분당 10개 요청
+  openai: { maxRequests: 20, perSeconds: 60 }, // 분당 20개 요청
+  anthropic: { maxRequests: 10, perSeconds: 60 } // 분당 10개 요청
+};
 
 /**
  * LLM 서비스 클래스
@@ -16,12 +24,14 @@ const crypto = require('crypto');
 class LlmService {
   /**
    * @param {object} options - LLM 서비스 옵션
-   * @param {string} options.provider - LLM 제공자 (google, openai, anthropic)
+   * @param {string} options.provider - LLM 제공자 (google, openai, anthropic, gemini-mock)
    * @param {string} options.model - 사용할 모델 이름
+   * @param {Array<string>} options.fallback - 대체 경로 (`<provider>:<model>` 목록)
    * @param {object} options.credentials - 인증 정보
    * @param {boolean} options.useCache - 캐시 사용 여부 (기본값: true)
    * @param {string} options.cacheDir - 캐시 디렉토리 (기본값: 자동 생성)
    * @param {number} options.cacheTTL - 캐시 유효 기간(ms) (기본값: 24시간)
+   * @param {object} options.rateLimits - 제공자별 요청 제한 (기본값: RATE_LIMITS)
    */
   constructor(options = {}) {
     this.provider = options.provider || config.llm.provider;
@@ -33,116 +43,52 @@ class LlmService {
     this.credentials = options.credentials || config.llm.credentials;
     this.useCache = options.useCache !== false;
     this.cacheTTL = options.cacheTTL || 24 * 60 * 60 * 1000; // 24시간
-    this.client = null;
-    
-    // 캐시 디렉토리 설정
     this.cacheDir = options.cacheDir || path.join(process.cwd(), 'data', 'cache', 'llm');
-    if (this.useCache && !fs.existsSync(this.cacheDir)) {
-      fs.mkdirSync(this.cacheDir, { recursive: true });
-    }
     
-    // 요청 레이트 제한 관리
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-    this.rateLimit = {
-      google: { maxRequests: 10, perSeconds: 60 }, // 분당 10개 요청
-      openai: { maxRequests: 20, perSeconds: 60 },  // 분당 20개 요청
-      anthropic: { maxRequests: 10, perSeconds: 60 } // 분당 10개 요청
-    };
-    
-    this.initClient();
-  }
-  
-  /**
-   * LLM 클라이언트를 초기화합니다.
-   */
-  initClient() {
-    try {
-      if (this.provider === 'google') {
-        const { project, location } = this.credentials;
-        this.client = new VertexAI({
-          project,
-          location
-        });
-      } else if (this.provider === 'openai') {
-        // OpenAI 클라이언트 구현
-        try {
-          const { OpenAI } = require('openai');
-          this.client = new OpenAI({
-            apiKey: this.credentials.apiKey
-          });
-        } catch (error) {
-          logger.error('Failed to initialize OpenAI client. Make sure the OpenAI package is installed:', error);
-          throw new Error('OpenAI package not available. Install with: npm install openai');
-        }
-      } else if (this.provider === 'anthropic') {
-        // Anthropic 클라이언트 구현
-        try {
-          const { Anthropic } = require('@anthropic-ai/sdk');
-          this.client = new Anthropic({
-            apiKey: this.credentials.apiKey
-          });
-        } catch (error) {
-          logger.error('Failed to initialize Anthropic client. Make sure the Anthropic package is installed:', error);
-          throw new Error('Anthropic package not available. Install with: npm install @anthropic-ai/sdk');
-        }
-      } else if (this.provider === 'gemini-mock') {
-        this.client = {
-          async generateContent() { return '{"name":"Mock","price":100}'; },
-          messages: { async create() { return { content: [{ text: '{"name":"Mock","price":100}' }] }; } }
-        };
-      } else {
-        throw new Error(`Unsupported LLM provider: ${this.provider}`);
-      }
-    } catch (error) {
-      logger.error('Failed to initialize LLM client:', error);
-      throw error;
-    }
+    const primary = this.provider === 'gemini-mock' ? 'fake' : this.provider;
+    this.gateway = new LLMGateway({
+      providers: {
+        google: { project: this.credentials.project, location: this.credentials.location },
+        openai: {
+          apiKey: (this.credentials.openai && this.credentials.openai.apiKey) || this.credentials.apiKey,
+          organization: this.credentials.openai && this.credentials.openai.organization
+        },
+        anthropic: {
+          apiKey: (this.credentials.anthropic && this.credentials.anthropic.apiKey) || this.credentials.apiKey
+        },
+        fake: { defaultText: MOCK_RESPONSE }
+      },
+      routes: {
+        default: [`${primary}:${this.model}`, ...(options.fallback || [])]
+      },
+      defaults: {
+        temperature: 0.2,
+        maxTokens: 1024,
+        topP: 0.8,
+        topK: 40
+      },
+      cache: {
+        enabled: this.useCache,
+        ttl: this.cacheTTL,
+        maxEntries: 1000,
+        dir: this.cacheDir
+      },
+      rateLimits: options.rateLimits || RATE_LIMITS,
+      retries: primary === 'fake' ? 0 : 3,
+      logger
+    });
   }
   
   /**
    * 텍스트를 생성합니다.
    * @param {string} prompt - 입력 프롬프트
-   * @param {object} options - 생성 옵션
+   * @param {object} options - 생성 옵션 (temperature, maxTokens, topP, topK, systemPrompt, task)
    * @returns {Promise<string>} 생성된 텍스트
    */
   async generateText(prompt, options = {}) {
     try {
-      // 캐시 확인
-      if (this.useCache) {
-        const cachedResponse = this.getCachedResponse(prompt, options);
-        if (cachedResponse) {
-          logger.debug('Using cached LLM response');
-          return cachedResponse;
-        }
-      }
-      
-      // 텍스트 생성 요청을 큐에 추가
-      return await this.addToQueue(async () => {
-        logger.debug(`Generating text with ${this.provider}/${this.model}`);
-        
-        // 제공자별 구현
-        let response;
-        
-        if (this.provider === 'google') {
-          response = await this._generateWithGoogle(prompt, options);
-        } else if (this.provider === 'openai') {
-          response = await this._generateWithOpenAI(prompt, options);
-        } else if (this.provider === 'anthropic') {
-          response = await this._generateWithAnthropic(prompt, options);
-        } else if (this.provider === 'gemini-mock') {
-          response = '{"name":"Mock","price":100}';
-        } else {
-          throw new Error(`Unsupported LLM provider: ${this.provider}`);
-        }
-        
-        // 응답 캐싱
-        if (this.useCache) {
-          this.cacheResponse(prompt, options, response);
-        }
-        
-        return response;
-      });
+      logger.debug(`Generating text with ${this.provider}/${this.model}`);
+      return await this.gateway.generateText(prompt, options);
     } catch (error) {
       logger.error('Failed to generate text:', error);
       throw error;
@@ -150,245 +96,15 @@ class LlmService {
   }
   
   /**
-   * Google Vertex AI를 사용하여 텍스트를 생성합니다.
-   * @param {string} prompt - 입력 프롬프트
-   * @param {object} options - 생성 옵션
-   * @returns {Promise<string>} 생성된 텍스트
-   */
-  async _generateWithGoogle(prompt, options) {
-    const generativeModel = this.client.getGenerativeModel({
-      model: this.model,
-      generation_config: {
-        max_output_tokens: options.maxTokens || 1024,
-        temperature: options.temperature || 0.2,
-        top_p: options.topP || 0.8,
-        top_k: options.topK || 40
-      }
-    });
-    
-    const result = await retry(
-      async () => {
-        return await generativeModel.generateContent({
-          contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        });
-      },
-      {
-        maxRetries: 3,
-        initialDelay: 1000,
-        shouldRetry: (error) => {
-          // 재시도 가능한 오류인지 확인
-          return error.message.includes('rate limit') || 
-                 error.message.includes('timeout') ||
-                 error.message.includes('internal error');
-        }
-      }
-    );
-    
-    const response = result.response;
-    return response.candidates[0].content.parts[0].text;
-  }
-  
-  /**
-   * OpenAI를 사용하여 텍스트를 생성합니다.
-   * @param {string} prompt - 입력 프롬프트
-   * @param {object} options - 생성 옵션
-   * @returns {Promise<string>} 생성된 텍스트
-   */
-  async _generateWithOpenAI(prompt, options) {
-    const completion = await retry(
-      async () => {
-        return await this.client.chat.completions.create({
-          model: this.model,
-          messages: [{ role: 'user', content: prompt }],
-          temperature: options.temperature || 0.2,
-          max_tokens: options.maxTokens || 1024,
-          top_p: options.topP || 0.8,
-          frequency_penalty: options.frequencyPenalty || 0,
-          presence_penalty: options.presencePenalty || 0
-        });
-      },
-      {
-        maxRetries: 3,
-        initialDelay: 1000,
-        shouldRetry: (error) => {
-          // 재시도 가능한 오류인지 확인
-          return error.message.includes('rate limit') || 
-                 error.message.includes('timeout') ||
-                 error.message.includes('internal server error');
-        }
-      }
-    );
-    
-    return completion.choices[0].message.content;
-  }
-  
-  /**
-   * Anthropic을 사용하여 텍스트를 생성합니다.
+   * JSON Schema 에 맞는 JSON 응답을 생성합니다. (검증 실패 시 오류를 덧붙여 다시 요청)
    * @param {string} prompt - 입력 프롬프트
-   * @param {object} options - 생성 옵션
-   * @returns {Promise<string>} 생성된 텍스트
+   * @param {object} schema - 응답 JSON Schema
+   * @param {object} options - 생성 옵션 (generateText 옵션과 maxRepairs)
+   * @returns {Promise<object>} { data, text, provider, model, repairs }
    */
-  async _generateWithAnthropic(prompt, options) {
-    const message = await retry(
-      async () => {
-        return await this.client.messages.create({
-          model: this.model,
-          max_tokens: options.maxTokens || 1024,
-          temperature: options.temperature || 0.2,
-          system: options.systemPrompt || '',
-          messages: [{ role: 'user', content: prompt }]
-        });
-      },
-      {
-        maxRetries: 3,
-        initialDelay: 1000,
-        shouldRetry: (error) => {
-          // 재시도 가능한 오류인지 확인
-          return error.message.includes('rate limit') || 
-                 error.message.includes('timeout') ||
-                 error.message.includes('internal server error');
-        }
-      }
-    );
-    
-    return message.content[0].text;
-  }
-  
-  /**
-   * 요청을 큐에 추가하고 레이트 리밋을 관리합니다.
-   * @param {Function} requestFn - 요청 함수
-   * @returns {Promise<any>} 요청 결과
-   */
-  async addToQueue(requestFn) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ 
-        fn: requestFn, 
-        resolve, 
-        reject,
-        timestamp: Date.now() 
-      });
-      
-      if (!this.isProcessingQueue) {
-        this.processQueue();
-      }
-    });
-  }
-  
-  /**
-   * 요청 큐를 처리합니다.
-   */
-  async processQueue() {
-    if (this.requestQueue.length === 0) {
-      this.isProcessingQueue = false;
-      return;
-    }
-    
-    this.isProcessingQueue = true;
-    
-    // 레이트 제한 체크
-    const rateLimit = this.rateLimit[this.provider];
-    if (rateLimit) {
-      const now = Date.now();
-      const recentRequests = this.requestQueue.filter(
-        request => now - request.timestamp < rateLimit.perSeconds * 1000
-      );
-
-      if (recentRequests.length >= rateLimit.maxRequests) {
-        const waitTime = (rateLimit.perSeconds * 1000) - (now - recentRequests[0].timestamp);
-        await delay(waitTime);
-      }
-    }
-    
-    // 다음 요청 처리
-    const { fn, resolve, reject } = this.requestQueue.shift();
-    
-    try {
-      const result = await fn();
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    }
-    
-    // 연속 처리 지연 (API 부하 방지)
-    const wait = this.provider === 'gemini-mock' ? 0 : 100;
-    await delay(wait);
-    
-    // 다음 요청 처리
-    this.processQueue();
-  }
-  
-  /**
-   * 캐시 파일 경로를 생성합니다.
-   * @param {string} prompt - 프롬프트
-   * @param {object} options - 옵션
-   * @returns {string} 캐시 파일 경로
-   */
-  getCacheFilePath(prompt, options) {
-    // 프롬프트와 옵션으로 고유 해시 생성
-    const hash = crypto.createHash('md5').update(
-      prompt + JSON.stringify(options) + this.provider + this.model
-    ).digest('hex');
-    
-    return path.join(this.cacheDir, `${hash}.json`);
-  }
-  
-  /**
-   * 캐시에서 응답을 가져옵니다.
-   * @param {string} prompt - 프롬프트
-   * @param {object} options - 옵션
-   * @returns {string|null} 캐시된 응답 또는 null
-   */
-  getCachedResponse(prompt, options) {
-    if (!this.useCache) return null;
-    
-    const cacheFilePath = this.getCacheFilePath(prompt, options);
-    
-    try {
-      if (fs.existsSync(cacheFilePath)) {
-        const stat = fs.statSync(cacheFilePath);
-        const cacheAge = Date.now() - stat.mtimeMs;
-        
-        // 캐시가 유효 기간 내인 경우
-        if (cacheAge < this.cacheTTL) {
-          const cacheContent = fs.readFileSync(cacheFilePath, 'utf8');
-          const cacheData = JSON.parse(cacheContent);
-          return cacheData.response;
-        }
-      }
-    } catch (error) {
-      logger.warn(`Failed to read cache file: ${error.message}`);
-    }
-    
-    return null;
-  }
-  
-  /**
-   * 응답을 캐시에 저장합니다.
-   * @param {string} prompt - 프롬프트
-   * @param {object} options - 옵션
-   * @param {string} response - 응답
-   */
-  cacheResponse(prompt, options, response) {
-    if (!this.useCache) return;
-    
-    const cacheFilePath = this.getCacheFilePath(prompt, options);
-    
-    try {
-      fs.writeFileSync(
-        cacheFilePath, 
-        JSON.stringify({
-          prompt,
-          options,
-          response,
-          provider: this.provider,
-          model: this.model,
-          timestamp: Date.now()
-        }, null, 2), 
-        'utf8'
-      );
-    } catch (error) {
-      logger.warn(`Failed to write cache file: ${error.message}`);
-    }
+  async generateStructured(prompt, schema, options = {}) {
+    logger.debug(`Generating structured output with ${this.provider}/${this.model}`);
+    return this.gateway.generateStructured(prompt, schema, { logger, ...options });
   }
   
   /**
@@ -3,6 +3,16 @@
  * LG 쇼핑몰의 장바구니 기능과 A2A 시스템 연동을 담당합니다.
  */
 const A2ABaseAgent = require('../../protocols/a2a-base-agent');
+const cartSchemas = require('./cart-schemas');
+const outputSchemas = require('../../services/llm/llm-output-schemas');
+const { toBehaviorEvent, recordBehaviorEvent } = require('../../utils/behavior-profile');
+const {
+  selectCrossSellOffers,
+  describeCrossSellOffers,
+  trackCrossSellOffers,
+  acceptCrossSellOffer
+} = require('./cross-sell');
+const config = require('../../../config');
 
 class CartAgent extends A2ABaseAgent {
   /**
@@ -31,6 +41,10 @@ class CartAgent extends A2ABaseAgent {
     this.sessionService = sessionService;
     this.searchService = searchService;
     this.crawlingService = crawlingService;
+    
+    // 교차 판매 설정 (config.cart.crossSell)
+    this.crossSellOptions = config.cart.crossSell;
+    
     this.setupMessageHandlers();
   }
 
@@ -156,7 +170,7 @@ class CartAgent extends A2ABaseAgent {
   setupMessageHandlers() {
     // 장바구니에 제품 추가 처리
     this.registerMessageHandler('addToCart', async (message) => {
-      const { sessionId, productId, quantity = 1, language = 'pt-BR' } = message.payload;
+      const { sessionId, productId, quantity = 1, crossSellOfferId, language = 'pt-BR' } = message.payload;
       
       try {
         this.logger.info(`장바구니에 제품 추가: ${sessionId}, 제품 ID: ${productId}, 수량: ${quantity}`);
@@ -191,6 +205,25 @@ class CartAgent extends A2ABaseAgent {
         // 장바구니에 제품 추가
         const updatedCart = await this.sessionService.addToCart(sessionId, productInfo, quantity);
         
+        // 사용자 프로필에 장바구니 추가 기록 (실패해도 장바구니 응답은 유지)
+        await recordBehaviorEvent(this.sessionService, sessionId, toBehaviorEvent('cartAdd', productInfo))
+          .catch(error => this.logger.warn(`행동 이벤트 기록 실패: ${sessionId} - ${error.message}`));
+        
+        // 인기 제품 순위용 장바구니 추가 수 기록
+        if (typeof this.searchService.recordProductInteraction === 'function') {
+          await this.searchService.recordProductInteraction(productId, 'cartAdd')
+            .catch(error => this.logger.warn(`제품 상호작용 기록 실패: ${productId} - ${error.message}`));
+        }
+        
+        // 교차 판매 제안을 담았으면 수락으로 기록하고, 아니면 함께 담을 추가 상품 제안
+        const acceptedOffer = crossSellOfferId
+          ? await this.acceptCrossSell(sessionId, crossSellOfferId, productId)
+          : null;
+        const crossSellOffers = crossSellOfferId
+          ? []
+          : await this.suggestCrossSell(sessionId, productInfo, updatedCart, language);
+        const crossSellText = describeCrossSellOffers(crossSellOffers, language);
+        
         // 장바구니에 추가 성공 응답
         const addedToCartResponse = (language === 'pt-BR')
           ? `O produto "${productInfo.name}" foi adicionado ao seu carrinho. Seu carrinho agora tem ${updatedCart.totalItems} ${updatedCart.totalItems === 1 ? 'item' : 'itens'} (R$ ${updatedCart.totalPrice.toFixed(2)}). Deseja continuar comprando ou finalizar a compra?`
@@ -199,8 +232,12 @@ class CartAgent extends A2ABaseAgent {
         return {
           success: true,
           sessionId,
-          response: addedToCartResponse,
-          cart: updatedCart
+          response: crossSellText ? `${addedToCartResponse}\n\n${crossSellText}` : addedToCartResponse,
+          cart: updatedCart,
+          crossSell: {
+            offers: crossSellOffers,
+            acceptedOfferId: acceptedOffer ? acceptedOffer.offerId : null
+          }
         };
       } catch (error) {
         this.logger.error(`장바구니 추가 오류: ${sessionId}, 제품 ID: ${productId}`, error);
@@ -217,7 +254,7 @@ class CartAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, cartSchemas.addToCart);
     
     // 장바구니에서 제품 제거 처리
     this.registerMessageHandler('removeFromCart', async (message) => {
@@ -272,7 +309,7 @@ class CartAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, cartSchemas.removeFromCart);
     
     // 장바구니 수량 업데이트 처리
     this.registerMessageHandler('updateCartQuantity', async (message) => {
@@ -339,7 +376,7 @@ class CartAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, cartSchemas.updateCartQuantity);
     
     // 장바구니 조회 처리
     this.registerMessageHandler('getCart', async (message) => {
@@ -395,7 +432,7 @@ class CartAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, cartSchemas.getCart);
     
     // 장바구니 비우기 처리
     this.registerMessageHandler('clearCart', async (message) => {
@@ -439,7 +476,7 @@ class CartAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, cartSchemas.clearCart);
     
     // 장바구니에서 구매로 진행 처리
     this.registerMessageHandler('proceedToCheckout', async (message) => {
@@ -498,7 +535,7 @@ class CartAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, cartSchemas.proceedToCheckout);
     
     // 사용자 의도에서 장바구니 작업 추출 처리
     this.registerMessageHandler('extractCartIntent', async (message) => {
@@ -507,66 +544,25 @@ class CartAgent extends A2ABaseAgent {
       try {
         this.logger.info(`장바구니 의도 추출: ${sessionId}`);
         
-        // MCP 프롬프트를 사용하여 의도 추출
-        const prompt = `
-          당신은 LG 브라질 쇼핑 어시스턴트의 의도 분석 담당입니다.
-          
-          # 사용자 메시지
-          ${userMessage}
-          
-          # 지시사항
-          사용자 메시지에서 장바구니 관련 의도를 추출하세요.
-          다음 중 가장 적합한 의도와 관련 정보를 JSON 형식으로 반환하세요:
-          
-          1. 장바구니에 추가 (addToCart): 제품 ID와 수량 추출
-          2. 장바구니에서 제거 (removeFromCart): 제품 ID 추출
-          3. 장바구니 수량 변경 (updateCartQuantity): 제품 ID와 수량 추출
-          4. 장바구니 조회 (getCart): 추가 정보 필요 없음
-          5. 장바구니 비우기 (clearCart): 추가 정보 필요 없음
-          6. 구매 진행 (proceedToCheckout): 추가 정보 필요 없음
-          7. 장바구니 관련 아님 (notCartRelated): 추가 정보 필요 없음
-          
-          반환 형식: 
-          {
-            "intent": "의도",
-            "productId": "제품 ID", // 해당하는 경우만
-            "quantity": 수량, // 해당하는 경우만
-            "confidence": 0.0-1.0 // 의도 확신도
-          }
-        `;
-        
-        // Gemini를 사용하여 의도 추출
-        const responseText = await this.mcpPromptManager.generateGeminiResponse(
-          sessionId,
-          'extractCartIntent',
-          {
-            userMessage,
-            language
-          }
-        );
-        
-        // JSON 형식 응답에서 의도 정보 파싱
+        // 의도 추출 (prompts/extractCartIntent, 스키마 검증 및 복구 재시도 포함)
+        let intentInfo;
         try {
-          const intentInfo = JSON.parse(responseText);
-          
-          // 사용자 의도에 따른 처리
-          if (intentInfo.intent !== 'notCartRelated' && intentInfo.confidence >= 0.7) {
-            // 의도가 감지되고 신뢰도가 높은 경우, 해당 액션 실행
-            return await this.processCartAction(sessionId, intentInfo, language);
-          } else {
-            // 장바구니 관련 의도가 아니거나 신뢰도가 낮은 경우
-            return {
-              success: false,
-              sessionId,
-              response: null,
-              intent: intentInfo.intent,
-              confidence: intentInfo.confidence
-            };
-          }
+          intentInfo = await this.mcpPromptManager.generateStructuredResponse(
+            sessionId,
+            'extractCartIntent',
+            {
+              userMessage,
+              language
+            },
+            outputSchemas.cartIntent
+          );
         } catch (error) {
-          this.logger.error('JSON 파싱 오류:', error);
+          if (error.code !== 'LLM_STRUCTURED_OUTPUT_INVALID') {
+            throw error;
+          }
+          this.logger.error('장바구니 의도 응답 검증 오류:', error);
           
-          // 의도 추출 실패
+          // 복구 재시도 후에도 스키마에 맞는 응답을 얻지 못한 경우
           return {
             success: false,
             sessionId,
@@ -574,6 +570,21 @@ class CartAgent extends A2ABaseAgent {
             error: 'PARSING_ERROR'
           };
         }
+        
+        // 사용자 의도에 따른 처리
+        if (intentInfo.intent !== 'notCartRelated' && intentInfo.confidence >= 0.7) {
+          // 의도가 감지되고 신뢰도가 높은 경우, 해당 액션 실행
+          return await this.processCartAction(sessionId, intentInfo, language);
+        }
+        
+        // 장바구니 관련 의도가 아니거나 신뢰도가 낮은 경우
+        return {
+          success: false,
+          sessionId,
+          response: null,
+          intent: intentInfo.intent,
+          confidence: intentInfo.confidence
+        };
       } catch (error) {
         this.logger.error(`장바구니 의도 추출 오류: ${sessionId}`, error);
         
@@ -585,7 +596,7 @@ class CartAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, cartSchemas.extractCartIntent);
   }
   
   /**
@@ -658,31 +669,120 @@ class CartAgent extends A2ABaseAgent {
     }
   }
   
+  /**
+   * 장바구니에 담은 제품과 함께 제안할 추가 상품을 고르고 수락 추적을 위해 세션에 기록합니다.
+   * 실패해도 장바구니 응답은 유지합니다.
+   * @param {string} sessionId - 세션 ID
+   * @param {Object} productInfo - 장바구니에 담은 제품
+   * @param {Object} cart - 갱신된 장바구니 ({ items })
+   * @param {string} language - 언어 코드
+   * @returns {Promise<Array<Object>>} 제안 목록 (없으면 빈 배열)
+   */
+  async suggestCrossSell(sessionId, productInfo, cart, language = 'pt-BR') {
+    if (typeof this.searchService.getProductsByIds !== 'function') {
+      return [];
+    }
+    
+    try {
+      const offers = await selectCrossSellOffers(productInfo, cart.items || [], this.searchService, this.crossSellOptions, language);
+      if (offers.length > 0) {
+        await trackCrossSellOffers(this.sessionService, sessionId, productInfo.objectID || productInfo.id, offers,
+          this.crossSellOptions.maxTrackedOffers);
+      }
+      return offers;
+    } catch (error) {
+      this.logger.warn(`교차 판매 제안 실패: ${sessionId} - ${error.message}`);
+      return [];
+    }
+  }
+  
+  /**
+   * 교차 판매 제안 수락을 세션과 검색 인덱스 상호작용 카운터(crossSellAccepts)에 기록합니다.
+   * @param {string} sessionId - 세션 ID
+   * @param {string} offerId - 제안 ID
+   * @param {string} productId - 장바구니에 담은 제품 ID
+   * @returns {Promise<Object|null>} 수락한 제안 (없거나 기록에 실패하면 null)
+   */
+  async acceptCrossSell(sessionId, offerId, productId) {
+    try {
+      const accepted = await acceptCrossSellOffer(this.sessionService, sessionId, offerId, productId);
+      if (!accepted) {
+        this.logger.warn(`교차 판매 제안을 찾을 수 없음: ${sessionId}, 제안 ID: ${offerId}`);
+        return null;
+      }
+      
+      if (typeof this.searchService.recordProductInteraction === 'function') {
+        await this.searchService.recordProductInteraction(productId, 'crossSellAccept');
+      }
+      return accepted;
+    } catch (error) {
+      this.logger.warn(`교차 판매 수락 기록 실패: ${sessionId} - ${error.message}`);
+      return null;
+    }
+  }
+  
   /**
    * 제품 재고 확인
+   * 크롤링 코디네이터에 checkProductStock 을 요청합니다. 크롤러 회로가 열려 있으면
+   * 라우터가 선언된 대체 경로(인덱싱된 Algolia stockStatus)로 응답합니다.
+   * 회로가 닫혀 있어도 크롤러가 재고 정보를 주지 못하거나 오류가 나면 같은 대체 경로로 확인하고,
+   * 그래도 확인할 수 없으면 재고 없음으로 처리합니다.
    * @param {string} productId - 제품 ID
    * @param {number} quantity - 수량
    * @returns {Promise<boolean>} 재고 가능 여부
    */
   async checkProductAvailability(productId, quantity) {
+    let stockInfo = null;
     try {
-      // 크롤링 서비스를 통해 제품 재고 정보 확인
-      const stockInfo = await this.crawlingService.getProductStock(productId);
+      const result = await this.sendMessage('crawlingCoordinatorAgent', 'request', 'checkProductStock', { productId });
+      stockInfo = result && result.success ? result.stockInfo : null;
       
-      if (!stockInfo || !stockInfo.available) {
-        return false;
+      if (!stockInfo) {
+        this.logger.warn(`크롤러 재고 정보 없음, 대체 경로로 확인: ${productId} (${result && result.error})`);
       }
-      
-      if (stockInfo.quantity !== undefined && stockInfo.quantity < quantity) {
-        return false;
-      }
-      
-      return true;
     } catch (error) {
-      this.logger.error(`제품 재고 확인 오류: ${productId}`, error);
-      
-      // 오류 발생 시 기본적으로 재고 있다고 가정 (더 나은 사용자 경험을 위해)
-      return true;
+      this.logger.error(`제품 재고 확인 오류, 대체 경로로 확인: ${productId}`, error);
+    }
+    
+    if (!stockInfo) {
+      stockInfo = await this.checkFallbackStock(productId);
+    }
+    
+    if (!stockInfo) {
+      this.logger.warn(`제품 재고를 확인할 수 없어 재고 없음으로 처리: ${productId}`);
+      return false;
+    }
+    
+    if (!stockInfo.available) {
+      return false;
+    }
+    
+    if (stockInfo.quantity !== undefined && stockInfo.quantity < quantity) {
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * 선언된 재고 확인 대체 경로(config.a2a.circuitBreaker.fallbacks)로 재고 정보를 조회합니다.
+   * @param {string} productId - 제품 ID
+   * @returns {Promise<Object|null>} 재고 정보 (대체 경로가 없거나 확인할 수 없으면 null)
+   */
+  async checkFallbackStock(productId) {
+    const route = this.router && this.router.circuitBreakers
+      ? this.router.circuitBreakers.getFallback('crawlingCoordinatorAgent', 'checkProductStock')
+      : null;
+    if (!route) {
+      return null;
+    }
+    
+    try {
+      const result = await this.sendMessage(route.toAgent, 'request', route.intent, { productId });
+      return result && result.success ? result.stockInfo || null : null;
+    } catch (error) {
+      this.logger.error(`대체 경로 재고 확인 오류: ${productId} (${route.toAgent}.${route.intent})`, error);
+      return null;
     }
   }
   
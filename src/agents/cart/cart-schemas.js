@@ -0,0 +1,84 @@
+/**
+ * 장바구니 에이전트 의도 계약 (JSON Schema)
+ */
+const { schemaFragments: f, objectSchema, resultSchema } = require('../../protocols/a2a-schema');
+
+const cartResult = resultSchema({
+  sessionId: f.sessionId,
+  response: { type: 'string' }
+});
+
+const addToCartResult = resultSchema({
+  sessionId: f.sessionId,
+  response: { type: 'string' },
+  crossSell: objectSchema({
+    offers: { type: 'array' },
+    acceptedOfferId: { type: ['string', 'null'] }
+  }, ['offers'])
+});
+
+module.exports = {
+  addToCart: {
+    description: '장바구니에 제품을 추가합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      productId: f.productId,
+      quantity: f.quantity,
+      crossSellOfferId: { type: 'string' }, // 교차 판매 제안을 담을 때 제안 ID (수락 추적)
+      language: f.language
+    }, ['sessionId', 'productId']),
+    responseSchema: addToCartResult
+  },
+  removeFromCart: {
+    description: '장바구니에서 제품을 제거합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      productId: f.productId,
+      language: f.language
+    }, ['sessionId', 'productId']),
+    responseSchema: cartResult
+  },
+  updateCartQuantity: {
+    description: '장바구니 제품 수량을 변경합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      productId: f.productId,
+      quantity: { type: 'integer', minimum: 0 },
+      language: f.language
+    }, ['sessionId', 'productId', 'quantity']),
+    responseSchema: cartResult
+  },
+  getCart: {
+    description: '장바구니 내용을 조회합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      language: f.language
+    }, ['sessionId']),
+    responseSchema: cartResult
+  },
+  clearCart: {
+    description: '장바구니를 비웁니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      language: f.language
+    }, ['sessionId']),
+    responseSchema: cartResult
+  },
+  proceedToCheckout: {
+    description: '장바구니 상품으로 구매 프로세스를 시작합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      language: f.language
+    }, ['sessionId']),
+    responseSchema: cartResult
+  },
+  extractCartIntent: {
+    description: '사용자 메시지에서 장바구니 작업 의도를 추출합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      userMessage: { type: 'string' },
+      language: f.language
+    }, ['sessionId', 'userMessage']),
+    responseSchema: resultSchema()
+  }
+};
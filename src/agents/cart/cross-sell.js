@@ -0,0 +1,222 @@
+/**
+ * 장바구니 교차 판매
+ * 장바구니에 담은 제품과 함께 제안할 추가 상품(최대 maxOffers 개)을 고릅니다. 후보는 다음 출처에서 모아
+ * 출처별 비중(sourceWeights) × 강도(0~1)의 합으로 정렬합니다.
+ *   - boughtTogether: 완료된 장바구니에서 함께 구매된 횟수 (검색 인덱스 레코드의 boughtWith_<제품 ID>, 최다 횟수 대비 비율)
+ *   - accessory: 액세서리 규칙(config.cart.crossSell.accessoryRules)으로 찾은 제품 (검색 순위 순)
+ *   - related: 크롤링한 제품 페이지의 관련 제품(relatedProductIds, 페이지 순서 순)
+ *
+ * 제안한 상품은 세션의 crossSellOffers 에 기록하고, 사용자가 제안 ID(offerId)로 담으면 수락으로 표시합니다.
+ */
+const { boughtWithCounts } = require('../../services/search/algolia-search-service');
+
+// 출처별 추천 이유 (액세서리는 규칙의 reason 사용)
+const SOURCE_REASONS = {
+  boughtTogether: {
+    'pt-BR': 'clientes que compraram este produto também levaram',
+    ko: '함께 구매한 고객이 많은 제품',
+    en: 'often bought together with this product'
+  },
+  related: { 'pt-BR': 'produto relacionado', ko: '관련 제품', en: 'related product' }
+};
+
+// 제안 문구 머리말
+const OFFER_HEADINGS = {
+  'pt-BR': 'Que tal levar também:',
+  ko: '함께 담으면 좋은 상품:',
+  en: 'You might also like:'
+};
+
+// 규칙당 가져올 액세서리 후보 수
+const ACCESSORY_CANDIDATES = 3;
+
+/**
+ * 언어별 문구를 고릅니다. (없는 언어는 영어, 영어도 없으면 포르투갈어)
+ * @param {Object} texts - 언어 코드별 문구 (예: { 'pt-BR': '...', ko: '...', en: '...' })
+ * @param {string} language - 언어 코드
+ * @returns {string} 문구
+ * @private
+ */
+function localize(texts, language) {
+  return texts[language] || texts.en || texts['pt-BR'];
+}
+
+/**
+ * 제안 ID 를 생성합니다. (같은 제품을 동시에 제안해도 겹치지 않도록 임의 문자열 포함)
+ * @returns {string} 제안 ID
+ * @private
+ */
+function generateOfferId() {
+  return `offer_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * 제품이 액세서리 규칙 조건과 일치하는지 확인합니다. (모든 속성이 대소문자 구분 없이 같아야 함)
+ * @param {Object} product - 제품 데이터
+ * @param {Object} when - 규칙 조건 (예: { category: 'air-conditioner', subCategory: 'split' })
+ * @returns {boolean} 일치 여부
+ */
+function matchesRule(product, when = {}) {
+  return Object.entries(when).every(([key, expected]) =>
+    String(product[key] || '').toLowerCase() === String(expected).toLowerCase());
+}
+
+/**
+ * 재고 상태가 품절인지 확인합니다.
+ * @param {Object} product - 제품 데이터 (stockStatus)
+ * @returns {boolean} 품절 여부
+ * @private
+ */
+function isOutOfStock(product) {
+  return /out[_\s-]?of[_\s-]?stock|unavailable|esgotado|indispon[ií]vel/i.test(product.stockStatus || '');
+}
+
+/**
+ * 교차 판매 후보를 모읍니다.
+ * @param {Object} product - 장바구니에 담은 제품 (검색 인덱스 레코드)
+ * @param {Object} searchService - 검색 서비스 (getProductsByIds, searchProducts)
+ * @param {Object} options - 교차 판매 설정 (config.cart.crossSell)
+ * @returns {Promise<Array<{product: Object, source: string, strength: number, ruleId: string|null}>>} 후보 목록
+ */
+async function collectCrossSellCandidates(product, searchService, options) {
+  const { minCoOccurrence, accessoryRules = [] } = options;
+
+  const boughtWith = Object.entries(boughtWithCounts(product)).filter(([, count]) => count >= minCoOccurrence);
+  const maxCount = Math.max(0, ...boughtWith.map(([, count]) => count));
+  const related = product.relatedProductIds || [];
+
+  const ids = [...boughtWith.map(([id]) => id), ...related];
+  const products = ids.length > 0 ? await searchService.getProductsByIds(ids) : [];
+  const byId = new Map(products.filter(Boolean).map(item => [item.objectID || item.id, item]));
+
+  const candidates = [
+    ...boughtWith.map(([id, count]) => ({ product: byId.get(id), source: 'boughtTogether', strength: count / maxCount, ruleId: null })),
+    ...related.map((id, index) => ({ product: byId.get(id), source: 'related', strength: 1 - index / related.length, ruleId: null }))
+  ];
+
+  for (const rule of accessoryRules.filter(item => matchesRule(product, item.when))) {
+    const { hits } = await searchService.searchProducts('', { filters: rule.filters, hitsPerPage: ACCESSORY_CANDIDATES });
+    hits.forEach((hit, index) => candidates.push({ product: hit, source: 'accessory', strength: 1 - index / hits.length, ruleId: rule.id }));
+  }
+
+  return candidates.filter(candidate => candidate.product);
+}
+
+/**
+ * 장바구니에 담은 제품에 함께 제안할 추가 상품을 고릅니다.
+ * 담은 제품 자신, 이미 장바구니에 있는 제품, 품절 제품은 제외하고 같은 제품은 출처별 점수를 합칩니다.
+ * @param {Object} product - 장바구니에 담은 제품 (검색 인덱스 레코드)
+ * @param {Array<Object>} cartItems - 장바구니 항목 ({ product, quantity })
+ * @param {Object} searchService - 검색 서비스
+ * @param {Object} options - 교차 판매 설정 (config.cart.crossSell)
+ * @param {string} language - 언어 코드
+ * @returns {Promise<Array<Object>>} 제안 목록 ({ offerId, productId, name, price, imageUrl, source, reason })
+ */
+async function selectCrossSellOffers(product, cartItems, searchService, options, language = 'pt-BR') {
+  const { maxOffers, sourceWeights, accessoryRules = [] } = options;
+  const productId = product.objectID || product.id;
+  const excluded = new Set([productId, ...cartItems.map(item => item.product.objectID || item.product.id)]);
+
+  const scored = new Map();
+  (await collectCrossSellCandidates(product, searchService, options)).forEach(candidate => {
+    const id = candidate.product.objectID || candidate.product.id;
+    if (excluded.has(id) || isOutOfStock(candidate.product)) {
+      return;
+    }
+    const score = (sourceWeights[candidate.source] || 0) * candidate.strength;
+    const entry = scored.get(id) || { candidate, score: 0, best: 0 };
+    entry.score += score;
+    if (score > entry.best) {
+      entry.candidate = candidate;
+      entry.best = score;
+    }
+    scored.set(id, entry);
+  });
+
+  return Array.from(scored.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxOffers)
+    .map(({ candidate }) => {
+      const offered = candidate.product;
+      const rule = accessoryRules.find(item => item.id === candidate.ruleId);
+      const reasons = rule ? rule.reason : SOURCE_REASONS[candidate.source];
+      return {
+        offerId: generateOfferId(),
+        productId: offered.objectID || offered.id,
+        name: offered.name,
+        price: offered.price,
+        imageUrl: offered.imageUrl || null,
+        source: candidate.source,
+        reason: localize(reasons, language)
+      };
+    });
+}
+
+/**
+ * 제안 목록을 장바구니 응답에 붙일 문구로 바꿉니다.
+ * @param {Array<Object>} offers - selectCrossSellOffers 결과
+ * @param {string} language - 언어 코드
+ * @returns {string|null} 제안 문구 (제안이 없으면 null)
+ */
+function describeCrossSellOffers(offers, language = 'pt-BR') {
+  if (offers.length === 0) {
+    return null;
+  }
+
+  const lines = offers.map(offer => `- ${offer.name} (R$ ${Number(offer.price || 0).toFixed(2)}): ${offer.reason}`);
+  return [
+    localize(OFFER_HEADINGS, language),
+    ...lines
+  ].join('\n');
+}
+
+/**
+ * 제안한 상품을 세션에 기록합니다. (최근 maxTrackedOffers 개만 유지)
+ * @param {Object} sessionService - 세션 서비스 (getSession, updateSession)
+ * @param {string} sessionId - 세션 ID
+ * @param {string} sourceProductId - 장바구니에 담은 제품 ID
+ * @param {Array<Object>} offers - selectCrossSellOffers 결과
+ * @param {number} maxTrackedOffers - 보관할 최대 제안 수
+ * @returns {Promise<Array<Object>>} 기록 후 제안 목록
+ */
+async function trackCrossSellOffers(sessionService, sessionId, sourceProductId, offers, maxTrackedOffers) {
+  const session = (await sessionService.getSession(sessionId)) || {};
+  const offeredAt = new Date().toISOString();
+  const crossSellOffers = [
+    ...(session.crossSellOffers || []),
+    ...offers.map(({ offerId, productId, source }) => ({ offerId, productId, sourceProductId, source, status: 'offered', offeredAt }))
+  ].slice(-maxTrackedOffers);
+  await sessionService.updateSession(sessionId, { crossSellOffers });
+  return crossSellOffers;
+}
+
+/**
+ * 제안을 수락으로 표시합니다. (제안 ID 와 제품 ID 가 모두 일치해야 함)
+ * @param {Object} sessionService - 세션 서비스 (getSession, updateSession)
+ * @param {string} sessionId - 세션 ID
+ * @param {string} offerId - 제안 ID
+ * @param {string} productId - 장바구니에 담은 제품 ID
+ * @returns {Promise<Object|null>} 수락한 제안 (없거나 이미 수락했으면 null)
+ */
+async function acceptCrossSellOffer(sessionService, sessionId, offerId, productId) {
+  const session = (await sessionService.getSession(sessionId)) || {};
+  const offers = session.crossSellOffers || [];
+  const index = offers.findIndex(offer => offer.offerId === offerId && offer.productId === productId && offer.status === 'offered');
+  if (index === -1) {
+    return null;
+  }
+
+  const accepted = { ...offers[index], status: 'accepted', acceptedAt: new Date().toISOString() };
+  const crossSellOffers = offers.map((offer, position) => (position === index ? accepted : offer));
+  await sessionService.updateSession(sessionId, { crossSellOffers });
+  return accepted;
+}
+
+module.exports = {
+  matchesRule,
+  collectCrossSellCandidates,
+  selectCrossSellOffers,
+  describeCrossSellOffers,
+  trackCrossSellOffers,
+  acceptCrossSellOffer
+};
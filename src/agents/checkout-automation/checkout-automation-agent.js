@@ -4,6 +4,8 @@
  */
 const A2ABaseAgent = require('../../protocols/a2a-base-agent');
 const CheckoutProcessService = require('../../services/crawling/checkout/checkout-process-service');
+const checkoutSchemas = require('./checkout-automation-schemas');
+const outputSchemas = require('../../services/llm/llm-output-schemas');
 
 class CheckoutAutomationAgent extends A2ABaseAgent {
   /**
@@ -11,7 +13,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
    * @param {Object} router - A2A 라우터
    * @param {Object} checkoutProcessService - 체크아웃 프로세스 서비스
    * @param {Object} apifyClient - Apify 클라이언트
-   * @param {Object} llmService - LLM 서비스
+   * @param {Object} llmService - LLM 서비스 (generateStructured 를 제공하는 LLMGateway 또는 scripts LlmService)
    */
   constructor(router, checkoutProcessService, apifyClient, llmService) {
     super('checkoutAutomationAgent', router);
@@ -27,7 +29,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
    */
   setupMessageHandlers() {
     // 체크아웃 프로세스 정보 요청 처리
-    this.registerMessageHandler('getCheckoutProcess', async (message) => {
+    this.registerMessageHandler('getCheckoutProcess', async (message, context) => {
       const { productId, force = false } = message.payload;
       
       try {
@@ -37,7 +39,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
         
         // 강제 크롤링 요청이거나 캐시에 없는 경우 크롤링 수행
         if (force) {
-          checkoutProcess = await this.crawlCheckoutProcess(productId);
+          checkoutProcess = await this.crawlCheckoutProcess(productId, progress => this.reportProgress(context, progress));
         } else {
           // 캐시에서 조회
           checkoutProcess = await this.checkoutProcessService.getCheckoutProcess(productId);
@@ -55,7 +57,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, checkoutSchemas.getCheckoutProcess);
     
     // 체크아웃 세션 시작 요청 처리
     this.registerMessageHandler('startCheckoutSession', async (message) => {
@@ -120,7 +122,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, checkoutSchemas.startCheckoutSession);
     
     // 정보 수집 요청 처리
     this.registerMessageHandler('collectCheckoutInfo', async (message) => {
@@ -235,7 +237,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, checkoutSchemas.collectCheckoutInfo);
     
     // 체크아웃 단계 이동 요청 처리
     this.registerMessageHandler('navigateCheckoutStep', async (message) => {
@@ -293,7 +295,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, checkoutSchemas.navigateCheckoutStep);
     
     // 체크아웃 세션 종료 요청 처리
     this.registerMessageHandler('endCheckoutSession', async (message) => {
@@ -327,7 +329,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, checkoutSchemas.endCheckoutSession);
     
     // 체크아웃 URL 생성 요청 처리
     this.registerMessageHandler('generateCheckoutUrl', async (message) => {
@@ -362,15 +364,16 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, checkoutSchemas.generateCheckoutUrl);
   }
   
   /**
    * 체크아웃 프로세스 크롤링
    * @param {string} productId - 제품 ID
+   * @param {Function} onProgress - 진행 상황 콜백 ({ step, message, progress }) (선택)
    * @returns {Promise<Object>} 체크아웃 프로세스 정보
    */
-  async crawlCheckoutProcess(productId) {
+  async crawlCheckoutProcess(productId, onProgress = () => {}) {
     try {
       this.logger.info(`체크아웃 프로세스 크롤링 시작: ${productId}`);
       
@@ -378,6 +381,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
       const productUrl = `https://www.lge.com/br/product/${productId}`;
       
       // Apify를 사용하여 체크아웃 프로세스 크롤링
+      onProgress({ step: 'crawl', message: `체크아웃 프로세스 크롤링 중: ${productUrl}`, progress: 0.1 });
       const run = await this.apifyClient.actor('user~lg-brazil-checkout-process').call({
         productUrl,
         waitForLoading: true,
@@ -386,6 +390,7 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
       });
       
       // 크롤링 결과 가져오기
+      onProgress({ step: 'collect', message: '크롤링 결과 수집 중', progress: 0.8 });
       const { items } = await this.apifyClient.dataset(run.defaultDatasetId).listItems();
       
       if (!items || items.length === 0) {
@@ -477,25 +482,20 @@ class CheckoutAutomationAgent extends A2ABaseAgent {
         값이 없거나 확실하지 않은 필드는 포함하지 마세요.
       `;
       
-      // LLM 호출
-      const result = await this.llmService.extractStructuredInfo(prompt);
-      
-      // JSON 파싱
-      let extractedInfo = {};
+      // LLM 호출 (JSON 모드, 스키마 검증 및 복구 재시도 포함)
+      let extractedInfo;
       
       try {
-        if (typeof result === 'string') {
-          // JSON 문자열에서 객체 부분만 추출
-          const jsonMatch = result.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            extractedInfo = JSON.parse(jsonMatch[0]);
-          }
-        } else if (typeof result === 'object') {
-          extractedInfo = result;
-        }
+        const { data } = await this.llmService.generateStructured(prompt, outputSchemas.checkoutInfo, {
+          task: 'checkoutInfoExtraction'
+        });
+        extractedInfo = data;
       } catch (parseError) {
+        if (parseError.code !== 'LLM_STRUCTURED_OUTPUT_INVALID') {
+          throw parseError;
+        }
         this.logger.error(`JSON 파싱 오류: ${parseError.message}`);
-        // 파싱 실패 시 간단한 추출 방식 사용
+        // 복구 재시도 후에도 실패하면 간단한 추출 방식 사용
         extractedInfo = this.simpleInfoExtraction(userInput, stepInfo);
       }
       
@@ -0,0 +1,64 @@
+/**
+ * 체크아웃 자동화 에이전트 의도 계약 (JSON Schema)
+ */
+const { schemaFragments: f, objectSchema, resultSchema } = require('../../protocols/a2a-schema');
+
+const checkoutSessionId = { type: 'string', minLength: 1 };
+
+module.exports = {
+  getCheckoutProcess: {
+    description: '제품의 체크아웃 프로세스 정보를 조회합니다.',
+    payloadSchema: objectSchema({
+      productId: f.productId,
+      force: f.force
+    }, ['productId']),
+    responseSchema: resultSchema({
+      checkoutProcess: { type: ['object', 'null'] }
+    })
+  },
+  startCheckoutSession: {
+    description: '체크아웃 세션을 시작합니다.',
+    payloadSchema: objectSchema({
+      productId: f.productId,
+      userId: { type: 'string', minLength: 1 },
+      initialData: { type: 'object' }
+    }, ['productId', 'userId']),
+    responseSchema: resultSchema({
+      sessionId: checkoutSessionId,
+      currentStep: { type: 'integer' }
+    })
+  },
+  collectCheckoutInfo: {
+    description: '사용자 입력에서 체크아웃 정보를 수집합니다.',
+    payloadSchema: objectSchema({
+      sessionId: checkoutSessionId,
+      userInput: { type: 'string' },
+      extractedInfo: { type: 'object' }
+    }, ['sessionId']),
+    responseSchema: resultSchema()
+  },
+  navigateCheckoutStep: {
+    description: '체크아웃 단계를 이동합니다.',
+    payloadSchema: objectSchema({
+      sessionId: checkoutSessionId,
+      stepNumber: { type: 'integer', minimum: 1 }
+    }, ['sessionId', 'stepNumber']),
+    responseSchema: resultSchema()
+  },
+  endCheckoutSession: {
+    description: '체크아웃 세션을 종료합니다.',
+    payloadSchema: objectSchema({
+      sessionId: checkoutSessionId
+    }, ['sessionId']),
+    responseSchema: resultSchema()
+  },
+  generateCheckoutUrl: {
+    description: '수집한 정보로 체크아웃 딥링크 URL 을 생성합니다.',
+    payloadSchema: objectSchema({
+      sessionId: checkoutSessionId
+    }, ['sessionId']),
+    responseSchema: resultSchema({
+      checkoutUrl: { type: 'string' }
+    })
+  }
+};
@@ -1,6 +1,8 @@
 // src/agents/context-manager/context-manager-agent.js
 import { BaseAgent } from '../base-agent';
 import { config } from '../../../config';
+import { render } from '../../protocols/mcp-prompt-template';
+import { getPromptRegistry, resolveVariables, inferVariables } from '../../protocols/mcp-prompt-registry';
 
 /**
  * 대화 컨텍스트 관리 에이전트
@@ -17,7 +19,9 @@ export class ContextManagerAgent extends BaseAgent {
     super(agentId, router);
     this.db = db;
     this.contextStore = new Map(); // 메모리 컨텍스트 저장소
-    this.templateCache = new Map(); // 프롬프트 템플릿 캐시
+    this.templateCache = new Map(); // 직접 등록한 프롬프트 템플릿
+    this.promptRegistry = getPromptRegistry(); // prompts/ 디렉토리의 버전 관리 템플릿
+    this.promptVersions = config.mcp.promptVersions || {};
     this.setupMessageHandlers();
   }
 
@@ -259,17 +263,18 @@ export class ContextManagerAgent extends BaseAgent {
 
   /**
    * 컨텍스트 기반 프롬프트 생성
+   * 직접 등록한 템플릿을 먼저 찾고, 없으면 레지스트리에서 additionalData.language 언어 본문을 사용합니다.
    * @param {string} userId 사용자 ID
    * @param {string} templateId 템플릿 ID
    * @param {Object} additionalData 추가 데이터
    * @returns {Promise<string>} 생성된 프롬프트
+   * @throws {PromptTemplateError} 변수가 누락되었거나 타입이 맞지 않는 경우
    */
   async generatePrompt(userId, templateId, additionalData = {}) {
-    if (!this.templateCache.has(templateId)) {
+    if (!this.templateCache.has(templateId) && !this.promptRegistry.has(templateId)) {
       throw new Error(`Template ${templateId} not found`);
     }
     
-    const template = this.templateCache.get(templateId);
     const userContext = await this.getContext(userId);
     
     const contextData = {
@@ -277,11 +282,42 @@ export class ContextManagerAgent extends BaseAgent {
       ...additionalData
     };
     
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return contextData[key] !== undefined ? contextData[key] : match;
+    let text;
+    let values;
+    let language = contextData.language;
+    if (this.templateCache.has(templateId)) {
+      text = this.templateCache.get(templateId);
+      values = resolveVariables(templateId, inferVariables(text), contextData);
+    } else {
+      ({ text, values, language } = this.promptRegistry.resolve(templateId, contextData, {
+        version: this.promptVersions[templateId],
+        language
+      }));
+    }
+    
+    return render(text, values, {
+      templateId,
+      locale: language,
+      partials: partialId => this.getPartial(partialId, language)
     });
   }
 
+  /**
+   * partial 템플릿 본문 조회 (직접 등록한 템플릿 또는 같은 언어의 레지스트리 템플릿)
+   * @param {string} templateId partial 템플릿 ID
+   * @param {string} language 본문 언어
+   * @returns {string|undefined} 템플릿 본문 (없으면 undefined)
+   */
+  getPartial(templateId, language) {
+    if (this.templateCache.has(templateId)) {
+      return this.templateCache.get(templateId);
+    }
+    if (!this.promptRegistry.has(templateId)) {
+      return undefined;
+    }
+    return this.promptRegistry.getText(templateId, { version: this.promptVersions[templateId], language }).text;
+  }
+
   /**
    * 컨텍스트 삭제
    * @param {string} userId 사용자 ID
@@ -330,100 +366,9 @@ export class ContextManagerAgent extends BaseAgent {
    * @returns {Promise<void>}
    */
   async initialize() {
-    // 기본 템플릿 로드
-    await this.loadDefaultTemplates();
-    
     // 정기적인 만료된 컨텍스트 정리 작업 설정
     setInterval(() => this.cleanExpiredContexts(), config.mcp.contextTTL / 2);
     
     await super.initialize();
   }
-
-  /**
-   * 기본 템플릿 로드
-   * @returns {Promise<void>}
-   */
-  async loadDefaultTemplates() {
-    // 제품 검색용 템플릿
-    this.registerTemplate('productSearch', `
-      당신은 LG 브라질 쇼핑 어시스턴트입니다.
-      
-      # 사용자 정보
-      사용자 ID: {{userId}}
-      선호 카테고리: {{preferredCategories}}
-      최근 검색어: {{recentSearches}}
-      
-      # 제품 데이터 컨텍스트
-      {{productContext}}
-      
-      # 현재 대화 컨텍스트
-      {{conversationHistory}}
-      
-      # 지시사항
-      사용자의 질문에서 제품 검색 의도를 파악하여 관련된 제품을 추천해주세요.
-      제품 추천 시 사용자의 선호도와 이전 검색 기록을 고려하세요.
-      제품의 주요 특징, 가격, 재고 상태를 명확하게 설명해주세요.
-      
-      사용자 질문: {{userQuery}}
-    `);
-    
-    // 구매 프로세스 지원용 템플릿
-    this.registerTemplate('purchaseProcess', `
-      당신은 LG 브라질 쇼핑 어시스턴트입니다.
-      
-      # 구매 프로세스 정보
-      현재 단계: {{currentCheckoutStep}}
-      필요한 정보: {{requiredFields}}
-      이미 수집된 정보: {{collectedInfo}}
-      
-      # 지시사항
-      사용자가 구매 프로세스를 완료할 수 있도록 필요한 정보를 자연스러운 대화로 수집하세요.
-      누락된 정보가 있다면 친절하게 요청하세요.
-      이미 제공된 정보는 다시 묻지 마세요.
-      
-      사용자 메시지: {{userMessage}}
-    `);
-    
-    // 의도 분석용 템플릿
-    this.registerTemplate('intentAnalysis', `
-      당신은 LG 브라질 쇼핑 어시스턴트를 위한 사용자 의도 분석기입니다.
-      
-      # 현재 대화 컨텍스트
-      {{conversationHistory}}
-      
-      # 지시사항
-      사용자 메시지를 분석하여 사용자의 의도를 파악하세요.
-      가능한 의도: productSearch (제품 검색), purchaseIntent (구매 의향), generalQuery (일반 질문), comparison (제품 비교)
-      
-      분석 결과를 다음 JSON 형식으로 반환하세요:
-      {
-        "type": "의도 유형",
-        "filters": {
-          "priceRange": "가격 범위 (예: '1000-2000' 또는 'high', 'medium', 'low')",
-          "categories": ["카테고리1", "카테고리2"],
-          "features": ["특징1", "특징2"]
-        },
-        "productId": "구매하려는 제품 ID (구매 의향인 경우)",
-        "comparisonProducts": ["제품ID1", "제품ID2"] (제품 비교인 경우)
-      }
-      
-      사용자 메시지: {{userQuery}}
-    `);
-    
-    // 추천 결과 포맷팅 템플릿
-    this.registerTemplate('formatRecommendations', `
-      당신은 LG 브라질 쇼핑 어시스턴트입니다.
-      
-      # 추천 제품 정보
-      {{recommendations}}
-      
-      # 지시사항
-      제공된 제품 정보를 사용자 친화적인 형식으로 포맷팅하세요.
-      각 제품의 주요 특징, 가격, 재고 상태를 강조하세요.
-      제품 간의 핵심 차이점을 비교해주세요.
-      사용자에게 어떤 제품이 왜 적합한지 간략하게 설명해주세요.
-      
-      사용자 질문: {{userQuery}}
-    `);
-  }
 }
@@ -3,6 +3,8 @@
  * LG 브라질 사이트의 제품 정보 크롤링 작업을 관리하고 데이터를 정제합니다.
  */
 const A2ABaseAgent = require('../../protocols/a2a-base-agent');
+const crawlingSchemas = require('./crawling-coordinator-schemas');
+const { traceCall } = require('../../protocols/a2a-tracing');
 
 class CrawlingCoordinatorAgent extends A2ABaseAgent {
   /**
@@ -97,10 +99,10 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, crawlingSchemas.crawlProductInfo);
     
     // 카테고리 제품 크롤링 요청 처리
-    this.registerMessageHandler('crawlCategoryProducts', async (message) => {
+    this.registerMessageHandler('crawlCategoryProducts', async (message, context) => {
       const { categoryId, categoryUrl, limit = 20, force = false } = message.payload;
       
       try {
@@ -108,6 +110,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
         
         // 캐시된 카테고리 제품 정보 확인 (강제 크롤링이 아닌 경우)
         if (!force && categoryId) {
+          this.reportProgress(context, { step: 'cache', message: '캐시된 카테고리 제품 확인 중', progress: 0.05 });
           const cachedProducts = await this.cacheService.getCategoryProducts(categoryId);
           if (cachedProducts && cachedProducts.length > 0) {
             this.logger.info(`캐시된 카테고리 제품 정보 반환: ${categoryId} (${cachedProducts.length}개)`);
@@ -121,6 +124,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
         
         // 크롤링 실행
         const catUrl = categoryUrl || `https://www.lge.com/br/category/${categoryId}`;
+        this.reportProgress(context, { step: 'crawl', message: `카테고리 페이지 크롤링 중: ${catUrl}`, progress: 0.1 });
         const products = await this.crawlCategoryProducts(catUrl, limit);
         
         if (!products || products.length === 0) {
@@ -133,6 +137,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
         }
         
         // Algolia 인덱스에 제품 정보 일괄 업데이트
+        this.reportProgress(context, { step: 'index', message: `제품 ${products.length}개 검색 인덱스 업데이트 중`, progress: 0.8 });
         await this.batchUpdateProductsInAlgolia(products);
         
         return {
@@ -148,7 +153,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, crawlingSchemas.crawlCategoryProducts);
     
     // 제품 재고 확인 요청 처리
     this.registerMessageHandler('checkProductStock', async (message) => {
@@ -193,10 +198,10 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, crawlingSchemas.checkProductStock);
     
     // 체크아웃 프로세스 크롤링 요청 처리
-    this.registerMessageHandler('crawlCheckoutProcess', async (message) => {
+    this.registerMessageHandler('crawlCheckoutProcess', async (message, context) => {
       const { productUrl, force = false } = message.payload;
       
       try {
@@ -208,6 +213,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
         
         // 캐시된 체크아웃 프로세스 확인 (강제 크롤링이 아닌 경우)
         if (!force && category) {
+          this.reportProgress(context, { step: 'cache', message: '캐시된 체크아웃 프로세스 확인 중', progress: 0.05 });
           const cachedProcess = await this.cacheService.getCheckoutProcess(category);
           if (cachedProcess) {
             this.logger.info(`캐시된 체크아웃 프로세스 반환: ${category}`);
@@ -220,7 +226,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
         }
         
         // 체크아웃 프로세스 크롤링 실행
-        const checkoutProcess = await this.crawlCheckoutProcess(productUrl);
+        const checkoutProcess = await this.crawlCheckoutProcess(productUrl, progress => this.reportProgress(context, progress));
         
         if (!checkoutProcess) {
           throw new Error(`체크아웃 프로세스 크롤링 실패: ${productUrl}`);
@@ -246,7 +252,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
           checkoutProcess: this.getDefaultCheckoutProcess()
         };
       }
-    });
+    }, crawlingSchemas.crawlCheckoutProcess);
     
     // 검색 결과 크롤링 요청 처리
     this.registerMessageHandler('crawlSearchResults', async (message) => {
@@ -275,7 +281,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, crawlingSchemas.crawlSearchResults);
   }
 
   /** Simplified handlers for unit tests */
@@ -457,7 +463,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
   async crawlProduct(productUrl) {
     try {
       // Apify를 사용하여 제품 정보 크롤링
-      const run = await this.apifyClient.actor('apify/website-content-crawler').call({
+      const run = await traceCall('apify.actor.call', { 'apify.actor': 'apify/website-content-crawler' }, () => this.apifyClient.actor('apify/website-content-crawler').call({
         startUrls: [{ url: productUrl }],
         maxCrawlDepth: 0,
         maxCrawlPages: 1,
@@ -489,7 +495,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
             }
           }
         `
-      });
+      }));
       
       // 크롤링 결과 가져오기
       const dataset = await this.apifyClient.dataset(run.defaultDatasetId).listItems();
@@ -520,7 +526,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
   async crawlCategoryProducts(categoryUrl, limit) {
     try {
       // Apify를 사용하여 카테고리 제품 목록 크롤링
-      const run = await this.apifyClient.actor('apify/website-content-crawler').call({
+      const run = await traceCall('apify.actor.call', { 'apify.actor': 'apify/website-content-crawler' }, () => this.apifyClient.actor('apify/website-content-crawler').call({
         startUrls: [{ url: categoryUrl }],
         maxCrawlDepth: 1, // 제품 목록 페이지만 크롤링
         maxCrawlPages: 5, // 최대 5페이지까지 크롤링
@@ -564,7 +570,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
             }
           }
         `
-      });
+      }));
       
       // 크롤링 결과 가져오기
       const dataset = await this.apifyClient.dataset(run.defaultDatasetId).listItems();
@@ -594,7 +600,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
       const productUrl = `https://www.lge.com/br/product/${productId}`;
       
       // Apify를 사용하여 제품 재고 정보 확인
-      const run = await this.apifyClient.actor('apify/website-content-crawler').call({
+      const run = await traceCall('apify.actor.call', { 'apify.actor': 'apify/website-content-crawler' }, () => this.apifyClient.actor('apify/website-content-crawler').call({
         startUrls: [{ url: productUrl }],
         maxCrawlDepth: 0,
         maxCrawlPages: 1,
@@ -615,7 +621,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
             await page.waitForTimeout(2000);
           }
         `
-      });
+      }));
       
       // 크롤링 결과 가져오기
       const dataset = await this.apifyClient.dataset(run.defaultDatasetId).listItems();
@@ -637,12 +643,14 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
   /**
    * 체크아웃 프로세스 크롤링
    * @param {string} productUrl - 제품 URL
+   * @param {Function} onProgress - 진행 상황 콜백 ({ step, message, progress }) (선택)
    * @returns {Promise<Object>} 체크아웃 프로세스 정보
    */
-  async crawlCheckoutProcess(productUrl) {
+  async crawlCheckoutProcess(productUrl, onProgress = () => {}) {
     try {
       // Apify를 사용하여 체크아웃 프로세스 크롤링
-      const run = await this.apifyClient.actor('apify/website-content-crawler').call({
+      onProgress({ step: 'crawl', message: `체크아웃 프로세스 크롤링 중: ${productUrl}`, progress: 0.1 });
+      const run = await traceCall('apify.actor.call', { 'apify.actor': 'apify/website-content-crawler' }, () => this.apifyClient.actor('apify/website-content-crawler').call({
         startUrls: [{ url: productUrl }],
         clickableElements: ['a[href*="checkout"], button.buy-now, button.buy-button, .checkout-button, .buy-now-button'],
         maxCrawlDepth: 3, // 최대 3단계까지 크롤링 (제품 페이지 → 장바구니 → 체크아웃 → 결제)
@@ -675,9 +683,10 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
             }
           }
         `
-      });
+      }));
       
       // 크롤링 결과 가져오기
+      onProgress({ step: 'collect', message: '크롤링 결과 수집 중', progress: 0.8 });
       const dataset = await this.apifyClient.dataset(run.defaultDatasetId).listItems();
       
       if (!dataset || dataset.items.length === 0) {
@@ -685,6 +694,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
       }
       
       // 체크아웃 프로세스 정보 추출
+      onProgress({ step: 'analyzeSteps', message: '체크아웃 단계 분석 중', progress: 0.9 });
       const checkoutProcess = this.parseCheckoutProcess(dataset.items);
       
       return checkoutProcess;
@@ -706,7 +716,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
       const searchUrl = `https://www.lge.com/br/search?q=${encodeURIComponent(query)}`;
       
       // Apify를 사용하여 검색 결과 크롤링
-      const run = await this.apifyClient.actor('apify/website-content-crawler').call({
+      const run = await traceCall('apify.actor.call', { 'apify.actor': 'apify/website-content-crawler' }, () => this.apifyClient.actor('apify/website-content-crawler').call({
         startUrls: [{ url: searchUrl }],
         maxCrawlDepth: 0,
         maxCrawlPages: 1,
@@ -738,7 +748,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
             }
           }
         `
-      });
+      }));
       
       // 크롤링 결과 가져오기
       const dataset = await this.apifyClient.dataset(run.defaultDatasetId).listItems();
@@ -838,6 +848,9 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
                             html.match(/<ol[^>]*class="[^"]*breadcrumb[^"]*"[^>]*>.*?<li[^>]*><a[^>]*>([^<]+)<\/a><\/li>.*?<\/ol>/is);
       const category = categoryMatch ? categoryMatch[1].trim() : '';
       
+      // 교차 판매용 관련 제품 ID 추출
+      const relatedProductIds = this.parseRelatedProductIds(html, id);
+      
       // 제품 정보 객체 구성
       return {
         id,
@@ -850,6 +863,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
         inStock,
         rating,
         category,
+        relatedProductIds,
         url
       };
     } catch (error) {
@@ -867,11 +881,40 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
         inStock: false,
         rating: 0,
         category: '',
+        relatedProductIds: [],
         url: ''
       };
     }
   }
   
+  /**
+   * 관련 제품 섹션(.related-products, .similar-products)의 제품 링크에서 제품 ID 를 추출합니다.
+   * 섹션 안에 같은 태그가 중첩될 수 있어 여닫는 태그 수를 세어 섹션 끝을 찾습니다.
+   * @param {string} html - 제품 페이지 HTML
+   * @param {string} productId - 현재 제품 ID (결과에서 제외)
+   * @returns {Array<string>} 관련 제품 ID 목록 (페이지 순서, 중복 제외)
+   */
+  parseRelatedProductIds(html, productId) {
+    const opening = /<(div|section|ul)\b[^>]*class="[^"]*(?:related-products|similar-products)[^"]*"[^>]*>/i.exec(html);
+    if (!opening) {
+      return [];
+    }
+    
+    const tags = new RegExp(`<(/?)${opening[1]}\\b[^>]*>`, 'ig');
+    tags.lastIndex = opening.index + opening[0].length;
+    let depth = 1;
+    let end = html.length;
+    let tag;
+    while (depth > 0 && (tag = tags.exec(html))) {
+      depth += tag[1] ? -1 : 1;
+      end = tag.index;
+    }
+    
+    const section = html.slice(opening.index, end);
+    const ids = [...section.matchAll(/href="[^"]*\/product\/([^"?#\/]+)/ig)].map(match => match[1]);
+    return [...new Set(ids)].filter(id => id !== productId);
+  }
+  
   /**
    * 제품 목록 파싱
    * @param {Array} items - 크롤링 결과 항목 배열
@@ -1247,7 +1290,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
       const index = this.algoliaClient.initIndex('products');
       
       // 인덱스에 제품 정보 저장
-      await index.saveObject({
+      await traceCall('algolia.saveObject', { 'algolia.index': 'products', 'algolia.object_id': productInfo.id }, () => index.saveObject({
         objectID: productInfo.id,
         ...productInfo,
         _tags: [
@@ -1256,7 +1299,7 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
           `inStock:${productInfo.inStock ? 'yes' : 'no'}`
         ],
         _timestamp: Date.now()
-      });
+      }));
       
       this.logger.info(`Algolia 인덱스 업데이트 완료: ${productInfo.id}`);
     } catch (error) {
@@ -1293,7 +1336,8 @@ class CrawlingCoordinatorAgent extends A2ABaseAgent {
       }));
       
       // 일괄 업데이트
-      await index.saveObjects(objects);
+      await traceCall('algolia.saveObjects', { 'algolia.index': 'products', 'algolia.object_count': objects.length },
+        () => index.saveObjects(objects));
       
       this.logger.info(`Algolia 인덱스 일괄 업데이트 완료: ${products.length}개 제품`);
     } catch (error) {
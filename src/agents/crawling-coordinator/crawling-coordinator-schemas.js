@@ -0,0 +1,73 @@
+/**
+ * 크롤링 코디네이터 에이전트 의도 계약 (JSON Schema)
+ */
+const { schemaFragments: f, objectSchema, resultSchema } = require('../../protocols/a2a-schema');
+
+const source = { type: 'string', enum: ['cache', 'crawl', 'default'] };
+
+module.exports = {
+  crawlProductInfo: {
+    description: '제품 상세 정보를 크롤링합니다. productId 또는 url 중 하나가 필요합니다.',
+    payloadSchema: {
+      ...objectSchema({
+        productId: f.productId,
+        url: { type: 'string', minLength: 1 },
+        force: f.force
+      }),
+      anyOf: [{ required: ['productId'] }, { required: ['url'] }]
+    },
+    responseSchema: resultSchema({
+      source,
+      productInfo: { type: 'object' }
+    })
+  },
+  crawlCategoryProducts: {
+    description: '카테고리 제품 목록을 크롤링합니다. categoryId 또는 categoryUrl 중 하나가 필요합니다.',
+    payloadSchema: {
+      ...objectSchema({
+        categoryId: { type: 'string', minLength: 1 },
+        categoryUrl: { type: 'string', minLength: 1 },
+        limit: f.limit,
+        force: f.force
+      }),
+      anyOf: [{ required: ['categoryId'] }, { required: ['categoryUrl'] }]
+    },
+    responseSchema: resultSchema({
+      source,
+      products: { type: 'array' }
+    })
+  },
+  checkProductStock: {
+    description: '제품 재고 상태를 확인합니다.',
+    payloadSchema: objectSchema({
+      productId: f.productId,
+      force: f.force
+    }, ['productId']),
+    responseSchema: resultSchema({
+      source,
+      stockInfo: { type: 'object' }
+    })
+  },
+  crawlCheckoutProcess: {
+    description: '제품 페이지에서 체크아웃 프로세스를 크롤링합니다.',
+    payloadSchema: objectSchema({
+      productUrl: { type: 'string', minLength: 1 },
+      force: f.force
+    }, ['productUrl']),
+    responseSchema: resultSchema({
+      source,
+      checkoutProcess: { type: 'object' }
+    })
+  },
+  crawlSearchResults: {
+    description: '검색어로 LG 브라질 사이트 검색 결과를 크롤링합니다.',
+    payloadSchema: objectSchema({
+      query: { type: 'string', minLength: 1 },
+      limit: f.limit
+    }, ['query']),
+    responseSchema: resultSchema({
+      source,
+      searchResults: { type: 'array' }
+    })
+  }
+};
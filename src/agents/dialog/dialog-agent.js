@@ -3,6 +3,30 @@
  * 사용자와의 자연어 대화, 의도 파악, 다른 에이전트 조율을 담당합니다.
  */
 const A2ABaseAgent = require('../../protocols/a2a-base-agent');
+const { A2ATimeoutError } = require('../../protocols/a2a-errors');
+const { validateSchema } = require('../../protocols/a2a-schema');
+const dialogSchemas = require('./dialog-schemas');
+const { buildTools, summarizeToolResult } = require('./dialog-tools');
+const outputSchemas = require('../../services/llm/llm-output-schemas');
+const config = require('../../../config');
+
+// 확인 질문에서 사용할 의도 설명 (모델이 확인 질문을 주지 않은 경우)
+const INTENT_LABELS = {
+  'pt-BR': {
+    productSearch: 'procurar um produto',
+    purchaseIntent: 'comprar um produto',
+    cartOperation: 'alterar o seu carrinho',
+    comparison: 'comparar produtos',
+    generalQuery: 'tirar uma dúvida'
+  },
+  ko: {
+    productSearch: '제품 검색',
+    purchaseIntent: '제품 구매',
+    cartOperation: '장바구니 변경',
+    comparison: '제품 비교',
+    generalQuery: '일반 문의'
+  }
+};
 
 class DialogAgent extends A2ABaseAgent {
   /**
@@ -14,6 +38,24 @@ class DialogAgent extends A2ABaseAgent {
   constructor(router, mcpPromptManager, sessionService) {
     super('dialogAgent', router);
 
+    // 하위 에이전트별 응답 제한 시간 (밀리초)
+    this.downstreamTimeouts = {
+      productRecommendationAgent: 15000,
+      purchaseProcessAgent: 15000,
+      cartAgent: 10000,
+      crawlingCoordinatorAgent: 20000,
+      productComparisonAgent: 15000
+    };
+
+    // 의도 분석 결과 처리 설정 (config.dialog.intentAnalysis)
+    this.intentOptions = config.dialog.intentAnalysis;
+
+    // 도구 호출 루프 설정 (config.dialog.toolLoop)
+    this.toolLoopOptions = config.dialog.toolLoop;
+
+    // 대화 요약 설정 (요약되지 않은 메시지 수 기준)
+    this.summaryOptions = config.mcp.promptBudget.summary;
+
     // legacy signature: (router, promptManager)
     if (!sessionService) {
       this.legacyMode = true;
@@ -33,7 +75,7 @@ class DialogAgent extends A2ABaseAgent {
    */
   setupMessageHandlers() {
     // 사용자 메시지 처리
-    this.registerMessageHandler('userMessage', async (message) => {
+    this.registerMessageHandler('userMessage', async (message, context = {}) => {
       const { sessionId, userMessage, language = 'pt-BR' } = message.payload;
       
       try {
@@ -49,49 +91,39 @@ class DialogAgent extends A2ABaseAgent {
         // 대화 기록에 사용자 메시지 추가
         await this.sessionService.addConversationMessage(sessionId, 'user', userMessage);
         
-        // 대화 기록 가져오기
-        const conversationHistory = await this.sessionService.getConversationHistory(sessionId, 10);
+        // 대화 요약과 요약되지 않은 최근 대화 준비 (프롬프트 토큰 예산은 MCP 컨텍스트 관리자가 적용)
+        const conversation = await this.prepareConversation(sessionId, session, userMessage);
         
-        // 사용자 의도 분석
-        const intent = await this.mcpPromptManager.analyzeIntent(
-          sessionId, 
-          userMessage, 
-          conversationHistory
+        // 사용자 의도 분석 (확신도 순 의도 목록)
+        const analysis = await this.mcpPromptManager.analyzeIntent(
+          sessionId,
+          userMessage,
+          conversation.history,
+          conversation.summary,
+          language
         );
         
-        // 의도에 따른 처리
-        let response;
-        switch (intent.type) {
-          case 'productSearch':
-            // 제품 추천 에이전트에 요청
-            response = await this.handleProductSearch(sessionId, userMessage, intent, language);
-            break;
-            
-          case 'purchaseIntent':
-            // 구매 프로세스 에이전트에 요청
-            response = await this.handlePurchaseIntent(sessionId, userMessage, intent, language);
-            break;
-            
-          case 'cartOperation':
-            // 장바구니 에이전트에 요청
-            response = await this.handleCartOperation(sessionId, userMessage, intent, language);
-            break;
-            
-          case 'generalQuery':
-          default:
-            // 일반 질문에 대한 응답 생성
-            response = await this.handleGeneralQuery(sessionId, userMessage, intent, language);
-            break;
+        let result;
+        if (this.needsClarification(analysis)) {
+          // 확신도가 낮으면 추측하지 않고 확인 질문
+          this.logger.info(`의도 확인 질문: ${sessionId} (확신도 ${analysis.confidence})`);
+          result = { response: this.getClarificationQuestion(analysis, language), intent: 'clarification' };
+        } else {
+          // 도구 호출 루프로 응답 생성 (도구를 사용할 수 없으면 분석된 의도별로 에이전트에 위임)
+          const tools = this.getTools();
+          result = tools.length > 0
+            ? await this.runToolLoop(sessionId, userMessage, analysis, language, conversation, tools, context)
+            : await this.handleIntent(sessionId, userMessage, analysis, language, conversation, context);
         }
         
         // 대화 기록에 어시스턴트 응답 추가
-        await this.sessionService.addConversationMessage(sessionId, 'assistant', response);
+        await this.sessionService.addConversationMessage(sessionId, 'assistant', result.response);
         
         return {
           success: true,
           sessionId,
-          response,
-          intent: intent.type
+          ...result,
+          intents: analysis.intents || []
         };
       } catch (error) {
         this.logger.error(`사용자 메시지 처리 오류: ${sessionId}`, error);
@@ -108,7 +140,7 @@ class DialogAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, dialogSchemas.userMessage);
     
     // 제품 추천 결과 처리
     this.registerMessageHandler('recommendationResult', async (message) => {
@@ -121,7 +153,7 @@ class DialogAgent extends A2ABaseAgent {
         const response = await this.mcpPromptManager.generateGeminiResponse(
           sessionId,
           'formatRecommendations',
-          { recommendations: JSON.stringify(recommendations), userQuery, language }
+          { recommendations, userQuery, language }
         );
         
         return {
@@ -144,7 +176,7 @@ class DialogAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, dialogSchemas.recommendationResult);
     
     // 구매 프로세스 안내 처리
     this.registerMessageHandler('purchaseStepGuide', async (message) => {
@@ -168,7 +200,7 @@ class DialogAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, dialogSchemas.purchaseStepGuide);
     
     // 추가 정보 요청 처리
     this.registerMessageHandler('requestMoreInfo', async (message) => {
@@ -192,7 +224,7 @@ class DialogAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, dialogSchemas.requestMoreInfo);
     
     // 장바구니 업데이트 결과 처리
     this.registerMessageHandler('cartUpdateResult', async (message) => {
@@ -277,7 +309,7 @@ class DialogAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, dialogSchemas.cartUpdateResult);
   }
 
   /** Simplified handlers for unit tests */
@@ -313,7 +345,7 @@ class DialogAgent extends A2ABaseAgent {
       return await this.mcpPromptManager.generateGeminiResponse(
         userId,
         'generalQuery',
-        { userQuery }
+        { userQuery, userMessage: userQuery }
       );
     });
 
@@ -327,31 +359,352 @@ class DialogAgent extends A2ABaseAgent {
     });
   }
   
+  /**
+   * 프롬프트에 넣을 대화를 준비합니다.
+   * 요약되지 않은 메시지가 triggerMessages 를 넘으면 최근 keepRecentMessages 개를 제외한 메시지를
+   * 기존 요약에 합쳐 새 요약을 만들고 세션(conversationSummary)에 저장합니다.
+   * 요약에 실패하면 요약되지 않은 대화를 그대로 사용합니다. (토큰 예산에서 오래된 메시지부터 잘림)
+   * @param {string} sessionId - 세션 ID
+   * @param {Object} session - 사용자 메시지 추가 전 세션 데이터
+   * @param {string} userMessage - 방금 추가한 사용자 메시지
+   * @returns {Promise<{summary: string, history: Array<Object>}>} 대화 요약과 요약되지 않은 대화 (오래된 순)
+   */
+  async prepareConversation(sessionId, session, userMessage) {
+    const history = [...((session && session.conversationHistory) || []), { role: 'user', content: userMessage }];
+    let summary = (session && session.conversationSummary) || { text: '', summarizedCount: 0 };
+    let pending = history.slice(summary.summarizedCount);
+
+    const { triggerMessages, keepRecentMessages } = this.summaryOptions;
+    if (pending.length > triggerMessages && typeof this.mcpPromptManager.summarizeConversation === 'function') {
+      const folded = pending.slice(0, pending.length - keepRecentMessages);
+
+      try {
+        const text = await this.mcpPromptManager.summarizeConversation(sessionId, summary.text, folded);
+        summary = {
+          text,
+          summarizedCount: summary.summarizedCount + folded.length,
+          updatedAt: new Date().toISOString()
+        };
+        await this.sessionService.updateSession(sessionId, { conversationSummary: summary });
+        pending = pending.slice(folded.length);
+      } catch (error) {
+        this.logger.warn(`대화 요약 실패, 요약되지 않은 대화 사용: ${sessionId}`, error.message);
+      }
+    }
+
+    return { summary: summary.text, history: pending };
+  }
+
+  /**
+   * 하위 에이전트에 제한 시간을 두고 요청합니다.
+   * 제한 시간을 넘기면 오류 대신 지연 안내 메시지를 반환합니다.
+   * @param {string} toAgent - 수신 에이전트 ID
+   * @param {string} intent - 메시지 의도
+   * @param {Object} payload - 메시지 페이로드
+   * @param {string} language - 언어 코드
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
+   * @returns {Promise<string>} 응답 메시지
+   * @private
+   */
+  async _requestDownstream(toAgent, intent, payload, language, parent) {
+    const result = await this._requestDownstreamResult(toAgent, intent, payload, language, parent);
+    return result.response;
+  }
+
+  /**
+   * 하위 에이전트에 제한 시간을 두고 요청하고 응답 전체를 반환합니다.
+   * 제한 시간을 넘기면 지연 안내 메시지를 담은 실패 응답을 반환합니다.
+   * @param {string} toAgent - 수신 에이전트 ID
+   * @param {string} intent - 메시지 의도
+   * @param {Object} payload - 메시지 페이로드
+   * @param {string} language - 언어 코드
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
+   * @returns {Promise<Object>} 하위 에이전트 응답 ({ success, response, ... })
+   * @private
+   */
+  async _requestDownstreamResult(toAgent, intent, payload, language, parent) {
+    try {
+      return await this.sendMessage(toAgent, 'request', intent, payload, {
+        parent,
+        timeout: this.downstreamTimeouts[toAgent]
+      });
+    } catch (error) {
+      if (!(error instanceof A2ATimeoutError)) {
+        throw error;
+      }
+
+      this.logger.warn(`하위 에이전트 응답 지연: ${toAgent} (${intent}), ${error.timeoutMs}ms 초과`);
+
+      return {
+        success: false,
+        response: (language === 'pt-BR')
+          ? 'Desculpe, isso está demorando mais do que o esperado. Por favor, tente novamente em alguns instantes.'
+          : '죄송합니다, 응답이 예상보다 지연되고 있습니다. 잠시 후 다시 시도해 주세요.',
+        error: 'TIMEOUT'
+      };
+    }
+  }
+
+  /**
+   * 의도 분석 결과가 확인 질문이 필요한지 판단합니다.
+   * 분석에 실패해 의도 목록이 비어 있으면 일반 질문으로 처리하므로 확인하지 않습니다.
+   * @param {Object} analysis - analyzeIntent 결과
+   * @returns {boolean} 확인 질문 필요 여부
+   */
+  needsClarification(analysis) {
+    const intents = analysis.intents || [];
+    return intents.length > 0 && intents[0].confidence < this.intentOptions.clarificationThreshold;
+  }
+
+  /**
+   * 확인 질문을 만듭니다. 모델이 제안한 질문이 없으면 상위 두 의도를 묻는 질문을 만듭니다.
+   * @param {Object} analysis - analyzeIntent 결과
+   * @param {string} language - 언어 코드
+   * @returns {string} 확인 질문
+   */
+  getClarificationQuestion(analysis, language) {
+    if (analysis.clarificationQuestion) {
+      return analysis.clarificationQuestion;
+    }
+
+    const labels = INTENT_LABELS[language === 'pt-BR' ? 'pt-BR' : 'ko'];
+    const options = Array.from(new Set(analysis.intents.slice(0, 2).map(intent => labels[intent.type])));
+
+    if (language === 'pt-BR') {
+      return options.length > 1
+        ? `Desculpe, não tenho certeza do que você precisa. Você gostaria de ${options[0]} ou ${options[1]}?`
+        : `Só para confirmar: você gostaria de ${options[0]}? Pode me dar mais detalhes?`;
+    }
+    return options.length > 1
+      ? `요청을 정확히 이해하지 못했습니다. ${options[0]}과(와) ${options[1]} 중 어떤 것을 원하시나요?`
+      : `확인을 위해 여쭙니다. ${options[0]}을(를) 원하시나요? 조금 더 자세히 알려 주세요.`;
+  }
+
+  /**
+   * 분석된 의도별로 에이전트에 위임해 응답을 생성합니다.
+   * 확신도가 기준 이상인 의도를 maxIntents 개까지 순서대로 처리하고 응답을 이어 붙입니다.
+   * 도구 호출 루프를 사용할 수 없을 때 사용합니다.
+   * @param {string} sessionId - 세션 ID
+   * @param {string} userMessage - 사용자 메시지
+   * @param {Object} analysis - analyzeIntent 결과
+   * @param {string} language - 언어 코드
+   * @param {Object} conversation - prepareConversation 결과
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
+   * @returns {Promise<{response: string, intent: string, comparison?: Object}>} 응답과 첫 의도 유형 (비교 의도면 비교표 포함)
+   */
+  async handleIntent(sessionId, userMessage, analysis, language, conversation, parent) {
+    const { clarificationThreshold, maxIntents } = this.intentOptions;
+    const ranked = (analysis.intents || [])
+      .filter(intent => intent.confidence >= clarificationThreshold)
+      .slice(0, maxIntents)
+      .map(intent => ({ ...intent.slots, type: intent.type, confidence: intent.confidence }));
+    const intents = ranked.length > 0 ? ranked : [analysis];
+    
+    const responses = [];
+    const attachments = {};
+    for (const intent of intents) {
+      const reply = await this.dispatchIntent(sessionId, userMessage, intent, language, conversation, parent);
+      const { response, ...data } = typeof reply === 'string' ? { response: reply } : reply;
+      responses.push(response);
+      Object.assign(attachments, data);
+    }
+    
+    return { ...attachments, response: responses.join('\n\n'), intent: intents[0].type };
+  }
+
+  /**
+   * 의도 하나를 해당 에이전트에 위임합니다.
+   * @param {string} sessionId - 세션 ID
+   * @param {string} userMessage - 사용자 메시지
+   * @param {Object} intent - 의도 ({ type, ...slots })
+   * @param {string} language - 언어 코드
+   * @param {Object} conversation - prepareConversation 결과
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
+   * @returns {Promise<string|Object>} 응답 메시지 (비교 의도면 { response, comparison })
+   * @private
+   */
+  async dispatchIntent(sessionId, userMessage, intent, language, conversation, parent) {
+    switch (intent.type) {
+      case 'productSearch':
+        // 제품 추천 에이전트에 요청
+        return await this.handleProductSearch(sessionId, userMessage, intent, language, parent);
+        
+      case 'purchaseIntent':
+        // 구매 프로세스 에이전트에 요청
+        return await this.handlePurchaseIntent(sessionId, userMessage, intent, language, parent);
+        
+      case 'cartOperation':
+        // 장바구니 에이전트에 요청
+        return await this.handleCartOperation(sessionId, userMessage, intent, language, parent);
+        
+      case 'comparison':
+        // 제품 비교 에이전트에 요청
+        return await this.handleComparison(sessionId, userMessage, intent, language, parent);
+        
+      case 'generalQuery':
+      default:
+        // 일반 질문에 대한 응답 생성
+        return await this.handleGeneralQuery(sessionId, userMessage, intent, language, conversation);
+    }
+  }
+
+  /**
+   * 도구 호출 루프에서 사용할 도구 목록을 만듭니다.
+   * 루프가 꺼져 있거나 프롬프트 관리자가 구조화 출력을 지원하지 않으면 빈 배열을 반환합니다.
+   * @returns {Array<Object>} 도구 ({ name, agentId, intent, description, parameters })
+   */
+  getTools() {
+    if (!this.toolLoopOptions.enabled
+      || typeof this.mcpPromptManager.generateStructuredResponse !== 'function'
+      || typeof this.router.describe !== 'function') {
+      return [];
+    }
+
+    const { tools, missing } = buildTools(this.router.describe(), this.toolLoopOptions.tools);
+    if (missing.length > 0) {
+      this.logger.debug(`등록되지 않은 도구 제외: ${missing.join(', ')}`);
+    }
+    return tools;
+  }
+
+  /**
+   * 도구 호출 루프
+   * LLM 이 다음 동작(도구 호출 또는 최종 응답)을 고르고, 도구 호출은 해당 에이전트 의도로 전달합니다.
+   * 도구 결과를 다음 단계 프롬프트에 넣어 maxSteps 번까지 반복하며, 한도에 도달하면 최종 응답만 요청합니다.
+   * analyzeIntent 로 분석한 의도와 슬롯은 도구 선택과 인자 구성의 참고로 매 단계 프롬프트에 넣습니다.
+   * @param {string} sessionId - 세션 ID
+   * @param {string} userMessage - 사용자 메시지
+   * @param {Object} analysis - analyzeIntent 결과
+   * @param {string} language - 언어 코드
+   * @param {Object} conversation - prepareConversation 결과
+   * @param {Array<Object>} tools - getTools 결과
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
+   * @returns {Promise<{response: string, intent: string, toolCalls: Array<Object>, stepLimitReached: boolean, comparison?: Object}>} 응답과 도구 호출 기록 (제품 비교 도구를 호출했으면 마지막 비교표 포함)
+   */
+  async runToolLoop(sessionId, userMessage, analysis, language, conversation, tools, parent) {
+    const { maxSteps, maxResultLength } = this.toolLoopOptions;
+    const intents = (analysis.intents || []).map(({ type, confidence, slots }) => ({ type, confidence, slots: slots || {} }));
+    const toolCalls = [];
+
+    for (;;) {
+      const stepLimitReached = toolCalls.length >= maxSteps;
+      const action = await this.mcpPromptManager.generateStructuredResponse(
+        sessionId,
+        'dialogToolStep',
+        {
+          userMessage,
+          intents,
+          tools: tools.map(({ name, description, parameters }) => ({ name, description, parameters })),
+          steps: toolCalls.map(call => ({
+            step: call.step,
+            tool: call.tool,
+            arguments: call.arguments,
+            observation: summarizeToolResult(call.error ? { error: call.error } : call.result, maxResultLength)
+          })),
+          stepLimitReached,
+          conversationHistory: conversation.history,
+          conversationSummary: conversation.summary,
+          language
+        },
+        outputSchemas.dialogToolStep
+      );
+
+      if (action.action === 'respond') {
+        const comparisonCall = toolCalls.filter(call => call.success && call.result && call.result.comparison).pop();
+        return {
+          ...(comparisonCall ? { comparison: comparisonCall.result.comparison } : {}),
+          response: action.response,
+          intent: 'toolLoop',
+          toolCalls,
+          stepLimitReached
+        };
+      }
+
+      if (stepLimitReached) {
+        this.logger.warn(`도구 호출 한도 도달: ${sessionId} (${maxSteps}회)`);
+        const response = (language === 'pt-BR')
+          ? 'Desculpe, não consegui concluir seu pedido. Você pode dividi-lo em etapas menores?'
+          : '죄송합니다, 요청을 완료하지 못했습니다. 요청을 더 작은 단계로 나눠 주시겠어요?';
+        return { response, intent: 'toolLoop', toolCalls, stepLimitReached };
+      }
+
+      toolCalls.push(await this.callTool(tools, action, sessionId, language, parent, toolCalls.length + 1));
+    }
+  }
+
+  /**
+   * 도구 하나를 호출하고 호출 기록을 반환합니다.
+   * 알 수 없는 도구, 인자 검증 실패, 하위 에이전트 오류는 예외 대신 기록의 error 로 반환해 LLM 이 다음 단계에서 처리하게 합니다.
+   * @param {Array<Object>} tools - getTools 결과
+   * @param {{tool: string, arguments: Object}} action - LLM 이 고른 도구 호출
+   * @param {string} sessionId - 세션 ID
+   * @param {string} language - 언어 코드
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
+   * @param {number} step - 단계 번호 (1부터)
+   * @returns {Promise<Object>} 호출 기록 ({ step, tool, agentId, arguments, success, result, error, durationMs })
+   * @private
+   */
+  async callTool(tools, action, sessionId, language, parent, step) {
+    const args = action.arguments || {};
+    const tool = tools.find(entry => entry.name === action.tool);
+    const call = { step, tool: action.tool, agentId: tool ? tool.agentId : null, arguments: args };
+
+    if (!tool) {
+      return { ...call, success: false, result: null, error: `Unknown tool: ${action.tool}`, durationMs: 0 };
+    }
+
+    const validation = validateSchema(tool.parameters, args);
+    if (!validation.valid) {
+      const error = `Invalid arguments: ${validation.errors.map(entry => `${entry.path} ${entry.message}`).join('; ')}`;
+      return { ...call, success: false, result: null, error, durationMs: 0 };
+    }
+
+    const startedAt = Date.now();
+    try {
+      this.logger.info(`도구 호출: ${sessionId}, ${tool.agentId}.${tool.intent} (단계 ${step})`);
+      const result = await this.sendMessage(tool.agentId, 'request', tool.intent, { ...args, sessionId, language }, {
+        parent,
+        timeout: this.downstreamTimeouts[tool.agentId]
+      });
+
+      return {
+        ...call,
+        success: !(result && result.success === false),
+        result,
+        error: (result && result.success === false && result.error) || null,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      this.logger.warn(`도구 호출 오류: ${tool.agentId}.${tool.intent}, ${error.message}`);
+      return { ...call, success: false, result: null, error: error.message, durationMs: Date.now() - startedAt };
+    }
+  }
+
   /**
    * 제품 검색 처리
    * @param {string} sessionId - 세션 ID
    * @param {string} userMessage - 사용자 메시지
    * @param {Object} intent - 분석된 의도
    * @param {string} language - 언어 코드
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
    * @returns {Promise<string>} 응답 메시지
    */
-  async handleProductSearch(sessionId, userMessage, intent, language) {
+  async handleProductSearch(sessionId, userMessage, intent, language, parent) {
     this.logger.info(`제품 검색 처리: ${sessionId}`);
     
     // 제품 추천 에이전트에 요청
-    const response = await this.sendMessage(
+    return await this._requestDownstream(
       'productRecommendationAgent',
-      'request',
       'getRecommendation',
       { 
         sessionId, 
         userQuery: userMessage, 
         filters: intent.filters,
         language
-      }
+      },
+      language,
+      parent
     );
-    
-    return response.response;
   }
   
   /**
@@ -360,25 +713,25 @@ class DialogAgent extends A2ABaseAgent {
    * @param {string} userMessage - 사용자 메시지
    * @param {Object} intent - 분석된 의도
    * @param {string} language - 언어 코드
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
    * @returns {Promise<string>} 응답 메시지
    */
-  async handlePurchaseIntent(sessionId, userMessage, intent, language) {
+  async handlePurchaseIntent(sessionId, userMessage, intent, language, parent) {
     this.logger.info(`구매 의도 처리: ${sessionId}`);
     
     // 구매 프로세스 에이전트에 요청
-    const response = await this.sendMessage(
+    return await this._requestDownstream(
       'purchaseProcessAgent',
-      'request',
       'initiatePurchase',
       { 
         sessionId, 
         productId: intent.productId,
         userMessage,
         language
-      }
+      },
+      language,
+      parent
     );
-    
-    return response.response;
   }
   
   /**
@@ -387,25 +740,64 @@ class DialogAgent extends A2ABaseAgent {
    * @param {string} userMessage - 사용자 메시지
    * @param {Object} intent - 분석된 의도
    * @param {string} language - 언어 코드
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
    * @returns {Promise<string>} 응답 메시지
    */
-  async handleCartOperation(sessionId, userMessage, intent, language) {
+  async handleCartOperation(sessionId, userMessage, intent, language, parent) {
     this.logger.info(`장바구니 작업 처리: ${sessionId}, 작업: ${intent.operation}`);
     
     // 장바구니 에이전트에 요청
-    const response = await this.sendMessage(
+    return await this._requestDownstream(
       'cartAgent',
-      'request',
       intent.operation,
       { 
         sessionId, 
         productId: intent.productId,
         quantity: intent.quantity,
         language
-      }
+      },
+      language,
+      parent
     );
+  }
+  
+  /**
+   * 제품 비교 처리
+   * 비교할 제품이 2개 미만이면 비교할 제품을 묻습니다.
+   * @param {string} sessionId - 세션 ID
+   * @param {string} userMessage - 사용자 메시지
+   * @param {Object} intent - 분석된 의도 (comparisonProducts: 제품 ID 목록)
+   * @param {string} language - 언어 코드
+   * @param {Object} parent - 현재 처리 중인 핸들러 context
+   * @returns {Promise<string|Object>} 응답 메시지 (비교에 성공하면 { response, comparison })
+   */
+  async handleComparison(sessionId, userMessage, intent, language, parent) {
+    const productIds = intent.comparisonProducts || [];
+    this.logger.info(`제품 비교 처리: ${sessionId}, 제품: ${productIds.join(', ')}`);
+    
+    if (productIds.length < 2) {
+      return (language === 'pt-BR')
+        ? 'Quais produtos você gostaria de comparar? Informe de 2 a 4 modelos.'
+        : '어떤 제품을 비교할까요? 모델 2~4개를 알려 주세요.';
+    }
     
-    return response.response;
+    // 제품 비교 에이전트에 요청
+    const result = await this._requestDownstreamResult(
+      'productComparisonAgent',
+      'compareProducts',
+      {
+        sessionId,
+        productIds,
+        userQuery: userMessage,
+        language
+      },
+      language,
+      parent
+    );
+    
+    return result.comparison
+      ? { response: result.response, comparison: result.comparison }
+      : result.response;
   }
   
   /**
@@ -414,13 +806,16 @@ class DialogAgent extends A2ABaseAgent {
    * @param {string} userMessage - 사용자 메시지
    * @param {Object} intent - 분석된 의도
    * @param {string} language - 언어 코드
+   * @param {Object} conversation - prepareConversation 결과 (없으면 최근 대화 5개 사용)
    * @returns {Promise<string>} 응답 메시지
    */
-  async handleGeneralQuery(sessionId, userMessage, intent, language) {
+  async handleGeneralQuery(sessionId, userMessage, intent, language, conversation = null) {
     this.logger.info(`일반 질문 처리: ${sessionId}`);
     
-    // 대화 기록 가져오기
-    const conversationHistory = await this.sessionService.getConversationHistory(sessionId, 5);
+    // 대화 기록 가져오기 (세션 서비스는 최신순으로 반환하므로 오래된 순으로 되돌림)
+    const { summary = '', history } = conversation || {
+      history: (await this.sessionService.getConversationHistory(sessionId, 5)).reverse()
+    };
     
     // 세션 정보 가져오기
     const session = await this.sessionService.getSession(sessionId);
@@ -432,8 +827,9 @@ class DialogAgent extends A2ABaseAgent {
       'generalQuery',
       {
         userMessage,
-        conversationHistory: JSON.stringify(conversationHistory),
-        preferences: JSON.stringify(preferences),
+        conversationHistory: history,
+        conversationSummary: summary,
+        preferences,
         language
       }
     );
@@ -443,6 +839,7 @@ class DialogAgent extends A2ABaseAgent {
   
   /**
    * 사용자 메시지 처리 (외부 API용)
+   * 라우터를 거쳐 전달하므로 correlationId 가 붙고 저널에 외부 요청으로 기록됩니다. (scripts/replay-messages.js 로 재실행 가능)
    * @param {string} sessionId - 세션 ID
    * @param {string} userMessage - 사용자 메시지
    * @param {string} language - 언어 코드
@@ -450,22 +847,18 @@ class DialogAgent extends A2ABaseAgent {
    */
   async processUserMessage(sessionId, userMessage, language = 'pt-BR') {
     try {
-      // userMessage 메시지 핸들러에게 메시지 전달
-      const message = {
-        messageId: `msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      // userMessage 메시지 핸들러에게 메시지 전달 (messageId / correlationId 는 라우터 미들웨어가 채움)
+      return await this.router.sendMessage({
         fromAgent: 'api',
-        toAgent: 'dialogAgent',
+        toAgent: this.agentId,
         messageType: 'request',
         intent: 'userMessage',
         payload: {
           sessionId,
           userMessage,
           language
-        },
-        timestamp: new Date().toISOString()
-      };
-      
-      return await this.processMessage(message);
+        }
+      });
     } catch (error) {
       this.logger.error(`사용자 메시지 처리 오류 (API): ${sessionId}`, error);
       
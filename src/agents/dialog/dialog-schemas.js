@@ -0,0 +1,64 @@
+/**
+ * 대화 에이전트 의도 계약 (JSON Schema)
+ */
+const { schemaFragments: f, objectSchema, resultSchema } = require('../../protocols/a2a-schema');
+
+const dialogResult = resultSchema({
+  sessionId: f.sessionId,
+  response: { type: 'string' }
+});
+
+module.exports = {
+  userMessage: {
+    description: '사용자 메시지를 도구 호출 루프(도구가 없으면 의도 분석)로 처리해 응답을 생성합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      userMessage: { type: 'string', minLength: 1 },
+      language: f.language
+    }, ['sessionId', 'userMessage']),
+    responseSchema: resultSchema({
+      sessionId: f.sessionId,
+      response: { type: 'string' },
+      intent: { type: 'string' },
+      toolCalls: { type: 'array' },
+      stepLimitReached: { type: 'boolean' },
+      comparison: { type: 'object' }
+    })
+  },
+  recommendationResult: {
+    description: '제품 추천 결과를 사용자 친화적인 응답으로 변환합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      recommendations: { type: 'array' },
+      userQuery: { type: 'string' },
+      language: f.language
+    }, ['sessionId', 'recommendations']),
+    responseSchema: dialogResult
+  },
+  purchaseStepGuide: {
+    description: '구매 단계 안내 문구를 전달합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      guideText: { type: 'string' }
+    }, ['sessionId', 'guideText']),
+    responseSchema: dialogResult
+  },
+  requestMoreInfo: {
+    description: '사용자에게 추가 정보를 요청하는 문구를 전달합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      promptText: { type: 'string' }
+    }, ['sessionId', 'promptText']),
+    responseSchema: dialogResult
+  },
+  cartUpdateResult: {
+    description: '장바구니 변경 결과를 응답으로 변환합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      cart: { type: 'object' },
+      action: { type: 'string' },
+      language: f.language
+    }, ['sessionId', 'cart']),
+    responseSchema: dialogResult
+  }
+};
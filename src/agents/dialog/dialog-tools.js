@@ -0,0 +1,78 @@
+/**
+ * 대화 에이전트 도구(tool) 정의
+ * 다른 에이전트가 등록한 의도 계약(router.describe())으로 LLM 이 호출할 수 있는 도구 목록을 만듭니다.
+ * 세션 / 언어 같은 컨텍스트 필드는 대화 에이전트가 채우므로 도구 인자 스키마에서 제외합니다.
+ */
+
+// 도구 인자에서 제외하고 호출 시 대화 에이전트가 채우는 필드
+const CONTEXT_FIELDS = ['sessionId', 'userId', 'language'];
+
+/**
+ * 의도 payload 스키마에서 컨텍스트 필드를 제외한 도구 인자 스키마를 만듭니다.
+ * @param {Object} payloadSchema - 의도 payload JSON Schema (없으면 빈 객체 스키마)
+ * @returns {Object} 도구 인자 JSON Schema
+ * @private
+ */
+function toParameters(payloadSchema) {
+  const schema = payloadSchema || { type: 'object', properties: {}, required: [] };
+  const properties = { ...(schema.properties || {}) };
+  CONTEXT_FIELDS.forEach(field => delete properties[field]);
+
+  return {
+    ...schema,
+    properties,
+    required: (schema.required || []).filter(field => !CONTEXT_FIELDS.includes(field))
+  };
+}
+
+/**
+ * 라우터 의도 카탈로그에서 도구 목록을 만듭니다.
+ * 카탈로그에 없는 에이전트 / 의도는 제외하고 missing 으로 반환합니다.
+ * @param {{agents: Array<Object>}} catalog - router.describe() 결과
+ * @param {Array<{agentId: string, intent: string}>} toolRefs - 도구로 노출할 에이전트 의도
+ * @returns {{tools: Array<Object>, missing: Array<string>}} 도구({ name, agentId, intent, description, parameters })와 찾지 못한 항목
+ */
+function buildTools(catalog, toolRefs) {
+  const tools = [];
+  const missing = [];
+
+  toolRefs.forEach(({ agentId, intent }) => {
+    const agent = (catalog.agents || []).find(entry => entry.agentId === agentId);
+    const contract = agent && agent.intents.find(entry => entry.intent === intent);
+
+    if (!contract) {
+      missing.push(`${agentId}.${intent}`);
+      return;
+    }
+
+    tools.push({
+      name: intent,
+      agentId,
+      intent,
+      description: contract.description || intent,
+      parameters: toParameters(contract.payloadSchema)
+    });
+  });
+
+  return { tools, missing };
+}
+
+/**
+ * 도구 결과를 프롬프트에 넣을 문자열로 줄입니다.
+ * @param {any} result - 하위 에이전트 응답
+ * @param {number} maxLength - 최대 길이 (넘으면 잘라냄)
+ * @returns {string} 결과 문자열
+ */
+function summarizeToolResult(result, maxLength = 2000) {
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+  if (text === undefined) {
+    return '';
+  }
+  return text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
+}
+
+module.exports = {
+  CONTEXT_FIELDS,
+  buildTools,
+  summarizeToolResult
+};
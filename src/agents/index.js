@@ -1,11 +1,16 @@
 // src/agents/index.js - 에이전트 초기화 및 등록
 import { DialogAgent } from './dialog-agent';
-import { ProductRecommendationAgent } from './product-recommendation-agent';
+import ProductRecommendationAgent from './product-recommendation/product-recommendation-agent';
 import { PurchaseProcessAgent } from './purchase-process-agent';
 import { CartAgent } from './cart-agent';
 import { CrawlingCoordinatorAgent } from './crawling-coordinator-agent';
+import ProductComparisonAgent from './product-comparison/product-comparison-agent';
+import AlgoliaSearchService from '../services/search/algolia-search-service';
+import HybridSearchService from '../services/search/hybrid-search-service';
 import { getAlgoliaClient } from '../services/algolia';
 import { getApifyClient } from '../services/apify';
+import { buildAgentCard } from '../protocols/a2a-agent-card';
+import config from '../../config';
 
 // 에이전트 인스턴스 저장
 let agentInstances = null;
@@ -35,11 +40,15 @@ export async function initializeAgents(router, contextManager, db, vertexAI) {
     db
   );
 
-  // 제품 추천 에이전트 초기화
+  // 제품 검색 서비스 (추천 / 비교 에이전트가 공유)
+  // 검색 서비스 타입이 hybrid 이면 키워드 검색과 의미 검색을 결합하는 서비스 사용
+  const SearchService = config.search.serviceType === 'hybrid' ? HybridSearchService : AlgoliaSearchService;
+  const searchService = new SearchService();
+
+  // 제품 추천 에이전트 초기화 (제품 검색은 searchService.searchProducts 사용)
   const productRecommendationAgent = new ProductRecommendationAgent(
-    'productRecommendationAgent',
     router,
-    algoliaClient
+    searchService
   );
 
   // 구매 프로세스 지원 에이전트 초기화
@@ -67,13 +76,20 @@ export async function initializeAgents(router, contextManager, db, vertexAI) {
     db
   );
 
+  // 제품 비교 에이전트 초기화 (비교할 제품은 검색 인덱스에서 ID 로 조회)
+  const productComparisonAgent = new ProductComparisonAgent(
+    router,
+    searchService
+  );
+
   // 에이전트 인스턴스 저장
   agentInstances = {
     dialogAgent,
     productRecommendationAgent,
     purchaseProcessAgent,
     cartAgent,
-    crawlingCoordinatorAgent
+    crawlingCoordinatorAgent,
+    productComparisonAgent
   };
 
   console.log('All agents initialized and registered');
@@ -134,3 +150,24 @@ export async function getCrawlingCoordinatorAgent() {
   }
   return agentInstances.crawlingCoordinatorAgent;
 }
+
+/**
+ * 제품 비교 에이전트 반환
+ * @returns {Object} 제품 비교 에이전트
+ */
+export async function getProductComparisonAgent() {
+  if (!agentInstances) {
+    throw new Error('Agents not initialized. Call initializeAgents first.');
+  }
+  return agentInstances.productComparisonAgent;
+}
+
+/**
+ * 등록된 에이전트와 공개 의도로 A2A Agent Card 생성
+ * @param {Object} router A2A 라우터
+ * @param {Object} options Agent Card 옵션 (기본값: config.a2a.agentCard)
+ * @returns {Object} Agent Card
+ */
+export function getAgentCard(router, options = config.a2a.agentCard) {
+  return buildAgentCard(router, options);
+}
@@ -0,0 +1,217 @@
+/**
+ * 제품 비교 에이전트
+ * 제품 2~4개를 검색 인덱스에서 조회해 사양을 나란히 정렬한 비교표와 추천 결론(verdict)을 만듭니다.
+ */
+const A2ABaseAgent = require('../../protocols/a2a-base-agent');
+const comparisonSchemas = require('./product-comparison-schemas');
+const { alignSpecifications } = require('../../utils/product-specs');
+
+const MIN_PRODUCTS = 2;
+const MAX_PRODUCTS = 4;
+
+// 결론을 직접 만들 때 언급할 최대 차이 항목 수
+const MAX_VERDICT_DIFFERENCES = 3;
+
+const priceFormat = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
+class ProductComparisonAgent extends A2ABaseAgent {
+  /**
+   * 생성자
+   * @param {Object} router - A2A 라우터 인스턴스
+   * @param {Object} searchService - 검색 서비스 (Algolia, getProductById 제공)
+   * @param {Object} mcpPromptManager - MCP 프롬프트 관리자 (없으면 결론을 비교표에서 직접 만듦)
+   */
+  constructor(router, searchService, mcpPromptManager) {
+    super('productComparisonAgent', router);
+    this.searchService = searchService;
+    this.mcpPromptManager = mcpPromptManager;
+    this.setupMessageHandlers();
+  }
+
+  /**
+   * 메시지 핸들러 설정
+   */
+  setupMessageHandlers() {
+    // 제품 비교 요청 처리
+    this.registerMessageHandler('compareProducts', async (message) => {
+      const { sessionId, productIds, userQuery = '', language = 'pt-BR' } = message.payload;
+      const ids = Array.from(new Set(productIds));
+
+      try {
+        this.logger.info(`제품 비교 요청 처리: ${sessionId}, 제품: ${ids.join(', ')}`);
+
+        if (ids.length < MIN_PRODUCTS || ids.length > MAX_PRODUCTS) {
+          return {
+            success: false,
+            sessionId,
+            response: (language === 'pt-BR')
+              ? `Posso comparar de ${MIN_PRODUCTS} a ${MAX_PRODUCTS} produtos diferentes por vez. Quais produtos você gostaria de comparar?`
+              : `한 번에 서로 다른 제품 ${MIN_PRODUCTS}~${MAX_PRODUCTS}개를 비교할 수 있습니다. 어떤 제품을 비교할까요?`,
+            error: 'INVALID_PRODUCT_COUNT'
+          };
+        }
+
+        const products = await Promise.all(ids.map(id => this.searchService.getProductById(id)));
+        const missingProductIds = ids.filter((id, index) => !products[index]);
+
+        if (missingProductIds.length > 0) {
+          return {
+            success: false,
+            sessionId,
+            response: (language === 'pt-BR')
+              ? `Desculpe, não encontrei os produtos: ${missingProductIds.join(', ')}. Poderia confirmar os modelos?`
+              : `죄송합니다, 다음 제품을 찾을 수 없습니다: ${missingProductIds.join(', ')}. 모델명을 확인해 주시겠어요?`,
+            error: 'PRODUCT_NOT_FOUND',
+            missingProductIds
+          };
+        }
+
+        const comparison = this.buildComparison(products, language);
+        comparison.verdict = await this.generateVerdict(sessionId, comparison, userQuery, language);
+
+        return {
+          success: true,
+          sessionId,
+          response: comparison.verdict,
+          comparison
+        };
+      } catch (error) {
+        this.logger.error(`제품 비교 요청 처리 오류: ${sessionId}`, error);
+
+        return {
+          success: false,
+          sessionId,
+          response: (language === 'pt-BR')
+            ? 'Desculpe, ocorreu um erro ao comparar os produtos. Por favor, tente novamente.'
+            : '죄송합니다, 제품을 비교하는 중 오류가 발생했습니다. 다시 시도해 주세요.',
+          error: error.message
+        };
+      }
+    }, comparisonSchemas.compareProducts);
+  }
+
+  /**
+   * 제품 목록으로 비교표를 만듭니다.
+   * 가격 / 평점 행 뒤에 제품 사양 행이 이어지며, 각 행의 values 는 products 순서를 따릅니다.
+   * @param {Array<Object>} products - 검색 인덱스 제품 목록
+   * @param {string} language - 언어 코드
+   * @returns {{products: Array<Object>, rows: Array<Object>, verdict: string}} 비교표 (verdict 는 빈 문자열)
+   */
+  buildComparison(products, language = 'pt-BR') {
+    const labels = (language === 'pt-BR')
+      ? { price: 'Preço', rating: 'Avaliação' }
+      : { price: '가격', rating: '평점' };
+    const summaryRow = (key, label, numbers, format) => {
+      const values = numbers.map(value => (typeof value === 'number' ? format(value) : null));
+      return {
+        key,
+        label,
+        values,
+        numbers: numbers.map(value => (typeof value === 'number' ? value : null)),
+        unit: null,
+        differs: new Set(values).size > 1
+      };
+    };
+
+    return {
+      products: products.map(product => ({
+        id: product.objectID || product.id,
+        name: product.name,
+        price: product.price,
+        rating: product.rating,
+        imageUrl: product.imageUrl,
+        url: product.url
+      })),
+      rows: [
+        summaryRow('price', labels.price, products.map(product => product.price), value => priceFormat.format(value)),
+        summaryRow('rating', labels.rating, products.map(product => product.rating), value => String(value)),
+        ...alignSpecifications(products)
+      ],
+      verdict: ''
+    };
+  }
+
+  /**
+   * 비교 결론을 생성합니다.
+   * 프롬프트 관리자가 없거나 생성에 실패하면 비교표에서 직접 결론을 만듭니다.
+   * @param {string} sessionId - 세션 ID
+   * @param {Object} comparison - 비교표
+   * @param {string} userQuery - 사용자 질문
+   * @param {string} language - 언어 코드
+   * @returns {Promise<string>} 결론
+   */
+  async generateVerdict(sessionId, comparison, userQuery, language) {
+    if (this.mcpPromptManager) {
+      try {
+        const verdict = await this.mcpPromptManager.generateGeminiResponse(sessionId, 'productComparison', {
+          userQuery,
+          products: comparison.products,
+          rows: comparison.rows.map(({ label, values, differs }) => ({ label, values, differs })),
+          language
+        });
+        if (verdict && verdict.trim()) {
+          return verdict.trim();
+        }
+      } catch (error) {
+        this.logger.warn(`비교 결론 생성 실패, 비교표로 결론을 만듭니다: ${error.message}`);
+      }
+    }
+
+    return this.summarizeComparison(comparison, language);
+  }
+
+  /**
+   * 비교표에서 결론을 만듭니다. (가장 저렴한 제품, 평점이 가장 높은 제품, 주요 차이)
+   * @param {Object} comparison - 비교표
+   * @param {string} language - 언어 코드
+   * @returns {string} 결론
+   */
+  summarizeComparison(comparison, language = 'pt-BR') {
+    const { products, rows } = comparison;
+    const isPtBR = language === 'pt-BR';
+    const sentences = [];
+
+    const best = key => {
+      const row = rows.find(entry => entry.key === key);
+      if (!row || !row.differs || row.numbers.some(value => value === null)) {
+        return null;
+      }
+      const target = key === 'price' ? Math.min(...row.numbers) : Math.max(...row.numbers);
+      const index = row.numbers.indexOf(target);
+      return { name: products[index].name, value: row.values[index] };
+    };
+
+    const cheapest = best('price');
+    if (cheapest) {
+      sentences.push(isPtBR
+        ? `${cheapest.name} é o mais barato (${cheapest.value}).`
+        : `${cheapest.name} 제품이 가장 저렴합니다 (${cheapest.value}).`);
+    }
+
+    const topRated = best('rating');
+    if (topRated) {
+      sentences.push(isPtBR
+        ? `${topRated.name} tem a melhor avaliação (${topRated.value}).`
+        : `${topRated.name} 제품의 평점이 가장 높습니다 (${topRated.value}).`);
+    }
+
+    const differences = rows
+      .filter(row => row.differs && !['price', 'rating'].includes(row.key))
+      .slice(0, MAX_VERDICT_DIFFERENCES)
+      .map(row => `${row.label} (${row.values.map(value => value || '-').join(' vs ')})`);
+
+    if (differences.length > 0) {
+      sentences.push(isPtBR
+        ? `Principais diferenças: ${differences.join('; ')}.`
+        : `주요 차이: ${differences.join('; ')}.`);
+    } else {
+      sentences.push(isPtBR
+        ? 'As especificações informadas são iguais.'
+        : '등록된 사양은 모두 같습니다.');
+    }
+
+    return sentences.join(' ');
+  }
+}
+
+module.exports = ProductComparisonAgent;
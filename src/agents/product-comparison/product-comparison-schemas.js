@@ -0,0 +1,26 @@
+/**
+ * 제품 비교 에이전트 의도 계약 (JSON Schema)
+ */
+const { schemaFragments: f, objectSchema, resultSchema } = require('../../protocols/a2a-schema');
+
+module.exports = {
+  compareProducts: {
+    description: '제품 2~4개의 사양을 나란히 비교한 표와 추천 결론을 반환합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      productIds: { type: 'array', minItems: 2, maxItems: 4, items: f.productId },
+      userQuery: { type: 'string' },
+      language: f.language
+    }, ['productIds']),
+    responseSchema: resultSchema({
+      sessionId: f.sessionId,
+      response: { type: 'string' },
+      comparison: objectSchema({
+        products: { type: 'array' },
+        rows: { type: 'array' },
+        verdict: { type: 'string' }
+      }, ['products', 'rows', 'verdict']),
+      missingProductIds: { type: 'array', items: { type: 'string' } }
+    })
+  }
+};
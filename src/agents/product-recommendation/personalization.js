@@ -0,0 +1,125 @@
+/**
+ * 추천 결과 개인화
+ * 행동 기반 사용자 프로필(src/utils/behavior-profile.js)의 카테고리 / 가격대 / 기능 선호도로 검색 결과 순위를 조정하고,
+ * 제품마다 추천 이유를 설명하는 문구를 붙입니다.
+ */
+const { priceBandOf } = require('../../utils/behavior-profile');
+const { parsePriceRange } = require('./query-parser');
+
+const priceFormat = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL', maximumFractionDigits: 0 });
+
+/**
+ * 가격대를 표시용 문구로 바꿉니다.
+ * @param {string} band - 가격대 ("1000-3000", "6000-")
+ * @param {boolean} isPtBR - 포르투갈어 여부
+ * @returns {string} 표시 문구
+ * @private
+ */
+function formatBand(band, isPtBR) {
+  const { min, max } = parsePriceRange(band);
+  if (max === null) {
+    return isPtBR ? `acima de ${priceFormat.format(min)}` : `${priceFormat.format(min)} 이상`;
+  }
+  if (!min) {
+    return isPtBR ? `até ${priceFormat.format(max)}` : `${priceFormat.format(max)} 이하`;
+  }
+  return isPtBR
+    ? `${priceFormat.format(min)} a ${priceFormat.format(max)}`
+    : `${priceFormat.format(min)}~${priceFormat.format(max)}`;
+}
+
+/**
+ * 제품의 개인화 점수와 추천 이유를 계산합니다.
+ * @param {Object} product - 추천 제품 ({ category, price, features })
+ * @param {Object} profile - 사용자 프로필 (buildBehaviorProfile 결과)
+ * @param {Object} options - 개인화 설정 (config.recommendation.personalization)
+ * @returns {{score: number, reasons: Array<{type: string, value: string, affinity: number}>}} 점수(0~1)와 추천 이유
+ */
+function scoreProduct(product, profile, options) {
+  const { affinityWeights, priceBands, minAffinity } = options;
+  const band = priceBandOf(product.price, priceBands);
+  const feature = (product.features || [])
+    .map(value => ({ value, affinity: profile.features[String(value).toLowerCase()] || 0 }))
+    .sort((a, b) => b.affinity - a.affinity)[0];
+
+  const signals = [
+    { type: 'category', value: product.category, affinity: profile.categories[product.category] || 0 },
+    { type: 'priceBand', value: band, affinity: profile.priceBands[band] || 0 },
+    { type: 'feature', value: feature ? feature.value : null, affinity: feature ? feature.affinity : 0 }
+  ];
+
+  return {
+    score: signals.reduce((sum, signal) => sum + (affinityWeights[signal.type] || 0) * signal.affinity, 0),
+    reasons: signals
+      .filter(signal => signal.value && signal.affinity >= minAffinity)
+      .map(signal => ({ ...signal, affinity: Math.round(signal.affinity * 100) / 100 }))
+  };
+}
+
+/**
+ * 추천 이유를 설명하는 문구를 만듭니다.
+ * @param {Array<Object>} reasons - scoreProduct 의 추천 이유
+ * @param {string} language - 언어 코드
+ * @returns {string|null} 설명 문구 (이유가 없으면 null)
+ */
+function explainReasons(reasons, language = 'pt-BR') {
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  const isPtBR = language === 'pt-BR';
+  const phrases = reasons.map(({ type, value }) => {
+    switch (type) {
+      case 'category':
+        return isPtBR ? `você tem se interessado por ${value}` : `관심을 보인 ${value} 카테고리`;
+      case 'priceBand':
+        return isPtBR
+          ? `está na faixa de preço que você costuma ver (${formatBand(value, true)})`
+          : `자주 본 가격대(${formatBand(value, false)})`;
+      default:
+        return isPtBR ? `tem ${value}, um recurso do seu interesse` : `자주 찾은 ${value} 기능`;
+    }
+  });
+
+  if (!isPtBR) {
+    return `추천 이유: ${phrases.join(', ')}`;
+  }
+  const last = phrases.pop();
+  return `Escolhido porque ${phrases.length > 0 ? `${phrases.join(', ')} e ${last}` : last}.`;
+}
+
+/**
+ * 추천 결과를 사용자 프로필로 다시 정렬하고 제품마다 추천 이유를 붙입니다.
+ * 검색 순위 점수(1 - 순위 / 결과 수)에 개인화 점수 × boost 를 더해 정렬하며, 반영할 행동이 없으면 그대로 반환합니다.
+ * @param {Array<Object>} products - 추천 제품 목록 (검색 순위 순)
+ * @param {Object} profile - 사용자 프로필 (buildBehaviorProfile 결과)
+ * @param {Object} options - 개인화 설정 (config.recommendation.personalization)
+ * @param {string} language - 언어 코드
+ * @returns {Array<Object>} personalization({ score, reasons })과 explanation 을 붙인 제품 목록
+ */
+function personalizeRecommendations(products, profile, options, language = 'pt-BR') {
+  if (!profile || profile.eventCount === 0 || products.length === 0) {
+    return products;
+  }
+
+  return products
+    .map((product, index) => {
+      const { score, reasons } = scoreProduct(product, profile, options);
+      return {
+        product: {
+          ...product,
+          personalization: { score: Math.round(score * 100) / 100, reasons },
+          explanation: explainReasons(reasons, language)
+        },
+        rank: 1 - index / products.length + options.boost * score
+      };
+    })
+    .sort((a, b) => b.rank - a.rank)
+    .map(entry => entry.product);
+}
+
+module.exports = {
+  scoreProduct,
+  explainReasons,
+  personalizeRecommendations
+};
@@ -3,6 +3,20 @@
  * 사용자 행동 데이터와 대화 컨텍스트 기반 제품 추천을 담당합니다.
  */
 const A2ABaseAgent = require('../../protocols/a2a-base-agent');
+const recommendationSchemas = require('./product-recommendation-schemas');
+const { parsePriceRange, parseQuery, stripStopwords } = require('./query-parser');
+const {
+  parseRefinement,
+  isFollowUp,
+  applyRefinement,
+  describeRefinement
+} = require('./recommendation-refinement');
+const { personalizeRecommendations } = require('./personalization');
+const { buildBehaviorProfile, topAffinities } = require('../../utils/behavior-profile');
+const config = require('../../../config');
+
+// 숫자 사양 조건 연산자 → Algolia 숫자 필터 연산자
+const SPEC_OPERATORS = { eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
 
 class ProductRecommendationAgent extends A2ABaseAgent {
   /**
@@ -18,6 +32,13 @@ class ProductRecommendationAgent extends A2ABaseAgent {
       getSession: async () => ({}),
       updateSession: async () => {}
     };
+
+    // 후속 요청 처리 설정 (config.recommendation.refinement)
+    this.refinementOptions = config.recommendation.refinement;
+
+    // 행동 기반 개인화 설정 (config.recommendation.personalization)
+    this.personalizationOptions = config.recommendation.personalization;
+
     this.setupMessageHandlers();
   }
   
@@ -26,19 +47,25 @@ class ProductRecommendationAgent extends A2ABaseAgent {
    */
   setupMessageHandlers() {
     // 제품 추천 요청 처리
-    this.registerMessageHandler('getRecommendation', async (message) => {
-      const { sessionId, userId, userQuery, filters, language = 'pt-BR' } = message.payload;
+    this.registerMessageHandler('getRecommendation', async (message, context) => {
+      const { sessionId, userId, userQuery, filters, refine, language = 'pt-BR' } = message.payload;
       const idKey = sessionId || userId;
 
       try {
         this.logger.info(`제품 추천 요청 처리: ${idKey}, 쿼리: "${userQuery}"`);
 
         // 세션 정보 가져오기 (선택적)
-        const session = await this.sessionService.getSession(idKey);
-        const preferences = (session && session.preferences) ? session.preferences : {};
+        const session = (await this.sessionService.getSession(idKey)) || {};
+        const preferences = session.preferences || {};
+        
+        // 행동 기반 사용자 프로필 (조회 / 검색 / 장바구니 / 구매)
+        const profile = buildBehaviorProfile(session, this.personalizationOptions);
+        
+        // 직전 검색에 대한 후속 요청이면 직전 검색어에 필터 변경을 적용
+        const search = this.resolveSearch(userQuery, filters, session.recommendationState, refine);
         
         // 검색 쿼리 구성
-        const searchQuery = this.buildSearchQuery(userQuery, filters, preferences);
+        const searchQuery = this.buildSearchQuery(search.query, search.filters, preferences, profile);
 
         // Algolia 검색
         let searchResults;
@@ -50,8 +77,13 @@ class ProductRecommendationAgent extends A2ABaseAgent {
           throw new Error('검색 서비스가 search 메서드를 제공하지 않습니다.');
         }
         
-        // 검색 결과 후처리 및 최적 추천 도출
-        const recommendations = this.processSearchResults(searchResults.hits);
+        // 검색 결과 후처리 및 사용자 프로필로 순위 조정
+        const recommendations = personalizeRecommendations(
+          this.processSearchResults(searchResults.hits),
+          profile,
+          this.personalizationOptions,
+          language
+        );
         
         // 추천 결과가 없는 경우
         if (recommendations.length === 0) {
@@ -75,9 +107,23 @@ class ProductRecommendationAgent extends A2ABaseAgent {
             {
               query: userQuery,
               timestamp: new Date().toISOString(),
-              results: recommendations.length
+              results: recommendations.length,
+              // 사용자 프로필의 검색 선호도 (필터 기능, 상위 결과 카테고리)
+              features: search.filters.features || [],
+              categories: Array.from(new Set(recommendations.slice(0, 3).map(product => product.category).filter(Boolean)))
             }
-          ].slice(-5) // 최근 5개만 유지
+          ].slice(-5), // 최근 5개만 유지
+          // 후속 요청 해석에 사용할 직전 검색 상태
+          recommendationState: {
+            query: search.query,
+            filters: search.filters,
+            prices: recommendations.map(product => product.price),
+            // 제품별 추천 이유 (개인화가 적용된 제품만)
+            explanations: Object.fromEntries(recommendations
+              .filter(product => product.explanation)
+              .map(product => [product.id, product.explanation])),
+            updatedAt: new Date().toISOString()
+          }
         });
 
         // 결과를 대화 에이전트에 반환
@@ -90,10 +136,38 @@ class ProductRecommendationAgent extends A2ABaseAgent {
             recommendations,
             userQuery,
             language
-          }
+          },
+          { parent: context, inReplyTo: message.messageId, correlationId: message.correlationId }
         );
         
-        return result;
+        let response = result;
+        
+        // 후속 요청이면 바뀐 조건을 응답 앞에 설명
+        if (search.changes) {
+          response = {
+            ...response,
+            response: `${describeRefinement(search.filters, recommendations.length, language)}\n\n${result.response}`,
+            refinement: { changes: search.changes, filters: search.filters }
+          };
+        }
+        
+        // 개인화가 적용되었으면 제품별 추천 이유를 함께 반환
+        if (profile.eventCount > 0) {
+          response = {
+            ...response,
+            personalization: {
+              items: recommendations
+                .filter(product => product.explanation)
+                .map(product => ({
+                  productId: product.id,
+                  explanation: product.explanation,
+                  reasons: product.personalization.reasons
+                }))
+            }
+          };
+        }
+        
+        return response;
       } catch (error) {
         this.logger.error(`제품 추천 요청 처리 오류: ${idKey}`, error);
         
@@ -109,20 +183,24 @@ class ProductRecommendationAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, recommendationSchemas.getRecommendation);
     
     // 유사 제품 검색 요청 처리
-    this.registerMessageHandler('getSimilarProducts', async (message) => {
+    this.registerMessageHandler('getSimilarProducts', async (message, context) => {
       const { sessionId, productId, limit = 5, language = 'pt-BR' } = message.payload;
       
       try {
         this.logger.info(`유사 제품 검색 요청 처리: ${sessionId}, 제품 ID: ${productId}`);
         
-        // 유사 제품 검색
-        const similarProducts = await this.searchService.recommendSimilarProducts(productId, limit);
+        // 유사 제품 검색 (사양 벡터 유사도 순, 일치한 속성 설명 포함)
+        const similarProducts = await this.searchService.recommendSimilarProducts(productId, limit, language);
         
         // 결과 처리
-        const recommendations = this.processSearchResults(similarProducts);
+        const recommendations = this.processSearchResults(similarProducts).map((recommendation, index) => ({
+          ...recommendation,
+          similarity: similarProducts[index].similarity,
+          explanation: similarProducts[index].explanation
+        }));
         
         // 결과를 대화 에이전트에 반환
         const result = await this.sendMessage(
@@ -134,7 +212,8 @@ class ProductRecommendationAgent extends A2ABaseAgent {
             recommendations, 
             userQuery: `유사 제품: ${productId}`,
             language
-          }
+          },
+          { parent: context, inReplyTo: message.messageId, correlationId: message.correlationId }
         );
         
         return result;
@@ -153,17 +232,117 @@ class ProductRecommendationAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, recommendationSchemas.getSimilarProducts);
+
+    // 인덱싱된 재고 상태 조회 (크롤러 회로가 열렸을 때 checkProductStock 의 대체 경로)
+    this.registerMessageHandler('getStockStatus', async (message) => {
+      const { productId } = message.payload;
+
+      try {
+        const product = typeof this.searchService.getProductById === 'function'
+          ? await this.searchService.getProductById(productId)
+          : null;
+        const stockInfo = product ? this.toStockInfo(product.stockStatus) : null;
+
+        if (!stockInfo) {
+          return {
+            success: false,
+            source: 'algolia',
+            error: `인덱싱된 재고 정보가 없습니다: ${productId}`
+          };
+        }
+
+        return {
+          success: true,
+          source: 'algolia',
+          stockInfo
+        };
+      } catch (error) {
+        this.logger.error(`재고 상태 조회 오류: ${productId}`, error);
+
+        return {
+          success: false,
+          source: 'algolia',
+          error: error.message
+        };
+      }
+    }, recommendationSchemas.getStockStatus);
+  }
+
+  /**
+   * 인덱스의 stockStatus 값을 크롤러 재고 정보 형식으로 변환합니다.
+   * @param {string} stockStatus - Algolia stockStatus (예: IN_STOCK, OUT_OF_STOCK, esgotado)
+   * @returns {Object|null} { available, stockStatus } (값이 없거나 unknown 이면 null)
+   */
+  toStockInfo(stockStatus) {
+    if (!stockStatus || /^unknown$/i.test(stockStatus)) {
+      return null;
+    }
+
+    const unavailable = /out[_\s-]?of[_\s-]?stock|unavailable|esgotado|indispon[ií]vel/i.test(stockStatus);
+    return {
+      available: !unavailable,
+      stockStatus
+    };
   }
   
+  /**
+   * 이번 요청의 검색어와 필터를 결정합니다.
+   * 유효한 직전 검색 상태가 있고 메시지가 후속 요청이면 직전 검색어를 유지하고 필터에 변경을 적용합니다.
+   * 새 검색이면 검색어에서 가격 / 사양 / 에너지 효율 조건을 필터로 추출합니다. (요청 필터가 우선)
+   * @param {string} userQuery - 사용자 쿼리
+   * @param {Object} filters - 요청 필터
+   * @param {Object} state - 세션의 직전 검색 상태 ({ query, filters, prices, updatedAt })
+   * @param {boolean} refine - 후속 요청 여부 (생략하면 메시지로 판단)
+   * @returns {{query: string, filters: Object, changes: Array<Object>|null}} 검색어, 필터, 적용한 변경 (새 검색이면 null)
+   */
+  resolveSearch(userQuery, filters = {}, state = null, refine = undefined) {
+    const active = state && Date.now() - Date.parse(state.updatedAt) <= this.refinementOptions.stateTtlMs
+      ? state
+      : null;
+    const parsed = parseRefinement(userQuery, { prices: active ? active.prices : [] });
+    const followUp = refine === undefined ? isFollowUp(parsed, active) : Boolean(refine && active);
+
+    if (!followUp) {
+      const parsedQuery = parseQuery(userQuery);
+      return {
+        query: parsedQuery.query,
+        filters: this.mergeFilters(parsedQuery.filters, filters || {}),
+        changes: null
+      };
+    }
+
+    this.logger.info(`추천 후속 요청: "${userQuery}" → "${active.query}" (${parsed.changes.map(change => change.type).join(', ')})`);
+    return {
+      query: active.query,
+      filters: applyRefinement({ ...active.filters, ...(filters || {}) }, parsed.changes),
+      changes: parsed.changes
+    };
+  }
+
+  /**
+   * 검색어에서 추출한 필터와 요청 필터를 합칩니다. 같은 항목은 요청 필터가 우선하며, 사양 조건은 사양별로 합칩니다.
+   * @param {Object} parsedFilters - 검색어에서 추출한 필터
+   * @param {Object} filters - 요청 필터
+   * @returns {Object} 합친 필터
+   */
+  mergeFilters(parsedFilters, filters) {
+    const merged = { ...parsedFilters, ...filters };
+    if (parsedFilters.specs && filters.specs) {
+      merged.specs = { ...parsedFilters.specs, ...filters.specs };
+    }
+    return merged;
+  }
+
   /**
    * 검색 쿼리 구성
    * @param {string} userQuery - 사용자 쿼리
    * @param {Object} filters - 필터 객체
    * @param {Object} preferences - 사용자 선호도
+   * @param {Object} profile - 행동 기반 사용자 프로필 (선호 카테고리 / 기능을 optionalFilters 로 가산)
    * @returns {Promise<string>} 구성된 검색 쿼리
    */
-  buildSearchQuery(userQuery, filters = {}, preferences = {}) {
+  buildSearchQuery(userQuery, filters = {}, preferences = {}, profile = null) {
     // 자연어 쿼리 전처리
     const processedQuery = this._preprocessQuery(userQuery);
 
@@ -181,10 +360,22 @@ class ProductRecommendationAgent extends A2ABaseAgent {
       searchOptions.filters = filterString;
     }
 
-    if (preferences.categories && preferences.categories.length > 0) {
-      searchOptions.optionalFilters = preferences.categories.map(category =>
-        `category:${category}<score=10>`
-      );
+    const optionalFilters = (preferences.categories || []).map(category =>
+      `category:${category}<score=10>`
+    );
+
+    // 행동 기반 선호 카테고리 / 기능 (선호도에 비례한 점수, 명시적 선호도보다 낮게)
+    if (profile) {
+      const { minAffinity } = this.personalizationOptions;
+      topAffinities(profile.categories, 3, minAffinity)
+        .filter(({ key }) => !(preferences.categories || []).includes(key))
+        .forEach(({ key, affinity }) => optionalFilters.push(`category:${key}<score=${Math.max(1, Math.round(affinity * 5))}>`));
+      topAffinities(profile.features, 3, minAffinity)
+        .forEach(({ key, affinity }) => optionalFilters.push(`features:${key}<score=${Math.max(1, Math.round(affinity * 3))}>`));
+    }
+
+    if (optionalFilters.length > 0) {
+      searchOptions.optionalFilters = optionalFilters;
     }
 
     return searchOptions;
@@ -238,13 +429,8 @@ class ProductRecommendationAgent extends A2ABaseAgent {
    * @private
    */
   _preprocessQuery(query) {
-    // 쿼리 정제 (특수문자 제거, 불용어 처리 등)
-    let processedQuery = query.trim();
-    
-    // 포르투갈어 불용어 처리 (예: 'de', 'para', 'o', 'a' 등)
-    // 실제 구현 시 더 정교한 처리 필요
-    
-    return processedQuery;
+    // 포르투갈어 불용어 처리 (조건 추출은 resolveSearch 에서 parseQuery 로 수행)
+    return stripStopwords(query.trim());
   }
   
   /**
@@ -268,9 +454,9 @@ class ProductRecommendationAgent extends A2ABaseAgent {
     }
     
     if (filters.priceRange) {
-      const [min, max] = filters.priceRange.split('-').map(Number);
-      if (!isNaN(min)) filterParts.push(`price >= ${min}`);
-      if (!isNaN(max)) filterParts.push(`price <= ${max}`);
+      const { min, max } = parsePriceRange(filters.priceRange);
+      if (min !== null) filterParts.push(`price >= ${min}`);
+      if (max !== null) filterParts.push(`price <= ${max}`);
     }
     
     if (filters.features && Array.isArray(filters.features)) {
@@ -283,6 +469,21 @@ class ProductRecommendationAgent extends A2ABaseAgent {
     if (filters.stockStatus) {
       filterParts.push(`stockStatus:${filters.stockStatus}`);
     }
+
+    if (filters.energyRating) {
+      filterParts.push(`energyRating:${filters.energyRating}`);
+    }
+    
+    // 숫자 사양 조건 (인덱스의 specs 속성, 예: { screenSize: { gt: 55 } } → specs.screenSize > 55, { eq: 65 } → specs.screenSize = 65)
+    if (filters.specs) {
+      for (const [key, conditions] of Object.entries(filters.specs)) {
+        for (const [op, value] of Object.entries(conditions)) {
+          if (SPEC_OPERATORS[op] && typeof value === 'number') {
+            filterParts.push(`specs.${key} ${SPEC_OPERATORS[op]} ${value}`);
+          }
+        }
+      }
+    }
     
     return filterParts.join(' AND ');
   }
@@ -0,0 +1,54 @@
+/**
+ * 제품 추천 에이전트 의도 계약 (JSON Schema)
+ */
+const { schemaFragments: f, objectSchema, resultSchema } = require('../../protocols/a2a-schema');
+
+const recommendationResult = resultSchema({
+  sessionId: f.sessionId,
+  response: { type: 'string' }
+});
+
+module.exports = {
+  getRecommendation: {
+    description: '사용자 질의와 필터로 제품을 추천합니다. 후속 요청(더 저렴한 제품, 특정 기능만 등)은 직전 검색 조건을 조정합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      userId: { type: 'string' },
+      userQuery: { type: 'string', minLength: 1 },
+      filters: { type: 'object' },
+      refine: { type: 'boolean' },
+      language: f.language
+    }, ['userQuery']),
+    responseSchema: resultSchema({
+      sessionId: f.sessionId,
+      response: { type: 'string' },
+      refinement: objectSchema({
+        changes: { type: 'array' },
+        filters: { type: 'object' }
+      }, ['changes', 'filters']),
+      personalization: objectSchema({
+        items: { type: 'array' }
+      }, ['items'])
+    })
+  },
+  getSimilarProducts: {
+    description: '지정한 제품과 유사한 제품을 추천합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      productId: f.productId,
+      limit: f.limit,
+      language: f.language
+    }, ['productId']),
+    responseSchema: recommendationResult
+  },
+  getStockStatus: {
+    description: '검색 인덱스(Algolia)에 저장된 제품 재고 상태를 조회합니다.',
+    payloadSchema: objectSchema({
+      productId: f.productId
+    }, ['productId']),
+    responseSchema: resultSchema({
+      source: { type: 'string', enum: ['algolia'] },
+      stockInfo: { type: 'object' }
+    })
+  }
+};
@@ -0,0 +1,272 @@
+/**
+ * 포르투갈어(브라질) 검색어 해석
+ * 검색어에서 가격("até 3 mil reais", "entre R$ 2.000 e R$ 4.500"), 화면 크기("65 polegadas"), 용량("400 litros"),
+ * 냉방 능력("12.000 BTUs"), 에너지 효율 등급("Procel A") 조건을 추출하고, 조건과 불용어를 제외한 검색어를 만듭니다.
+ *
+ * 추출한 조건은 ProductRecommendationAgent 필터 형식으로 변환됩니다.
+ * (priceRange: "min-max", specs: { screenSize: { eq: 65 } } → Algolia 숫자 필터 specs.screenSize = 65, energyRating: "A")
+ */
+
+// 숫자 표기 ("5.000", "4.999,90", "3 mil", "12k")
+const AMOUNT = '(\\d[\\d.,]*)\\s*(mil|k)?(?![a-zà-ú])';
+
+// 화폐 표기 (앞의 R$, 뒤의 reais)
+const MONEY = `(?:r\\$\\s*)?${AMOUNT}\\s*(?:reais|real)?`;
+
+// 사양별 단위와 단위만 있는 값("400 litros")의 해석 방법 (eq: 같은 값, around: ±AROUND_TOLERANCE 범위)
+const SPEC_UNITS = {
+  screenSize: { unit: '(?:polegadas?|pol\\.?|"|”|inches|inch|in|인치)', exact: 'eq' },
+  capacity: { unit: '(?:litros?|l|kg|quilos?)', exact: 'around' },
+  btu: { unit: '(?:btus?(?:/h)?)', exact: 'eq' }
+};
+
+// 비교 표현 → 연산자
+const COMPARATORS = [
+  ['(?:maior(?:es)?(?: do)? que|acima de|mais de|superior a|bigger than|larger than|over)', 'gt'],
+  ['(?:menor(?:es)?(?: do)? que|abaixo de|menos de|inferior a|smaller than|under)', 'lt'],
+  ['(?:pelo menos|no m[ií]nimo|a partir de|at least)', 'gte'],
+  ['(?:at[ée]|no m[aá]ximo|up to)', 'lte']
+];
+
+// 값 뒤에 붙는 비교 표현 ("55 polegadas ou mais", "55인치 초과") → 연산자
+const SUFFIX_COMPARATORS = [
+  ['(?:ou mais|or more|초과)', 'gt'],
+  ['(?:이상)', 'gte'],
+  ['(?:ou menos|or less|미만)', 'lt'],
+  ['(?:이하)', 'lte']
+];
+
+// 가격 비교 표현 → 변경 유형
+const PRICE_COMPARATORS = [
+  ['(?:at[ée]|abaixo de|menos de|no m[aá]ximo|m[aá]ximo de|inferior a|under|below|less than)', 'maxPrice'],
+  ['(?:acima de|mais de|a partir de|no m[ií]nimo|superior a|above|over)', 'minPrice']
+];
+
+// "por volta de 3 mil", "uns 400 litros" 의 허용 범위 (비율)
+const AROUND_TOLERANCE = 0.1;
+const AROUND = '(?:por volta de|cerca de|em torno de|aproximadamente|uns|umas|around|about)';
+
+// 에너지 효율 등급 ("Procel A", "selo Procel A", "classe A de eficiência energética", "eficiência energética A")
+const ENERGY_PATTERN = /(?:(?:selo\s+)?procel|classe|efici[eê]ncia(?:\s+energ[eé]tica)?|energy\s+(?:class|rating))\s+([a-g])(?![a-zà-ú])(?:\s+de\s+efici[eê]ncia(?:\s+energ[eé]tica)?)?/i;
+
+// 검색어에서 제외하는 불용어
+const STOPWORDS = new Set([
+  'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'da', 'do', 'das', 'dos', 'em', 'no', 'na', 'nos', 'nas',
+  'para', 'pra', 'por', 'pelo', 'pela', 'com', 'que', 'e', 'ou', 'eu', 'me', 'meu', 'minha', 'quero', 'queria',
+  'preciso', 'procuro', 'procurando', 'gostaria', 'busco', 'mostre', 'mostrar', 'ver', 'algum', 'alguma', 'tem',
+  'você', 'voce', 'favor', 'comprar', 'qual', 'quais', 'reais', 'r$'
+]);
+
+/**
+ * 숫자 표기를 숫자로 변환합니다. ("5.000" → 5000, "4.999,90" → 4999.9, "3" + "mil" → 3000)
+ * @param {string} amount - 숫자 표기
+ * @param {string} multiplier - "mil" / "k" (없으면 undefined)
+ * @returns {number} 숫자
+ */
+function parseAmount(amount, multiplier) {
+  const normalized = amount
+    .replace(/[.,]$/, '')
+    .replace(/\.(?=\d{3}(?:\D|$))/g, '')
+    .replace(',', '.');
+  return Number(normalized) * (multiplier ? 1000 : 1);
+}
+
+/**
+ * 범위 조건(±AROUND_TOLERANCE)을 만듭니다.
+ * @param {number} value - 기준 값
+ * @param {function(string, number): Object} toConstraint - (경계, 값) → 조건
+ * @returns {Array<Object>} 최소 / 최대 조건
+ * @private
+ */
+function around(value, toConstraint) {
+  return [
+    toConstraint('min', Math.round(value * (1 - AROUND_TOLERANCE))),
+    toConstraint('max', Math.round(value * (1 + AROUND_TOLERANCE)))
+  ];
+}
+
+/**
+ * 사양 조건을 추출합니다.
+ * @param {string} text - 검색어
+ * @param {string} key - 사양 키
+ * @param {{unit: string, exact: string}} definition - 단위 정의
+ * @returns {{constraints: Array<Object>, text: string}} 조건과 조건을 제외한 검색어
+ * @private
+ */
+function extractSpec(text, key, { unit, exact }) {
+  const constraints = [];
+  const value = `${AMOUNT}\\s*${unit}(?![a-zà-ú])`;
+  const spec = (op, number) => ({ type: 'spec', key, op, value: number });
+  const take = (pattern, toConstraints) => {
+    const match = text.match(new RegExp(pattern, 'i'));
+    if (match) {
+      constraints.push(...toConstraints(match));
+      text = text.replace(match[0], ' ');
+    }
+  };
+
+  take(`entre\\s*${AMOUNT}\\s*(?:${unit}(?![a-zà-ú]))?\\s*(?:e|a)\\s*${value}`, match => [
+    spec('gte', parseAmount(match[1], match[2])),
+    spec('lte', parseAmount(match[3], match[4]))
+  ]);
+  COMPARATORS.forEach(([words, op]) => take(`${words}\\s*${value}`, match => [spec(op, parseAmount(match[1], match[2]))]));
+  SUFFIX_COMPARATORS.forEach(([words, op]) => take(`${value}\\s*${words}`, match => [spec(op, parseAmount(match[1], match[2]))]));
+  take(`${AROUND}\\s*${value}`, match => around(parseAmount(match[1], match[2]), (bound, number) => spec(bound === 'min' ? 'gte' : 'lte', number)));
+  take(value, match => {
+    const number = parseAmount(match[1], match[2]);
+    return exact === 'around'
+      ? around(number, (bound, rounded) => spec(bound === 'min' ? 'gte' : 'lte', rounded))
+      : [spec('eq', number)];
+  });
+
+  return { constraints, text };
+}
+
+/**
+ * 가격 조건을 추출합니다.
+ * @param {string} text - 검색어
+ * @returns {{constraints: Array<Object>, text: string}} 조건과 조건을 제외한 검색어
+ * @private
+ */
+function extractPrice(text) {
+  const constraints = [];
+  const take = (pattern, toConstraints) => {
+    const match = text.match(new RegExp(pattern, 'i'));
+    if (match) {
+      constraints.push(...toConstraints(match));
+      text = text.replace(match[0], ' ');
+    }
+  };
+
+  take(`(?:entre|between|de)\\s*${MONEY}\\s*(?:e|a|at[ée]|and)\\s*${MONEY}`, match => [
+    { type: 'minPrice', value: parseAmount(match[1], match[2]) },
+    { type: 'maxPrice', value: parseAmount(match[3], match[4]) }
+  ]);
+  PRICE_COMPARATORS.forEach(([words, type]) => take(`${words}\\s*${MONEY}`, match => [{ type, value: parseAmount(match[1], match[2]) }]));
+  take(`${AROUND}\\s*${MONEY}`, match => around(parseAmount(match[1], match[2]), (bound, value) => ({
+    type: bound === 'min' ? 'minPrice' : 'maxPrice',
+    value
+  })));
+  // 비교 표현 없이 화폐로 표기한 가격은 예산(최대 가격)으로 해석
+  take(`(?:r\\$\\s*${AMOUNT}|${AMOUNT}\\s*(?:reais|real)(?![a-zà-ú]))`, match => [{
+    type: 'maxPrice',
+    value: match[1] !== undefined ? parseAmount(match[1], match[2]) : parseAmount(match[3], match[4])
+  }]);
+
+  return { constraints, text };
+}
+
+/**
+ * 검색어에서 가격 / 사양 / 에너지 효율 조건을 추출합니다.
+ * @param {string} text - 검색어
+ * @returns {{constraints: Array<Object>, text: string}} 조건({ type: 'maxPrice' | 'minPrice' | 'spec' | 'energyRating', ... })과
+ *   조건 표현을 제외한 나머지 검색어
+ */
+function extractConstraints(text) {
+  let remainder = String(text || '');
+  const constraints = [];
+
+  const energy = remainder.match(ENERGY_PATTERN);
+  if (energy) {
+    constraints.push({ type: 'energyRating', value: energy[1].toUpperCase() });
+    remainder = remainder.replace(energy[0], ' ');
+  }
+
+  Object.entries(SPEC_UNITS).forEach(([key, definition]) => {
+    const result = extractSpec(remainder, key, definition);
+    constraints.push(...result.constraints);
+    remainder = result.text;
+  });
+
+  const price = extractPrice(remainder);
+  constraints.push(...price.constraints);
+
+  return { constraints, text: price.text };
+}
+
+/**
+ * 필터에 조건을 적용한 새 필터를 반환합니다. (원래 필터는 바꾸지 않음)
+ * @param {Object} filters - 필터
+ * @param {Array<Object>} constraints - 조건 (extractConstraints 결과)
+ * @returns {Object} 조건을 적용한 필터
+ */
+function applyConstraints(filters = {}, constraints = []) {
+  const next = { ...filters, specs: { ...(filters.specs || {}) } };
+  const price = parsePriceRange(filters.priceRange);
+
+  constraints.forEach(constraint => {
+    switch (constraint.type) {
+      case 'maxPrice':
+        price.max = constraint.value;
+        break;
+      case 'minPrice':
+        price.min = constraint.value;
+        break;
+      case 'spec':
+        next.specs[constraint.key] = { ...next.specs[constraint.key], [constraint.op]: constraint.value };
+        break;
+      case 'energyRating':
+        next.energyRating = constraint.value;
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (price.min !== null || price.max !== null) {
+    next.priceRange = `${price.min !== null ? price.min : ''}-${price.max !== null ? price.max : ''}`;
+  }
+  if (Object.keys(next.specs).length === 0) {
+    delete next.specs;
+  }
+  return next;
+}
+
+/**
+ * "min-max" 가격 범위를 해석합니다.
+ * @param {string} priceRange - 가격 범위 ("2000-4500", "-3000", "1500-")
+ * @returns {{min: number|null, max: number|null}} 최소 / 최대 가격
+ */
+function parsePriceRange(priceRange) {
+  const [min, max] = String(priceRange || '').split('-')
+    .concat([''])
+    .map(part => (part.trim() === '' ? null : Number(part)))
+    .map(value => (Number.isNaN(value) ? null : value));
+  return { min, max };
+}
+
+/**
+ * 불용어와 남은 기호를 제거합니다.
+ * @param {string} text - 검색어
+ * @returns {string} 정리된 검색어
+ */
+function stripStopwords(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .map(word => word.replace(/^[,.;:!?()]+|[,.;:!?()]+$/g, ''))
+    .filter(word => word && !STOPWORDS.has(word.toLowerCase()))
+    .join(' ');
+}
+
+/**
+ * 검색어를 해석합니다.
+ * @param {string} text - 사용자 검색어
+ * @returns {{query: string, filters: Object, constraints: Array<Object>}} 검색 엔진에 보낼 검색어, 필터, 추출한 조건
+ */
+function parseQuery(text) {
+  const { constraints, text: remainder } = extractConstraints(text);
+  return {
+    query: stripStopwords(remainder),
+    filters: applyConstraints({}, constraints),
+    constraints
+  };
+}
+
+module.exports = {
+  parseAmount,
+  parsePriceRange,
+  extractConstraints,
+  applyConstraints,
+  stripStopwords,
+  parseQuery
+};
@@ -0,0 +1,183 @@
+/**
+ * 추천 결과 후속 요청(refinement) 해석
+ * "mais barato", "só OLED", "maior que 55 polegadas" 같은 후속 메시지를 직전 검색 필터에 대한 변경(delta)으로 해석하고,
+ * 변경을 적용한 필터와 사용자에게 보여 줄 설명 문구를 만듭니다.
+ *
+ * 가격 / 사양 조건은 검색어 해석(query-parser.js)과 같은 표현을 사용하고,
+ * 상대 표현("mais barato")과 기능 한정("só OLED")을 추가로 해석합니다.
+ */
+const { extractConstraints, applyConstraints, parsePriceRange } = require('./query-parser');
+
+const CHEAPER_PATTERN = /mais\s+(?:em\s+)?conta|mais\s+barat[oa]s?|menor\s+pre[cç]o|cheaper|less\s+expensive|더\s*(?:저렴|싼)/i;
+const ONLY_PATTERN = /\b(?:[Ss][oó]|[Ss]omente|[Aa]penas|[Oo]nly|[Jj]ust)\s+(?:(?:[Aa]s|[Oo]s|[Aa]|[Oo]|[Tt]he|TVs?|tvs?|[Mm]odel(?:o)?s?)\s+)*([^\s,.!?]+(?:\s+[A-Z0-9][^\s,.!?]*){0,2})/;
+const KOREAN_ONLY_PATTERN = /([A-Za-z0-9][A-Za-z0-9+-]*)\s*만/;
+
+// 후속 요청 판단 시 무시하는 단어 (정규화된 형태)
+const FILLER_WORDS = new Set([
+  'e', 'a', 'o', 'as', 'os', 'um', 'uma', 'de', 'do', 'da', 'em', 'com', 'que', 'por', 'favor', 'agora', 'entao',
+  'me', 'mostre', 'mostra', 'mostrar', 'quero', 'queria', 'ver', 'tem', 'opcoe', 'opcao', 'algo', 'mai', 'pouco',
+  'and', 'the', 'an', 'some', 'show', 'please', 'now', 'i', 'want', 'option', 'one', 'something', 'with',
+  '보여', '주세요', '줘', '것', '거', '좀', '한'
+]);
+
+// 설명 문구의 사양 이름 / 단위
+const SPEC_LABELS = {
+  screenSize: { pt: 'tela', ko: '화면', unit: '"' },
+  capacity: { pt: 'capacidade', ko: '용량', unit: '' },
+  btu: { pt: 'potência', ko: '냉방 능력', unit: ' BTUs' }
+};
+
+// 설명 문구의 비교 연산자
+const OPERATOR_LABELS = {
+  pt: { eq: 'de', gt: 'maior que', gte: 'a partir de', lt: 'menor que', lte: 'até' },
+  ko: { eq: '', gt: '초과', gte: '이상', lt: '미만', lte: '이하' }
+};
+
+const priceFormat = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL', maximumFractionDigits: 0 });
+
+/**
+ * 가격 목록의 중앙값을 구합니다.
+ * @param {Array<number>} prices - 가격 목록
+ * @returns {number|null} 중앙값
+ * @private
+ */
+function median(prices) {
+  const sorted = prices.filter(price => typeof price === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * 비교용 단어 목록으로 나눕니다. (소문자, 발음 기호 제거, 복수형 s 제거)
+ * @param {string} text - 텍스트
+ * @returns {Array<string>} 단어 목록
+ * @private
+ */
+function toWords(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(word => (word.length > 3 ? word.replace(/s$/, '') : word));
+}
+
+/**
+ * 후속 메시지를 필터 변경 목록으로 해석합니다.
+ * @param {string} message - 사용자 후속 메시지
+ * @param {Object} context - 직전 검색 상태
+ * @param {Array<number>} context.prices - 직전에 보여 준 제품 가격 ("mais barato" 기준)
+ * @returns {{changes: Array<Object>, residual: Array<string>}} 변경 목록(가격 / 사양 / 에너지 효율 조건과 { type: 'onlyFeature', value })과
+ *   변경으로 해석하지 못한 나머지 단어
+ */
+function parseRefinement(message, context = {}) {
+  const extracted = extractConstraints(message);
+  const changes = [...extracted.constraints];
+  let text = extracted.text;
+
+  const cheaper = text.match(CHEAPER_PATTERN);
+  const reference = median(context.prices || []);
+  if (cheaper && reference !== null && !changes.some(change => change.type === 'maxPrice')) {
+    changes.push({ type: 'maxPrice', value: Math.floor(reference) - 1 });
+    text = text.replace(cheaper[0], ' ');
+  }
+
+  const only = text.match(ONLY_PATTERN) || text.match(KOREAN_ONLY_PATTERN);
+  if (only) {
+    changes.push({ type: 'onlyFeature', value: only[1].trim() });
+    text = text.replace(only[0], ' ');
+  }
+
+  return { changes, residual: toWords(text).filter(word => !FILLER_WORDS.has(word)) };
+}
+
+/**
+ * 해석 결과가 직전 검색에 대한 후속 요청인지 판단합니다.
+ * 필터 변경이 있고, 나머지 단어가 모두 직전 검색어 / 기능 필터에 포함되어 있으면 후속 요청입니다.
+ * (예: 직전 검색이 "TV OLED" 일 때 "TV OLED até 5 mil" 은 후속 요청, "geladeira até 5 mil" 은 새 검색)
+ * @param {{changes: Array<Object>, residual: Array<string>}} parsed - parseRefinement 결과
+ * @param {Object} state - 직전 검색 상태 ({ query, filters })
+ * @returns {boolean} 후속 요청 여부
+ */
+function isFollowUp(parsed, state) {
+  if (!state || parsed.changes.length === 0) {
+    return false;
+  }
+  const known = new Set(toWords(`${state.query} ${((state.filters || {}).features || []).join(' ')}`));
+  return parsed.residual.every(word => known.has(word));
+}
+
+/**
+ * 필터에 변경 목록을 적용한 새 필터를 반환합니다. (원래 필터는 바꾸지 않음)
+ * @param {Object} filters - 직전 검색 필터
+ * @param {Array<Object>} changes - parseRefinement 결과
+ * @returns {Object} 변경을 적용한 필터
+ */
+function applyRefinement(filters = {}, changes = []) {
+  const next = applyConstraints(filters, changes);
+  const only = changes.filter(change => change.type === 'onlyFeature').pop();
+  if (only) {
+    next.features = [only.value];
+  }
+  return next;
+}
+
+/**
+ * 조정된 검색 결과를 설명하는 문구를 만듭니다. (예: "Mostrando 4 produtos OLED até R$ 5.000.")
+ * @param {Object} filters - 적용된 필터
+ * @param {number} count - 결과 수
+ * @param {string} language - 언어 코드
+ * @returns {string} 설명 문구
+ */
+function describeRefinement(filters, count, language = 'pt-BR') {
+  const isPtBR = language === 'pt-BR';
+  const { min, max } = parsePriceRange(filters.priceRange);
+  const features = (filters.features || []).join(', ');
+  const parts = [];
+
+  if (min !== null && max !== null) {
+    parts.push(isPtBR
+      ? `entre ${priceFormat.format(min)} e ${priceFormat.format(max)}`
+      : `${priceFormat.format(min)}~${priceFormat.format(max)}`);
+  } else if (max !== null) {
+    parts.push(isPtBR ? `até ${priceFormat.format(max)}` : `${priceFormat.format(max)} 이하`);
+  } else if (min !== null) {
+    parts.push(isPtBR ? `a partir de ${priceFormat.format(min)}` : `${priceFormat.format(min)} 이상`);
+  }
+
+  Object.entries(filters.specs || {}).forEach(([key, conditions]) => {
+    const label = SPEC_LABELS[key];
+    if (!label) {
+      return;
+    }
+    Object.entries(conditions).forEach(([op, value]) => {
+      parts.push(isPtBR
+        ? `${label.pt} ${OPERATOR_LABELS.pt[op]} ${value}${label.unit}`
+        : `${label.ko} ${value}${label.unit} ${OPERATOR_LABELS.ko[op]}`);
+    });
+  });
+
+  if (filters.energyRating) {
+    parts.push(isPtBR ? `Procel ${filters.energyRating}` : `에너지 효율 ${filters.energyRating}등급`);
+  }
+
+  if (isPtBR) {
+    const subject = [`Mostrando ${count} ${count === 1 ? 'produto' : 'produtos'}`, features].filter(Boolean).join(' ');
+    return `${[subject, ...parts].join(parts.length > 1 ? ', ' : ' ')}.`;
+  }
+  const conditions = [features, ...parts].filter(Boolean);
+  return `${conditions.length > 0 ? `${conditions.join(', ')} 조건으로 ` : ''}제품 ${count}개를 보여 드립니다.`;
+}
+
+module.exports = {
+  parsePriceRange,
+  parseRefinement,
+  isFollowUp,
+  applyRefinement,
+  describeRefinement
+};
@@ -3,6 +3,9 @@
  * 크롤링을 통해 파악한 구매 프로세스 단계별 정보 수집 및 안내를 담당합니다.
  */
 const A2ABaseAgent = require('../../protocols/a2a-base-agent');
+const purchaseSchemas = require('./purchase-process-schemas');
+const outputSchemas = require('../../services/llm/llm-output-schemas');
+const { toBehaviorEvent, recordBehaviorEvent } = require('../../utils/behavior-profile');
 
 class PurchaseProcessAgent extends A2ABaseAgent {
   /**
@@ -140,7 +143,7 @@ class PurchaseProcessAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, purchaseSchemas.initiatePurchase);
     
     // 구매 정보 수집 처리
     this.registerMessageHandler('collectPurchaseInfo', async (message) => {
@@ -216,6 +219,15 @@ class PurchaseProcessAgent extends A2ABaseAgent {
             // 모든 단계 완료
             const checkoutUrl = await this.generateCheckoutUrl(sessionId, updatedInfo);
             
+            // 사용자 프로필에 결제 시작 기록 (주문 완료는 외부 결제 페이지에서 확인되므로 purchase 로 기록하지 않음, 실패해도 구매 안내는 유지)
+            if (checkoutProcess.productInfo) {
+              await recordBehaviorEvent(this.sessionService, sessionId, toBehaviorEvent('checkoutStart', checkoutProcess.productInfo))
+                .catch(error => this.logger.warn(`행동 이벤트 기록 실패: ${sessionId} - ${error.message}`));
+            }
+            
+            // 교차 판매용 함께 구매 횟수 기록 (실패해도 구매 안내는 유지)
+            await this.recordCompletedCart(sessionId, checkoutProcess.productInfo);
+            
             const checkoutCompleteResponse = (language === 'pt-BR')
               ? `Ótimo! Coletamos todas as informações necessárias para sua compra. Clique aqui para finalizar sua compra: [Finalizar Compra](${checkoutUrl})`
               : `좋습니다! 구매에 필요한 모든 정보를 수집했습니다. 여기를 클릭하여 구매를 완료하세요: [구매 완료](${checkoutUrl})`;
@@ -252,7 +264,7 @@ class PurchaseProcessAgent extends A2ABaseAgent {
           error: error.message
         };
       }
-    });
+    }, purchaseSchemas.collectPurchaseInfo);
   }
 
   /** Simplified handlers for unit tests */
@@ -406,10 +418,12 @@ class PurchaseProcessAgent extends A2ABaseAgent {
   
   /**
    * 사용자 입력에서 필요 정보 추출
+   * prompts/extractPurchaseInfo 템플릿으로 JSON 응답을 생성하고 스키마 검증 및 복구 재시도를 거칩니다.
+   * 요청한 필드 외의 값은 버립니다.
    * @param {string} userInput - 사용자 입력
    * @param {Array} requiredFields - 필요한 필드 배열
    * @param {string} language - 언어 코드
-   * @returns {Promise<Object>} 추출된 정보
+   * @returns {Promise<Object>} 추출된 정보 (실패하면 빈 객체)
    */
   async extractInfoFromUserInput(userInput, requiredFields, language = 'pt-BR') {
     try {
@@ -424,50 +438,28 @@ class PurchaseProcessAgent extends A2ABaseAgent {
         type: field.type
       }));
       
-      // MCP 프롬프트를 사용하여 정보 추출
-      const prompt = `
-        당신은 LG 브라질 쇼핑 어시스턴트의 정보 추출 담당입니다.
-        
-        # 사용자 입력
-        ${userInput}
-        
-        # 추출할 필드
-        ${JSON.stringify(fieldsToExtract)}
-        
-        # 지시사항
-        사용자 입력에서 필요한 정보를 추출하세요.
-        추출한 정보를 JSON 형식으로 반환하세요.
-        형식: { "필드명": "추출된 값", ... }
-        
-        정확한 추출을 위해 다음 가이드라인을 따르세요:
-        - 주소: 번지수, 거리, 도시, 지역 등 포함
-        - 이메일: 유효한 이메일 형식
-        - 전화번호: 지역 코드 포함
-        - 우편번호: 현지 형식 준수
-      `;
-      
-      // Gemini를 사용하여 정보 추출
-      const responseText = await this.mcpPromptManager.generateGeminiResponse(
+      // 정보 추출 (JSON 모드, 스키마 검증 및 복구 재시도 포함)
+      const extractedInfo = await this.mcpPromptManager.generateStructuredResponse(
         'system', // 시스템 사용자 ID로 처리
-        'extract',
+        'extractPurchaseInfo',
         {
           userInput,
-          fieldsToExtract: JSON.stringify(fieldsToExtract)
-        }
+          fieldsToExtract: JSON.stringify(fieldsToExtract),
+          language
+        },
+        outputSchemas.checkoutInfo
       );
       
-      // JSON 형식 응답에서 추출된 정보 파싱
-      try {
-        const extractedInfo = JSON.parse(responseText);
-        return extractedInfo;
-      } catch (error) {
-        this.logger.error('JSON 파싱 오류:', error);
-        
-        // 정보 추출 실패 시 빈 객체 반환
-        return {};
-      }
+      const fieldNames = new Set(fieldsToExtract.map(field => field.name));
+      return Object.fromEntries(Object.entries(extractedInfo).filter(([name]) => fieldNames.has(name)));
     } catch (error) {
-      this.logger.error('정보 추출 오류:', error);
+      if (error.code === 'LLM_STRUCTURED_OUTPUT_INVALID') {
+        this.logger.error('정보 추출 응답 검증 오류:', error);
+      } else {
+        this.logger.error('정보 추출 오류:', error);
+      }
+      
+      // 정보 추출 실패 시 빈 객체 반환
       return {};
     }
   }
@@ -709,6 +701,29 @@ class PurchaseProcessAgent extends A2ABaseAgent {
       };
     }
   }
+  
+  /**
+   * 완료된 구매의 장바구니 제품끼리 함께 구매한 횟수를 검색 인덱스에 기록합니다. (교차 판매용)
+   * @param {string} sessionId - 세션 ID
+   * @param {Object} productInfo - 구매를 시작한 제품 (장바구니에서 시작했으면 없음)
+   * @returns {Promise<void>}
+   */
+  async recordCompletedCart(sessionId, productInfo) {
+    if (!this.searchService || typeof this.searchService.recordCompletedCart !== 'function') {
+      return;
+    }
+    
+    try {
+      const cart = await this.sessionService.getCart(sessionId);
+      const productIds = ((cart && cart.items) || []).map(item => item.product.objectID || item.product.id);
+      if (productInfo) {
+        productIds.push(productInfo.objectID || productInfo.id);
+      }
+      await this.searchService.recordCompletedCart(productIds.filter(Boolean));
+    } catch (error) {
+      this.logger.warn(`함께 구매 기록 실패: ${sessionId} - ${error.message}`);
+    }
+  }
 }
 
 module.exports = PurchaseProcessAgent;
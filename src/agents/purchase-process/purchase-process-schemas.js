@@ -0,0 +1,31 @@
+/**
+ * 구매 프로세스 에이전트 의도 계약 (JSON Schema)
+ */
+const { schemaFragments: f, objectSchema, resultSchema } = require('../../protocols/a2a-schema');
+
+const purchaseResult = resultSchema({
+  sessionId: f.sessionId,
+  response: { type: 'string' }
+});
+
+module.exports = {
+  initiatePurchase: {
+    description: '구매 프로세스를 시작합니다. 장바구니에서 시작하는 경우 productId 는 null 입니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      productId: f.nullableProductId,
+      userMessage: { type: 'string' },
+      language: f.language
+    }, ['sessionId']),
+    responseSchema: purchaseResult
+  },
+  collectPurchaseInfo: {
+    description: '사용자 입력에서 구매 정보를 수집합니다.',
+    payloadSchema: objectSchema({
+      sessionId: f.sessionId,
+      userInput: { type: 'string' },
+      language: f.language
+    }, ['sessionId', 'userInput']),
+    responseSchema: purchaseResult
+  }
+};
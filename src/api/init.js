@@ -12,6 +12,7 @@ const ProductRecommendationAgent = require('../agents/product-recommendation/pro
 const PurchaseProcessAgent = require('../agents/purchase-process/purchase-process-agent');
 const CrawlingCoordinatorAgent = require('../agents/crawling-coordinator/crawling-coordinator-agent');
 const ContextManagerAgent = require('../agents/context-manager/context-manager-agent');
+const ProductComparisonAgent = require('../agents/product-comparison/product-comparison-agent');
 
 // 서비스
 const SessionService = require('../services/session/session-service');
@@ -119,9 +120,10 @@ async function initialize() {
     const agents = {
       dialogAgent: new DialogAgent(a2aRouter, mcpPromptManager, services.sessionService, services.searchService),
       cartAgent: new CartAgent(a2aRouter, mcpPromptManager, services.sessionService, services.searchService, services.crawlingService),
-      productRecommendationAgent: new ProductRecommendationAgent(a2aRouter, services.searchService, mcpPromptManager),
+      productRecommendationAgent: new ProductRecommendationAgent(a2aRouter, services.searchService, services.sessionService),
       purchaseProcessAgent: new PurchaseProcessAgent(a2aRouter, mcpPromptManager, services.sessionService, services.crawlingService, services.searchService),
       crawlingCoordinatorAgent: new CrawlingCoordinatorAgent(a2aRouter, apifyClient, algoliaClient, services.crawlingService),
+      productComparisonAgent: new ProductComparisonAgent(a2aRouter, services.searchService, mcpPromptManager),
       contextManagerAgent: new ContextManagerAgent(a2aRouter, mcpContextManager, services.sessionService)
     };
     
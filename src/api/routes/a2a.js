@@ -0,0 +1,77 @@
+/**
+ * A2A 프로토콜 외부 공개 라우터
+ * Agent Card(`/.well-known/agent.json`)와 JSON-RPC 엔드포인트(`/a2a`)를 제공합니다.
+ */
+const express = require('express');
+const router = express.Router();
+const config = require('../../../config');
+const { buildAgentCard } = require('../../protocols/a2a-agent-card');
+const A2AJsonRpcHandler = require('../../protocols/a2a-jsonrpc');
+const { createA2AAuthMiddleware } = require('../../protocols/a2a-auth');
+const { openEventStream } = require('./stream');
+
+// 라우터 의존성
+let a2aRouter;
+let rpcHandler;
+let authenticate = (req, res, next) => next(new Error('A2A routes not initialized'));
+
+/**
+ * 의존성 주입
+ * @param {Object} services - 서비스 객체
+ * @param {Object} agents - 에이전트 객체
+ * @param {Object} messageRouter - A2A 라우터 인스턴스
+ */
+const init = (services, agents, messageRouter) => {
+  a2aRouter = messageRouter;
+  rpcHandler = new A2AJsonRpcHandler(messageRouter, {
+    exposedIntents: config.a2a.agentCard.exposedIntents,
+    maxTasks: config.a2a.maxStoredTasks
+  });
+  authenticate = createA2AAuthMiddleware(config.a2a.auth);
+};
+
+/**
+ * Agent Card 조회 API
+ */
+router.get('/.well-known/agent.json', (req, res, next) => {
+  try {
+    res.json(buildAgentCard(a2aRouter, config.a2a.agentCard));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * JSON-RPC 작업 API (tasks/send, tasks/get)
+ * tasks/sendSubscribe 요청은 SSE 로 작업 업데이트를 스트리밍합니다.
+ * W3C traceparent 헤더가 있으면 해당 추적에 이어서 스팬을 기록합니다.
+ * 인증된 호출자(Bearer / X-API-Key)만 허용하며, 세션과 작업은 호출자 범위로 한정됩니다.
+ */
+router.post('/a2a', (req, res, next) => authenticate(req, res, next), async (req, res, next) => {
+  try {
+    // HTTP traceparent 헤더를 작업 metadata 로 옮겨 에이전트 메시지까지 전파합니다.
+    const traceparent = req.headers && req.headers.traceparent;
+    if (traceparent && req.body && req.body.params) {
+      req.body.params.metadata = { traceparent, ...req.body.params.metadata };
+    }
+
+    if (req.body && req.body.method === 'tasks/sendSubscribe') {
+      const stream = openEventStream(req, res);
+      try {
+        const response = await rpcHandler.handle(req.body, update => stream.send(update), req.a2aCaller);
+        stream.send(response);
+      } finally {
+        stream.close();
+      }
+      return;
+    }
+
+    const response = await rpcHandler.handle(req.body, undefined, req.a2aCaller);
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
+module.exports.init = init;
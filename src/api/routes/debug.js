@@ -0,0 +1,112 @@
+/**
+ * 디버그 라우터
+ * 세션별 분산 추적(스팬 트리), 서킷 브레이커 상태, LLM 사용량을 조회합니다.
+ * config.a2a.tracing.debugEndpoint 가 꺼져 있으면 404 를 반환합니다.
+ */
+const express = require('express');
+const router = express.Router();
+const config = require('../../../config');
+const { getTracer } = require('../../protocols/a2a-tracing');
+const { getLLMGateway } = require('../../services/llm/llm-gateway');
+
+// 라우터 의존성
+let a2aRouter;
+let tracer;
+
+/**
+ * 의존성 주입
+ * @param {Object} services - 서비스 객체
+ * @param {Object} agents - 에이전트 객체
+ * @param {Object} messageRouter - A2A 라우터 인스턴스
+ */
+const init = (services, agents, messageRouter) => {
+  a2aRouter = messageRouter;
+  tracer = (messageRouter && messageRouter.tracer) || getTracer();
+};
+
+/**
+ * 디버그 엔드포인트 활성화 여부 확인
+ */
+router.use((req, res, next) => {
+  if (!config.a2a.tracing.debugEndpoint) {
+    return res.status(404).json({
+      status: 'error',
+      message: '디버그 엔드포인트가 비활성화되어 있습니다.'
+    });
+  }
+  next();
+});
+
+/**
+ * 세션 추적 조회 API
+ * 세션의 메시지 처리 스팬과 그 하위 LLM / Algolia / Apify 호출 스팬을 추적별 트리로 반환합니다.
+ */
+router.get('/traces/:sessionId', (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const traces = (tracer || getTracer()).getSessionTraces(sessionId);
+
+    res.json({
+      status: 'success',
+      sessionId,
+      traceCount: traces.length,
+      traces
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * 서킷 브레이커 상태 조회 API
+ * ?agent=<agentId> 로 특정 에이전트의 의도만 조회할 수 있습니다.
+ */
+router.get('/circuits', (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      circuits: a2aRouter.getCircuitStates(req.query.agent)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * LLM 사용량 조회 API
+ * 게이트웨이가 보관 중인 최근 세션의 요청 수, 토큰, 비용을 반환합니다. (?limit=<세션 수>, 기본값 50)
+ */
+router.get('/llm-usage', (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const sessions = getLLMGateway().listUsage(limit);
+
+    res.json({
+      status: 'success',
+      sessionCount: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * 세션 LLM 사용량 조회 API
+ */
+router.get('/llm-usage/:sessionId', (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    res.json({
+      status: 'success',
+      sessionId,
+      usage: getLLMGateway().getUsage(sessionId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
+module.exports.init = init;
@@ -3,9 +3,11 @@
  */
 const express = require('express');
 const router = express.Router();
+const { toBehaviorEvent, recordBehaviorEvent } = require('../../utils/behavior-profile');
 
 // 서비스 및 에이전트 의존성
 let searchService;
+let sessionService;
 let crawlingCoordinatorAgent;
 
 /**
@@ -15,6 +17,7 @@ let crawlingCoordinatorAgent;
  */
 const init = (services, agents) => {
   searchService = services.searchService;
+  sessionService = services.sessionService;
   crawlingCoordinatorAgent = agents.crawlingCoordinatorAgent;
 };
 
@@ -68,6 +71,7 @@ router.get('/search', async (req, res, next) => {
 router.get('/:productId', async (req, res, next) => {
   try {
     const { productId } = req.params;
+    const { sessionId } = req.query;
     const force = req.query.force === 'true';
     
     if (!productId) {
@@ -93,6 +97,18 @@ router.get('/:productId', async (req, res, next) => {
       });
     }
     
+    // 세션이 있으면 사용자 프로필에 제품 조회 기록 (실패해도 제품 정보는 반환)
+    if (sessionId && sessionService) {
+      await recordBehaviorEvent(sessionService, sessionId, toBehaviorEvent('view', { id: productId, ...result.productInfo }))
+        .catch(error => console.warn(`행동 이벤트 기록 실패: ${sessionId} - ${error.message}`));
+    }
+    
+    // 인기 제품 순위용 조회 수 기록 (모아서 반영하며, 실패해도 제품 정보는 반환)
+    if (searchService && typeof searchService.recordProductInteraction === 'function') {
+      await searchService.recordProductInteraction(productId, 'view')
+        .catch(error => console.warn(`제품 조회 기록 실패: ${productId} - ${error.message}`));
+    }
+    
     res.json({
       status: 'success',
       data: result.productInfo
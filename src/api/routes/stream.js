@@ -0,0 +1,158 @@
+/**
+ * 실시간 이벤트 스트리밍 라우터 (Server-Sent Events)
+ * 에이전트의 진행 상황(progress / status) 이벤트를 위젯과 A2A 클라이언트에 전달합니다.
+ */
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../../config');
+const { createA2AAuthMiddleware } = require('../../protocols/a2a-auth');
+const { callerTaskKey } = require('../../protocols/a2a-jsonrpc');
+
+// 하트비트 간격 (프록시 유휴 연결 종료 방지)
+const HEARTBEAT_INTERVAL = 15000;
+
+// 라우터 의존성
+let a2aRouter;
+let authenticate = (req, res, next) => next(new Error('Stream routes not initialized'));
+
+/**
+ * 의존성 주입
+ * @param {Object} services - 서비스 객체
+ * @param {Object} agents - 에이전트 객체
+ * @param {Object} messageRouter - A2A 라우터 인스턴스
+ */
+const init = (services, agents, messageRouter) => {
+  a2aRouter = messageRouter;
+  authenticate = createA2AAuthMiddleware(config.a2a.auth);
+};
+
+/**
+ * SSE 응답 스트림을 엽니다.
+ * 연결 종료는 응답(res)의 close 이벤트로 감지합니다. 요청(req)의 close 는 본문을 다 읽은 직후에도 발생하므로
+ * POST 요청에서 연결이 끊긴 것으로 오인하게 됩니다.
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @returns {Object} { send(data, event), close(), onClose(listener), isClosed() }
+ */
+const openEventStream = (req, res) => {
+  let closed = false;
+  const closeListeners = [];
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': heartbeat\n\n');
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    closeListeners.forEach(listener => listener());
+  };
+
+  res.on('close', cleanup);
+
+  return {
+    send(data, event) {
+      if (closed) {
+        return;
+      }
+      if (event) {
+        res.write(`event: ${event}\n`);
+      }
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      cleanup();
+      if (!res.writableEnded) {
+        res.end();
+      }
+    },
+    onClose(listener) {
+      closeListeners.push(listener);
+    },
+    isClosed() {
+      return closed;
+    }
+  };
+};
+
+/**
+ * 대화 메시지 스트리밍 API
+ * 대화 에이전트에 메시지를 보내고 처리 중 이벤트를 `progress` / `status`, 최종 응답을 `result` 로 전송합니다.
+ */
+router.post('/dialog', async (req, res, next) => {
+  const { message } = req.body;
+  const sessionId = req.headers['x-session-id'] || req.body.sessionId;
+  const language = req.body.language || req.headers['accept-language'] || 'pt-BR';
+
+  if (!message || !sessionId) {
+    return res.status(400).json({
+      status: 'error',
+      message: '세션 ID와 메시지가 필요합니다.'
+    });
+  }
+
+  const correlationId = uuidv4();
+  const controller = new AbortController();
+  let stream;
+
+  try {
+    stream = openEventStream(req, res);
+    stream.onClose(() => controller.abort());
+    stream.send({ correlationId, sessionId }, 'accepted');
+
+    const result = await a2aRouter.sendMessage({
+      fromAgent: 'apiGateway',
+      toAgent: 'dialogAgent',
+      messageType: 'request',
+      intent: 'userMessage',
+      payload: { sessionId, userMessage: message, language },
+      correlationId,
+      traceparent: req.headers.traceparent
+    }, {
+      signal: controller.signal,
+      onEvent: event => stream.send(event, event.type)
+    });
+
+    stream.send(result, 'result');
+    stream.close();
+  } catch (error) {
+    if (!stream) {
+      return next(error);
+    }
+
+    stream.send({ message: error.message, code: error.code }, 'error');
+    stream.close();
+  }
+});
+
+/**
+ * A2A 작업 이벤트 구독 API
+ * `/a2a` 로 시작한 자신의 작업(tasks/send) 진행 이벤트를 이어서 받습니다. `/a2a` 와 같은 Bearer / X-API-Key 인증이
+ * 필요하며, 구독 대상은 인증된 호출자의 작업 키(`<호출자>/<작업 ID>`)로 한정됩니다.
+ * 클라이언트가 연결을 끊을 때까지 유지됩니다.
+ */
+router.get('/events/:taskId', (req, res, next) => authenticate(req, res, next), (req, res) => {
+  const stream = openEventStream(req, res);
+  const correlationId = callerTaskKey(req.params.taskId, req.a2aCaller);
+  const unsubscribe = a2aRouter.subscribe(correlationId, event => stream.send(event, event.type));
+  stream.onClose(unsubscribe);
+});
+
+module.exports = router;
+module.exports.init = init;
+module.exports.openEventStream = openEventStream;
@@ -16,6 +16,9 @@ const dialogRouter = require('./routes/dialog');
 const productRouter = require('./routes/product');
 const cartRouter = require('./routes/cart');
 const sessionRouter = require('./routes/session');
+const a2aRoutes = require('./routes/a2a');
+const streamRouter = require('./routes/stream');
+const debugRouter = require('./routes/debug');
 
 // Express 앱 생성
 const app = express();
@@ -52,6 +55,13 @@ app.use('/api/dialog', dialogRouter);
 app.use('/api/products', productRouter);
 app.use('/api/cart', cartRouter);
 app.use('/api/session', sessionRouter);
+app.use('/api/stream', streamRouter);
+
+// 디버그 엔드포인트 (/debug/traces/:sessionId)
+app.use('/debug', debugRouter);
+
+// A2A 외부 공개 엔드포인트 (/.well-known/agent.json, /a2a)
+app.use(a2aRoutes);
 
 // 에러 핸들러
 app.use((err, req, res, next) => {
@@ -0,0 +1,107 @@
+/**
+ * A2A Agent Card 생성기
+ * 라우터에 등록된 에이전트와 의도 계약으로 `/.well-known/agent.json` 문서를 만듭니다.
+ */
+const packageInfo = require('../../package.json');
+const { A2A_AUTH_SCHEMES } = require('./a2a-auth');
+
+/**
+ * 스킬 ID 를 생성합니다. (`<agentId>.<intent>`)
+ * @param {string} agentId - 에이전트 식별자
+ * @param {string} intent - 메시지 의도
+ * @returns {string} 스킬 ID
+ */
+function toSkillId(agentId, intent) {
+  return `${agentId}.${intent}`;
+}
+
+/**
+ * 스킬 ID 를 에이전트 / 의도로 분리합니다.
+ * @param {string} skillId - 스킬 ID
+ * @returns {{agentId: string, intent: string}|null} 분리 결과 (형식이 잘못되면 null)
+ */
+function parseSkillId(skillId) {
+  if (typeof skillId !== 'string') {
+    return null;
+  }
+
+  const separator = skillId.indexOf('.');
+  if (separator <= 0 || separator === skillId.length - 1) {
+    return null;
+  }
+
+  return {
+    agentId: skillId.slice(0, separator),
+    intent: skillId.slice(separator + 1)
+  };
+}
+
+/**
+ * 의도가 외부에 공개되어 있는지 확인합니다.
+ * @param {Object} exposedIntents - 에이전트별 공개 의도 목록
+ * @param {string} agentId - 에이전트 식별자
+ * @param {string} intent - 메시지 의도
+ * @returns {boolean} 공개 여부
+ */
+function isExposed(exposedIntents, agentId, intent) {
+  return Array.isArray(exposedIntents[agentId]) && exposedIntents[agentId].includes(intent);
+}
+
+/**
+ * Agent Card 를 생성합니다.
+ * 공개 의도 목록(exposedIntents)에 있고 라우터에 실제 등록된 의도만 스킬로 노출합니다.
+ * @param {Object} router - A2A 라우터 인스턴스
+ * @param {Object} options - 카드 옵션 (config.a2a.agentCard)
+ * @returns {Object} A2A Agent Card
+ */
+function buildAgentCard(router, options = {}) {
+  const exposedIntents = options.exposedIntents || {};
+  const skills = [];
+
+  for (const { agentId, intents } of router.describe().agents) {
+    for (const entry of intents) {
+      if (!isExposed(exposedIntents, agentId, entry.intent)) {
+        continue;
+      }
+
+      const skill = {
+        id: toSkillId(agentId, entry.intent),
+        name: entry.intent,
+        description: entry.description || `${agentId} ${entry.intent}`,
+        tags: [agentId],
+        inputModes: ['application/json'],
+        outputModes: ['text/plain', 'application/json']
+      };
+
+      if (entry.payloadSchema) {
+        skill.inputSchema = entry.payloadSchema;
+      }
+
+      skills.push(skill);
+    }
+  }
+
+  return {
+    name: options.name || packageInfo.name,
+    description: options.description || packageInfo.description || '',
+    url: options.url,
+    provider: options.organization ? { organization: options.organization } : undefined,
+    version: options.version || packageInfo.version,
+    capabilities: {
+      streaming: true,
+      pushNotifications: false,
+      stateTransitionHistory: true
+    },
+    authentication: options.authentication || { schemes: A2A_AUTH_SCHEMES },
+    defaultInputModes: ['text/plain', 'application/json'],
+    defaultOutputModes: ['text/plain', 'application/json'],
+    skills
+  };
+}
+
+module.exports = {
+  buildAgentCard,
+  toSkillId,
+  parseSkillId,
+  isExposed
+};
@@ -0,0 +1,98 @@
+/**
+ * A2A 외부 호출자 인증
+ * `/a2a` 요청의 `Authorization: Bearer <키>` 또는 `X-API-Key` 헤더를 설정된 클라이언트 키와 비교해 호출자를 확인합니다.
+ * 확인된 호출자 ID 는 JSON-RPC 핸들러가 세션과 작업을 호출자 범위로 묶는 데 사용합니다.
+ */
+const crypto = require('crypto');
+
+/**
+ * Agent Card 에 공개하는 인증 방식
+ */
+const A2A_AUTH_SCHEMES = ['bearer'];
+
+/**
+ * 클라이언트 키 설정을 해석합니다.
+ * @param {string|Object} apiKeys - `클라이언트ID:키` 쉼표 구분 문자열 또는 { 클라이언트ID: 키 } 객체
+ * @returns {Array<{clientId: string, digest: Buffer}>} 클라이언트별 키 해시
+ */
+function parseApiKeys(apiKeys) {
+  const entries = typeof apiKeys === 'string'
+    ? apiKeys.split(',').map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0 ? [entry.slice(0, separator), entry.slice(separator + 1)] : [];
+    })
+    : Object.entries(apiKeys || {});
+
+  return entries
+    .map(([clientId, key]) => [String(clientId || '').trim(), String(key || '').trim()])
+    .filter(([clientId, key]) => clientId && key)
+    .map(([clientId, key]) => ({ clientId, digest: digestKey(key) }));
+}
+
+/**
+ * 키 해시 (길이가 다른 키도 일정 시간에 비교하기 위함)
+ * @param {string} key - 키
+ * @returns {Buffer} SHA-256 해시
+ * @private
+ */
+function digestKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * 요청 헤더에서 호출자를 확인합니다.
+ * @param {Object} headers - 요청 헤더 (소문자 키)
+ * @param {Array<Object>} clients - parseApiKeys 결과
+ * @returns {{id: string}|null} 호출자 (키가 없거나 일치하지 않으면 null)
+ */
+function authenticateCaller(headers = {}, clients = []) {
+  const authorization = headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(authorization);
+  const key = match ? match[1].trim() : headers['x-api-key'];
+  if (!key) {
+    return null;
+  }
+
+  const digest = digestKey(String(key));
+  const client = clients.find(candidate => crypto.timingSafeEqual(candidate.digest, digest));
+  return client ? { id: client.clientId } : null;
+}
+
+/**
+ * `/a2a` 인증 미들웨어를 생성합니다.
+ * 인증에 실패하면 401 과 JSON-RPC 오류로 응답하고, 성공하면 `req.a2aCaller` 에 호출자를 담습니다.
+ * 클라이언트 키가 하나도 없으면 모든 요청을 거절합니다.
+ * @param {Object} options - 인증 설정 (config.a2a.auth)
+ * @param {string|Object} options.apiKeys - 클라이언트 키
+ * @returns {Function} Express 미들웨어
+ */
+function createA2AAuthMiddleware(options = {}) {
+  const clients = parseApiKeys(options.apiKeys);
+  if (clients.length === 0) {
+    console.warn('A2A 클라이언트 키가 없어 /a2a 요청을 모두 거절합니다. (A2A_API_KEYS)');
+  }
+
+  return (req, res, next) => {
+    const caller = authenticateCaller(req.headers, clients);
+    if (!caller) {
+      res.status(401);
+      res.setHeader('WWW-Authenticate', 'Bearer realm="a2a"');
+      res.json({
+        jsonrpc: '2.0',
+        id: req.body && req.body.id !== undefined ? req.body.id : null,
+        error: { code: -32600, message: 'Unauthorized' }
+      });
+      return;
+    }
+
+    req.a2aCaller = caller;
+    next();
+  };
+}
+
+module.exports = {
+  A2A_AUTH_SCHEMES,
+  parseApiKeys,
+  authenticateCaller,
+  createA2AAuthMiddleware
+};
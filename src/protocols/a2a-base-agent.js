@@ -2,70 +2,222 @@
  * A2A 에이전트 기본 클래스
  * 모든 에이전트의 기본 기능을 제공합니다.
  */
+const { generateMessageId } = require('./a2a-middleware');
+const ConcurrencyLimiter = require('./a2a-concurrency');
+const { A2ABusyError } = require('./a2a-errors');
+const config = require('../../config');
+
 class A2ABaseAgent {
   /**
    * A2A 에이전트 생성자
    * @param {string} agentId - 에이전트 식별자
    * @param {object} router - A2A 라우터 인스턴스
+   * @param {Object} options - 에이전트 옵션
+   * @param {Object} options.concurrency - 동시 실행 제한 (기본값: config.a2a.concurrency.agents[agentId])
    */
-  constructor(agentId, router) {
+  constructor(agentId, router, options = {}) {
     this.agentId = agentId;
     this.router = router;
     this.messageHandlers = new Map();
-    
+    this.intentContracts = new Map();
+    this.setConcurrencyLimits(options.concurrency || config.a2a.concurrency.agents[agentId]);
+
     // 라우터에 자기 자신을 등록
     if (router) {
       router.registerAgent(agentId, this);
     }
-    
+
     this.logger = console; // 나중에 더 좋은 로깅 시스템으로 교체 가능
   }
-  
+
   /**
    * 메시지 핸들러를 등록합니다.
+   * 핸들러는 (message, context) 로 호출되며, 라우터를 거친 경우 context 에
+   * signal(AbortSignal), deadline, correlationId, messageId, traceparent, emit(진행 이벤트 전송 함수)이 담깁니다.
+   * contract 를 함께 넘기면 라우터의 contract 미들웨어가 payload / 응답을 JSON Schema 로 검증합니다.
    * @param {string} intent - 처리할 메시지 의도
    * @param {Function} handler - 메시지 처리 함수
+   * @param {Object} contract - 의도 계약 (선택)
+   * @param {string} contract.description - 의도 설명
+   * @param {Object} contract.payloadSchema - payload JSON Schema
+   * @param {Object} contract.responseSchema - 응답 JSON Schema
    */
-  registerMessageHandler(intent, handler) {
+  registerMessageHandler(intent, handler, contract) {
     this.logger.info(`에이전트 ${this.agentId}: '${intent}' 의도에 대한 핸들러 등록`);
     this.messageHandlers.set(intent, handler);
+
+    if (contract) {
+      this.intentContracts.set(intent, contract);
+    } else {
+      this.intentContracts.delete(intent);
+    }
+  }
+
+  /**
+   * 의도에 선언된 계약을 가져옵니다.
+   * @param {string} intent - 메시지 의도
+   * @returns {Object|null} 의도 계약 (선언하지 않았으면 null)
+   */
+  getIntentContract(intent) {
+    return this.intentContracts.get(intent) || null;
+  }
+
+  /**
+   * 이 에이전트가 처리하는 의도 목록과 계약을 반환합니다.
+   * @returns {Array<Object>} { intent, description, payloadSchema, responseSchema } 배열
+   */
+  describeIntents() {
+    return Array.from(this.messageHandlers.keys()).map(intent => {
+      const contract = this.intentContracts.get(intent) || {};
+      return {
+        intent,
+        description: contract.description || null,
+        payloadSchema: contract.payloadSchema || null,
+        responseSchema: contract.responseSchema || null
+      };
+    });
+  }
+
+  /**
+   * 동시 실행 제한을 설정합니다.
+   * 에이전트 전체와 의도별 제한을 함께 둘 수 있으며, maxConcurrent 가 없는 항목은 제한하지 않습니다.
+   * 주의: 콜백 메시지를 받는 에이전트(예: dialogAgent)에 에이전트 단위 제한을 걸면
+   * 처리 중인 요청이 자신의 콜백 슬롯을 기다리며 제한 시간까지 막힐 수 있으므로 의도 단위 제한을 사용하세요.
+   * @param {Object} limits - 제한 설정
+   * @param {number} limits.maxConcurrent - 에이전트 최대 동시 처리 수
+   * @param {number} limits.maxQueue - 에이전트 최대 대기열 길이
+   * @param {Object} limits.intents - 의도별 { maxConcurrent, maxQueue }
+   */
+  setConcurrencyLimits(limits = {}) {
+    this.agentLimiter = limits.maxConcurrent ? new ConcurrencyLimiter(limits) : null;
+    this.intentLimiters = new Map();
+
+    for (const [intent, intentLimits] of Object.entries(limits.intents || {})) {
+      if (intentLimits && intentLimits.maxConcurrent) {
+        this.intentLimiters.set(intent, new ConcurrencyLimiter(intentLimits));
+      }
+    }
+  }
+
+  /**
+   * 의도 → 에이전트 순서로 처리 슬롯을 확보합니다.
+   * 대기열이 가득 찬 제한이 있으면 이미 확보한 슬롯을 돌려주고 A2ABusyError 를 던집니다.
+   * @param {Object} message - 처리할 메시지
+   * @param {Object} context - 처리 컨텍스트 (signal 로 대기 취소)
+   * @returns {Promise<Array<Function>>} 슬롯 해제 함수 목록
+   * @throws {A2ABusyError} 대기열이 가득 찬 경우
+   * @private
+   */
+  async acquireSlots(message, context) {
+    const signal = context ? context.signal : undefined;
+    const limiters = [
+      ['intent', this.intentLimiters.get(message.intent)],
+      ['agent', this.agentLimiter]
+    ];
+    const releases = [];
+
+    try {
+      for (const [scope, limiter] of limiters) {
+        if (!limiter) {
+          continue;
+        }
+
+        const pending = limiter.acquire(signal);
+        if (!pending) {
+          throw new A2ABusyError(message, { scope, maxConcurrent: limiter.maxConcurrent, maxQueue: limiter.maxQueue });
+        }
+        releases.push(await pending);
+      }
+    } catch (error) {
+      releases.forEach(release => release());
+      throw error;
+    }
+
+    return releases;
   }
-  
+
   /**
    * 메시지를 처리합니다.
+   * 동시 실행 제한이 설정된 경우 슬롯이 빌 때까지 대기열에서 기다립니다.
    * @param {Object} message - 처리할 메시지
+   * @param {Object} context - 라우터가 전달하는 처리 컨텍스트 (선택)
    * @returns {Promise<Object>} 처리 결과
-   * @throws {Error} 등록된 핸들러가 없을 경우 에러를 던집니다.
+   * @throws {A2ABusyError} 에이전트 / 의도 대기열이 가득 찬 경우 (재시도 가능)
+   * @throws {Error} 등록된 핸들러가 없거나 이미 취소된 메시지일 경우 에러를 던집니다.
    */
-  async processMessage(message) {
+  async processMessage(message, context) {
     this.logger.info(`에이전트 ${this.agentId}: '${message.intent}' 메시지 처리 시작`);
-    
+
     if (!this.messageHandlers.has(message.intent)) {
       throw new Error(`No handler registered for intent: ${message.intent}`);
     }
-    
+
+    if (context && context.signal && context.signal.aborted) {
+      throw context.signal.reason || new Error(`Message ${message.messageId} was aborted`);
+    }
+
+    let releases;
+    try {
+      releases = await this.acquireSlots(message, context);
+    } catch (error) {
+      this.logger.warn(`에이전트 ${this.agentId}: '${message.intent}' 메시지 거절: ${error.message}`);
+      throw error;
+    }
+
     const handler = this.messageHandlers.get(message.intent);
     try {
-      const result = await handler(message);
+      const result = context ? await handler(message, context) : await handler(message);
       this.logger.info(`에이전트 ${this.agentId}: '${message.intent}' 메시지 처리 완료`);
       return result;
     } catch (error) {
       this.logger.error(`에이전트 ${this.agentId}: 메시지 처리 오류:`, error);
       throw error;
+    } finally {
+      releases.forEach(release => release());
+    }
+  }
+
+  /**
+   * 에이전트 상태와 대기열 지표를 반환합니다.
+   * @returns {Object} { agentId, registeredHandlers, isActive, queue: { agent, intents }, timestamp }
+   */
+  getStatus() {
+    const intents = {};
+    for (const [intent, limiter] of this.intentLimiters) {
+      intents[intent] = limiter.getMetrics();
     }
+
+    return {
+      agentId: this.agentId,
+      registeredHandlers: Array.from(this.messageHandlers.keys()),
+      isActive: true,
+      queue: {
+        agent: this.agentLimiter ? this.agentLimiter.getMetrics() : null,
+        intents
+      },
+      timestamp: new Date().toISOString()
+    };
   }
-  
+
   /**
    * 다른 에이전트에 메시지를 전송합니다.
    * @param {string} toAgent - 수신 에이전트 ID
    * @param {string} messageType - 메시지 타입
    * @param {string} intent - 메시지 의도
    * @param {Object} payload - 메시지 페이로드
+   * @param {Object} options - 전송 옵션
+   * @param {Object} options.parent - 현재 처리 중인 핸들러 context (signal / deadline / correlationId / traceparent 상속)
+   * @param {number} options.timeout - 제한 시간 (밀리초)
+   * @param {AbortSignal} options.signal - 취소 신호
+   * @param {string} options.correlationId - 상관관계 ID
+   * @param {string} options.inReplyTo - 응답 대상 메시지 ID
+   * @param {Function} options.onEvent - 진행 이벤트 수신 함수
    * @returns {Promise<Object>} 수신 에이전트의 응답
    */
-  async sendMessage(toAgent, messageType, intent, payload) {
+  async sendMessage(toAgent, messageType, intent, payload, options = {}) {
+    const parent = options.parent || {};
     const message = {
-      messageId: `msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      messageId: generateMessageId(),
       fromAgent: this.agentId,
       toAgent,
       messageType,
@@ -73,8 +225,75 @@ class A2ABaseAgent {
       payload,
       timestamp: new Date().toISOString()
     };
-    
-    return await this.router.sendMessage(message);
+
+    const correlationId = options.correlationId || parent.correlationId;
+    if (correlationId) {
+      message.correlationId = correlationId;
+    }
+
+    if (options.inReplyTo) {
+      message.inReplyTo = options.inReplyTo;
+    }
+
+    if (parent.deadline) {
+      message.deadline = parent.deadline;
+    }
+
+    if (parent.traceparent) {
+      message.traceparent = parent.traceparent;
+    }
+
+    const routeOptions = {};
+    if (options.timeout !== undefined) {
+      routeOptions.timeout = options.timeout;
+    }
+
+    const signal = options.signal || parent.signal;
+    if (signal) {
+      routeOptions.signal = signal;
+    }
+
+    if (options.onEvent) {
+      routeOptions.onEvent = options.onEvent;
+    }
+
+    if (Object.keys(routeOptions).length === 0) {
+      return await this.router.sendMessage(message);
+    }
+
+    return await this.router.sendMessage(message, routeOptions);
+  }
+
+  /**
+   * 처리 중인 메시지의 진행 상황을 라우터 구독자에게 알립니다.
+   * 라우터를 거치지 않고 호출된 경우(context 없음)에는 아무 것도 하지 않습니다.
+   * @param {Object} context - 핸들러 context
+   * @param {Object} progress - 진행 정보
+   * @param {string} progress.step - 현재 단계 식별자
+   * @param {string} progress.message - 사람이 읽을 수 있는 진행 메시지
+   * @param {number} progress.progress - 진행률 (0 ~ 1, 선택)
+   */
+  reportProgress(context, progress) {
+    if (context && typeof context.emit === 'function') {
+      context.emit({ type: 'progress', ...progress });
+    }
+  }
+
+  /**
+   * 수신한 메시지의 발신자에게 응답 메시지를 전송합니다.
+   * correlationId 와 inReplyTo 를 원본 메시지 기준으로 채웁니다.
+   * @param {Object} message - 응답 대상 원본 메시지
+   * @param {string} intent - 응답 메시지 의도
+   * @param {Object} payload - 응답 페이로드
+   * @param {Object} options - sendMessage 전송 옵션
+   * @returns {Promise<Object>} 수신 에이전트의 응답
+   */
+  async replyTo(message, intent, payload, options = {}) {
+    return await this.sendMessage(message.fromAgent, 'response', intent, payload, {
+      ...options,
+      correlationId: message.correlationId || message.messageId,
+      inReplyTo: message.messageId
+    });
   }
 }
 
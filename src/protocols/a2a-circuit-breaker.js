@@ -0,0 +1,202 @@
+/**
+ * A2A 서킷 브레이커
+ * 대상 에이전트 / 의도별로 연속 실패를 집계해 회로를 열고, 열린 동안에는 호출을 즉시 거절합니다.
+ * 설정에 선언된 대체 경로(fallback)가 있으면 라우터의 circuitBreaker 미들웨어가 그쪽으로 메시지를 보냅니다.
+ */
+
+/**
+ * 회로 상태
+ */
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  /**
+   * 생성자
+   * @param {string} key - 대상 키 (`<agentId>.<intent>`)
+   * @param {Object} options - 브레이커 옵션
+   * @param {number} options.failureThreshold - 회로를 여는 연속 실패 횟수 (기본값: 5)
+   * @param {number} options.resetTimeout - 회로를 연 뒤 시험 호출을 허용하기까지의 시간 (밀리초, 기본값: 30000)
+   * @param {number} options.halfOpenMaxCalls - half-open 상태에서 동시에 허용할 시험 호출 수 (기본값: 1)
+   * @param {boolean} options.countUnsuccessfulResponses - `success: false` 응답도 실패로 집계할지 여부
+   */
+  constructor(key, options = {}) {
+    this.key = key;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.countUnsuccessfulResponses = Boolean(options.countUnsuccessfulResponses);
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastError = null;
+    this.totalFailures = 0;
+    this.totalRejected = 0;
+  }
+
+  /**
+   * 호출 허용 여부를 확인하고, 허용하면 호출 시작으로 기록합니다.
+   * open 상태에서 resetTimeout 이 지나면 half-open 으로 전환해 시험 호출을 허용합니다.
+   * @returns {boolean} 호출 허용 여부
+   */
+  tryAcquire() {
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = CircuitState.HALF_OPEN;
+      this.halfOpenCalls = 0;
+    }
+
+    if (this.state === CircuitState.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CircuitState.HALF_OPEN && this.halfOpenCalls < this.halfOpenMaxCalls) {
+      this.halfOpenCalls++;
+      return true;
+    }
+
+    this.totalRejected++;
+    return false;
+  }
+
+  /**
+   * 성공 / 실패로 집계하지 않고 호출을 마칩니다. (half-open 시험 호출 슬롯만 반환)
+   */
+  release() {
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+    }
+  }
+
+  /**
+   * 호출 성공을 기록합니다. half-open 상태였다면 회로를 닫습니다.
+   */
+  onSuccess() {
+    this.failures = 0;
+    this.state = CircuitState.CLOSED;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+
+  /**
+   * 호출 실패를 기록합니다.
+   * 연속 실패가 임계값에 도달하거나 half-open 시험 호출이 실패하면 회로를 엽니다.
+   * @param {Error|string} error - 실패 원인
+   */
+  onFailure(error) {
+    this.failures++;
+    this.totalFailures++;
+    this.lastError = error instanceof Error ? error.message : String(error);
+
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+      this.halfOpenCalls = 0;
+    }
+  }
+
+  /**
+   * 다음 시험 호출까지 남은 시간을 반환합니다.
+   * @returns {number} 밀리초 (open 상태가 아니면 0)
+   */
+  getRetryAfter() {
+    if (this.state !== CircuitState.OPEN) {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.resetTimeout - Date.now());
+  }
+
+  /**
+   * 조회용 상태를 반환합니다.
+   * @returns {Object} { key, state, failures, failureThreshold, openedAt, retryAfterMs, lastError, totalFailures, totalRejected }
+   */
+  getState() {
+    return {
+      key: this.key,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRetryAfter(),
+      lastError: this.lastError,
+      totalFailures: this.totalFailures,
+      totalRejected: this.totalRejected
+    };
+  }
+}
+
+class CircuitBreakerRegistry {
+  /**
+   * 생성자
+   * targets 에 에이전트(`cartAgent`) 또는 의도(`cartAgent.addToCart`) 키로 선언된 대상만 브레이커를 가집니다.
+   * 의도 설정이 에이전트 설정보다, 에이전트 설정이 기본값보다 우선합니다.
+   * @param {Object} options - config.a2a.circuitBreaker
+   * @param {Object} options.targets - 대상별 브레이커 옵션
+   * @param {Object} options.fallbacks - 의도 키별 대체 경로 ({ toAgent, intent })
+   */
+  constructor(options = {}) {
+    const { targets = {}, fallbacks = {}, ...defaults } = options;
+    this.defaults = defaults;
+    this.targets = targets;
+    this.fallbacks = { ...fallbacks };
+    this.breakers = new Map();
+  }
+
+  /**
+   * 대상의 브레이커를 가져옵니다. (최초 조회 시 생성)
+   * @param {string} agentId - 대상 에이전트 ID
+   * @param {string} intent - 메시지 의도
+   * @returns {CircuitBreaker|null} 브레이커 (선언되지 않은 대상이면 null)
+   */
+  getBreaker(agentId, intent) {
+    const key = `${agentId}.${intent}`;
+    if (this.breakers.has(key)) {
+      return this.breakers.get(key);
+    }
+
+    const agentOptions = this.targets[agentId];
+    const intentOptions = this.targets[key];
+    if (!agentOptions && !intentOptions) {
+      return null;
+    }
+
+    const breaker = new CircuitBreaker(key, { ...this.defaults, ...agentOptions, ...intentOptions });
+    this.breakers.set(key, breaker);
+    return breaker;
+  }
+
+  /**
+   * 의도에 선언된 대체 경로를 가져옵니다.
+   * @param {string} agentId - 대상 에이전트 ID
+   * @param {string} intent - 메시지 의도
+   * @returns {{toAgent: string, intent: string}|null} 대체 경로
+   */
+  getFallback(agentId, intent) {
+    return this.fallbacks[`${agentId}.${intent}`] || null;
+  }
+
+  /**
+   * 대체 경로를 등록합니다.
+   * @param {string} key - 의도 키 (`<agentId>.<intent>`)
+   * @param {Object} route - { toAgent, intent }
+   */
+  setFallback(key, route) {
+    this.fallbacks[key] = route;
+  }
+
+  /**
+   * 생성된 모든 브레이커 상태를 반환합니다.
+   * @returns {Array<Object>} 브레이커 상태 배열
+   */
+  getStates() {
+    return Array.from(this.breakers.values()).map(breaker => breaker.getState());
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.CircuitBreakerRegistry = CircuitBreakerRegistry;
+module.exports.CircuitState = CircuitState;
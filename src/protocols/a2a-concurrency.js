@@ -0,0 +1,112 @@
+/**
+ * A2A 동시 실행 제한기
+ * 에이전트 / 의도 단위로 동시에 처리할 수 있는 메시지 수와 대기열 길이를 제한합니다.
+ * 대기열까지 가득 차면 호출자가 즉시 거절(A2ABusyError)할 수 있도록 null 을 반환합니다.
+ */
+
+class ConcurrencyLimiter {
+  /**
+   * 생성자
+   * @param {Object} options - 제한 옵션
+   * @param {number} options.maxConcurrent - 최대 동시 처리 수 (기본값: 제한 없음)
+   * @param {number} options.maxQueue - 최대 대기열 길이 (기본값: 0, 대기 없이 거절)
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || Infinity;
+    this.maxQueue = options.maxQueue || 0;
+    this.active = 0;
+    this.queue = [];
+    this.processed = 0;
+    this.rejected = 0;
+    this.peakQueued = 0;
+    this.waited = 0;
+    this.totalWaitMs = 0;
+  }
+
+  /**
+   * 처리 슬롯을 요청합니다.
+   * 빈 슬롯이 있으면 즉시, 없으면 대기열에서 차례가 올 때 해제 함수로 이행합니다.
+   * 대기 중 signal 이 abort 되면 대기열에서 빠지고 signal.reason 으로 거부합니다.
+   * @param {AbortSignal} signal - 대기 취소 신호 (선택)
+   * @returns {Promise<Function>|null} 슬롯 해제 함수 Promise (대기열이 가득 차면 null)
+   */
+  acquire(signal) {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve(this.createRelease());
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.rejected++;
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { enqueuedAt: Date.now(), resolve, reject, onAbort: null };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          this.queue.splice(this.queue.indexOf(waiter), 1);
+          reject(signal.reason || new Error('Aborted while waiting for a concurrency slot'));
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+        waiter.signal = signal;
+      }
+
+      this.queue.push(waiter);
+      this.peakQueued = Math.max(this.peakQueued, this.queue.length);
+    });
+  }
+
+  /**
+   * 한 번만 동작하는 슬롯 해제 함수를 만듭니다.
+   * 해제 시 대기열의 다음 요청에 슬롯을 넘깁니다.
+   * @returns {Function} 슬롯 해제 함수
+   * @private
+   */
+  createRelease() {
+    let released = false;
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.processed++;
+
+      const next = this.queue.shift();
+      if (!next) {
+        this.active--;
+        return;
+      }
+
+      if (next.signal) {
+        next.signal.removeEventListener('abort', next.onAbort);
+      }
+      this.waited++;
+      this.totalWaitMs += Date.now() - next.enqueuedAt;
+      next.resolve(this.createRelease());
+    };
+  }
+
+  /**
+   * 대기열 지표를 반환합니다.
+   * averageWaitMs 는 대기열을 거친 요청의 평균 대기 시간입니다.
+   * @returns {Object} { maxConcurrent, maxQueue, active, queued, processed, rejected, peakQueued, averageWaitMs }
+   */
+  getMetrics() {
+    return {
+      maxConcurrent: this.maxConcurrent === Infinity ? null : this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      active: this.active,
+      queued: this.queue.length,
+      processed: this.processed,
+      rejected: this.rejected,
+      peakQueued: this.peakQueued,
+      averageWaitMs: this.waited > 0 ? Math.round(this.totalWaitMs / this.waited) : 0
+    };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
+module.exports.ConcurrencyLimiter = ConcurrencyLimiter;
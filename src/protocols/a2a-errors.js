@@ -0,0 +1,188 @@
+/**
+ * A2A 프로토콜 오류 클래스
+ * 라우터와 에이전트가 던지는 오류를 유형별로 구분합니다.
+ */
+
+/**
+ * A2A 오류 기본 클래스
+ */
+class A2AError extends Error {
+  /**
+   * @param {string} message - 오류 메시지
+   * @param {Object} details - 추가 정보
+   * @param {string} details.code - 오류 코드
+   * @param {boolean} details.retryable - 재시도 가능 여부
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code || 'A2A_ERROR';
+    this.retryable = details.retryable || false;
+  }
+
+  /**
+   * JSON 직렬화용 표현을 반환합니다.
+   * @returns {Object} 오류 정보
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable
+    };
+  }
+}
+
+/**
+ * 메시지 처리 기한 초과 오류
+ */
+class A2ATimeoutError extends A2AError {
+  /**
+   * @param {Object} message - 기한을 초과한 A2A 메시지
+   * @param {number} timeoutMs - 적용된 제한 시간 (밀리초)
+   */
+  constructor(message, timeoutMs) {
+    super(`Message ${message.messageId} to ${message.toAgent} (${message.intent}) timed out after ${timeoutMs}ms`, {
+      code: 'A2A_TIMEOUT',
+      retryable: true
+    });
+    this.messageId = message.messageId;
+    this.correlationId = message.correlationId;
+    this.toAgent = message.toAgent;
+    this.intent = message.intent;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * 호출자에 의한 메시지 처리 취소 오류
+ */
+class A2ACancelledError extends A2AError {
+  /**
+   * @param {Object} message - 취소된 A2A 메시지
+   */
+  constructor(message) {
+    super(`Message ${message.messageId} to ${message.toAgent} (${message.intent}) was cancelled`, {
+      code: 'A2A_CANCELLED'
+    });
+    this.messageId = message.messageId;
+    this.correlationId = message.correlationId;
+    this.toAgent = message.toAgent;
+    this.intent = message.intent;
+  }
+}
+
+/**
+ * 에이전트 / 의도 처리 대기열 포화 오류
+ * 잠시 후 재시도할 수 있는 일시적 과부하를 나타냅니다.
+ */
+class A2ABusyError extends A2AError {
+  /**
+   * @param {Object} message - 거절된 A2A 메시지
+   * @param {Object} details - 포화 정보
+   * @param {string} details.scope - 포화된 제한 범위 ('agent' 또는 'intent')
+   * @param {number} details.maxConcurrent - 최대 동시 처리 수
+   * @param {number} details.maxQueue - 최대 대기열 길이
+   */
+  constructor(message, details = {}) {
+    const target = details.scope === 'intent' ? `${message.toAgent}.${message.intent}` : message.toAgent;
+    super(`${target} is busy: ${details.maxConcurrent} in flight and ${details.maxQueue} queued`, {
+      code: 'A2A_BUSY',
+      retryable: true
+    });
+    this.messageId = message.messageId;
+    this.correlationId = message.correlationId;
+    this.toAgent = message.toAgent;
+    this.intent = message.intent;
+    this.scope = details.scope;
+    this.maxConcurrent = details.maxConcurrent;
+    this.maxQueue = details.maxQueue;
+  }
+
+  /**
+   * JSON 직렬화용 표현을 반환합니다.
+   * @returns {Object} 오류 정보 (포화 범위 포함)
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      scope: this.scope
+    };
+  }
+}
+
+/**
+ * 서킷 브레이커가 열려 호출을 거절한 오류
+ */
+class A2ACircuitOpenError extends A2AError {
+  /**
+   * @param {Object} message - 거절된 A2A 메시지
+   * @param {number} retryAfterMs - 다음 시험 호출까지 남은 시간 (밀리초)
+   */
+  constructor(message, retryAfterMs) {
+    super(`Circuit for ${message.toAgent}.${message.intent} is open`, {
+      code: 'A2A_CIRCUIT_OPEN',
+      retryable: true
+    });
+    this.messageId = message.messageId;
+    this.correlationId = message.correlationId;
+    this.toAgent = message.toAgent;
+    this.intent = message.intent;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * JSON 직렬화용 표현을 반환합니다.
+   * @returns {Object} 오류 정보 (재시도 대기 시간 포함)
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      retryAfterMs: this.retryAfterMs
+    };
+  }
+}
+
+/**
+ * 의도 계약(JSON Schema) 위반 오류
+ */
+class A2AValidationError extends A2AError {
+  /**
+   * @param {Object} message - 검증에 실패한 A2A 메시지
+   * @param {Array<Object>} errors - { path, keyword, message } 형태의 검증 오류 목록
+   * @param {string} target - 검증 대상 ('payload' 또는 'response')
+   */
+  constructor(message, errors, target = 'payload') {
+    const summary = errors.map(error => `${error.path} ${error.message}`).join('; ');
+    super(`Invalid ${target} for ${message.toAgent}.${message.intent}: ${summary}`, {
+      code: 'A2A_VALIDATION'
+    });
+    this.messageId = message.messageId;
+    this.toAgent = message.toAgent;
+    this.intent = message.intent;
+    this.target = target;
+    this.errors = errors;
+  }
+
+  /**
+   * JSON 직렬화용 표현을 반환합니다.
+   * @returns {Object} 오류 정보 (검증 오류 목록 포함)
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      target: this.target,
+      errors: this.errors
+    };
+  }
+}
+
+module.exports = {
+  A2AError,
+  A2ATimeoutError,
+  A2ACancelledError,
+  A2ABusyError,
+  A2ACircuitOpenError,
+  A2AValidationError
+};
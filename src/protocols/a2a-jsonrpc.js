@@ -0,0 +1,396 @@
+/**
+ * A2A JSON-RPC 핸들러
+ * 외부 에이전트의 `tasks/send` / `tasks/sendSubscribe` / `tasks/get` 요청을 라우터 메시지로 변환합니다.
+ */
+const { A2AValidationError } = require('./a2a-errors');
+const { parseSkillId, isExposed } = require('./a2a-agent-card');
+
+/**
+ * JSON-RPC 오류 코드
+ */
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  TASK_NOT_FOUND: -32001
+};
+
+/**
+ * 텍스트 파트를 채울 payload 필드 (스킬별)
+ */
+const DEFAULT_TEXT_FIELDS = {
+  'dialogAgent.userMessage': 'userMessage',
+  'productRecommendationAgent.getRecommendation': 'userQuery'
+};
+
+/**
+ * 호출자별 작업 키를 만듭니다. 작업 저장 키이자 라우터 메시지의 correlationId 로 사용합니다.
+ * @param {string} taskId - 작업 ID
+ * @param {Object} caller - 인증된 호출자 ({ id }) (선택)
+ * @returns {string} 작업 키 (`<호출자>/<작업 ID>`, 호출자가 없으면 작업 ID)
+ */
+function callerTaskKey(taskId, caller) {
+  return caller ? `${caller.id}/${taskId}` : taskId;
+}
+
+/**
+ * JSON-RPC 처리 중 발생하는 오류
+ */
+class JsonRpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC 오류 코드
+   * @param {string} message - 오류 메시지
+   * @param {any} data - 추가 정보
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class A2AJsonRpcHandler {
+  /**
+   * 생성자
+   * @param {Object} router - A2A 라우터 인스턴스
+   * @param {Object} options - 핸들러 옵션
+   * @param {Object} options.exposedIntents - 에이전트별 공개 의도 목록
+   * @param {string} options.defaultSkill - 스킬을 지정하지 않은 요청의 대상 (기본값: dialogAgent.userMessage)
+   * @param {number} options.maxTasks - 메모리에 보관할 최대 작업 수 (기본값: 1000)
+   * @param {string} options.gatewayId - 라우터 메시지의 발신자 ID (기본값: a2aGateway)
+   */
+  constructor(router, options = {}) {
+    this.router = router;
+    this.exposedIntents = options.exposedIntents || {};
+    this.defaultSkill = options.defaultSkill || 'dialogAgent.userMessage';
+    this.textFields = options.textFields || DEFAULT_TEXT_FIELDS;
+    this.maxTasks = options.maxTasks || 1000;
+    this.gatewayId = options.gatewayId || 'a2aGateway';
+    this.tasks = new Map();
+    this.logger = console;
+  }
+
+  /**
+   * JSON-RPC 요청을 처리합니다.
+   * `tasks/sendSubscribe` 는 스트리밍 전송(onUpdate)이 있을 때만 지원하며,
+   * 중간 업데이트를 onUpdate 로 전달한 뒤 최종 상태 이벤트(final: true)를 응답으로 반환합니다.
+   * caller 가 있으면 세션과 작업을 호출자 범위로 묶어, 다른 호출자의 세션(장바구니)이나 작업에 접근할 수 없습니다.
+   * @param {Object} request - JSON-RPC 2.0 요청 객체
+   * @param {Function} onUpdate - 중간 응답 수신 함수 (JSON-RPC 응답 객체) (선택)
+   * @param {Object} caller - 인증된 호출자 ({ id }, a2a-auth.js) (선택, 없으면 내부 호출)
+   * @returns {Promise<Object>} JSON-RPC 2.0 응답 객체
+   */
+  async handle(request, onUpdate, caller) {
+    const id = request && request.id !== undefined ? request.id : null;
+
+    try {
+      if (!request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC request');
+      }
+
+      let result;
+      switch (request.method) {
+        case 'tasks/send':
+          result = await this.sendTask(request.params || {}, undefined, caller);
+          break;
+
+        case 'tasks/sendSubscribe': {
+          if (typeof onUpdate !== 'function') {
+            throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'tasks/sendSubscribe requires a streaming transport');
+          }
+
+          const task = await this.sendTask(request.params || {}, update => {
+            onUpdate({ jsonrpc: '2.0', id, result: update });
+          }, caller);
+          result = { id: task.id, status: task.status, final: true };
+          break;
+        }
+
+        case 'tasks/get':
+          result = this.getTask(request.params || {}, caller);
+          break;
+
+        default:
+          throw new JsonRpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+      }
+
+      return { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      return { jsonrpc: '2.0', id, error: this.toRpcError(error) };
+    }
+  }
+
+  /**
+   * `tasks/send` - 메시지를 대상 에이전트로 전달하고 작업 결과를 반환합니다.
+   * onUpdate 가 있으면 라우터 진행 이벤트를 TaskStatusUpdateEvent / TaskArtifactUpdateEvent 로 전달합니다.
+   * @param {Object} params - { id, sessionId, message, metadata: { skill, traceparent } }
+   * @param {Function} onUpdate - 작업 업데이트 이벤트 수신 함수 (선택)
+   * @param {Object} caller - 인증된 호출자 ({ id }) (선택)
+   * @returns {Promise<Object>} A2A Task
+   */
+  async sendTask(params, onUpdate, caller) {
+    if (typeof params.id !== 'string' || !params.id) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'params.id is required');
+    }
+
+    if (!params.message || !Array.isArray(params.message.parts)) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'params.message.parts is required');
+    }
+
+    const skillId = (params.metadata && params.metadata.skill) || this.defaultSkill;
+    const skill = parseSkillId(skillId);
+    if (!skill || !isExposed(this.exposedIntents, skill.agentId, skill.intent)) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown skill: ${skillId}`);
+    }
+
+    const sessionId = params.sessionId || params.id;
+    const payload = this.buildPayload(skillId, params.message, this.bindSessionId(sessionId, caller));
+    const taskKey = this.taskKey(params.id, caller);
+    const task = this.tasks.get(taskKey) || {
+      key: taskKey,
+      id: params.id,
+      sessionId,
+      status: null,
+      artifacts: [],
+      history: [],
+      metadata: { skill: skillId }
+    };
+
+    task.history.push({ role: 'user', parts: params.message.parts });
+    this.updateStatus(task, 'working');
+    this.storeTask(task);
+
+    const routeOptions = {};
+    if (onUpdate) {
+      routeOptions.onEvent = (event) => {
+        onUpdate({
+          id: task.id,
+          status: { state: 'working', message: this.toProgressMessage(event), timestamp: event.timestamp },
+          final: false
+        });
+      };
+    }
+
+    const message = {
+      fromAgent: this.gatewayId,
+      toAgent: skill.agentId,
+      messageType: 'request',
+      intent: skill.intent,
+      payload,
+      // 진행 이벤트 구독은 correlationId 기준이므로 호출자별 작업 키를 사용 (작업 ID 는 응답에만 사용)
+      correlationId: task.key
+    };
+
+    // 호출자의 추적 컨텍스트를 이어받습니다. (metadata.traceparent)
+    if (params.metadata && params.metadata.traceparent) {
+      message.traceparent = params.metadata.traceparent;
+    }
+
+    try {
+      const result = await this.router.sendMessage(message, routeOptions);
+
+      const agentMessage = this.toAgentMessage(result);
+      task.history.push(agentMessage);
+      task.artifacts = [{ name: 'result', parts: [{ type: 'data', data: result }] }];
+      this.updateStatus(task, result && result.success === false ? 'failed' : 'completed', agentMessage);
+
+      if (onUpdate) {
+        onUpdate({ id: task.id, artifact: task.artifacts[0] });
+      }
+    } catch (error) {
+      if (error instanceof A2AValidationError) {
+        this.tasks.delete(task.key);
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, error.message, error.toJSON());
+      }
+
+      this.logger.error(`JSON-RPC 작업 처리 오류: ${task.id}`, error);
+      this.updateStatus(task, 'failed', {
+        role: 'agent',
+        parts: [{ type: 'text', text: error.message }]
+      });
+    }
+
+    return this.serializeTask(task);
+  }
+
+  /**
+   * `tasks/get` - 저장된 작업을 조회합니다. (호출자 자신의 작업만)
+   * @param {Object} params - { id, historyLength }
+   * @param {Object} caller - 인증된 호출자 ({ id }) (선택)
+   * @returns {Object} A2A Task
+   */
+  getTask(params, caller) {
+    const task = this.tasks.get(this.taskKey(params.id, caller));
+    if (!task) {
+      throw new JsonRpcError(JSONRPC_ERRORS.TASK_NOT_FOUND, `Task not found: ${params.id}`);
+    }
+
+    return this.serializeTask(task, params.historyLength);
+  }
+
+  /**
+   * 작업 저장 키이자 라우터 메시지의 correlationId (호출자별로 작업 ID 공간을 나눔)
+   * @param {string} taskId - 작업 ID
+   * @param {Object} caller - 인증된 호출자 ({ id }) (선택)
+   * @returns {string} 저장 키
+   * @private
+   */
+  taskKey(taskId, caller) {
+    return callerTaskKey(taskId, caller);
+  }
+
+  /**
+   * 에이전트에 전달할 세션 ID (호출자 ID 로 한정해 다른 호출자의 세션과 겹치지 않게 함)
+   * @param {string} sessionId - 요청의 세션 ID
+   * @param {Object} caller - 인증된 호출자 ({ id }) (선택)
+   * @returns {string} 세션 ID
+   * @private
+   */
+  bindSessionId(sessionId, caller) {
+    return caller ? `a2a:${caller.id}:${sessionId}` : sessionId;
+  }
+
+  /**
+   * 메시지 파트로 에이전트 payload 를 구성합니다.
+   * data 파트는 payload 에 병합하고, text 파트는 스킬별 텍스트 필드에 채웁니다.
+   * 세션 ID 는 data 파트의 값과 관계없이 작업의 세션 ID 로 채웁니다.
+   * @param {string} skillId - 스킬 ID
+   * @param {Object} message - A2A 메시지 ({ role, parts })
+   * @param {string} sessionId - 세션 ID
+   * @returns {Object} 에이전트 payload
+   * @private
+   */
+  buildPayload(skillId, message, sessionId) {
+    const payload = {};
+    const texts = [];
+
+    for (const part of message.parts) {
+      if (part.type === 'data' && part.data && typeof part.data === 'object') {
+        Object.assign(payload, part.data);
+      } else if (part.type === 'text' && typeof part.text === 'string') {
+        texts.push(part.text);
+      }
+    }
+
+    const textField = this.textFields[skillId];
+    if (textField && payload[textField] === undefined && texts.length > 0) {
+      payload[textField] = texts.join('\n');
+    }
+
+    payload.sessionId = sessionId;
+
+    return payload;
+  }
+
+  /**
+   * 에이전트 응답을 A2A 메시지로 변환합니다.
+   * @param {Object} result - 에이전트 응답
+   * @returns {Object} A2A 메시지
+   * @private
+   */
+  toAgentMessage(result) {
+    const parts = [];
+
+    if (result && typeof result.response === 'string') {
+      parts.push({ type: 'text', text: result.response });
+    }
+    parts.push({ type: 'data', data: result || {} });
+
+    return { role: 'agent', parts };
+  }
+
+  /**
+   * 라우터 진행 이벤트를 A2A 메시지로 변환합니다.
+   * @param {Object} event - 라우터 이벤트
+   * @returns {Object} A2A 메시지
+   * @private
+   */
+  toProgressMessage(event) {
+    const parts = [];
+
+    if (typeof event.message === 'string') {
+      parts.push({ type: 'text', text: event.message });
+    }
+    parts.push({ type: 'data', data: event });
+
+    return { role: 'agent', parts };
+  }
+
+  /**
+   * 작업 상태를 갱신합니다.
+   * @param {Object} task - 작업
+   * @param {string} state - 작업 상태 (working / completed / failed)
+   * @param {Object} message - 상태 메시지 (선택)
+   * @private
+   */
+  updateStatus(task, state, message) {
+    task.status = { state, timestamp: new Date().toISOString() };
+    if (message) {
+      task.status.message = message;
+    }
+  }
+
+  /**
+   * 작업을 저장합니다. 최대 개수를 넘으면 가장 오래된 작업부터 제거합니다.
+   * @param {Object} task - 작업
+   * @private
+   */
+  storeTask(task) {
+    this.tasks.delete(task.key);
+    this.tasks.set(task.key, task);
+
+    while (this.tasks.size > this.maxTasks) {
+      this.tasks.delete(this.tasks.keys().next().value);
+    }
+  }
+
+  /**
+   * 응답용 작업 사본을 만듭니다.
+   * @param {Object} task - 작업
+   * @param {number} historyLength - 포함할 최근 기록 수 (선택)
+   * @returns {Object} A2A Task
+   * @private
+   */
+  serializeTask(task, historyLength) {
+    const history = typeof historyLength === 'number'
+      ? (historyLength > 0 ? task.history.slice(-historyLength) : [])
+      : task.history;
+
+    return {
+      id: task.id,
+      sessionId: task.sessionId,
+      status: task.status,
+      artifacts: task.artifacts,
+      history,
+      metadata: task.metadata
+    };
+  }
+
+  /**
+   * 오류를 JSON-RPC 오류 객체로 변환합니다.
+   * @param {Error} error - 발생한 오류
+   * @returns {Object} { code, message, data }
+   * @private
+   */
+  toRpcError(error) {
+    if (error instanceof JsonRpcError) {
+      const rpcError = { code: error.code, message: error.message };
+      if (error.data !== undefined) {
+        rpcError.data = error.data;
+      }
+      return rpcError;
+    }
+
+    this.logger.error('JSON-RPC 처리 오류:', error);
+    return { code: JSONRPC_ERRORS.INTERNAL_ERROR, message: 'Internal error' };
+  }
+}
+
+module.exports = A2AJsonRpcHandler;
+module.exports.A2AJsonRpcHandler = A2AJsonRpcHandler;
+module.exports.JsonRpcError = JsonRpcError;
+module.exports.JSONRPC_ERRORS = JSONRPC_ERRORS;
+module.exports.callerTaskKey = callerTaskKey;
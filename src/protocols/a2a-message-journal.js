@@ -0,0 +1,333 @@
+/**
+ * A2A 메시지 저널
+ * 라우터를 거친 요청 / 응답 / 오류를 최근 N개까지 메모리에 보관하고,
+ * 설정된 경우 저장소(src/storage/repositories)에 영구 기록합니다.
+ * 개인정보 필드와 자유 텍스트(userMessage 등) 안의 CPF / CEP / 카드 번호는 기록 전에 마스킹합니다.
+ */
+
+// 기본 마스킹 대상 필드 (대소문자 무시)
+const DEFAULT_REDACT_FIELDS = [
+  'password',
+  'cpf',
+  'cnpj',
+  'rg',
+  'cardNumber',
+  'cardCvv',
+  'cvv',
+  'securityCode',
+  'creditCard',
+  'email',
+  'name',
+  'nome',
+  'address',
+  'endereco',
+  'cep',
+  'phone',
+  'telephone',
+  'token',
+  'apiKey',
+  'authorization'
+];
+
+const REDACTED = '[REDACTED]';
+
+// 문자열 값 안에서 마스킹할 패턴 (긴 숫자열부터 적용: 카드 번호 → CPF → CEP)
+const REDACT_PATTERNS = [
+  /\b\d(?:[ -]?\d){12,18}\b/g,
+  /\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/g,
+  /\b\d{5}-?\d{3}\b/g
+];
+
+/**
+ * 문자열 안의 CPF / CEP / 카드 번호를 마스킹합니다.
+ * @param {string} text - 원본 문자열
+ * @returns {string} 마스킹된 문자열
+ */
+function redactText(text) {
+  return REDACT_PATTERNS.reduce((result, pattern) => result.replace(pattern, REDACTED), text);
+}
+
+/**
+ * 값에서 마스킹 대상 필드를 재귀적으로 치환한 사본을 만듭니다. (문자열 값은 redactText 적용)
+ * @param {any} value - 원본 값
+ * @param {Set<string>} fields - 소문자로 정규화된 마스킹 대상 필드
+ * @returns {any} 마스킹된 사본
+ */
+function redact(value, fields) {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, fields));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = fields.has(key.toLowerCase()) ? REDACTED : redact(item, fields);
+    }
+    return result;
+  }
+
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+
+  return value;
+}
+
+class A2AMessageJournal {
+  /**
+   * 생성자
+   * @param {Object} options - 저널 옵션
+   * @param {number} options.maxEntries - 메모리에 보관할 최대 항목 수 (기본값: 1000)
+   * @param {Array<string>} options.redactFields - 마스킹할 필드 이름 목록
+   * @param {Object} options.repository - 영구 기록용 저장소 (Repository 인터페이스, 선택)
+   * @param {number} options.maxPersistedEntries - 저장소에 보관할 최대 항목 수 (기본값: 10000)
+   * @param {number} options.pruneEvery - 저장소 정리 주기 (기록 횟수, 기본값: 100)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.redactFields = new Set((options.redactFields || DEFAULT_REDACT_FIELDS).map(field => field.toLowerCase()));
+    this.repository = options.repository || null;
+    this.maxPersistedEntries = options.maxPersistedEntries || 10000;
+    this.pruneEvery = options.pruneEvery || 100;
+    this.entries = [];
+    this.pending = new Set();
+    this.writesSincePrune = 0;
+    this.logger = console;
+  }
+
+  /**
+   * 설정으로 저널을 생성합니다.
+   * backend 가 'memory' 가 아니면 저장소 팩토리로 영구 저장소를 만듭니다.
+   * @param {Object} journalConfig - config.a2a.journal
+   * @returns {A2AMessageJournal} 저널 인스턴스
+   */
+  static fromConfig(journalConfig = {}) {
+    const { backend = 'memory', ...options } = journalConfig;
+    const repository = backend === 'memory' ? null : createJournalRepository(backend, options);
+    return new A2AMessageJournal({ ...options, repository });
+  }
+
+  /**
+   * 메시지 이벤트를 기록합니다.
+   * 메모리 기록은 즉시 반영되고, 저장소 기록은 백그라운드로 진행됩니다. (flush()로 대기)
+   * @param {string} kind - 기록 종류 ('request' / 'response' / 'error')
+   * @param {Object} message - A2A 메시지
+   * @param {Object} details - 추가 정보 ({ response, error, durationMs, external })
+   * @returns {Object} 기록된 항목
+   */
+  record(kind, message, details = {}) {
+    const entry = {
+      kind,
+      messageId: message.messageId,
+      correlationId: message.correlationId || null,
+      inReplyTo: message.inReplyTo || null,
+      fromAgent: message.fromAgent,
+      toAgent: message.toAgent,
+      messageType: message.messageType,
+      intent: message.intent,
+      sessionId: (message.payload && message.payload.sessionId) || null,
+      external: Boolean(details.external),
+      payload: kind === 'request' ? this.redact(message.payload) : null,
+      response: details.response !== undefined ? this.redact(details.response) : null,
+      error: details.error ? { name: details.error.name, code: details.error.code || null, message: details.error.message } : null,
+      durationMs: details.durationMs !== undefined ? details.durationMs : null,
+      recordedAt: new Date().toISOString()
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    if (this.repository) {
+      this.persist(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * 마스킹 대상 필드를 치환한 사본을 반환합니다.
+   * @param {any} value - 원본 값
+   * @returns {any} 마스킹된 사본
+   */
+  redact(value) {
+    return redact(value, this.redactFields);
+  }
+
+  /**
+   * 메모리에 보관 중인 항목을 조회합니다.
+   * @param {Object} filter - 조회 조건
+   * @param {string} filter.correlationId - 상관관계 ID
+   * @param {string} filter.sessionId - 세션 ID
+   * @param {string} filter.kind - 기록 종류
+   * @param {number} filter.limit - 최근 항목 수
+   * @returns {Array<Object>} 항목 배열 (기록 순)
+   */
+  getEntries(filter = {}) {
+    const entries = this.entries.filter(entry => (
+      (!filter.correlationId || entry.correlationId === filter.correlationId) &&
+      (!filter.sessionId || entry.sessionId === filter.sessionId) &&
+      (!filter.kind || entry.kind === filter.kind)
+    ));
+
+    return filter.limit ? entries.slice(-filter.limit) : entries;
+  }
+
+  /**
+   * 대화 기록을 불러옵니다.
+   * 저장소가 있으면 저장소에서, 없으면 메모리에서 조회합니다.
+   * @param {Object} filter - { correlationId } 또는 { sessionId }
+   * @returns {Promise<Array<Object>>} 기록 순으로 정렬된 항목 배열
+   */
+  async loadConversation(filter) {
+    if (!this.repository) {
+      return this.getEntries(filter);
+    }
+
+    await this.flush();
+
+    const query = filter.correlationId
+      ? { correlationId: filter.correlationId }
+      : { sessionId: filter.sessionId };
+
+    return await this.repository.find(query, { sort: { recordedAt: 'asc' } });
+  }
+
+  /**
+   * 진행 중인 저장소 기록이 끝날 때까지 기다립니다.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * 항목을 저장소에 기록합니다. 실패는 로그만 남깁니다.
+   * @param {Object} entry - 기록할 항목
+   * @private
+   */
+  persist(entry) {
+    const write = this.repository.create(entry)
+      .then(() => {
+        this.writesSincePrune++;
+        if (this.writesSincePrune >= this.pruneEvery) {
+          this.writesSincePrune = 0;
+          return this.prune();
+        }
+      })
+      .catch(error => {
+        this.logger.error('메시지 저널 기록 오류:', error);
+      })
+      .finally(() => {
+        this.pending.delete(write);
+      });
+
+    this.pending.add(write);
+  }
+
+  /**
+   * 저장소 항목이 최대 개수를 넘으면 오래된 항목부터 삭제합니다.
+   * @returns {Promise<number>} 삭제한 항목 수
+   */
+  async prune() {
+    const total = await this.repository.count();
+    const excess = total - this.maxPersistedEntries;
+    if (excess <= 0) {
+      return 0;
+    }
+
+    const oldest = await this.repository.find({}, { sort: { recordedAt: 'asc' }, limit: excess });
+    await Promise.all(oldest.map(entry => this.repository.delete(entry.id)));
+
+    return oldest.length;
+  }
+}
+
+/**
+ * 저널 저장소를 생성합니다. (src/storage/repositories 재사용)
+ * @param {string} backend - 'json_file' 또는 'firebase'
+ * @param {Object} options - { dataDir, collectionName, entityType }
+ * @returns {Object} Repository 인스턴스
+ */
+function createJournalRepository(backend, options = {}) {
+  // 저장소 모듈은 TypeScript 이므로 영구 저장소를 사용할 때만 불러옵니다.
+  const { repositoryFactory, RepositoryType } = require('../storage/repositories');
+  const entityType = options.entityType || 'a2a-messages';
+
+  switch (backend) {
+    case 'json_file':
+      return repositoryFactory.createRepository(entityType, RepositoryType.JSON_FILE, {
+        dataDir: options.dataDir,
+        saveInterval: options.saveInterval
+      });
+
+    case 'firebase':
+      return repositoryFactory.createRepository(entityType, RepositoryType.FIREBASE, {
+        collectionName: options.collectionName || entityType,
+        useCache: false
+      });
+
+    default:
+      throw new Error(`Unknown journal backend: ${backend}`);
+  }
+}
+
+/**
+ * 기록된 대화를 현재 에이전트로 다시 실행합니다.
+ * 외부에서 들어온 요청(external)만 순서대로 재전송하고, 내부 메시지는 에이전트가 다시 만들어 냅니다.
+ * @param {Object} router - A2A 라우터 인스턴스
+ * @param {Array<Object>} entries - 저널 항목 (loadConversation 결과)
+ * @param {Object} options - 재실행 옵션
+ * @param {Function} options.onStep - 요청별 결과 콜백 ({ request, recorded, replayed, error, changed })
+ * @returns {Promise<Array<Object>>} 요청별 재실행 결과
+ */
+async function replayEntries(router, entries, options = {}) {
+  const results = [];
+  const recordedResponses = new Map();
+
+  for (const entry of entries) {
+    if (entry.kind !== 'request') {
+      recordedResponses.set(entry.messageId, entry);
+    }
+  }
+
+  const requests = entries
+    .filter(entry => entry.kind === 'request' && entry.external)
+    .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+
+  for (const request of requests) {
+    const recorded = recordedResponses.get(request.messageId) || null;
+    const step = { request, recorded, replayed: null, error: null, changed: false };
+
+    try {
+      step.replayed = await router.sendMessage({
+        fromAgent: request.fromAgent,
+        toAgent: request.toAgent,
+        messageType: request.messageType,
+        intent: request.intent,
+        payload: request.payload,
+        correlationId: request.correlationId ? `replay_${request.correlationId}` : undefined
+      });
+    } catch (error) {
+      step.error = error;
+    }
+
+    const before = recorded && recorded.kind === 'response' ? recorded.response : null;
+    const after = step.error ? null : router.journal ? router.journal.redact(step.replayed) : step.replayed;
+    step.changed = JSON.stringify(before) !== JSON.stringify(after);
+
+    results.push(step);
+    if (typeof options.onStep === 'function') {
+      options.onStep(step);
+    }
+  }
+
+  return results;
+}
+
+module.exports = A2AMessageJournal;
+module.exports.A2AMessageJournal = A2AMessageJournal;
+module.exports.createJournalRepository = createJournalRepository;
+module.exports.replayEntries = replayEntries;
+module.exports.DEFAULT_REDACT_FIELDS = DEFAULT_REDACT_FIELDS;
@@ -0,0 +1,329 @@
+/**
+ * A2A 라우터 미들웨어 모음
+ * 라우터의 메시지 파이프라인(beforeSend / afterResponse / onError)에 연결되는 기본 미들웨어를 제공합니다.
+ *
+ * 미들웨어는 다음 훅을 선택적으로 구현하는 객체입니다.
+ * - beforeSend(message, context): 전달 전 호출. 메시지를 반환하면 해당 메시지로 교체됩니다.
+ * - afterResponse(response, message, context): 응답 수신 후 호출. 값을 반환하면 응답이 교체됩니다.
+ * - onError(error, message, context): 오류 발생 시 호출. 값을 반환하면 오류 대신 해당 값이 응답이 됩니다.
+ */
+const { validateSchema } = require('./a2a-schema');
+const {
+  A2AValidationError,
+  A2ACancelledError,
+  A2ABusyError,
+  A2ACircuitOpenError
+} = require('./a2a-errors');
+const { SpanKind, SpanStatusCode } = require('./a2a-tracing');
+
+/**
+ * 메시지 ID를 생성합니다.
+ * @returns {string} 메시지 ID
+ */
+function generateMessageId() {
+  return `msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * 누락된 messageId / timestamp / correlationId 를 채우는 미들웨어를 생성합니다.
+ * correlationId 가 없으면 대화 흐름의 시작 메시지로 보고 자신의 messageId 를 사용합니다.
+ * @returns {Object} 미들웨어
+ */
+function createMessageDefaultsMiddleware() {
+  return {
+    name: 'messageDefaults',
+    beforeSend(message) {
+      if (!message.messageId) {
+        message.messageId = generateMessageId();
+      }
+
+      if (!message.timestamp) {
+        message.timestamp = new Date().toISOString();
+      }
+
+      if (!message.correlationId) {
+        message.correlationId = message.messageId;
+      }
+    }
+  };
+}
+
+/**
+ * 메시지 형식을 검증하는 미들웨어를 생성합니다.
+ * @param {Object} options - 검증 옵션
+ * @param {Array<string>} options.requiredFields - 필수 필드 목록
+ * @param {Array<string>} options.payloadOptionalTypes - payload 가 없어도 되는 메시지 타입
+ * @returns {Object} 미들웨어
+ */
+function createValidationMiddleware(options = {}) {
+  const requiredFields = options.requiredFields || ['messageId', 'fromAgent', 'toAgent', 'messageType', 'intent'];
+  const payloadOptionalTypes = options.payloadOptionalTypes || ['ping'];
+
+  return {
+    name: 'validation',
+    beforeSend(message) {
+      for (const field of requiredFields) {
+        if (!message[field]) {
+          throw new Error(`Invalid message format: missing required field '${field}'`);
+        }
+      }
+
+      if (!message.payload && !payloadOptionalTypes.includes(message.messageType)) {
+        throw new Error(`Invalid message format: missing required field 'payload'`);
+      }
+    }
+  };
+}
+
+/**
+ * 메시지 송수신을 로깅하는 미들웨어를 생성합니다.
+ * 라우터의 logger / logLevel 설정을 호출 시점에 참조합니다.
+ * @returns {Object} 미들웨어
+ */
+function createLoggingMiddleware() {
+  return {
+    name: 'logging',
+    beforeSend(message, context) {
+      const { logger, logLevel } = context.router;
+
+      if (logLevel === 'debug') {
+        console.log(`message ${message.messageId}: ${message.fromAgent} -> ${message.toAgent} (${message.intent})`);
+        console.log('payload', message);
+      } else {
+        logger.info(`메시지: ${message.messageId} - 전송 [${message.fromAgent} -> ${message.toAgent}] (${message.intent})`);
+        logger.debug('메시지 내용:', message);
+      }
+    },
+    afterResponse(response, message, context) {
+      context.router.logger.info(`메시지: ${message.messageId} - 응답 수신 완료`);
+    },
+    onError(error, message, context) {
+      context.router.logger.error(`메시지 처리 오류 (${message.messageId}):`, error);
+    }
+  };
+}
+
+/**
+ * 대상 에이전트가 선언한 의도 계약(JSON Schema)으로 payload / 응답을 검증하는 미들웨어를 생성합니다.
+ * 계약을 선언하지 않은 의도는 검증 없이 통과합니다.
+ * @param {Object} options - 검증 옵션
+ * @param {boolean} options.enforceResponses - 응답 계약 위반 시 오류를 던질지 여부 (기본값: 경고 로그만 남김)
+ * @returns {Object} 미들웨어
+ */
+function createContractMiddleware(options = {}) {
+  const getContract = (router, message) => {
+    const agent = router.agents.get(message.toAgent);
+    if (!agent || typeof agent.getIntentContract !== 'function') {
+      return null;
+    }
+    return agent.getIntentContract(message.intent);
+  };
+
+  return {
+    name: 'contract',
+    beforeSend(message, context) {
+      const contract = getContract(context.router, message);
+      if (!contract || !contract.payloadSchema) {
+        return;
+      }
+
+      const { valid, errors } = validateSchema(contract.payloadSchema, message.payload);
+      if (!valid) {
+        throw new A2AValidationError(message, errors, 'payload');
+      }
+    },
+    afterResponse(response, message, context) {
+      const contract = getContract(context.router, message);
+      if (!contract || !contract.responseSchema) {
+        return;
+      }
+
+      const { valid, errors } = validateSchema(contract.responseSchema, response);
+      if (valid) {
+        return;
+      }
+
+      const error = new A2AValidationError(message, errors, 'response');
+      if (options.enforceResponses) {
+        throw error;
+      }
+      context.router.logger.warn(error.message);
+    }
+  };
+}
+
+/**
+ * 라우터 메시지 저널에 요청 / 응답 / 오류를 기록하는 미들웨어를 생성합니다.
+ * 라우터의 journal 을 호출 시점에 참조하며, journal 이 없으면 아무 것도 하지 않습니다.
+ * @returns {Object} 미들웨어
+ */
+function createJournalMiddleware() {
+  return {
+    name: 'journal',
+    beforeSend(message, context) {
+      const { journal, agents } = context.router;
+      if (journal) {
+        journal.record('request', message, { external: !agents.has(message.fromAgent) });
+      }
+    },
+    afterResponse(response, message, context) {
+      const { journal } = context.router;
+      if (journal) {
+        journal.record('response', message, { response, durationMs: Date.now() - context.startedAt });
+      }
+    },
+    onError(error, message, context) {
+      const { journal } = context.router;
+      if (journal) {
+        journal.record('error', message, { error, durationMs: Date.now() - context.startedAt });
+      }
+    }
+  };
+}
+
+/**
+ * 메시지마다 processMessage 스팬을 기록하고 traceparent 를 전파하는 미들웨어를 생성합니다.
+ * message.traceparent 가 없으면 현재 활성 스팬(하위 메시지를 보낸 핸들러의 스팬)을 부모로 주입합니다.
+ * 시작한 스팬은 context.state.span 에 두며, 라우터가 핸들러 실행 동안 활성 스팬으로 설정합니다.
+ * @returns {Object} 미들웨어
+ */
+function createTracingMiddleware() {
+  const finish = (context, error) => {
+    const { span } = context.state;
+    if (!span) {
+      return;
+    }
+
+    if (error) {
+      span.recordError(error);
+    } else {
+      span.setStatus(SpanStatusCode.OK);
+    }
+    span.end();
+  };
+
+  return {
+    name: 'tracing',
+    beforeSend(message, context) {
+      const { tracer } = context.router;
+      if (!tracer) {
+        return;
+      }
+
+      if (!message.traceparent) {
+        const active = tracer.activeSpan();
+        if (active) {
+          message.traceparent = active.traceparent;
+        }
+      }
+
+      context.state.span = tracer.startSpan(`${message.toAgent}.processMessage`, {
+        parent: message.traceparent || null,
+        kind: SpanKind.SERVER,
+        attributes: {
+          'a2a.message_id': message.messageId,
+          'a2a.correlation_id': message.correlationId,
+          'a2a.from_agent': message.fromAgent,
+          'a2a.to_agent': message.toAgent,
+          'a2a.message_type': message.messageType,
+          'a2a.intent': message.intent,
+          'session.id': message.payload && message.payload.sessionId
+        }
+      });
+    },
+    afterResponse(response, message, context) {
+      finish(context);
+    },
+    onError(error, message, context) {
+      finish(context, error);
+    }
+  };
+}
+
+/**
+ * 대상 에이전트 / 의도별 서킷 브레이커를 적용하는 미들웨어를 생성합니다.
+ * 회로가 열려 있으면 A2ACircuitOpenError 로 즉시 거절하고, 대체 경로가 선언된 의도는 그 응답으로 대신합니다.
+ * 호출자 측 오류(계약 위반, 취소)와 대기열 포화는 실패로 집계하지 않습니다.
+ * @returns {Object} 미들웨어
+ */
+function createCircuitBreakerMiddleware() {
+  const ignoredErrors = [A2AValidationError, A2ACancelledError, A2ABusyError, A2ACircuitOpenError];
+
+  const settle = (context, failure) => {
+    const { breaker } = context.state;
+    if (!breaker || context.state.breakerSettled) {
+      return;
+    }
+
+    context.state.breakerSettled = true;
+    if (failure) {
+      breaker.onFailure(failure);
+    } else {
+      breaker.onSuccess();
+    }
+  };
+
+  return {
+    name: 'circuitBreaker',
+    beforeSend(message, context) {
+      const { circuitBreakers } = context.router;
+      const breaker = circuitBreakers ? circuitBreakers.getBreaker(message.toAgent, message.intent) : null;
+      if (!breaker) {
+        return;
+      }
+
+      if (!breaker.tryAcquire()) {
+        throw new A2ACircuitOpenError(message, breaker.getRetryAfter());
+      }
+      context.state.breaker = breaker;
+    },
+    afterResponse(response, message, context) {
+      const { breaker } = context.state;
+      const unsuccessful = breaker && breaker.countUnsuccessfulResponses && response && response.success === false;
+      settle(context, unsuccessful ? (response.error || 'Unsuccessful response') : null);
+    },
+    async onError(error, message, context) {
+      if (!ignoredErrors.some(type => error instanceof type)) {
+        settle(context, error);
+      } else if (context.state.breaker && !context.state.breakerSettled) {
+        context.state.breakerSettled = true;
+        context.state.breaker.release();
+      }
+
+      const { router } = context;
+      const fallback = error instanceof A2ACircuitOpenError
+        ? router.circuitBreakers.getFallback(message.toAgent, message.intent)
+        : null;
+      if (!fallback) {
+        return;
+      }
+
+      // 대체 경로도 원래 요청의 남은 제한 시간 안에서 처리 (회로가 열려 거절된 메시지는 dispatch 전이라 deadline 이 없을 수 있음)
+      const deadline = message.deadline
+        || (context.timeout > 0 ? new Date(context.startedAt + context.timeout).toISOString() : undefined);
+
+      router.logger.warn(`회로 열림: ${message.toAgent}.${message.intent} → 대체 경로 ${fallback.toAgent}.${fallback.intent}`);
+      return await router.sendMessage({
+        fromAgent: message.fromAgent,
+        toAgent: fallback.toAgent,
+        messageType: message.messageType,
+        intent: fallback.intent,
+        payload: message.payload,
+        correlationId: message.correlationId,
+        traceparent: message.traceparent,
+        ...(deadline ? { deadline } : {})
+      }, { signal: context.signal });
+    }
+  };
+}
+
+module.exports = {
+  generateMessageId,
+  createMessageDefaultsMiddleware,
+  createValidationMiddleware,
+  createLoggingMiddleware,
+  createContractMiddleware,
+  createJournalMiddleware,
+  createTracingMiddleware,
+  createCircuitBreakerMiddleware
+};
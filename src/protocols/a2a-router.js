@@ -1,13 +1,87 @@
 /**
  * A2A 프로토콜을 위한 기본 라우터 클래스
  * 다양한 에이전트 간의 메시지 라우팅을 담당합니다.
+ * 검증, 로깅 등 부가 기능은 미들웨어 파이프라인으로 조합합니다.
  */
+const {
+  generateMessageId,
+  createMessageDefaultsMiddleware,
+  createValidationMiddleware,
+  createLoggingMiddleware,
+  createContractMiddleware,
+  createJournalMiddleware,
+  createTracingMiddleware,
+  createCircuitBreakerMiddleware
+} = require('./a2a-middleware');
+const A2AMessageJournal = require('./a2a-message-journal');
+const { CircuitBreakerRegistry } = require('./a2a-circuit-breaker');
+const { getTracer } = require('./a2a-tracing');
+const { A2ATimeoutError, A2ACancelledError, A2AValidationError } = require('./a2a-errors');
+const config = require('../../config');
+
 class A2ARouter {
-  constructor() {
+  /**
+   * 생성자
+   * @param {Object} options - 라우터 옵션
+   * @param {Array<Object>} options.middleware - 기본 미들웨어 대신 사용할 미들웨어 목록
+   * @param {number} options.defaultTimeout - 메시지 기본 제한 시간 (밀리초, 0이면 제한 없음)
+   * @param {A2AMessageJournal} options.journal - 메시지 저널 (기본값: config.a2a.journal 설정으로 생성)
+   * @param {A2ATracer} options.tracer - 분산 추적 트레이서 (기본값: 서비스 계층과 공유하는 기본 트레이서)
+   * @param {Object} options.circuitBreaker - 서킷 브레이커 / 대체 경로 설정 (기본값: config.a2a.circuitBreaker)
+   */
+  constructor(options = {}) {
     this.agents = new Map();
-    this.messageQueue = [];
+    this.journal = options.journal || A2AMessageJournal.fromConfig(config.a2a.journal);
+    this.tracer = options.tracer || getTracer();
+    this.circuitBreakers = new CircuitBreakerRegistry(options.circuitBreaker || config.a2a.circuitBreaker);
     this.logger = console; // 기본 로거
     this.logLevel = 'info';
+    this.messageLogEnabled = process.env.NODE_ENV === 'development';
+    this.middleware = [];
+    this.eventListeners = new Map();
+    this.defaultTimeout = options.defaultTimeout !== undefined
+      ? options.defaultTimeout
+      : config.a2a.messageTimeout;
+
+    const middleware = options.middleware || [
+      createMessageDefaultsMiddleware(),
+      createValidationMiddleware(),
+      createCircuitBreakerMiddleware(),
+      createTracingMiddleware(),
+      createContractMiddleware(),
+      createJournalMiddleware(),
+      createLoggingMiddleware()
+    ];
+    middleware.forEach(mw => this.use(mw));
+  }
+
+  /**
+   * 미들웨어를 파이프라인 끝에 추가합니다.
+   * @param {Object} middleware - beforeSend / afterResponse / onError 훅을 가진 객체
+   * @returns {A2ARouter} 체이닝용 라우터 인스턴스
+   */
+  use(middleware) {
+    if (!middleware || typeof middleware !== 'object') {
+      throw new Error('Middleware must be an object');
+    }
+
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * 이름으로 미들웨어를 제거합니다.
+   * @param {string} name - 미들웨어 이름
+   * @returns {boolean} 제거 여부
+   */
+  removeMiddleware(name) {
+    const index = this.middleware.findIndex(mw => mw.name === name);
+    if (index === -1) {
+      return false;
+    }
+
+    this.middleware.splice(index, 1);
+    return true;
   }
 
   /**
@@ -22,63 +96,280 @@ class A2ARouter {
   }
 
   /**
-   * 메시지를 검증합니다.
-   * @param {Object} message - 검증할 메시지
-   * @throws {Error} 메시지가 유효하지 않을 경우 에러를 던집니다.
+   * 에이전트 등록을 해제합니다.
+   * @param {string} agentId - 에이전트 식별자
    */
-  validateMessage(message) {
-    const requiredFields = ['messageId', 'fromAgent', 'toAgent', 'messageType', 'intent', 'payload'];
-    for (const field of requiredFields) {
-      if (!message[field]) {
-        throw new Error('Invalid message format');
+  unregisterAgent(agentId) {
+    this.agents.delete(agentId);
+    this.logger.info(`에이전트 등록 해제: ${agentId}`);
+    return this;
+  }
+
+  /**
+   * 등록된 에이전트를 가져옵니다.
+   * @param {string} agentId - 에이전트 식별자
+   * @returns {Object} 에이전트 인스턴스
+   * @throws {Error} 등록되지 않은 에이전트인 경우
+   */
+  getAgent(agentId) {
+    if (!this.agents.has(agentId)) {
+      throw new Error(`Agent ${agentId} not registered`);
+    }
+    return this.agents.get(agentId);
+  }
+
+  /**
+   * 상관관계 ID 에 속한 진행 이벤트를 구독합니다.
+   * 같은 correlationId 를 이어받은 하위 메시지의 이벤트도 함께 전달됩니다.
+   * @param {string} correlationId - 상관관계 ID
+   * @param {Function} listener - 이벤트 수신 함수 (event) => void
+   * @returns {Function} 구독 해제 함수
+   */
+  subscribe(correlationId, listener) {
+    if (!this.eventListeners.has(correlationId)) {
+      this.eventListeners.set(correlationId, new Set());
+    }
+    this.eventListeners.get(correlationId).add(listener);
+
+    return () => {
+      const listeners = this.eventListeners.get(correlationId);
+      if (!listeners) {
+        return;
+      }
+
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.eventListeners.delete(correlationId);
+      }
+    };
+  }
+
+  /**
+   * 메시지 처리 중 발생한 이벤트를 구독자에게 전달합니다.
+   * 구독자 오류는 로그만 남기고 메시지 처리에는 영향을 주지 않습니다.
+   * @param {Object} message - 이벤트가 발생한 메시지
+   * @param {Object} event - 이벤트 내용 ({ type, ... })
+   */
+  publishEvent(message, event) {
+    const listeners = this.eventListeners.get(message.correlationId);
+    if (!listeners || listeners.size === 0) {
+      return;
+    }
+
+    const enriched = {
+      type: 'progress',
+      ...event,
+      messageId: message.messageId,
+      correlationId: message.correlationId,
+      agentId: message.toAgent,
+      intent: message.intent,
+      timestamp: new Date().toISOString()
+    };
+
+    for (const listener of [...listeners]) {
+      try {
+        listener(enriched);
+      } catch (error) {
+        this.logger.error(`이벤트 구독자 오류 (${message.correlationId}):`, error);
       }
     }
   }
 
   /**
-   * 메시지를 로깅합니다.
-   * @param {Object} message - 로깅할 메시지
+   * 등록된 에이전트와 의도 계약 카탈로그를 반환합니다.
+   * 계약을 선언하지 않은 의도도 스키마 없이 포함됩니다.
+   * @returns {{agents: Array<Object>}} 에이전트별 의도 목록
    */
-  logMessage(message) {
-    const logStr = `message ${message.messageId}: ${message.fromAgent} -> ${message.toAgent} (${message.intent})`;
-    if (this.logLevel === 'debug') {
-      console.log(logStr);
-      console.log('payload', message);
-    } else {
-      this.logger.info(`메시지: ${message.messageId} - 전송 [${message.fromAgent} -> ${message.toAgent}] (${message.intent})`);
-      this.logger.debug('메시지 내용:', message);
+  describe() {
+    const agents = [];
+
+    for (const [agentId, agent] of this.agents) {
+      agents.push({
+        agentId,
+        intents: typeof agent.describeIntents === 'function' ? agent.describeIntents() : []
+      });
     }
+
+    return { agents };
+  }
+
+  /**
+   * 서킷 브레이커 상태를 조회합니다.
+   * 한 번이라도 호출된 대상의 브레이커만 포함됩니다.
+   * @param {string} agentId - 특정 에이전트로 한정 (선택)
+   * @returns {Array<Object>} 브레이커 상태 배열 ({ key, state, failures, retryAfterMs, ... })
+   */
+  getCircuitStates(agentId) {
+    const states = this.circuitBreakers.getStates();
+    return agentId ? states.filter(state => state.key.startsWith(`${agentId}.`)) : states;
+  }
+
+  /**
+   * 메시지를 검증합니다.
+   * 파이프라인 밖에서 직접 검증이 필요한 경우를 위한 헬퍼입니다.
+   * @param {Object} message - 검증할 메시지
+   * @throws {Error} 메시지가 유효하지 않을 경우 에러를 던집니다.
+   */
+  validateMessage(message) {
+    createValidationMiddleware().beforeSend(message);
   }
 
   /**
    * 메시지를 전송합니다.
+   * beforeSend 훅을 등록 순서대로, afterResponse / onError 훅을 역순으로 실행합니다.
    * @param {Object} message - 전송할 메시지
+   * @param {Object} options - 전송 옵션
+   * @param {number} options.timeout - 이 메시지의 제한 시간 (밀리초, 기본값: defaultTimeout)
+   * @param {AbortSignal} options.signal - 호출자 측 취소 신호
+   * @param {Function} options.onEvent - 이 메시지(및 같은 correlationId 하위 메시지)의 진행 이벤트 수신 함수
    * @returns {Promise<Object>} 대상 에이전트의 응답
+   * @throws {A2ATimeoutError} 제한 시간 또는 message.deadline 을 넘긴 경우
+   * @throws {A2AValidationError} message.deadline 을 날짜로 해석할 수 없는 경우
+   * @throws {A2ACancelledError} options.signal 로 취소된 경우
    * @throws {Error} 대상 에이전트가 등록되지 않았거나 메시지가 유효하지 않을 경우 에러를 던집니다.
    */
-  async sendMessage(message) {
+  async sendMessage(message, options = {}) {
+    const context = {
+      router: this,
+      startedAt: Date.now(),
+      state: {},
+      timeout: options.timeout !== undefined ? options.timeout : this.defaultTimeout,
+      signal: options.signal
+    };
+    const reversed = [...this.middleware].reverse();
+    let unsubscribe = null;
+
+    try {
+      for (const mw of this.middleware) {
+        if (typeof mw.beforeSend === 'function') {
+          const replaced = await mw.beforeSend(message, context);
+          if (replaced) {
+            message = replaced;
+          }
+        }
+      }
+
+      if (typeof options.onEvent === 'function' && message.correlationId) {
+        unsubscribe = this.subscribe(message.correlationId, options.onEvent);
+      }
+
+      let response = await this.dispatch(message, context);
+
+      for (const mw of reversed) {
+        if (typeof mw.afterResponse === 'function') {
+          const replaced = await mw.afterResponse(response, message, context);
+          if (replaced !== undefined) {
+            response = replaced;
+          }
+        }
+      }
+
+      return response;
+    } catch (error) {
+      for (const mw of reversed) {
+        if (typeof mw.onError === 'function') {
+          const recovered = await mw.onError(error, message, context);
+          if (recovered !== undefined) {
+            return recovered;
+          }
+        }
+      }
+
+      throw error;
+    } finally {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    }
+  }
+
+  /**
+   * 메시지를 대상 에이전트에 전달합니다.
+   * 제한 시간이 지나거나 호출자가 취소하면 핸들러에 전달된 signal 을 abort 하고 즉시 거부합니다.
+   * @param {Object} message - 전달할 메시지
+   * @param {Object} context - 파이프라인 컨텍스트
+   * @returns {Promise<Object>} 대상 에이전트의 응답
+   * @private
+   */
+  async dispatch(message, context) {
     if (!this.agents.has(message.toAgent)) {
       throw new Error(`Agent ${message.toAgent} not registered`);
     }
-    
-    // 메시지 유효성 검증
-    this.validateMessage(message);
-    
-    // 메시지 로깅
-    this.logMessage(message);
-    
-    // 메시지 전달
+
+    if (!message.deadline && context.timeout > 0) {
+      message.deadline = new Date(context.startedAt + context.timeout).toISOString();
+    }
+
+    const deadlineAt = message.deadline ? Date.parse(message.deadline) : Infinity;
+    if (Number.isNaN(deadlineAt)) {
+      throw new A2AValidationError(message, [
+        { path: '/deadline', keyword: 'format', message: `must be an ISO 8601 date-time (got ${JSON.stringify(message.deadline)})` }
+      ], 'message');
+    }
+
+    const remaining = deadlineAt - Date.now();
+    if (remaining <= 0) {
+      throw new A2ATimeoutError(message, context.timeout || 0);
+    }
+
     const targetAgent = this.agents.get(message.toAgent);
+    const controller = new AbortController();
+    const { signal } = context;
+    let timer = null;
+    let onAbort = null;
+
+    const guard = new Promise((resolve, reject) => {
+      const fail = (error) => {
+        controller.abort(error);
+        reject(error);
+      };
+
+      if (remaining !== Infinity) {
+        timer = setTimeout(() => fail(new A2ATimeoutError(message, remaining)), remaining);
+      }
+
+      if (signal) {
+        onAbort = () => fail(new A2ACancelledError(message));
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+    });
+
+    // 핸들러 안에서 보낸 하위 메시지와 외부 호출이 이 메시지의 스팬을 부모로 삼도록 활성화합니다.
+    const { span } = context.state;
+    const handle = () => targetAgent.processMessage(message, {
+      signal: controller.signal,
+      deadline: message.deadline,
+      correlationId: message.correlationId,
+      messageId: message.messageId,
+      traceparent: span ? span.traceparent : message.traceparent,
+      emit: (event) => this.publishEvent(message, event)
+    });
+
+    this.publishEvent(message, { type: 'status', state: 'working' });
+
     try {
-      const response = await targetAgent.processMessage(message);
-      this.logger.info(`메시지: ${message.messageId} - 응답 수신 완료`);
+      const response = await Promise.race([
+        span && this.tracer ? this.tracer.withSpan(span, handle) : handle(),
+        guard
+      ]);
+
+      this.publishEvent(message, { type: 'status', state: 'completed' });
       return response;
     } catch (error) {
-      this.logger.error(`메시지 처리 오류 (${message.messageId}):`, error);
+      this.publishEvent(message, { type: 'status', state: 'failed', error: error.message });
       throw error;
+    } finally {
+      clearTimeout(timer);
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
     }
   }
-  
+
   /**
    * 모든 에이전트에게 메시지를 브로드캐스트합니다.
    * @param {string} fromAgent - 발신 에이전트 ID
@@ -90,11 +381,11 @@ class A2ARouter {
   async broadcastMessage(fromAgent, messageType, intent, payload) {
     const promises = [];
     const timestamp = new Date().toISOString();
-    
-    for (const [agentId, agent] of this.agents.entries()) {
+
+    for (const agentId of this.agents.keys()) {
       if (agentId !== fromAgent) {
         const message = {
-          messageId: `msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+          messageId: generateMessageId(),
           fromAgent,
           toAgent: agentId,
           messageType,
@@ -102,13 +393,36 @@ class A2ARouter {
           payload,
           timestamp
         };
-        
+
         promises.push(this.sendMessage(message));
       }
     }
-    
+
     return await Promise.all(promises);
   }
+
+  /**
+   * 최근 전달된 요청 메시지 기록을 가져옵니다.
+   * @param {number} limit - 가져올 메시지 수 (기본값: 10)
+   * @returns {Array} 저널 요청 항목 배열 (payload 마스킹됨)
+   */
+  getMessageQueue(limit = 10) {
+    return this.journal.getEntries({ kind: 'request', limit });
+  }
+
+  /**
+   * 에이전트 간 통신 지연시간 시뮬레이션 (개발 모드에서만 활성화)
+   * @param {number} minMs - 최소 지연시간 (밀리초)
+   * @param {number} maxMs - 최대 지연시간 (밀리초)
+   * @returns {Promise<void>}
+   */
+  async simulateNetworkDelay(minMs = 50, maxMs = 200) {
+    if (this.messageLogEnabled) {
+      const delay = Math.floor(Math.random() * (maxMs - minMs + 1)) + minMs;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
 }
 
 module.exports = A2ARouter;
+module.exports.A2ARouter = A2ARouter;
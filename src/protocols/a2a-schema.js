@@ -0,0 +1,113 @@
+/**
+ * A2A 의도(intent) 계약 검증 유틸리티
+ * 에이전트가 선언한 JSON Schema 로 메시지 payload 와 응답을 검증합니다.
+ */
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, strict: false, useDefaults: false });
+
+// 같은 스키마 객체를 반복해서 컴파일하지 않도록 캐시
+const compiledSchemas = new WeakMap();
+
+/**
+ * 스키마를 컴파일합니다. (캐시 사용)
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} Ajv 검증 함수
+ */
+function compileSchema(schema) {
+  if (!compiledSchemas.has(schema)) {
+    compiledSchemas.set(schema, ajv.compile(schema));
+  }
+  return compiledSchemas.get(schema);
+}
+
+/**
+ * 데이터를 스키마로 검증합니다.
+ * @param {Object} schema - JSON Schema
+ * @param {any} data - 검증할 데이터
+ * @returns {{valid: boolean, errors: Array<Object>}} 검증 결과
+ */
+function validateSchema(schema, data) {
+  const validate = compileSchema(schema);
+  const valid = validate(data);
+
+  return {
+    valid,
+    errors: valid ? [] : formatErrors(validate.errors)
+  };
+}
+
+/**
+ * Ajv 오류를 직렬화 가능한 구조로 변환합니다.
+ * @param {Array<Object>} errors - Ajv 오류 배열
+ * @returns {Array<Object>} { path, keyword, message, params } 배열
+ */
+function formatErrors(errors = []) {
+  return errors.map(error => {
+    let path = error.instancePath || '';
+
+    // required 오류는 누락된 필드 경로를 가리키도록 보정
+    if (error.keyword === 'required' && error.params && error.params.missingProperty) {
+      path = `${path}/${error.params.missingProperty}`;
+    }
+
+    return {
+      path: path || '/',
+      keyword: error.keyword,
+      message: error.message,
+      params: error.params
+    };
+  });
+}
+
+/**
+ * 자주 쓰는 스키마 조각
+ * 에이전트별 의도 스키마 파일에서 조합해 사용합니다.
+ */
+const schemaFragments = {
+  sessionId: { type: 'string', minLength: 1 },
+  language: { type: 'string', minLength: 2 },
+  productId: { type: 'string', minLength: 1 },
+  nullableProductId: { type: ['string', 'null'] },
+  quantity: { type: 'integer', minimum: 1 },
+  limit: { type: 'integer', minimum: 1 },
+  force: { type: 'boolean' }
+};
+
+/**
+ * payload 용 객체 스키마를 만듭니다.
+ * 선언하지 않은 필드는 허용하여 기존 호출자와의 호환성을 유지합니다.
+ * @param {Object} properties - 필드별 스키마
+ * @param {Array<string>} required - 필수 필드 목록
+ * @returns {Object} JSON Schema
+ */
+function objectSchema(properties, required = []) {
+  return {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: true
+  };
+}
+
+/**
+ * 에이전트 공통 응답 형식({ success, ... }) 스키마를 만듭니다.
+ * @param {Object} properties - 성공/실패 공통 필드 외 추가 필드 스키마
+ * @returns {Object} JSON Schema
+ */
+function resultSchema(properties = {}) {
+  return objectSchema({
+    success: { type: 'boolean' },
+    error: { type: ['string', 'null'] },
+    ...properties
+  }, ['success']);
+}
+
+module.exports = {
+  schemaFragments,
+  objectSchema,
+  resultSchema,
+  compileSchema,
+  validateSchema,
+  formatErrors
+};
@@ -0,0 +1,572 @@
+/**
+ * A2A 분산 추적
+ * W3C traceparent 로 에이전트 간 메시지에 추적 컨텍스트를 전파하고,
+ * 메시지 처리 / 외부 호출(LLM, Algolia, Apify) 단위의 스팬을 기록합니다.
+ * 종료된 스팬은 메모리에 최근 N개까지 보관하며, 설정된 경우 OTLP-JSON 으로 파일 또는 수집기에 내보냅니다.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+// traceparent 헤더 형식: version-traceId-spanId-flags
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * 스팬 종류 (OTLP SpanKind 값)
+ */
+const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3
+};
+
+/**
+ * 스팬 상태 코드 (OTLP StatusCode 값)
+ */
+const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+/**
+ * traceparent 헤더를 파싱합니다.
+ * @param {string} header - traceparent 헤더 값
+ * @returns {{traceId: string, spanId: string, sampled: boolean}|null} 추적 컨텍스트 (형식이 잘못되면 null)
+ */
+function parseTraceparent(header) {
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, spanId, flags] = match;
+  if (version === 'ff' || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+    return null;
+  }
+
+  return {
+    traceId,
+    spanId,
+    sampled: (parseInt(flags, 16) & 1) === 1
+  };
+}
+
+/**
+ * 추적 컨텍스트를 traceparent 헤더 값으로 변환합니다.
+ * @param {Object} spanContext - { traceId, spanId, sampled }
+ * @returns {string} traceparent 헤더 값
+ */
+function formatTraceparent(spanContext) {
+  const flags = spanContext.sampled === false ? '00' : '01';
+  return `00-${spanContext.traceId}-${spanContext.spanId}-${flags}`;
+}
+
+/**
+ * 임의의 16진수 ID 를 생성합니다.
+ * @param {number} bytes - 바이트 수 (traceId 16, spanId 8)
+ * @returns {string} 16진수 ID
+ */
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+class Span {
+  /**
+   * 생성자 (A2ATracer.startSpan 으로 생성합니다)
+   * @param {A2ATracer} tracer - 스팬을 기록할 트레이서
+   * @param {string} name - 스팬 이름
+   * @param {Object} options - { traceId, parentSpanId, kind, attributes }
+   */
+  constructor(tracer, name, options = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = options.traceId || randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = options.parentSpanId || null;
+    this.kind = options.kind || SpanKind.INTERNAL;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SpanStatusCode.UNSET };
+    this.startTime = Date.now();
+    this.endTime = null;
+
+    this.setAttributes(options.attributes || {});
+  }
+
+  /**
+   * 이 스팬을 부모로 하는 traceparent 헤더 값
+   * @returns {string} traceparent
+   */
+  get traceparent() {
+    return formatTraceparent({ traceId: this.traceId, spanId: this.spanId });
+  }
+
+  /**
+   * 스팬 소요 시간 (종료 전에는 null)
+   * @returns {number|null} 밀리초
+   */
+  get durationMs() {
+    return this.endTime !== null ? this.endTime - this.startTime : null;
+  }
+
+  /**
+   * 속성을 설정합니다. undefined / null 값은 무시합니다.
+   * @param {string} key - 속성 이름
+   * @param {any} value - 속성 값
+   * @returns {Span} 체이닝용 스팬
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * 여러 속성을 한 번에 설정합니다.
+   * @param {Object} attributes - 속성 객체
+   * @returns {Span} 체이닝용 스팬
+   */
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  /**
+   * 스팬 상태를 설정합니다.
+   * @param {number} code - SpanStatusCode
+   * @param {string} message - 상태 메시지 (선택)
+   * @returns {Span} 체이닝용 스팬
+   */
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  /**
+   * 오류를 exception 이벤트로 기록하고 상태를 ERROR 로 설정합니다.
+   * @param {Error} error - 발생한 오류
+   * @returns {Span} 체이닝용 스팬
+   */
+  recordError(error) {
+    this.events.push({
+      name: 'exception',
+      time: Date.now(),
+      attributes: {
+        'exception.type': error.name || 'Error',
+        'exception.message': error.message
+      }
+    });
+    return this.setStatus(SpanStatusCode.ERROR, error.message);
+  }
+
+  /**
+   * 스팬을 종료합니다. 두 번째 호출부터는 무시합니다.
+   */
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+
+    this.endTime = Date.now();
+    this.tracer.onSpanEnd(this);
+  }
+
+  /**
+   * 디버그 조회용 객체로 변환합니다.
+   * @returns {Object} 스팬 요약
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTime: new Date(this.startTime).toISOString(),
+      durationMs: this.durationMs,
+      status: this.status,
+      attributes: this.attributes,
+      events: this.events
+    };
+  }
+}
+
+/**
+ * 속성 값을 OTLP AnyValue 로 변환합니다.
+ * @param {any} value - 속성 값
+ * @returns {Object} OTLP AnyValue
+ */
+function toOtlpValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (Number.isInteger(value)) {
+    return { intValue: String(value) };
+  }
+  if (typeof value === 'number') {
+    return { doubleValue: value };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toOtlpValue) } };
+  }
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+/**
+ * 속성 객체를 OTLP KeyValue 배열로 변환합니다.
+ * @param {Object} attributes - 속성 객체
+ * @returns {Array<Object>} OTLP KeyValue 배열
+ */
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+/**
+ * 밀리초 타임스탬프를 OTLP 나노초 문자열로 변환합니다.
+ * @param {number} ms - 밀리초 타임스탬프
+ * @returns {string} 나노초 문자열
+ */
+function toUnixNano(ms) {
+  return `${ms}000000`;
+}
+
+/**
+ * 스팬 목록을 OTLP-JSON ExportTraceServiceRequest 로 변환합니다.
+ * @param {Array<Span>} spans - 종료된 스팬 목록
+ * @param {string} serviceName - service.name 리소스 속성
+ * @returns {Object} OTLP-JSON 요청 본문
+ */
+function toOtlpJson(spans, serviceName) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes({ 'service.name': serviceName }) },
+      scopeSpans: [{
+        scope: { name: 'a2a-tracing' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId || undefined,
+          name: span.name,
+          kind: span.kind,
+          startTimeUnixNano: toUnixNano(span.startTime),
+          endTimeUnixNano: toUnixNano(span.endTime),
+          attributes: toOtlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            name: event.name,
+            timeUnixNano: toUnixNano(event.time),
+            attributes: toOtlpAttributes(event.attributes)
+          })),
+          status: span.status
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * OTLP-JSON 요청 본문을 JSON Lines 파일에 추가하는 내보내기를 생성합니다.
+ * @param {string} filePath - 기록할 파일 경로
+ * @returns {Object} 내보내기 ({ export(payload) })
+ */
+function createFileExporter(filePath) {
+  return {
+    async export(payload) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(payload)}\n`);
+    }
+  };
+}
+
+/**
+ * OTLP/HTTP 수집기(`/v1/traces`)로 JSON 을 전송하는 내보내기를 생성합니다.
+ * @param {string} endpoint - 수집기 URL
+ * @param {Object} headers - 추가 요청 헤더
+ * @returns {Object} 내보내기 ({ export(payload) })
+ */
+function createOtlpHttpExporter(endpoint, headers = {}) {
+  return {
+    async export(payload) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        throw new Error(`OTLP export failed: ${response.status} ${response.statusText}`);
+      }
+    }
+  };
+}
+
+/**
+ * 설정으로 내보내기를 생성합니다.
+ * @param {Object} tracingConfig - config.a2a.tracing
+ * @returns {Object|null} 내보내기 (exporter 가 'none' 이면 null)
+ */
+function createExporter(tracingConfig = {}) {
+  switch (tracingConfig.exporter || 'none') {
+    case 'none':
+      return null;
+
+    case 'file':
+      return createFileExporter(tracingConfig.filePath);
+
+    case 'otlp':
+      return createOtlpHttpExporter(tracingConfig.endpoint, tracingConfig.headers);
+
+    default:
+      throw new Error(`Unknown trace exporter: ${tracingConfig.exporter}`);
+  }
+}
+
+class A2ATracer {
+  /**
+   * 생성자
+   * @param {Object} options - 트레이서 옵션
+   * @param {string} options.serviceName - service.name 리소스 속성 (기본값: lg-a2a-shopping-assistant)
+   * @param {number} options.maxSpans - 메모리에 보관할 최대 스팬 수 (기본값: 5000)
+   * @param {Object} options.exporter - 내보내기 ({ export(payload) }, 선택)
+   * @param {number} options.batchSize - 한 번에 내보낼 최대 스팬 수 (기본값: 100)
+   * @param {number} options.flushInterval - 내보내기 주기 (밀리초, 기본값: 5000)
+   */
+  constructor(options = {}) {
+    this.serviceName = options.serviceName || 'lg-a2a-shopping-assistant';
+    this.maxSpans = options.maxSpans || 5000;
+    this.exporter = options.exporter || null;
+    this.batchSize = options.batchSize || 100;
+    this.flushInterval = options.flushInterval || 5000;
+    this.spans = [];
+    this.exportQueue = [];
+    this.flushTimer = null;
+    this.storage = new AsyncLocalStorage();
+    this.logger = console;
+  }
+
+  /**
+   * 설정으로 트레이서를 생성합니다.
+   * @param {Object} tracingConfig - config.a2a.tracing
+   * @returns {A2ATracer} 트레이서 인스턴스
+   */
+  static fromConfig(tracingConfig = {}) {
+    return new A2ATracer({ ...tracingConfig, exporter: createExporter(tracingConfig) });
+  }
+
+  /**
+   * 현재 비동기 흐름에서 활성화된 스팬을 반환합니다.
+   * @returns {Span|null} 활성 스팬
+   */
+  activeSpan() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * 스팬을 시작합니다.
+   * @param {string} name - 스팬 이름
+   * @param {Object} options - 스팬 옵션
+   * @param {Span|string|null} options.parent - 부모 스팬 또는 traceparent (기본값: 활성 스팬, null 이면 새 추적)
+   * @param {number} options.kind - SpanKind
+   * @param {Object} options.attributes - 초기 속성
+   * @returns {Span} 시작된 스팬
+   */
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : this.activeSpan();
+    const parentContext = typeof parent === 'string' ? parseTraceparent(parent) : parent;
+
+    return new Span(this, name, {
+      traceId: parentContext ? parentContext.traceId : undefined,
+      parentSpanId: parentContext ? parentContext.spanId : undefined,
+      kind: options.kind,
+      attributes: options.attributes
+    });
+  }
+
+  /**
+   * 스팬을 활성 스팬으로 설정한 채 함수를 실행합니다.
+   * 함수 안에서 시작한 스팬과 A2A 메시지는 이 스팬을 부모로 삼습니다.
+   * @param {Span} span - 활성화할 스팬
+   * @param {Function} fn - 실행할 함수
+   * @returns {any} 함수 반환값
+   */
+  withSpan(span, fn) {
+    return this.storage.run(span, fn);
+  }
+
+  /**
+   * 활성 스팬의 하위 스팬으로 비동기 작업을 실행하고 결과에 따라 스팬을 종료합니다.
+   * @param {string} name - 스팬 이름
+   * @param {Object} options - startSpan 옵션 (kind 기본값: CLIENT)
+   * @param {Function} fn - 실행할 함수 (span) => Promise
+   * @returns {Promise<any>} 함수 반환값
+   */
+  async trace(name, options, fn) {
+    const span = this.startSpan(name, { kind: SpanKind.CLIENT, ...options });
+
+    try {
+      const result = await this.withSpan(span, () => fn(span));
+      span.setStatus(SpanStatusCode.OK);
+      return result;
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * 종료된 스팬을 보관하고 내보내기 대기열에 추가합니다.
+   * @param {Span} span - 종료된 스팬
+   * @private
+   */
+  onSpanEnd(span) {
+    this.spans.push(span);
+    if (this.spans.length > this.maxSpans) {
+      this.spans.splice(0, this.spans.length - this.maxSpans);
+    }
+
+    if (!this.exporter) {
+      return;
+    }
+
+    this.exportQueue.push(span);
+    if (this.exportQueue.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+      if (typeof this.flushTimer.unref === 'function') {
+        this.flushTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * 대기 중인 스팬을 내보냅니다. 실패는 로그만 남깁니다.
+   * @returns {Promise<number>} 내보낸 스팬 수
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (!this.exporter || this.exportQueue.length === 0) {
+      return 0;
+    }
+
+    const batch = this.exportQueue.splice(0, this.exportQueue.length);
+    try {
+      await this.exporter.export(toOtlpJson(batch, this.serviceName));
+      return batch.length;
+    } catch (error) {
+      this.logger.error('스팬 내보내기 오류:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 보관 중인 스팬을 조회합니다.
+   * @param {Object} filter - { traceId }
+   * @returns {Array<Span>} 스팬 배열 (종료 순)
+   */
+  getSpans(filter = {}) {
+    return this.spans.filter(span => !filter.traceId || span.traceId === filter.traceId);
+  }
+
+  /**
+   * 세션에 속한 추적을 스팬 트리로 반환합니다.
+   * session.id 속성을 가진 스팬이 하나라도 있는 추적의 모든 스팬(외부 호출 포함)을 포함합니다.
+   * @param {string} sessionId - 세션 ID
+   * @returns {Array<Object>} 추적 배열 ({ traceId, startTime, durationMs, spanCount, spans }) (시작 순)
+   */
+  getSessionTraces(sessionId) {
+    const traceIds = new Set(
+      this.spans
+        .filter(span => span.attributes['session.id'] === sessionId)
+        .map(span => span.traceId)
+    );
+
+    return [...traceIds]
+      .map(traceId => buildTraceTree(this.getSpans({ traceId })))
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+  }
+}
+
+/**
+ * 같은 추적의 스팬을 부모-자식 트리로 묶습니다.
+ * 부모 스팬이 보관되어 있지 않은 스팬은 최상위로 둡니다.
+ * @param {Array<Span>} spans - 같은 traceId 의 스팬 목록
+ * @returns {Object} { traceId, startTime, durationMs, spanCount, spans }
+ */
+function buildTraceTree(spans) {
+  const nodes = new Map(spans.map(span => [span.spanId, { ...span.toJSON(), children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentSpanId ? nodes.get(node.parentSpanId) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const byStart = (a, b) => a.startTime.localeCompare(b.startTime);
+  const sortTree = (list) => {
+    list.sort(byStart);
+    list.forEach(node => sortTree(node.children));
+  };
+  sortTree(roots);
+
+  const start = Math.min(...spans.map(span => span.startTime));
+  const end = Math.max(...spans.map(span => span.endTime));
+
+  return {
+    traceId: spans[0].traceId,
+    startTime: new Date(start).toISOString(),
+    durationMs: end - start,
+    spanCount: spans.length,
+    spans: roots
+  };
+}
+
+// 서비스 계층에서 공유하는 기본 트레이서
+let defaultTracer = null;
+
+/**
+ * 기본 트레이서를 반환합니다. (config.a2a.tracing 설정으로 최초 1회 생성)
+ * @returns {A2ATracer} 기본 트레이서
+ */
+function getTracer() {
+  if (!defaultTracer) {
+    defaultTracer = A2ATracer.fromConfig(config.a2a.tracing);
+  }
+  return defaultTracer;
+}
+
+/**
+ * 외부 호출(LLM / Algolia / Apify 등)을 기본 트레이서의 CLIENT 스팬으로 감쌉니다.
+ * @param {string} name - 스팬 이름 (예: 'algolia.search')
+ * @param {Object} attributes - 스팬 속성
+ * @param {Function} fn - 실행할 함수 (span) => Promise
+ * @returns {Promise<any>} 함수 반환값
+ */
+function traceCall(name, attributes, fn) {
+  return getTracer().trace(name, { kind: SpanKind.CLIENT, attributes }, fn);
+}
+
+module.exports = A2ATracer;
+module.exports.A2ATracer = A2ATracer;
+module.exports.Span = Span;
+module.exports.SpanKind = SpanKind;
+module.exports.SpanStatusCode = SpanStatusCode;
+module.exports.parseTraceparent = parseTraceparent;
+module.exports.formatTraceparent = formatTraceparent;
+module.exports.toOtlpJson = toOtlpJson;
+module.exports.createExporter = createExporter;
+module.exports.getTracer = getTracer;
+module.exports.traceCall = traceCall;
@@ -2,10 +2,24 @@
  * MCP(Model Context Protocol) 컨텍스트 관리 클래스
  * LLM과의 효율적인 컨텍스트 관리를 위한 프로토콜을 제공합니다.
  */
+const config = require('../../config');
+const PromptBudget = require('./mcp-prompt-budget');
+const { getPromptRegistry, resolveVariables, inferVariables } = require('./mcp-prompt-registry');
+
 class MCPContextManager {
-  constructor() {
+  /**
+   * 생성자
+   * @param {Object} options - 옵션
+   * @param {PromptBudget|null} options.promptBudget - 프롬프트 토큰 예산 (기본값: config.mcp.promptBudget, null 이면 예산 미적용)
+   * @param {PromptTemplateRegistry} options.promptRegistry - 파일 기반 템플릿 레지스트리 (기본값: config.mcp.promptTemplateDir 에서 불러온 공유 레지스트리)
+   * @param {Object} options.promptVersions - 템플릿별 고정 버전 (기본값: config.mcp.promptVersions, 지정하지 않은 템플릿은 최신 버전)
+   */
+  constructor(options = {}) {
     this.templateCache = new Map();
     this.contextStore = new Map();
+    this.promptBudget = options.promptBudget !== undefined ? options.promptBudget : PromptBudget.fromConfig();
+    this.promptRegistry = options.promptRegistry || getPromptRegistry();
+    this.promptVersions = options.promptVersions || config.mcp.promptVersions || {};
     this.logger = console; // 나중에 더 좋은 로깅 시스템으로 교체 가능
   }
   
@@ -20,6 +34,15 @@ class MCPContextManager {
     return this;
   }
   
+  /**
+   * 템플릿 존재 여부를 확인합니다. (직접 등록한 템플릿 또는 레지스트리 템플릿)
+   * @param {string} templateId - 템플릿 식별자
+   * @returns {boolean} 존재 여부
+   */
+  hasTemplate(templateId) {
+    return this.templateCache.has(templateId) || this.promptRegistry.has(templateId);
+  }
+  
   /**
    * 사용자별 컨텍스트를 저장합니다.
    * @param {string} userId - 사용자 식별자
@@ -53,14 +76,28 @@ class MCPContextManager {
    * @param {string} templateId - 템플릿 식별자
    * @param {Object} additionalData - 추가 데이터
    * @returns {string} 생성된 프롬프트
-   * @throws {Error} 템플릿이 존재하지 않을 경우 에러를 던집니다.
+   * @throws {Error} 템플릿이 존재하지 않거나 변수가 누락된 경우 에러를 던집니다.
    */
   generatePrompt(userId, templateId, additionalData = {}) {
-    if (!this.templateCache.has(templateId)) {
+    return this.assemblePrompt(userId, templateId, additionalData).prompt;
+  }
+  
+  /**
+   * 토큰 예산에 맞춰 프롬프트를 조립하고 사용량을 함께 반환합니다.
+   * 템플릿은 mcp-prompt-template.js 문법(섹션, 반복, partial, 포매터)으로 렌더링되며, 예산 슬롯에 해당하는 값은 우선순위에 따라 줄어듭니다.
+   * 직접 등록한 템플릿을 먼저 찾고, 없으면 레지스트리에서 additionalData.language 언어 본문을 사용합니다.
+   * @param {string} userId - 사용자 식별자
+   * @param {string} templateId - 템플릿 식별자
+   * @param {Object} additionalData - 추가 데이터
+   * @returns {{prompt: string, usage: Object|null}} 생성된 프롬프트와 토큰 사용량 (예산 미적용 시 null)
+   * @throws {Error} 템플릿이 존재하지 않을 경우 에러를 던집니다.
+   * @throws {PromptTemplateError} 변수가 누락되었거나 타입이 맞지 않는 경우
+   */
+  assemblePrompt(userId, templateId, additionalData = {}) {
+    if (!this.hasTemplate(templateId)) {
       throw new Error(`템플릿 ${templateId}을(를) 찾을 수 없습니다.`);
     }
     
-    const template = this.templateCache.get(templateId);
     const userContext = this.contextStore.get(userId) || {};
     
     const contextData = {
@@ -68,13 +105,53 @@ class MCPContextManager {
       ...additionalData
     };
     
-    // 템플릿의 플레이스홀더를 데이터로 대체
-    const prompt = template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return contextData[key] !== undefined ? contextData[key] : match;
+    const { text, values, language } = this.resolveTemplate(templateId, contextData);
+    const budget = this.promptBudget || new PromptBudget({ maxTokens: Infinity });
+    const { prompt, usage } = budget.assemble(text, values, {
+      templateId,
+      locale: language,
+      partials: partialId => this.getPartial(partialId, language)
     });
     
-    this.logger.debug(`사용자 ${userId}를 위한 '${templateId}' 프롬프트 생성 완료`);
-    return prompt;
+    this.logger.debug(`사용자 ${userId}를 위한 '${templateId}' 프롬프트 생성 완료 (약 ${usage.totalTokens} 토큰)`);
+    return { prompt, usage: this.promptBudget ? usage : null };
+  }
+  
+  /**
+   * 템플릿 본문을 고르고 변수 값을 검증합니다.
+   * 직접 등록한 템플릿은 모든 플레이스홀더가 필수 변수입니다.
+   * @param {string} templateId - 템플릿 식별자
+   * @param {Object} data - 변수 값
+   * @returns {{text: string, values: Object, language: string}} 템플릿 본문, 기본값이 적용된 값, 본문 언어
+   * @private
+   */
+  resolveTemplate(templateId, data) {
+    if (this.templateCache.has(templateId)) {
+      const text = this.templateCache.get(templateId);
+      return { text, values: resolveVariables(templateId, inferVariables(text), data), language: data.language };
+    }
+    
+    return this.promptRegistry.resolve(templateId, data, {
+      version: this.promptVersions[templateId],
+      language: data.language
+    });
+  }
+  
+  /**
+   * partial 템플릿 본문을 찾습니다. (직접 등록한 템플릿 또는 같은 언어의 레지스트리 템플릿)
+   * @param {string} templateId - partial 템플릿 식별자
+   * @param {string} language - 본문 언어
+   * @returns {string|undefined} 템플릿 본문 (없으면 undefined)
+   * @private
+   */
+  getPartial(templateId, language) {
+    if (this.templateCache.has(templateId)) {
+      return this.templateCache.get(templateId);
+    }
+    if (!this.promptRegistry.has(templateId)) {
+      return undefined;
+    }
+    return this.promptRegistry.getText(templateId, { version: this.promptVersions[templateId], language }).text;
   }
   
   /**
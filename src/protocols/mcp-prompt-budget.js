@@ -0,0 +1,136 @@
+/**
+ * MCP 프롬프트 토큰 예산 관리
+ * 템플릿의 컨텍스트 슬롯(대화 기록, 제품 컨텍스트, 수집 정보 등)에 우선순위와 예산을 두고,
+ * 모델 입력 한도 안에 들어오도록 값을 줄여 프롬프트를 조립합니다.
+ */
+const config = require('../../config');
+const { formatValue, formatItem, render } = require('./mcp-prompt-template');
+
+/**
+ * 텍스트의 토큰 수를 추정합니다. (문자 4개당 1토큰 근사치)
+ * @param {string} text - 텍스트
+ * @returns {number} 추정 토큰 수
+ */
+function estimateTokens(text) {
+  return text ? Math.ceil(String(text).length / 4) : 0;
+}
+
+/**
+ * 값을 토큰 예산에 맞게 줄입니다.
+ * 배열은 오래된 항목(앞쪽)부터 버리고, 그 외 값은 뒷부분을 잘라냅니다.
+ * 줄인 배열과 자르지 않은 값은 원래 형태(value)를 유지하므로 템플릿 섹션에서 그대로 반복할 수 있습니다.
+ * @param {any} value - 슬롯 값
+ * @param {number} budget - 토큰 예산
+ * @returns {{value: any, text: string, tokens: number, dropped: number, truncated: boolean}} 줄인 결과
+ */
+function fitValue(value, budget) {
+  if (Array.isArray(value)) {
+    const lines = [];
+    let tokens = 0;
+
+    for (let i = value.length - 1; i >= 0; i--) {
+      const line = formatItem(value[i]);
+      const lineTokens = estimateTokens(line) + (lines.length > 0 ? 1 : 0);
+      if (tokens + lineTokens > budget) {
+        break;
+      }
+      lines.unshift(line);
+      tokens += lineTokens;
+    }
+
+    const dropped = value.length - lines.length;
+    return { value: value.slice(dropped), text: lines.join('\n'), tokens, dropped, truncated: false };
+  }
+
+  const text = formatValue(value);
+  const tokens = estimateTokens(text);
+  if (tokens <= budget) {
+    return { value, text, tokens, dropped: 0, truncated: false };
+  }
+
+  const truncatedText = budget > 0 ? `${text.slice(0, Math.max(budget * 4 - 1, 0))}…` : '';
+  return { value: truncatedText, text: truncatedText, tokens: estimateTokens(truncatedText), dropped: 0, truncated: true };
+}
+
+class PromptBudget {
+  /**
+   * 생성자
+   * @param {Object} options - 예산 옵션
+   * @param {number} options.maxTokens - 프롬프트 최대 토큰 수
+   * @param {number} options.reservedTokens - 응답 생성을 위해 남겨둘 토큰 수
+   * @param {Object} options.slots - 플레이스홀더 이름별 슬롯 설정 ({ priority, maxTokens }, priority 가 작을수록 먼저 배정)
+   */
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens || 8000;
+    this.reservedTokens = options.reservedTokens || 0;
+    this.slots = Object.entries(options.slots || {})
+      .map(([name, slot]) => ({ name, priority: 100, maxTokens: Infinity, ...slot }))
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * 설정에서 예산을 생성합니다.
+   * @param {Object} budgetConfig - config.mcp.promptBudget
+   * @returns {PromptBudget} 예산 인스턴스
+   */
+  static fromConfig(budgetConfig = config.mcp.promptBudget) {
+    return new PromptBudget(budgetConfig);
+  }
+
+  /**
+   * 예산에 맞춰 프롬프트를 조립합니다.
+   * 슬롯 값을 비운 채로 템플릿을 먼저 렌더링해 고정 토큰을 계산하고, 남은 예산을 우선순위 순서로 슬롯에 배정합니다.
+   * 앞 슬롯이 예산을 다 쓰지 않으면 남은 토큰은 다음 슬롯으로 넘어갑니다.
+   * @param {string} template - 프롬프트 템플릿 (mcp-prompt-template.js 문법)
+   * @param {Object} data - 템플릿 값
+   * @param {Object} renderOptions - 렌더링 옵션 (partials, locale 등)
+   * @returns {{prompt: string, usage: Object}} 조립된 프롬프트와 토큰 사용량
+   */
+  assemble(template, data = {}, renderOptions = {}) {
+    const slotNames = this.slots.map(slot => slot.name).filter(name => data[name] !== undefined);
+    const skeleton = render(template, {
+      ...data,
+      ...Object.fromEntries(slotNames.map(name => [name, Array.isArray(data[name]) ? [] : '']))
+    }, renderOptions);
+    const fixedTokens = estimateTokens(skeleton);
+    let remaining = Math.max(this.maxTokens - this.reservedTokens - fixedTokens, 0);
+
+    const values = { ...data };
+    const slots = {};
+    this.slots.forEach(slot => {
+      if (data[slot.name] === undefined) {
+        return;
+      }
+
+      const budget = Math.min(slot.maxTokens, remaining);
+      const fitted = fitValue(data[slot.name], budget);
+      values[slot.name] = fitted.value;
+      remaining -= fitted.tokens;
+      slots[slot.name] = {
+        budget,
+        tokens: fitted.tokens,
+        dropped: fitted.dropped,
+        truncated: fitted.truncated
+      };
+    });
+
+    const prompt = render(template, values, renderOptions);
+
+    return {
+      prompt,
+      usage: {
+        maxTokens: this.maxTokens,
+        reservedTokens: this.reservedTokens,
+        fixedTokens,
+        totalTokens: estimateTokens(prompt),
+        slots
+      }
+    };
+  }
+}
+
+module.exports = PromptBudget;
+module.exports.PromptBudget = PromptBudget;
+module.exports.estimateTokens = estimateTokens;
+module.exports.formatValue = formatValue;
+module.exports.fitValue = fitValue;
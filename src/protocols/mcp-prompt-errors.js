@@ -0,0 +1,28 @@
+/**
+ * MCP 프롬프트 오류 클래스
+ * 템플릿 레지스트리와 템플릿 렌더러가 던지는 오류입니다.
+ */
+
+/**
+ * 프롬프트 템플릿 오류
+ */
+class PromptTemplateError extends Error {
+  /**
+   * @param {string} message - 오류 메시지
+   * @param {Object} details - 추가 정보
+   * @param {string} details.code - 오류 코드 (PROMPT_TEMPLATE_NOT_FOUND | PROMPT_TEMPLATE_INVALID | PROMPT_VARIABLE_MISSING | PROMPT_VARIABLE_TYPE)
+   * @param {string} details.templateId - 템플릿 ID
+   * @param {Array<string>} details.variables - 문제가 된 변수 이름
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code || 'PROMPT_TEMPLATE_ERROR';
+    this.templateId = details.templateId || null;
+    this.variables = details.variables || [];
+  }
+}
+
+module.exports = {
+  PromptTemplateError
+};
@@ -0,0 +1,411 @@
+/**
+ * MCP 프롬프트 템플릿 레지스트리
+ * prompts/ 디렉토리의 버전별 템플릿을 불러오고, 선언된 변수(타입, 기본값)를 검증해 템플릿 본문과 값을 준비합니다.
+ *
+ * 디렉토리 구조:
+ *   prompts/<templateId>/v<version>/template.json  - { description, variables: { name: { type, required, default, description } } }
+ *   prompts/<templateId>/v<version>/<language>.txt - 언어별 본문 (pt-BR.txt, ko.txt, en.txt)
+ * 본문 문법(섹션, 반복, partial, 포매터)은 mcp-prompt-template.js 를 참고하세요.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+const { PromptTemplateError } = require('./mcp-prompt-errors');
+const { extractVariables } = require('./mcp-prompt-template');
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'array', 'object', 'any'];
+
+/**
+ * 템플릿 본문이 최상위에서 참조하는 변수 이름을 추출합니다. (값 태그와 섹션 이름)
+ * 섹션 안의 이름은 반복 항목의 필드일 수 있으므로 포함하지 않습니다.
+ * @param {string} text - 템플릿 본문
+ * @param {string} templateId - 템플릿 ID (오류 메시지용)
+ * @returns {Array<string>} 변수 이름 (중복 제거)
+ */
+function extractPlaceholders(text, templateId) {
+  const { variables, sections } = extractVariables(text, templateId);
+  return variables.concat(sections);
+}
+
+/**
+ * 값의 타입 이름을 반환합니다.
+ * @param {any} value - 값
+ * @returns {string} 타입 이름
+ * @private
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * 선언된 변수에 맞춰 값을 준비합니다.
+ * 값이 없으면(undefined / null) 기본값을 사용하고, 기본값도 없으면 누락으로 처리합니다.
+ * @param {string} templateId - 템플릿 ID (오류 메시지용)
+ * @param {Object} variables - 변수 선언 ({ name: { type, required, default } })
+ * @param {Object} data - 입력 값
+ * @returns {Object} 기본값이 적용된 값 (선언되지 않은 키도 그대로 유지)
+ * @throws {PromptTemplateError} 필수 변수가 없거나 타입이 맞지 않는 경우
+ */
+function resolveVariables(templateId, variables, data = {}) {
+  const values = { ...data };
+  const missing = [];
+  const mismatched = [];
+
+  Object.entries(variables).forEach(([name, variable]) => {
+    let value = data[name];
+
+    if (value === undefined || value === null) {
+      if (variable.default !== undefined) {
+        value = variable.default;
+      } else if (variable.required !== false) {
+        missing.push(name);
+        return;
+      } else {
+        return;
+      }
+    }
+
+    const types = [].concat(variable.type || 'any');
+    if (!types.includes('any') && !types.includes(typeOf(value))) {
+      mismatched.push(`${name} (expected ${types.join(' | ')}, got ${typeOf(value)})`);
+      return;
+    }
+
+    values[name] = value;
+  });
+
+  if (missing.length > 0) {
+    throw new PromptTemplateError(`Missing variables for template ${templateId}: ${missing.join(', ')}`, {
+      code: 'PROMPT_VARIABLE_MISSING',
+      templateId,
+      variables: missing
+    });
+  }
+
+  if (mismatched.length > 0) {
+    throw new PromptTemplateError(`Invalid variables for template ${templateId}: ${mismatched.join(', ')}`, {
+      code: 'PROMPT_VARIABLE_TYPE',
+      templateId,
+      variables: mismatched.map(entry => entry.split(' ')[0])
+    });
+  }
+
+  return values;
+}
+
+/**
+ * 인라인 템플릿 문자열의 변수 선언을 만듭니다.
+ * 값 태그는 필수, 섹션으로만 쓰인 변수는 값이 없으면 섹션을 생략하므로 선택입니다.
+ * @param {string} text - 템플릿 본문
+ * @returns {Object} 변수 선언
+ */
+function inferVariables(text) {
+  const { variables, sections } = extractVariables(text);
+  return Object.fromEntries([
+    ...variables.map(name => [name, { type: 'any', required: true }]),
+    ...sections.map(name => [name, { type: 'any', required: false }])
+  ]);
+}
+
+class PromptTemplateRegistry {
+  /**
+   * 생성자
+   * @param {Object} options - 레지스트리 옵션
+   * @param {string} options.dir - 템플릿 디렉토리 (지정하면 즉시 불러옴)
+   * @param {string} options.defaultLanguage - 요청한 언어 본문이 없을 때 사용할 언어 (기본값: 'ko')
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.defaultLanguage = options.defaultLanguage || 'ko';
+    this.templates = new Map(); // templateId -> Map(version -> template)
+
+    if (this.dir) {
+      this.load(this.dir);
+    }
+  }
+
+  /**
+   * 설정에서 레지스트리를 생성합니다.
+   * 상대 경로는 프로젝트 루트 기준으로 해석합니다.
+   * @param {Object} mcpConfig - config.mcp
+   * @returns {PromptTemplateRegistry} 레지스트리
+   */
+  static fromConfig(mcpConfig = config.mcp) {
+    return new PromptTemplateRegistry({
+      dir: path.resolve(__dirname, '../..', mcpConfig.promptTemplateDir),
+      defaultLanguage: mcpConfig.defaultPromptLanguage
+    });
+  }
+
+  /**
+   * 디렉토리에서 템플릿을 불러옵니다.
+   * @param {string} dir - 템플릿 디렉토리
+   * @returns {PromptTemplateRegistry} this
+   * @throws {PromptTemplateError} 템플릿 정의가 잘못된 경우
+   */
+  load(dir) {
+    if (!fs.existsSync(dir)) {
+      throw new PromptTemplateError(`Prompt template directory not found: ${dir}`, { code: 'PROMPT_TEMPLATE_NOT_FOUND' });
+    }
+
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const templateDir = path.join(dir, entry.name);
+
+        fs.readdirSync(templateDir, { withFileTypes: true })
+          .filter(versionEntry => versionEntry.isDirectory() && /^v\d+$/.test(versionEntry.name))
+          .forEach(versionEntry => {
+            const versionDir = path.join(templateDir, versionEntry.name);
+            const definition = JSON.parse(fs.readFileSync(path.join(versionDir, 'template.json'), 'utf8'));
+            const languages = {};
+
+            fs.readdirSync(versionDir)
+              .filter(file => file.endsWith('.txt'))
+              .forEach(file => {
+                languages[path.basename(file, '.txt')] = fs.readFileSync(path.join(versionDir, file), 'utf8');
+              });
+
+            this.register({
+              ...definition,
+              id: entry.name,
+              version: Number(versionEntry.name.slice(1)),
+              languages
+            });
+          });
+      });
+
+    return this;
+  }
+
+  /**
+   * 템플릿을 등록합니다.
+   * 본문의 모든 플레이스홀더는 variables 에 선언되어 있어야 합니다.
+   * @param {Object} template - { id, version, description, variables, languages: { [language]: text } }
+   * @returns {Object} 등록된 템플릿
+   * @throws {PromptTemplateError} 선언되지 않은 변수나 잘못된 타입이 있는 경우
+   */
+  register(template) {
+    const { id, version, variables = {}, languages = {} } = template;
+
+    if (!id || !Number.isInteger(version) || Object.keys(languages).length === 0) {
+      throw new PromptTemplateError(`Invalid prompt template definition: ${id || '(no id)'} v${version}`, {
+        code: 'PROMPT_TEMPLATE_INVALID',
+        templateId: id
+      });
+    }
+
+    Object.entries(variables).forEach(([name, variable]) => {
+      const unknown = [].concat(variable.type || 'any').filter(type => !VARIABLE_TYPES.includes(type));
+      if (unknown.length > 0) {
+        throw new PromptTemplateError(`Unknown type for variable ${name} in ${id} v${version}: ${unknown.join(', ')}`, {
+          code: 'PROMPT_TEMPLATE_INVALID',
+          templateId: id,
+          variables: [name]
+        });
+      }
+    });
+
+    Object.entries(languages).forEach(([language, text]) => {
+      const undeclared = extractPlaceholders(text, `${id} v${version} (${language})`).filter(name => !variables[name]);
+      if (undeclared.length > 0) {
+        throw new PromptTemplateError(`Undeclared variables in ${id} v${version} (${language}): ${undeclared.join(', ')}`, {
+          code: 'PROMPT_TEMPLATE_INVALID',
+          templateId: id,
+          variables: undeclared
+        });
+      }
+    });
+
+    const entry = { description: '', ...template, variables, languages };
+    if (!this.templates.has(id)) {
+      this.templates.set(id, new Map());
+    }
+    this.templates.get(id).set(version, entry);
+
+    return entry;
+  }
+
+  /**
+   * 템플릿 존재 여부를 확인합니다.
+   * @param {string} templateId - 템플릿 ID
+   * @returns {boolean} 존재 여부
+   */
+  has(templateId) {
+    return this.templates.has(templateId);
+  }
+
+  /**
+   * 템플릿 ID 목록을 반환합니다.
+   * @returns {Array<string>} 템플릿 ID 배열
+   */
+  list() {
+    return Array.from(this.templates.keys());
+  }
+
+  /**
+   * 템플릿의 버전 목록을 반환합니다.
+   * @param {string} templateId - 템플릿 ID
+   * @returns {Array<number>} 오름차순 버전 배열
+   */
+  getVersions(templateId) {
+    const versions = this.templates.get(templateId);
+    return versions ? Array.from(versions.keys()).sort((a, b) => a - b) : [];
+  }
+
+  /**
+   * 템플릿을 가져옵니다.
+   * @param {string} templateId - 템플릿 ID
+   * @param {Object} options - 조회 옵션
+   * @param {number} options.version - 버전 (기본값: 최신 버전)
+   * @returns {Object} 템플릿 정의
+   * @throws {PromptTemplateError} 템플릿 또는 버전이 없는 경우
+   */
+  get(templateId, options = {}) {
+    const versions = this.getVersions(templateId);
+    const version = options.version !== undefined ? Number(options.version) : versions[versions.length - 1];
+    const template = this.templates.has(templateId) ? this.templates.get(templateId).get(version) : undefined;
+
+    if (!template) {
+      throw new PromptTemplateError(`Template ${templateId}${options.version !== undefined ? ` v${options.version}` : ''} not found`, {
+        code: 'PROMPT_TEMPLATE_NOT_FOUND',
+        templateId
+      });
+    }
+
+    return template;
+  }
+
+  /**
+   * 언어에 맞는 본문을 고릅니다.
+   * 요청한 언어 본문이 없으면 기본 언어, 그마저 없으면 첫 번째 언어 본문을 사용합니다.
+   * @param {string} templateId - 템플릿 ID
+   * @param {Object} options - { version, language }
+   * @returns {{template: Object, language: string, text: string}} 템플릿 정의와 선택된 본문
+   * @throws {PromptTemplateError} 템플릿이 없는 경우
+   */
+  getText(templateId, options = {}) {
+    const template = this.get(templateId, options);
+    const language = [options.language, this.defaultLanguage, Object.keys(template.languages)[0]]
+      .find(candidate => candidate && template.languages[candidate] !== undefined);
+
+    return { template, language, text: template.languages[language] };
+  }
+
+  /**
+   * 언어에 맞는 본문과 검증된 변수 값을 준비합니다.
+   * @param {string} templateId - 템플릿 ID
+   * @param {Object} data - 변수 값
+   * @param {Object} options - { version, language }
+   * @returns {{id: string, version: number, language: string, text: string, values: Object}} 준비된 템플릿
+   * @throws {PromptTemplateError} 템플릿이 없거나 변수가 누락 / 타입 불일치인 경우
+   */
+  resolve(templateId, data = {}, options = {}) {
+    const { template, language, text } = this.getText(templateId, options);
+
+    return {
+      id: template.id,
+      version: template.version,
+      language,
+      text,
+      values: resolveVariables(templateId, template.variables, data)
+    };
+  }
+}
+
+/**
+ * 줄 단위 차이를 계산합니다. (LCS 기반)
+ * @param {string} before - 이전 텍스트
+ * @param {string} after - 이후 텍스트
+ * @returns {Array<{type: string, line: string}>} 줄별 변경 (' ' 유지, '-' 삭제, '+' 추가)
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: '-', line: a[i++] });
+    } else {
+      result.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    result.push({ type: '-', line: a[i++] });
+  }
+  while (j < b.length) {
+    result.push({ type: '+', line: b[j++] });
+  }
+
+  return result;
+}
+
+/**
+ * 두 템플릿 버전의 차이를 계산합니다.
+ * @param {PromptTemplateRegistry} registry - 레지스트리
+ * @param {string} templateId - 템플릿 ID
+ * @param {number} fromVersion - 이전 버전
+ * @param {number} toVersion - 이후 버전
+ * @returns {Object} { variables: { added, removed, changed }, languages: { [language]: Array<{type, line}> | null } }
+ */
+function diffTemplateVersions(registry, templateId, fromVersion, toVersion) {
+  const from = registry.get(templateId, { version: fromVersion });
+  const to = registry.get(templateId, { version: toVersion });
+
+  const fromNames = Object.keys(from.variables);
+  const toNames = Object.keys(to.variables);
+  const variables = {
+    added: toNames.filter(name => !from.variables[name]),
+    removed: fromNames.filter(name => !to.variables[name]),
+    changed: toNames.filter(name => from.variables[name]
+      && JSON.stringify(from.variables[name]) !== JSON.stringify(to.variables[name]))
+  };
+
+  const languages = {};
+  new Set([...Object.keys(from.languages), ...Object.keys(to.languages)]).forEach(language => {
+    languages[language] = diffLines(from.languages[language] || '', to.languages[language] || '');
+  });
+
+  return { variables, languages };
+}
+
+let sharedRegistry = null;
+
+/**
+ * 설정(config.mcp.promptTemplateDir)으로 불러온 공유 레지스트리를 반환합니다.
+ * @returns {PromptTemplateRegistry} 레지스트리
+ */
+function getPromptRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = PromptTemplateRegistry.fromConfig();
+  }
+  return sharedRegistry;
+}
+
+module.exports = PromptTemplateRegistry;
+module.exports.PromptTemplateRegistry = PromptTemplateRegistry;
+module.exports.PromptTemplateError = PromptTemplateError;
+module.exports.getPromptRegistry = getPromptRegistry;
+module.exports.resolveVariables = resolveVariables;
+module.exports.inferVariables = inferVariables;
+module.exports.extractPlaceholders = extractPlaceholders;
+module.exports.diffLines = diffLines;
+module.exports.diffTemplateVersions = diffTemplateVersions;
@@ -0,0 +1,345 @@
+/**
+ * MCP 프롬프트 템플릿 렌더러
+ * 로직을 제한한 Mustache 계열 문법으로 프롬프트를 렌더링합니다. (표현식 평가 없음)
+ *
+ * 문법:
+ *   {{name}} / {{product.price}}   - 값 (객체 / 배열은 문자열로 변환, 값이 없으면 빈 문자열)
+ *   {{name | json}}                - 포매터 적용 (json, price, date)
+ *   {{#name}}...{{/name}}          - 값이 있으면 렌더링, 배열이면 항목마다 반복 ({{.}} 는 현재 항목)
+ *   {{^name}}...{{/name}}          - 값이 없거나 빈 배열이면 렌더링
+ *   {{> templateId}}               - 다른 템플릿(partial)을 현재 값으로 렌더링
+ *   {{! comment}}                  - 주석
+ * 섹션 / 주석 태그만 있는 줄은 줄 전체가 제거됩니다.
+ */
+const { PromptTemplateError } = require('./mcp-prompt-errors');
+
+const TAG_PATTERN = /\{\{\s*([#^/>!]?)\s*([^}]*?)\s*\}\}/g;
+const NAME_PATTERN = /^(\.|[\w-]+(\.[\w-]+)*)$/;
+const STANDALONE_TYPES = ['#', '^', '/', '!'];
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * 템플릿 값 포매터
+ * @type {Object<string, function(any, Object): string>}
+ */
+const FORMATTERS = {
+  json: value => JSON.stringify(value === undefined ? null : value),
+  price: (value, options) => {
+    const amount = Number(value);
+    if (value === null || value === undefined || value === '' || Number.isNaN(amount)) {
+      return formatValue(value);
+    }
+    return new Intl.NumberFormat(options.locale, { style: 'currency', currency: options.currency }).format(amount);
+  },
+  date: (value, options) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+      return formatValue(value);
+    }
+    return date.toLocaleDateString(options.locale, { timeZone: options.timeZone });
+  }
+};
+
+/**
+ * 값을 프롬프트 문자열로 변환합니다.
+ * 대화 메시지({ role, content })는 `role: content` 한 줄로, 그 외 객체는 JSON 으로 변환합니다.
+ * @param {any} value - 값
+ * @returns {string} 문자열
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatItem).join('\n');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * 배열 항목 하나를 문자열로 변환합니다.
+ * @param {any} item - 배열 항목
+ * @returns {string} 문자열
+ */
+function formatItem(item) {
+  if (item && typeof item === 'object' && item.role && item.content !== undefined) {
+    return `${item.role}: ${formatValue(item.content)}`;
+  }
+  return typeof item === 'string' ? item : JSON.stringify(item);
+}
+
+/**
+ * 템플릿을 토큰 목록으로 나눕니다. 섹션 / 주석 태그만 있는 줄은 줄바꿈까지 제거합니다.
+ * @param {string} text - 템플릿 본문
+ * @returns {Array<Object>} 토큰 ({ type: 'text', value } 또는 { type, expression })
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const type = match[1] || 'var';
+    let start = match.index;
+    let end = match.index + match[0].length;
+
+    // 단독 태그 줄: 태그 앞뒤가 줄 시작 / 줄 끝까지 공백뿐인 경우 줄 전체를 제거
+    if (STANDALONE_TYPES.includes(type)) {
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const newline = text.indexOf('\n', end);
+      const lineEnd = newline === -1 ? text.length : newline + 1;
+      if (/^[ \t]*$/.test(text.slice(lineStart, start)) && /^[ \t]*\r?\n?$/.test(text.slice(end, lineEnd))) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    tokens.push({ type: 'text', value: text.slice(last, start) });
+    tokens.push({ type, expression: match[2] });
+    last = end;
+  }
+  tokens.push({ type: 'text', value: text.slice(last) });
+
+  return tokens.filter(token => token.type !== 'text' || token.value !== '');
+}
+
+/**
+ * 태그 표현식(`name | formatter`)을 나눕니다.
+ * @param {string} expression - 태그 표현식
+ * @param {string} templateId - 템플릿 ID (오류 메시지용)
+ * @returns {{name: string, formatters: Array<string>}} 이름과 포매터
+ * @private
+ */
+function parseExpression(expression, templateId) {
+  const [name, ...formatters] = expression.split('|').map(part => part.trim());
+
+  if (!NAME_PATTERN.test(name)) {
+    throw new PromptTemplateError(`Invalid tag {{${expression}}} in template ${templateId}`, {
+      code: 'PROMPT_TEMPLATE_INVALID',
+      templateId
+    });
+  }
+
+  const unknown = formatters.filter(formatter => !FORMATTERS[formatter]);
+  if (unknown.length > 0) {
+    throw new PromptTemplateError(`Unknown formatter in template ${templateId}: ${unknown.join(', ')}`, {
+      code: 'PROMPT_TEMPLATE_INVALID',
+      templateId
+    });
+  }
+
+  return { name, formatters };
+}
+
+/**
+ * 템플릿을 구문 트리로 파싱합니다.
+ * @param {string} text - 템플릿 본문
+ * @param {string} templateId - 템플릿 ID (오류 메시지용)
+ * @returns {Array<Object>} 구문 트리 노드
+ * @throws {PromptTemplateError} 섹션이 닫히지 않았거나 태그가 잘못된 경우
+ */
+function parse(text, templateId = '(inline)') {
+  const root = [];
+  const stack = [{ name: null, children: root }];
+
+  tokenize(text).forEach(token => {
+    const current = stack[stack.length - 1];
+
+    switch (token.type) {
+      case 'text':
+        current.children.push(token);
+        break;
+      case '!':
+        break;
+      case '>':
+        current.children.push({ type: 'partial', name: token.expression });
+        break;
+      case '#':
+      case '^': {
+        const { name } = parseExpression(token.expression, templateId);
+        const section = { type: token.type === '#' ? 'section' : 'inverted', name, children: [] };
+        current.children.push(section);
+        stack.push(section);
+        break;
+      }
+      case '/':
+        if (current.name !== token.expression) {
+          throw new PromptTemplateError(`Unexpected {{/${token.expression}}} in template ${templateId}`, {
+            code: 'PROMPT_TEMPLATE_INVALID',
+            templateId
+          });
+        }
+        stack.pop();
+        break;
+      default:
+        current.children.push({ type: 'var', ...parseExpression(token.expression, templateId) });
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new PromptTemplateError(`Unclosed section {{#${stack[stack.length - 1].name}}} in template ${templateId}`, {
+      code: 'PROMPT_TEMPLATE_INVALID',
+      templateId
+    });
+  }
+
+  return root;
+}
+
+/**
+ * 템플릿이 최상위 값에서 참조하는 변수를 추출합니다.
+ * 섹션 안의 이름은 현재 항목의 필드일 수 있으므로 nested 로 따로 반환합니다.
+ * @param {string} text - 템플릿 본문
+ * @param {string} templateId - 템플릿 ID (오류 메시지용)
+ * @returns {{variables: Array<string>, sections: Array<string>, nested: Array<string>, partials: Array<string>}} 변수 이름 (점 경로는 첫 이름)
+ * @throws {PromptTemplateError} 문법 오류인 경우
+ */
+function extractVariables(text, templateId) {
+  const result = { variables: new Set(), sections: new Set(), nested: new Set(), partials: new Set() };
+
+  const visit = (nodes, depth) => {
+    nodes.forEach(node => {
+      if (node.type === 'text') {
+        return;
+      }
+      if (node.type === 'partial') {
+        result.partials.add(node.name);
+        return;
+      }
+
+      const name = node.name.split('.')[0];
+      if (name !== '') {
+        if (depth > 0) {
+          result.nested.add(name);
+        } else {
+          result[node.type === 'var' ? 'variables' : 'sections'].add(name);
+        }
+      }
+      if (node.children) {
+        visit(node.children, depth + 1);
+      }
+    });
+  };
+  visit(parse(text, templateId), 0);
+
+  return {
+    variables: Array.from(result.variables),
+    sections: Array.from(result.sections).filter(name => !result.variables.has(name)),
+    nested: Array.from(result.nested),
+    partials: Array.from(result.partials)
+  };
+}
+
+/**
+ * 점 경로 이름을 컨텍스트 스택에서 찾습니다. (안쪽 컨텍스트부터)
+ * @param {Array<any>} stack - 컨텍스트 스택
+ * @param {string} name - 이름 ('.' 은 현재 항목)
+ * @returns {any} 값
+ * @private
+ */
+function lookup(stack, name) {
+  if (name === '.') {
+    return stack[stack.length - 1];
+  }
+
+  const [first, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const context = stack[i];
+    if (context !== null && typeof context === 'object' && Object.prototype.hasOwnProperty.call(context, first)) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * 섹션 렌더링 여부를 판단합니다.
+ * @param {any} value - 섹션 값
+ * @returns {boolean} 값이 있는지 여부
+ * @private
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * 템플릿을 렌더링합니다.
+ * @param {string} text - 템플릿 본문
+ * @param {Object} data - 템플릿 값
+ * @param {Object} options - 렌더링 옵션
+ * @param {function(string): string} options.partials - partial 템플릿 ID 로 본문을 반환하는 함수
+ * @param {string} options.locale - price / date 포매터 로케일 (기본값: 'pt-BR')
+ * @param {string} options.currency - price 포매터 통화 (기본값: 'BRL')
+ * @param {string} options.timeZone - date 포매터 시간대 (기본값: 'America/Sao_Paulo')
+ * @param {string} options.templateId - 템플릿 ID (오류 메시지용)
+ * @returns {string} 렌더링된 문자열
+ * @throws {PromptTemplateError} 문법 오류이거나 partial 을 찾을 수 없는 경우
+ */
+function render(text, data = {}, options = {}) {
+  const settings = {
+    ...options,
+    locale: options.locale || 'pt-BR',
+    currency: options.currency || 'BRL',
+    timeZone: options.timeZone || 'America/Sao_Paulo'
+  };
+
+  const renderNodes = (nodes, stack, depth) => nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'var': {
+        const value = lookup(stack, node.name);
+        return node.formatters.length > 0
+          ? node.formatters.reduce((result, formatter) => FORMATTERS[formatter](result, settings), value)
+          : formatValue(value);
+      }
+
+      case 'section': {
+        const value = lookup(stack, node.name);
+        if (!isTruthy(value)) {
+          return '';
+        }
+        const items = Array.isArray(value) ? value : [value];
+        return items.map(item => renderNodes(node.children, stack.concat([item]), depth)).join('');
+      }
+
+      case 'inverted':
+        return isTruthy(lookup(stack, node.name)) ? '' : renderNodes(node.children, stack, depth);
+
+      case 'partial': {
+        const partial = settings.partials ? settings.partials(node.name) : undefined;
+        if (typeof partial !== 'string' || depth >= MAX_PARTIAL_DEPTH) {
+          throw new PromptTemplateError(`Partial ${node.name} not found for template ${settings.templateId || '(inline)'}`, {
+            code: 'PROMPT_TEMPLATE_NOT_FOUND',
+            templateId: node.name
+          });
+        }
+        return renderNodes(parse(partial, node.name), stack, depth + 1);
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+
+  return renderNodes(parse(text, settings.templateId), [data], 0);
+}
+
+module.exports = {
+  FORMATTERS,
+  formatValue,
+  formatItem,
+  parse,
+  extractVariables,
+  render
+};
@@ -3,6 +3,7 @@
  * LG 브라질 사이트에서 제품 정보 및 구매 프로세스를 크롤링합니다.
  */
 const { ApifyClient } = require('apify-client');
+const { traceCall } = require('../../protocols/a2a-tracing');
 
 class ApifyCrawlingService {
   /**
@@ -38,7 +39,7 @@ class ApifyCrawlingService {
       this.logger.info(`${category} 카테고리 제품 크롤링 시작 (최대 ${limit}개)`);
       
       // 크롤링 실행
-      const run = await this.apifyClient.actor('apify/website-content-crawler').call({
+      const run = await this._callActor('apify/website-content-crawler', {
         startUrls: [{ url: `${this.config.lgBrazilUrl}/${category}` }],
         maxCrawlDepth: this.config.maxCrawlDepth,
         maxCrawlPages: limit,
@@ -73,7 +74,7 @@ class ApifyCrawlingService {
       
       // 구매 프로세스 크롤링을 위한 사용자 정의 액터 실행
       // 이 예시에서는 가정상의 액터를 사용합니다
-      const run = await this.apifyClient.actor('myorg/checkout-process-crawler').call({
+      const run = await this._callActor('myorg/checkout-process-crawler', {
         url: productUrl,
         maxSteps: 10, // 최대 단계 수
         waitForNavigation: true,
@@ -115,6 +116,18 @@ class ApifyCrawlingService {
     return results;
   }
   
+  /**
+   * Apify 액터를 실행합니다. (추적 스팬 기록)
+   * @param {string} actorId - 액터 ID
+   * @param {Object} input - 액터 입력
+   * @returns {Promise<Object>} 액터 실행 정보
+   * @private
+   */
+  _callActor(actorId, input) {
+    return traceCall('apify.actor.call', { 'apify.actor': actorId },
+      () => this.apifyClient.actor(actorId).call(input));
+  }
+  
   /**
    * 크롤링 데이터에서 제품 정보 추출 및 정제
    * @param {Array} items - 크롤링 결과 항목
@@ -0,0 +1,543 @@
+/**
+ * LLM 게이트웨이
+ * 런타임 에이전트(MCPGeminiPromptManager)와 스크립트(scripts/services/llm-service.js)가 함께 사용하는 LLM 호출 모듈입니다.
+ *
+ * - 작업(task)별 경로: routes[task] 에 선언된 `<provider>:<model>` 목록을 순서대로 시도 (없으면 routes.default)
+ * - 대체 경로: 제공자 오류 시 다음 제공자로 넘어가고, 제공자별 서킷 브레이커가 열려 있으면 건너뜀
+ * - 요청 제한: 제공자별 rateLimits({ maxRequests, perSeconds }) 를 넘는 호출은 창이 비워질 때까지 순서대로 대기
+ * - 응답 캐시: 작업 / 프롬프트 / 생성 옵션이 같으면 TTL 동안 캐시된 응답 반환 (메모리, 선택적으로 파일)
+ * - 사용량 집계: 세션별 요청 수, 입력 / 출력 토큰, 비용(pricing 기준), 최근 세션만 TTL / 항목 수 제한으로 보관
+ * - 구조화 출력: JSON Schema 검증과 복구 재시도 (generateStructured, llm-structured-output.js)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../../config');
+const { createProvider } = require('./llm-providers');
+const { CircuitBreaker } = require('../../protocols/a2a-circuit-breaker');
+const { traceCall } = require('../../protocols/a2a-tracing');
+const { estimateTokens } = require('../../protocols/mcp-prompt-budget');
+const { generateStructured } = require('./llm-structured-output');
+
+const GENERATION_OPTIONS = ['temperature', 'maxTokens', 'topP', 'topK', 'systemPrompt', 'responseFormat'];
+
+/**
+ * LLM 게이트웨이 오류 (경로의 모든 제공자가 실패한 경우)
+ */
+class LLMGatewayError extends Error {
+  /**
+   * @param {string} message - 오류 메시지
+   * @param {Object} details - 추가 정보
+   * @param {string} details.task - 작업 이름
+   * @param {Array<Object>} details.attempts - 제공자별 시도 결과 ({ provider, model, error, skipped })
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'LLM_ALL_PROVIDERS_FAILED';
+    this.task = details.task || null;
+    this.attempts = details.attempts || [];
+  }
+}
+
+/**
+ * 경로 항목(`google:gemini-pro` 또는 { provider, model })을 나눕니다.
+ * @param {string|Object} target - 경로 항목
+ * @returns {{provider: string, model: string}} 제공자와 모델
+ * @private
+ */
+function parseTarget(target) {
+  if (typeof target === 'object') {
+    return { provider: target.provider, model: target.model };
+  }
+  const [provider, ...model] = target.split(':');
+  return { provider, model: model.join(':') || undefined };
+}
+
+class LLMGateway {
+  /**
+   * 생성자
+   * @param {Object} options - 게이트웨이 옵션 (기본값: config.llm)
+   * @param {Object} options.providers - 제공자 이름별 옵션 ({ google: { project, location }, fake: { responses } })
+   * @param {Object} options.routes - 작업별 제공자 경로 ({ default: ['google:gemini-pro', 'openai:gpt-4o-mini'] })
+   * @param {Object} options.defaults - 기본 생성 옵션 ({ temperature, maxTokens })
+   * @param {Object} options.cache - 응답 캐시 ({ enabled, ttl, maxEntries, dir })
+   * @param {Object} options.pricing - 모델별 1K 토큰당 비용 ({ 'gemini-pro': { input, output } })
+   * @param {Object} options.usage - 세션 사용량 보관 ({ ttl, maxEntries }, 마지막 기록 후 ttl 이 지나거나 오래된 세션부터 제거)
+   * @param {Object} options.circuitBreaker - 제공자별 서킷 브레이커 옵션 (CircuitBreaker 옵션)
+   * @param {Object} options.rateLimits - 제공자별 요청 제한 ({ google: { maxRequests: 10, perSeconds: 60 } }, 없으면 제한 없음)
+   * @param {number} options.retries - 같은 제공자에서 재시도할 횟수 (재시도 가능한 오류만, 기본값: 0)
+   * @param {number} options.retryDelay - 재시도 전 대기 시간 (밀리초)
+   * @param {Object} options.structuredOutput - 구조화 출력 옵션 ({ maxRepairs })
+   * @param {Object} options.logger - 로거
+   */
+  constructor(options = config.llm) {
+    this.providerOptions = options.providers || {};
+    this.routes = options.routes || { default: ['fake'] };
+    this.defaults = options.defaults || {};
+    this.cacheOptions = { enabled: true, ttl: 10 * 60 * 1000, maxEntries: 500, ...options.cache };
+    this.pricing = options.pricing || {};
+    this.usageOptions = { ttl: 24 * 60 * 60 * 1000, maxEntries: 10000, ...options.usage };
+    this.breakerOptions = options.circuitBreaker || {};
+    this.rateLimits = options.rateLimits || {};
+    this.retries = options.retries || 0;
+    this.retryDelay = options.retryDelay || 1000;
+    this.structuredOptions = options.structuredOutput || {};
+    this.logger = options.logger || console;
+
+    this.providers = new Map();
+    this.breakers = new Map();
+    this.rateLimitQueues = new Map(); // provider -> 마지막 대기 Promise (요청 순서 유지)
+    this.requestTimestamps = new Map(); // provider -> 제한 창 안의 호출 시각
+    this.cache = new Map(); // key -> { response, expiresAt }
+    this.usage = new Map(); // sessionId -> { usage, expiresAt } (LRU)
+
+    if (this.cacheOptions.enabled && this.cacheOptions.dir && !fs.existsSync(this.cacheOptions.dir)) {
+      fs.mkdirSync(this.cacheOptions.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * 제공자 인스턴스를 등록합니다. (테스트용 제공자나 직접 만든 클라이언트 주입)
+   * @param {string} name - 제공자 이름
+   * @param {Object} provider - generate(prompt, options) 를 구현한 제공자
+   * @returns {LLMGateway} this
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+    return this;
+  }
+
+  /**
+   * 제공자 인스턴스를 가져옵니다. (처음 사용할 때 생성)
+   * @param {string} name - 제공자 이름
+   * @returns {Object} 제공자
+   */
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createProvider(name, this.providerOptions[name]));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * 작업의 제공자 경로를 반환합니다.
+   * @param {string} task - 작업 이름 (프롬프트 템플릿 ID 등)
+   * @returns {Array<{provider: string, model: string}>} 시도 순서대로의 제공자 / 모델
+   */
+  getRoute(task) {
+    const route = (task && this.routes[task]) || this.routes.default || [];
+    return [].concat(route).map(parseTarget);
+  }
+
+  /**
+   * 텍스트를 생성합니다.
+   * @param {string} prompt - 프롬프트
+   * @param {Object} options - 생성 옵션
+   * @param {string} options.task - 작업 이름 (경로 선택, 캐시 키, 사용량 집계에 사용)
+   * @param {string} options.sessionId - 사용량을 집계할 세션 / 사용자 ID
+   * @param {boolean} options.cache - 캐시 사용 여부 (기본값: cache.enabled)
+   * @param {Object} options.attributes - 호출 스팬에 추가할 속성
+   * @param {number} options.temperature - 온도
+   * @param {number} options.maxTokens - 최대 출력 토큰 수
+   * @param {string} options.responseFormat - 'json' 이면 JSON 모드를 지원하는 제공자에서 JSON 응답을 요청
+   * @returns {Promise<{text: string, provider: string, model: string, cached: boolean, usage: Object}>} 생성 결과
+   * @throws {LLMGatewayError} 경로의 모든 제공자가 실패한 경우
+   */
+  async generate(prompt, options = {}) {
+    const { task = 'default', sessionId, attributes = {} } = options;
+    const generationOptions = { ...this.defaults };
+    GENERATION_OPTIONS.forEach(key => {
+      if (options[key] !== undefined) {
+        generationOptions[key] = options[key];
+      }
+    });
+
+    const useCache = this.cacheOptions.enabled && options.cache !== false;
+    const cacheKey = useCache ? this.getCacheKey(task, prompt, generationOptions) : null;
+    const cached = useCache ? this.getCachedResponse(cacheKey) : null;
+    if (cached) {
+      const result = { ...cached, cached: true, usage: { ...cached.usage, cost: 0 } };
+      this.recordUsage(sessionId, result);
+      return result;
+    }
+
+    const attempts = [];
+    for (const { provider: providerName, model } of this.getRoute(task)) {
+      const breaker = this.getBreaker(providerName);
+      if (!breaker.tryAcquire()) {
+        attempts.push({ provider: providerName, model, skipped: true, error: 'circuit open' });
+        continue;
+      }
+
+      try {
+        const response = await this.callProvider(providerName, prompt, { ...generationOptions, model }, {
+          'llm.task': task,
+          ...attributes
+        });
+        breaker.onSuccess();
+
+        const inputTokens = response.usage && response.usage.inputTokens !== undefined
+          ? response.usage.inputTokens
+          : estimateTokens(prompt);
+        const outputTokens = response.usage && response.usage.outputTokens !== undefined
+          ? response.usage.outputTokens
+          : estimateTokens(response.text);
+        const result = {
+          text: response.text,
+          provider: providerName,
+          model,
+          cached: false,
+          usage: { inputTokens, outputTokens, cost: this.getCost(model, inputTokens, outputTokens) }
+        };
+
+        if (attempts.length > 0) {
+          this.logger.info(`LLM 대체 경로 사용: ${task} -> ${providerName}:${model}`);
+        }
+        if (useCache) {
+          this.cacheResponse(cacheKey, result);
+        }
+        this.recordUsage(sessionId, result);
+        return result;
+      } catch (error) {
+        breaker.onFailure(error);
+        attempts.push({ provider: providerName, model, error: error.message });
+        this.logger.warn(`LLM 제공자 오류 (${providerName}:${model}, 작업: ${task}): ${error.message}`);
+      }
+    }
+
+    throw new LLMGatewayError(`All LLM providers failed for task ${task}`, { task, attempts });
+  }
+
+  /**
+   * 텍스트만 반환하는 generate
+   * @param {string} prompt - 프롬프트
+   * @param {Object} options - 생성 옵션 (generate 와 같음)
+   * @returns {Promise<string>} 생성된 텍스트
+   */
+  async generateText(prompt, options = {}) {
+    const { text } = await this.generate(prompt, options);
+    return text;
+  }
+
+  /**
+   * JSON Schema 에 맞는 JSON 응답을 생성합니다. 검증에 실패하면 오류를 덧붙여 다시 요청합니다.
+   * @param {string} prompt - 프롬프트
+   * @param {Object} schema - 응답 JSON Schema
+   * @param {Object} options - 생성 옵션 (generate 옵션과 maxRepairs)
+   * @returns {Promise<{data: any, text: string, provider: string, model: string, repairs: number}>} 검증된 값과 생성 정보
+   * @throws {StructuredOutputError} 복구 후에도 스키마에 맞지 않는 경우
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    return generateStructured(this, prompt, schema, {
+      maxRepairs: this.structuredOptions.maxRepairs,
+      logger: this.logger,
+      ...options
+    });
+  }
+
+  /**
+   * 제공자를 호출합니다. 재시도 가능한 오류(rate limit, timeout, 5xx)는 retries 만큼 다시 시도합니다.
+   * 재시도를 포함한 매 호출은 제공자의 요청 제한(rateLimits)을 따릅니다.
+   * @param {string} providerName - 제공자 이름
+   * @param {string} prompt - 프롬프트
+   * @param {Object} options - 생성 옵션 (model 포함)
+   * @param {Object} attributes - 호출 스팬 속성
+   * @returns {Promise<{text: string, usage: Object}>} 제공자 응답
+   * @private
+   */
+  async callProvider(providerName, prompt, options, attributes) {
+    const provider = this.getProvider(providerName);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit(providerName);
+      try {
+        return await traceCall('llm.generateContent', {
+          'llm.system': providerName,
+          'llm.model': options.model,
+          'llm.prompt_length': prompt.length,
+          'llm.attempt': attempt + 1,
+          ...attributes
+        }, () => provider.generate(prompt, options));
+      } catch (error) {
+        if (attempt >= this.retries || !LLMGateway.isRetryableError(error)) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+      }
+    }
+  }
+
+  /**
+   * 제공자의 요청 제한 창에 자리가 날 때까지 기다립니다.
+   * 대기는 제공자별로 직렬화되어 요청 순서대로 통과합니다.
+   * @param {string} providerName - 제공자 이름
+   * @returns {Promise<void>} 호출해도 되는 시점에 이행
+   * @private
+   */
+  waitForRateLimit(providerName) {
+    const limit = this.rateLimits[providerName];
+    if (!limit) {
+      return Promise.resolve();
+    }
+
+    const windowMs = limit.perSeconds * 1000;
+    const previous = this.rateLimitQueues.get(providerName) || Promise.resolve();
+    const turn = previous.then(async () => {
+      const timestamps = this.requestTimestamps.get(providerName) || [];
+      this.requestTimestamps.set(providerName, timestamps);
+
+      while (timestamps.length > 0 && Date.now() - timestamps[0] >= windowMs) {
+        timestamps.shift();
+      }
+      if (timestamps.length >= limit.maxRequests) {
+        const waitTime = windowMs - (Date.now() - timestamps[0]);
+        this.logger.info(`LLM 요청 제한 대기 (${providerName}): ${waitTime}ms`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        timestamps.shift();
+      }
+      timestamps.push(Date.now());
+    });
+
+    this.rateLimitQueues.set(providerName, turn);
+    return turn;
+  }
+
+  /**
+   * 같은 제공자에서 다시 시도할 만한 오류인지 확인합니다.
+   * @param {Error} error - 오류
+   * @returns {boolean} 재시도 가능 여부
+   */
+  static isRetryableError(error) {
+    const status = error.status || error.code;
+    if (status === 429 || (typeof status === 'number' && status >= 500)) {
+      return true;
+    }
+    return /rate limit|timeout|internal (server )?error|unavailable/i.test(error.message || '');
+  }
+
+  /**
+   * 제공자별 서킷 브레이커를 가져옵니다.
+   * @param {string} providerName - 제공자 이름
+   * @returns {CircuitBreaker} 브레이커
+   * @private
+   */
+  getBreaker(providerName) {
+    if (!this.breakers.has(providerName)) {
+      this.breakers.set(providerName, new CircuitBreaker(`llm.${providerName}`, this.breakerOptions));
+    }
+    return this.breakers.get(providerName);
+  }
+
+  /**
+   * 모델 비용을 계산합니다. (pricing 은 1K 토큰당 비용)
+   * @param {string} model - 모델
+   * @param {number} inputTokens - 입력 토큰 수
+   * @param {number} outputTokens - 출력 토큰 수
+   * @returns {number} 비용 (가격 정보가 없으면 0)
+   */
+  getCost(model, inputTokens, outputTokens) {
+    const price = this.pricing[model];
+    if (!price) {
+      return 0;
+    }
+    return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1000;
+  }
+
+  /**
+   * 세션 사용량을 기록합니다.
+   * 기록할 때마다 만료 시각을 늦추고 최근 항목으로 옮기며, maxEntries 를 넘으면 가장 오래된 세션부터 제거합니다.
+   * @param {string} sessionId - 세션 / 사용자 ID (없으면 기록하지 않음)
+   * @param {Object} result - generate 결과
+   * @private
+   */
+  recordUsage(sessionId, result) {
+    if (!sessionId) {
+      return;
+    }
+
+    const usage = this.getUsage(sessionId) || {
+      requests: 0,
+      cachedRequests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0,
+      byProvider: {}
+    };
+    const key = `${result.provider}:${result.model}`;
+    const byProvider = usage.byProvider[key] || { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+    usage.requests++;
+    if (result.cached) {
+      usage.cachedRequests++;
+    } else {
+      usage.inputTokens += result.usage.inputTokens;
+      usage.outputTokens += result.usage.outputTokens;
+      usage.cost += result.usage.cost;
+      byProvider.requests++;
+      byProvider.inputTokens += result.usage.inputTokens;
+      byProvider.outputTokens += result.usage.outputTokens;
+      byProvider.cost += result.usage.cost;
+      usage.byProvider[key] = byProvider;
+    }
+
+    this.usage.delete(sessionId);
+    this.usage.set(sessionId, { usage, expiresAt: Date.now() + this.usageOptions.ttl });
+    while (this.usage.size > this.usageOptions.maxEntries) {
+      this.usage.delete(this.usage.keys().next().value);
+    }
+  }
+
+  /**
+   * 세션 사용량을 반환합니다.
+   * @param {string} sessionId - 세션 / 사용자 ID
+   * @returns {Object|null} { requests, cachedRequests, inputTokens, outputTokens, cost, byProvider } (없거나 만료되면 null)
+   */
+  getUsage(sessionId) {
+    const entry = this.usage.get(sessionId);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.usage.delete(sessionId);
+      return null;
+    }
+    return entry.usage;
+  }
+
+  /**
+   * 보관 중인 세션 사용량 목록을 반환합니다. (최근 기록 순, 만료된 세션은 제거)
+   * @param {number} limit - 최대 세션 수 (기본값: 전체)
+   * @returns {Array<Object>} [{ sessionId, ...사용량 }]
+   */
+  listUsage(limit = Infinity) {
+    const result = [];
+    for (const sessionId of [...this.usage.keys()].reverse()) {
+      if (result.length >= limit) {
+        break;
+      }
+      const usage = this.getUsage(sessionId);
+      if (usage) {
+        result.push({ sessionId, ...usage });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 세션 사용량을 초기화합니다.
+   * @param {string} sessionId - 세션 / 사용자 ID (생략하면 전체)
+   */
+  resetUsage(sessionId) {
+    if (sessionId) {
+      this.usage.delete(sessionId);
+    } else {
+      this.usage.clear();
+    }
+  }
+
+  /**
+   * 캐시 키를 만듭니다.
+   * @param {string} task - 작업 이름
+   * @param {string} prompt - 프롬프트
+   * @param {Object} options - 생성 옵션
+   * @returns {string} 캐시 키
+   * @private
+   */
+  getCacheKey(task, prompt, options) {
+    const route = this.getRoute(task).map(({ provider, model }) => `${provider}:${model}`).join(',');
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([route, prompt, options]))
+      .digest('hex');
+  }
+
+  /**
+   * 캐시된 응답을 가져옵니다. (메모리, 없으면 파일 캐시)
+   * @param {string} key - 캐시 키
+   * @returns {Object|null} 캐시된 결과
+   * @private
+   */
+  getCachedResponse(key) {
+    const entry = this.cache.get(key) || this.readCacheFile(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    // LRU: 최근 사용한 항목을 뒤로 이동
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry.response;
+  }
+
+  /**
+   * 응답을 캐시에 저장합니다.
+   * @param {string} key - 캐시 키
+   * @param {Object} response - generate 결과
+   * @private
+   */
+  cacheResponse(key, response) {
+    const entry = { response, expiresAt: Date.now() + this.cacheOptions.ttl };
+
+    this.cache.set(key, entry);
+    while (this.cache.size > this.cacheOptions.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    if (this.cacheOptions.dir) {
+      try {
+        fs.writeFileSync(path.join(this.cacheOptions.dir, `${key}.json`), JSON.stringify(entry), 'utf8');
+      } catch (error) {
+        this.logger.warn(`LLM 캐시 파일 저장 실패: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 파일 캐시에서 항목을 읽습니다.
+   * @param {string} key - 캐시 키
+   * @returns {Object|null} 캐시 항목
+   * @private
+   */
+  readCacheFile(key) {
+    if (!this.cacheOptions.dir) {
+      return null;
+    }
+
+    const filePath = path.join(this.cacheOptions.dir, `${key}.json`);
+    try {
+      return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+    } catch (error) {
+      this.logger.warn(`LLM 캐시 파일 읽기 실패: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 메모리 캐시를 비웁니다.
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+let sharedGateway = null;
+
+/**
+ * 설정(config.llm)으로 만든 공유 게이트웨이를 반환합니다.
+ * @returns {LLMGateway} 게이트웨이
+ */
+function getLLMGateway() {
+  if (!sharedGateway) {
+    sharedGateway = new LLMGateway(config.llm);
+  }
+  return sharedGateway;
+}
+
+module.exports = LLMGateway;
+module.exports.LLMGateway = LLMGateway;
+module.exports.LLMGatewayError = LLMGatewayError;
+module.exports.getLLMGateway = getLLMGateway;
@@ -0,0 +1,95 @@
+/**
+ * LLM 구조화 출력 스키마 (JSON Schema)
+ * generateStructured 로 생성한 모델 응답을 검증할 때 사용합니다.
+ */
+const { objectSchema } = require('../../protocols/a2a-schema');
+
+const intentTypes = ['productSearch', 'purchaseIntent', 'cartOperation', 'comparison', 'generalQuery'];
+
+/**
+ * 의도 분석(intentAnalysis 템플릿) 응답
+ * v3 부터는 의도를 확신도와 슬롯(필터, 제품 ID 등) 목록으로 반환하고, 불분명하면 확인 질문을 함께 반환합니다.
+ * 버전을 v1 / v2 로 고정한 경우의 단일 의도 형식({ type, filters, ... })도 허용합니다.
+ */
+const intentAnalysis = {
+  anyOf: [
+    objectSchema({
+      intents: {
+        type: 'array',
+        minItems: 1,
+        items: objectSchema({
+          type: { type: 'string', enum: intentTypes },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          slots: objectSchema({
+            filters: { type: 'object' },
+            productId: { type: ['string', 'null'] },
+            operation: { type: ['string', 'null'] },
+            comparisonProducts: { type: 'array', items: { type: 'string' } },
+            topic: { type: ['string', 'null'] }
+          })
+        }, ['type', 'confidence'])
+      },
+      clarificationQuestion: { type: ['string', 'null'] }
+    }, ['intents']),
+    objectSchema({
+      type: { type: 'string', enum: intentTypes },
+      filters: { type: 'object' },
+      productId: { type: ['string', 'null'] },
+      operation: { type: ['string', 'null'] },
+      comparisonProducts: { type: 'array', items: { type: 'string' } }
+    }, ['type'])
+  ]
+};
+
+/**
+ * 장바구니 의도 추출(extractCartIntent 템플릿) 응답
+ */
+const cartIntent = objectSchema({
+  intent: {
+    type: 'string',
+    enum: [
+      'addToCart',
+      'removeFromCart',
+      'updateCartQuantity',
+      'getCart',
+      'clearCart',
+      'proceedToCheckout',
+      'notCartRelated'
+    ]
+  },
+  productId: { type: ['string', 'null'] },
+  quantity: { type: ['integer', 'null'], minimum: 0 },
+  confidence: { type: 'number', minimum: 0, maximum: 1 }
+}, ['intent', 'confidence']);
+
+/**
+ * 체크아웃 입력 정보 추출 응답 (필드명: 값)
+ */
+const checkoutInfo = {
+  type: 'object',
+  additionalProperties: { type: ['string', 'number', 'boolean'] }
+};
+
+/**
+ * 대화 도구 호출 루프의 다음 동작(dialogToolStep 템플릿) 응답
+ * callTool 이면 tool 이, respond 이면 response 가 필요합니다.
+ */
+const dialogToolStep = {
+  ...objectSchema({
+    action: { type: 'string', enum: ['callTool', 'respond'] },
+    tool: { type: 'string', minLength: 1 },
+    arguments: { type: 'object' },
+    response: { type: 'string', minLength: 1 }
+  }, ['action']),
+  allOf: [
+    { if: { properties: { action: { const: 'callTool' } } }, then: { required: ['tool'] } },
+    { if: { properties: { action: { const: 'respond' } } }, then: { required: ['response'] } }
+  ]
+};
+
+module.exports = {
+  intentAnalysis,
+  cartIntent,
+  checkoutInfo,
+  dialogToolStep
+};
@@ -0,0 +1,244 @@
+/**
+ * LLM 제공자 어댑터
+ * 제공자별 SDK 호출을 { text, usage } 형태의 공통 응답으로 맞춥니다.
+ * LLM 게이트웨이(llm-gateway.js)가 작업(task)별 경로에 따라 제공자를 선택해 호출합니다.
+ *
+ * 제공자 인터페이스:
+ * - name: string
+ * - generate(prompt, options): Promise<{ text: string, usage: { inputTokens, outputTokens } }>
+ *   options: { model, temperature, maxTokens, topP, topK, systemPrompt, responseFormat }
+ *   responseFormat 이 'json' 이면 제공자의 JSON 모드를 사용합니다. (지원하지 않는 제공자는 무시)
+ */
+const crypto = require('crypto');
+const { estimateTokens } = require('../../protocols/mcp-prompt-budget');
+
+/**
+ * Google Vertex AI (Gemini) 제공자
+ */
+class GoogleProvider {
+  /**
+   * @param {Object} options - { project, location, client }
+   */
+  constructor(options = {}) {
+    this.name = 'google';
+    this.options = options;
+    this.client = options.client || null;
+  }
+
+  /**
+   * Vertex AI 클라이언트를 처음 사용할 때 생성합니다.
+   * @returns {Object} VertexAI 클라이언트
+   * @private
+   */
+  getClient() {
+    if (!this.client) {
+      const { VertexAI } = require('@google-cloud/vertexai');
+      this.client = new VertexAI({ project: this.options.project, location: this.options.location });
+    }
+    return this.client;
+  }
+
+  async generate(prompt, options = {}) {
+    const model = this.getClient().getGenerativeModel({
+      model: options.model,
+      generation_config: {
+        max_output_tokens: options.maxTokens,
+        temperature: options.temperature,
+        top_p: options.topP,
+        top_k: options.topK,
+        response_mime_type: options.responseFormat === 'json' ? 'application/json' : undefined
+      }
+    });
+
+    const result = await model.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }]
+    });
+    const response = result.response;
+    const text = typeof response.text === 'function'
+      ? response.text()
+      : response.candidates[0].content.parts[0].text;
+    const usage = response.usageMetadata || {};
+
+    return {
+      text,
+      usage: {
+        inputTokens: usage.promptTokenCount,
+        outputTokens: usage.candidatesTokenCount
+      }
+    };
+  }
+}
+
+/**
+ * OpenAI 제공자 (openai 패키지가 설치된 경우에만 사용 가능)
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options - { apiKey, organization, client }
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.options = options;
+    this.client = options.client || null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { OpenAI } = require('openai');
+      this.client = new OpenAI({ apiKey: this.options.apiKey, organization: this.options.organization });
+    }
+    return this.client;
+  }
+
+  async generate(prompt, options = {}) {
+    const messages = options.systemPrompt
+      ? [{ role: 'system', content: options.systemPrompt }, { role: 'user', content: prompt }]
+      : [{ role: 'user', content: prompt }];
+
+    const completion = await this.getClient().chat.completions.create({
+      model: options.model,
+      messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      top_p: options.topP,
+      response_format: options.responseFormat === 'json' ? { type: 'json_object' } : undefined
+    });
+    const usage = completion.usage || {};
+
+    return {
+      text: completion.choices[0].message.content,
+      usage: {
+        inputTokens: usage.prompt_tokens,
+        outputTokens: usage.completion_tokens
+      }
+    };
+  }
+}
+
+/**
+ * Anthropic 제공자 (@anthropic-ai/sdk 패키지가 설치된 경우에만 사용 가능)
+ * JSON 모드가 없으므로 responseFormat 은 무시하고, 구조화 출력은 스키마 검증 / 복구에 맡깁니다.
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} options - { apiKey, client }
+   */
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.options = options;
+    this.client = options.client || null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { Anthropic } = require('@anthropic-ai/sdk');
+      this.client = new Anthropic({ apiKey: this.options.apiKey });
+    }
+    return this.client;
+  }
+
+  async generate(prompt, options = {}) {
+    const message = await this.getClient().messages.create({
+      model: options.model,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      system: options.systemPrompt || '',
+      messages: [{ role: 'user', content: prompt }]
+    });
+    const usage = message.usage || {};
+
+    return {
+      text: message.content[0].text,
+      usage: {
+        inputTokens: usage.input_tokens,
+        outputTokens: usage.output_tokens
+      }
+    };
+  }
+}
+
+/**
+ * 테스트용 결정적(deterministic) 로컬 제공자
+ * 네트워크 호출 없이 같은 프롬프트에 항상 같은 응답을 반환합니다.
+ */
+class FakeProvider {
+  /**
+   * @param {Object} options - 제공자 옵션
+   * @param {Array<{match: string|RegExp, text: string}>} options.responses - 프롬프트가 match 를 포함하면 text 를 응답
+   * @param {string} options.defaultText - 일치하는 응답이 없을 때의 응답 (기본값: 프롬프트 해시)
+   * @param {string|RegExp} options.failOn - 프롬프트가 이 값을 포함하면 오류 (대체 경로 테스트용)
+   * @param {boolean} options.fail - 항상 오류
+   */
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.responses = options.responses || [];
+    this.defaultText = options.defaultText;
+    this.failOn = options.failOn;
+    this.fail = Boolean(options.fail);
+    this.calls = [];
+  }
+
+  async generate(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+
+    if (this.fail || (this.failOn && matches(prompt, this.failOn))) {
+      throw new Error(`fake provider failure (${options.model || 'fake'})`);
+    }
+
+    const response = this.responses.find(entry => matches(prompt, entry.match));
+    const text = response
+      ? response.text
+      : (this.defaultText !== undefined
+        ? this.defaultText
+        : `[fake:${options.model || 'fake'}] ${crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 12)}`);
+
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+}
+
+/**
+ * 프롬프트가 조건과 일치하는지 확인합니다.
+ * @param {string} prompt - 프롬프트
+ * @param {string|RegExp} pattern - 포함 문자열 또는 정규식
+ * @returns {boolean} 일치 여부
+ * @private
+ */
+function matches(prompt, pattern) {
+  return pattern instanceof RegExp ? pattern.test(prompt) : prompt.includes(pattern);
+}
+
+const PROVIDERS = {
+  google: GoogleProvider,
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  fake: FakeProvider
+};
+
+/**
+ * 제공자 인스턴스를 생성합니다.
+ * @param {string} name - 제공자 이름 (google | openai | anthropic | fake, 'gemini' 는 google)
+ * @param {Object} options - 제공자 옵션
+ * @returns {Object} 제공자 인스턴스
+ * @throws {Error} 지원하지 않는 제공자인 경우
+ */
+function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name === 'gemini' ? 'google' : name];
+  if (!Provider) {
+    throw new Error(`Unsupported LLM provider: ${name}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  GoogleProvider,
+  OpenAIProvider,
+  AnthropicProvider,
+  FakeProvider,
+  createProvider
+};
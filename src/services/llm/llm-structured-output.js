@@ -0,0 +1,224 @@
+/**
+ * LLM 구조화 출력(JSON) 생성
+ * JSON Schema 를 받아 제공자의 JSON 모드로 응답을 생성하고, 코드 블록 / 앞뒤 설명을 제거한 뒤 스키마로 검증합니다.
+ * 검증에 실패하면 이전 응답과 검증 오류를 프롬프트에 덧붙여 다시 생성(복구)합니다.
+ *
+ * 작업(task)별 파싱 / 복구 통계를 집계하고 로그로 남깁니다. (getStructuredOutputStats)
+ */
+const { validateSchema } = require('../../protocols/a2a-schema');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+/**
+ * 구조화 출력 오류 (복구 시도 후에도 스키마에 맞는 JSON 을 얻지 못한 경우)
+ */
+class StructuredOutputError extends Error {
+  /**
+   * @param {string} message - 오류 메시지
+   * @param {Object} details - 추가 정보
+   * @param {string} details.task - 작업 이름
+   * @param {Array<Object>} details.attempts - 시도별 결과 ({ text, errors })
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'LLM_STRUCTURED_OUTPUT_INVALID';
+    this.task = details.task || null;
+    this.attempts = details.attempts || [];
+  }
+}
+
+// 작업별 통계 (requests: 요청, parsed: 첫 응답 성공, extracted: 코드 블록 / 설명 제거 후 성공,
+// repaired: 복구 후 성공, repairAttempts: 복구 요청, failed: 최종 실패)
+const stats = new Map();
+
+/**
+ * 작업별 통계 항목을 가져옵니다.
+ * @param {string} task - 작업 이름
+ * @returns {Object} 통계 항목
+ * @private
+ */
+function getTaskStats(task) {
+  if (!stats.has(task)) {
+    stats.set(task, { requests: 0, parsed: 0, extracted: 0, repaired: 0, repairAttempts: 0, failed: 0 });
+  }
+  return stats.get(task);
+}
+
+/**
+ * 구조화 출력 통계를 반환합니다.
+ * @param {string} task - 작업 이름 (생략하면 전체 작업별 통계)
+ * @returns {Object} 통계
+ */
+function getStructuredOutputStats(task) {
+  if (task) {
+    return { ...getTaskStats(task) };
+  }
+  return Object.fromEntries(Array.from(stats.entries()).map(([name, entry]) => [name, { ...entry }]));
+}
+
+/**
+ * 구조화 출력 통계를 초기화합니다.
+ */
+function resetStructuredOutputStats() {
+  stats.clear();
+}
+
+/**
+ * 문자열에서 첫 JSON 객체 / 배열 구간을 찾습니다. (문자열 안의 괄호는 무시)
+ * @param {string} text - 텍스트
+ * @returns {string|null} JSON 구간
+ * @private
+ */
+function findJsonSpan(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) {
+    return null;
+  }
+
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) {
+        return null;
+      }
+      if (stack.length === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 모델 응답에서 JSON 값을 추출합니다.
+ * 응답 전체가 JSON 이 아니면 코드 블록(```json ... ```) 안쪽이나 앞뒤 설명을 제외한 첫 JSON 구간을 파싱합니다.
+ * @param {string} text - 모델 응답
+ * @returns {{value: any, extracted: boolean}} 파싱한 값과 코드 블록 / 설명 제거 여부
+ * @throws {SyntaxError} JSON 을 찾을 수 없는 경우
+ */
+function extractJson(text) {
+  const trimmed = String(text || '').trim();
+  try {
+    return { value: JSON.parse(trimmed), extracted: false };
+  } catch (error) {
+    // 아래에서 코드 블록 / 설명을 제거하고 다시 시도
+  }
+
+  const fence = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fence && fence[1].trim(), findJsonSpan(fence ? fence[1] : trimmed)].filter(Boolean);
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate), extracted: true };
+    } catch (error) {
+      // 다음 후보 시도
+    }
+  }
+
+  throw new SyntaxError(`응답에서 JSON 을 찾을 수 없습니다: ${trimmed.slice(0, 80)}`);
+}
+
+/**
+ * 복구 프롬프트를 만듭니다.
+ * @param {string} prompt - 원래 프롬프트
+ * @param {Object} schema - JSON Schema
+ * @param {string} text - 이전 응답
+ * @param {Array<string>} errors - 검증 오류
+ * @returns {string} 복구 프롬프트
+ * @private
+ */
+function buildRepairPrompt(prompt, schema, text, errors) {
+  return [
+    prompt,
+    '',
+    '# 이전 응답',
+    text,
+    '',
+    '# 이전 응답의 오류',
+    ...errors.map(error => `- ${error}`),
+    '',
+    '위 오류를 수정해 아래 JSON Schema 를 만족하는 JSON 만 다시 반환하세요. 코드 블록이나 설명은 포함하지 마세요.',
+    JSON.stringify(schema)
+  ].join('\n');
+}
+
+/**
+ * 스키마에 맞는 JSON 응답을 생성합니다.
+ * @param {Object} gateway - generate(prompt, options) 를 제공하는 LLM 게이트웨이
+ * @param {string} prompt - 프롬프트
+ * @param {Object} schema - 응답 JSON Schema
+ * @param {Object} options - 생성 옵션 (LLMGateway.generate 옵션 포함)
+ * @param {string} options.task - 작업 이름 (경로 선택, 통계에 사용)
+ * @param {number} options.maxRepairs - 검증 실패 시 복구 요청 횟수 (기본값: 2)
+ * @param {Object} options.logger - 로거 (기본값: console)
+ * @returns {Promise<{data: any, text: string, provider: string, model: string, repairs: number}>} 검증된 값과 생성 정보
+ * @throws {StructuredOutputError} 복구 후에도 스키마에 맞는 JSON 을 얻지 못한 경우
+ * @throws {LLMGatewayError} 경로의 모든 제공자가 실패한 경우
+ */
+async function generateStructured(gateway, prompt, schema, options = {}) {
+  const {
+    task = 'default',
+    maxRepairs = DEFAULT_MAX_REPAIRS,
+    logger = console,
+    ...generationOptions
+  } = options;
+  const taskStats = getTaskStats(task);
+  const attempts = [];
+  let currentPrompt = prompt;
+
+  taskStats.requests++;
+
+  for (let repairs = 0; repairs <= maxRepairs; repairs++) {
+    if (repairs > 0) {
+      taskStats.repairAttempts++;
+    }
+
+    const response = await gateway.generate(currentPrompt, { ...generationOptions, task, responseFormat: 'json' });
+    let errors;
+    try {
+      const { value, extracted } = extractJson(response.text);
+      const validation = validateSchema(schema, value);
+
+      if (validation.valid) {
+        if (repairs > 0) {
+          taskStats.repaired++;
+        } else {
+          taskStats[extracted ? 'extracted' : 'parsed']++;
+        }
+        logger.info(`구조화 출력 검증 성공 (작업: ${task}, 복구: ${repairs}회${extracted ? ', 코드 블록 / 설명 제거' : ''})`);
+
+        return { data: value, text: response.text, provider: response.provider, model: response.model, repairs };
+      }
+      errors = validation.errors.map(error => `${error.path}: ${error.message}`);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    attempts.push({ text: response.text, errors });
+    logger.warn(`구조화 출력 검증 실패 (작업: ${task}, 시도 ${repairs + 1}/${maxRepairs + 1}): ${errors.join('; ')}`);
+    currentPrompt = buildRepairPrompt(prompt, schema, response.text, errors);
+  }
+
+  taskStats.failed++;
+  throw new StructuredOutputError(`Structured output for task ${task} did not match the schema`, { task, attempts });
+}
+
+module.exports = {
+  StructuredOutputError,
+  extractJson,
+  generateStructured,
+  getStructuredOutputStats,
+  resetStructuredOutputStats
+};
@@ -1,34 +1,22 @@
 /**
  * Gemini 통합 MCP 프롬프트 관리 클래스
- * Gemini AI와 MCP를 연동하여 효율적인 프롬프트 관리를 제공합니다.
+ * MCP 컨텍스트로 프롬프트를 만들고 LLM 게이트웨이(llm-gateway.js)로 응답을 생성합니다.
+ * 제공자 선택, 대체 경로, 캐시, 사용량 집계는 게이트웨이가 담당합니다.
  */
-const { VertexAI } = require('@google-cloud/vertexai');
+const { getLLMGateway } = require('./llm-gateway');
+const outputSchemas = require('./llm-output-schemas');
 
 class MCPGeminiPromptManager {
   /**
    * 생성자
    * @param {MCPContextManager} contextManager - MCP 컨텍스트 관리자
    * @param {Object} config - 설정 객체
+   * @param {LLMGateway} config.gateway - LLM 게이트웨이 (기본값: config.llm 공유 게이트웨이)
    */
   constructor(contextManager, config = {}) {
     this.contextManager = contextManager;
-    this.config = {
-      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-      location: process.env.GOOGLE_CLOUD_LOCATION || 'us-central1',
-      modelName: process.env.GEMINI_MODEL_NAME || 'gemini-pro',
-      ...config
-    };
-    
-    // Vertex AI 클라이언트 초기화
-    this.vertexAI = new VertexAI({
-      project: this.config.projectId,
-      location: this.config.location
-    });
-    
-    // Gemini 모델 초기화
-    this.geminiModel = this.vertexAI.getGenerativeModel({
-      model: this.config.modelName
-    });
+    this.config = config;
+    this.gateway = config.gateway || getLLMGateway();
     
     this.logger = console; // 나중에 더 좋은 로깅 시스템으로 교체 가능
     
@@ -37,90 +25,17 @@ class MCPGeminiPromptManager {
   }
   
   /**
-   * 프롬프트 템플릿 설정
+   * 프롬프트 템플릿 확인
+   * 템플릿은 prompts/ 디렉토리의 버전 관리 레지스트리에서 불러옵니다. (src/protocols/mcp-prompt-registry.js)
+   * @throws {Error} 필요한 템플릿이 레지스트리에 없는 경우
    */
   setupPromptTemplates() {
-    // 제품 검색용 프롬프트 템플릿
-    this.contextManager.registerTemplate('productSearch', `
-      당신은 LG 브라질 쇼핑 어시스턴트입니다.
-      
-      # 사용자 정보
-      사용자 ID: {{userId}}
-      선호 카테고리: {{preferredCategories}}
-      최근 검색어: {{recentSearches}}
-      
-      # 제품 데이터 컨텍스트
-      {{productContext}}
-      
-      # 현재 대화 컨텍스트
-      {{conversationHistory}}
-      
-      # 지시사항
-      사용자의 질문에서 제품 검색 의도를 파악하여 관련된 제품을 추천해주세요.
-      제품 추천 시 사용자의 선호도와 이전 검색 기록을 고려하세요.
-      제품의 주요 특징, 가격, 재고 상태를 명확하게 설명해주세요.
-      포르투갈어로 응답해야 할 경우 자연스러운 포르투갈어(브라질)로 응답하세요.
-      
-      사용자 질문: {{userQuery}}
-    `);
-    
-    // 구매 프로세스 지원용 프롬프트 템플릿
-    this.contextManager.registerTemplate('purchaseProcess', `
-      당신은 LG 브라질 쇼핑 어시스턴트입니다.
-      
-      # 구매 프로세스 정보
-      현재 단계: {{currentCheckoutStep}}
-      필요한 정보: {{requiredFields}}
-      이미 수집된 정보: {{collectedInfo}}
-      
-      # 지시사항
-      사용자가 구매 프로세스를 완료할 수 있도록 필요한 정보를 자연스러운 대화로 수집하세요.
-      누락된 정보가 있다면 친절하게 요청하세요.
-      이미 제공된 정보는 다시 묻지 마세요.
-      포르투갈어로 응답해야 할 경우 자연스러운 포르투갈어(브라질)로 응답하세요.
-      
-      사용자 메시지: {{userMessage}}
-    `);
-    
-    // 의도 분석용 프롬프트 템플릿
-    this.contextManager.registerTemplate('intentAnalysis', `
-      당신은 LG 브라질 쇼핑 어시스턴트의 의도 분석 컴포넌트입니다.
-      
-      # 지시사항
-      사용자 메시지에서 의도를 분석하고 JSON 형식으로 반환하세요.
-      다음 의도 유형을 사용하세요:
-      - productSearch: 제품 검색 또는 추천 요청
-      - purchaseIntent: 구매 의도
-      - cartOperation: 장바구니 조작 요청
-      - generalQuery: 일반적인 질문이나 도움 요청
-      
-      의도 분석 결과에는 다음 필드를 포함하세요:
-      - type: 위에서 정의한 의도 유형 중 하나
-      - filters: 제품 검색 시 적용할 필터 (제품 카테고리, 가격 범위, 특성 등)
-      - productId: 구매 의도일 경우 관련 제품 ID
-      - operation: 장바구니 조작 요청 시 수행할 작업 (추가, 삭제, 조회 등)
-      
-      # 현재 대화 컨텍스트
-      {{conversationHistory}}
-      
-      사용자 메시지: {{userMessage}}
-    `);
+    const missing = MCPGeminiPromptManager.REQUIRED_TEMPLATES
+      .filter(templateId => !this.contextManager.hasTemplate(templateId));
     
-    // 제품 추천 결과 형식화용 프롬프트 템플릿
-    this.contextManager.registerTemplate('formatRecommendations', `
-      당신은 LG 브라질 쇼핑 어시스턴트입니다.
-      
-      # 지시사항
-      사용자의 질문에 대한 제품 추천 결과를 사용자 친화적인 형식으로 변환하세요.
-      추천 제품의 핵심 특징과 장점을 강조하세요.
-      가격과 재고 상태 정보를 명확하게 제시하세요.
-      포르투갈어로 응답해야 할 경우 자연스러운 포르투갈어(브라질)로 응답하세요.
-      
-      사용자 질문: {{userQuery}}
-      
-      추천 제품:
-      {{recommendations}}
-    `);
+    if (missing.length > 0) {
+      throw new Error(`프롬프트 템플릿을 찾을 수 없습니다: ${missing.join(', ')}`);
+    }
   }
   
   /**
@@ -132,20 +47,22 @@ class MCPGeminiPromptManager {
    */
   async generateGeminiResponse(userId, templateId, additionalData = {}) {
     try {
-      // MCP 프롬프트 생성
-      const prompt = this.contextManager.generatePrompt(userId, templateId, additionalData);
+      // MCP 프롬프트 생성 (토큰 예산 적용)
+      const { prompt, usage } = await this.contextManager.assemblePrompt(userId, templateId, additionalData);
       
       this.logger.info(`사용자 ${userId}를 위한 Gemini 응답 생성 시작 (템플릿: ${templateId})`);
       
-      // Gemini AI API 호출
-      const geminiResponse = await this.geminiModel.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      // 템플릿 ID 를 작업(task)으로 사용해 경로 선택 및 사용량을 집계
+      const { text: responseText, provider, model, cached } = await this.gateway.generate(prompt, {
+        task: templateId,
+        sessionId: userId,
+        attributes: {
+          'llm.template': templateId,
+          'llm.prompt_tokens': usage ? usage.totalTokens : null
+        }
       });
       
-      const response = geminiResponse.response;
-      const responseText = response.text();
-      
-      this.logger.info(`사용자 ${userId}를 위한 Gemini 응답 생성 완료`);
+      this.logger.info(`사용자 ${userId}를 위한 Gemini 응답 생성 완료 (${provider}:${model}${cached ? ', 캐시' : ''})`);
       
       return responseText;
     } catch (error) {
@@ -154,29 +71,112 @@ class MCPGeminiPromptManager {
     }
   }
   
+  /**
+   * 스키마에 맞는 JSON 응답 생성
+   * 제공자의 JSON 모드로 생성하고, 검증에 실패하면 오류를 덧붙여 다시 요청합니다. (llm-structured-output.js)
+   * @param {string} userId - 사용자 식별자
+   * @param {string} templateId - 템플릿 식별자
+   * @param {Object} additionalData - 추가 데이터
+   * @param {Object} schema - 응답 JSON Schema
+   * @returns {Promise<Object>} 검증된 응답 객체
+   * @throws {StructuredOutputError} 복구 후에도 스키마에 맞지 않는 경우
+   */
+  async generateStructuredResponse(userId, templateId, additionalData, schema) {
+    const { prompt, usage } = await this.contextManager.assemblePrompt(userId, templateId, additionalData);
+    
+    const { data } = await this.gateway.generateStructured(prompt, schema, {
+      task: templateId,
+      sessionId: userId,
+      logger: this.logger,
+      attributes: {
+        'llm.template': templateId,
+        'llm.prompt_tokens': usage ? usage.totalTokens : null
+      }
+    });
+    
+    return data;
+  }
+  
   /**
    * 의도 분석 수행
+   * 메시지의 의도를 확신도 순 목록(intents)으로 반환하고, 확신도가 가장 높은 의도의 유형과 슬롯을 최상위 필드로도 제공합니다.
    * @param {string} userId - 사용자 식별자
    * @param {string} userMessage - 사용자 메시지
-   * @param {Object} conversationHistory - 대화 히스토리
-   * @returns {Promise<Object>} 분석된 의도 객체
+   * @param {Array<Object>} conversationHistory - 요약되지 않은 최근 대화 히스토리 (오래된 순)
+   * @param {string} conversationSummary - 이전 대화 요약
+   * @param {string} language - 확인 질문 언어
+   * @returns {Promise<Object>} 분석된 의도 객체 ({ type, confidence, ...slots, intents: [{ type, confidence, slots }], clarificationQuestion })
    */
-  async analyzeIntent(userId, userMessage, conversationHistory = []) {
+  async analyzeIntent(userId, userMessage, conversationHistory = [], conversationSummary = '', language = 'pt-BR') {
     try {
-      const response = await this.generateGeminiResponse(
+      const analysis = await this.generateStructuredResponse(
         userId,
         'intentAnalysis',
-        { userMessage, conversationHistory: JSON.stringify(conversationHistory) }
+        { userMessage, conversationHistory, conversationSummary, language },
+        outputSchemas.intentAnalysis
       );
       
-      // 응답을 JSON으로 파싱
-      return JSON.parse(response);
+      return normalizeIntentAnalysis(analysis);
     } catch (error) {
       this.logger.error(`의도 분석 오류:`, error);
-      // 기본 의도 반환
-      return { type: 'generalQuery' };
+      // 기본 의도 반환 (intents 가 비어 있으면 확인 질문 없이 일반 질문으로 처리)
+      return { type: 'generalQuery', confidence: null, intents: [], clarificationQuestion: null };
     }
   }
+  
+  /**
+   * 오래된 대화를 기존 요약에 합쳐 새 요약을 생성합니다.
+   * @param {string} userId - 사용자 식별자
+   * @param {string} previousSummary - 기존 요약
+   * @param {Array<Object>} messages - 요약에 합칠 대화 메시지 ({ role, content }, 오래된 순)
+   * @returns {Promise<string>} 갱신된 요약
+   */
+  async summarizeConversation(userId, previousSummary, messages) {
+    const summary = await this.generateGeminiResponse(
+      userId,
+      'conversationSummary',
+      { previousSummary: previousSummary || '(없음)', messages }
+    );
+    
+    return summary.trim();
+  }
 }
 
+/**
+ * 의도 분석 응답을 확신도 순 의도 목록으로 정규화합니다.
+ * 단일 의도 형식(intentAnalysis v1 / v2)은 확신도 1 인 의도 하나로 변환합니다.
+ * @param {Object} analysis - 스키마 검증을 통과한 의도 분석 응답
+ * @returns {Object} 정규화된 의도 객체
+ * @private
+ */
+function normalizeIntentAnalysis(analysis) {
+  const { type, intents, clarificationQuestion, ...slots } = analysis;
+  const ranked = (intents || [{ type, confidence: 1, slots }])
+    .map(intent => ({ type: intent.type, confidence: intent.confidence, slots: intent.slots || {} }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const [top] = ranked;
+  
+  return {
+    ...top.slots,
+    type: top.type,
+    confidence: top.confidence,
+    intents: ranked,
+    clarificationQuestion: clarificationQuestion || null
+  };
+}
+
+/**
+ * 이 클래스가 사용하는 프롬프트 템플릿 ID
+ */
+MCPGeminiPromptManager.REQUIRED_TEMPLATES = [
+  'productSearch',
+  'purchaseProcess',
+  'intentAnalysis',
+  'formatRecommendations',
+  'conversationSummary',
+  'generalQuery',
+  'dialogToolStep',
+  'productComparison'
+];
+
 module.exports = MCPGeminiPromptManager;
@@ -1,13 +1,31 @@
 // src/services/mcp-context-manager.js - MCP 컨텍스트 관리자
+import { createContextStore } from './mcp-context-store';
+import PromptBudget from '../protocols/mcp-prompt-budget';
+import { getPromptRegistry, resolveVariables, inferVariables } from '../protocols/mcp-prompt-registry';
+import config from '../../config';
+
 /**
  * MCP(Model Context Protocol) 컨텍스트 관리 클래스
  * 에이전트와 LLM 사이의 효율적인 컨텍스트 관리
  */
 export class MCPContextManager {
-  constructor() {
+  /**
+   * @param {Object} options 옵션
+   * @param {MCPContextStore} options.store 컨텍스트 저장소 (기본값: config.mcp.contextStore 로 생성)
+   * @param {Object} options.contextStore 저장소 설정 (store 를 지정하지 않은 경우)
+   * @param {number} options.expirationTime 기본 만료 시간 (밀리초, 기본값: config.mcp.contextTTL)
+   * @param {PromptBudget|null} options.promptBudget 프롬프트 토큰 예산 (기본값: config.mcp.promptBudget, null 이면 예산 미적용)
+   * @param {PromptTemplateRegistry} options.promptRegistry 파일 기반 템플릿 레지스트리 (기본값: prompts/ 공유 레지스트리)
+   * @param {Object} options.promptVersions 템플릿별 고정 버전 (기본값: config.mcp.promptVersions)
+   */
+  constructor(options = {}) {
     this.templateCache = new Map();
-    this.contextStore = new Map();
-    this.expirationTime = 30 * 60 * 1000; // 기본 만료 시간: 30분
+    this.contextStore = options.store || null;
+    this.storeOptions = options.contextStore || config.mcp.contextStore;
+    this.expirationTime = options.expirationTime || config.mcp.contextTTL;
+    this.promptBudget = options.promptBudget !== undefined ? options.promptBudget : PromptBudget.fromConfig(config.mcp.promptBudget);
+    this.promptRegistry = options.promptRegistry || getPromptRegistry();
+    this.promptVersions = options.promptVersions || config.mcp.promptVersions || {};
   }
   
   /**
@@ -20,15 +38,29 @@ export class MCPContextManager {
   }
   
   /**
-   * 등록된 템플릿 가져오기
+   * 등록된 템플릿 가져오기 (레지스트리 템플릿은 기본 언어 본문)
    * @param {string} templateId 템플릿 식별자
    * @returns {string} 프롬프트 템플릿 문자열
    */
   getTemplate(templateId) {
-    if (!this.templateCache.has(templateId)) {
+    if (this.templateCache.has(templateId)) {
+      return this.templateCache.get(templateId);
+    }
+    if (!this.promptRegistry.has(templateId)) {
       throw new Error(`Template ${templateId} not found`);
     }
-    return this.templateCache.get(templateId);
+    
+    const template = this.promptRegistry.get(templateId, { version: this.promptVersions[templateId] });
+    return template.languages[this.promptRegistry.defaultLanguage] || Object.values(template.languages)[0];
+  }
+  
+  /**
+   * 템플릿 존재 여부 (직접 등록한 템플릿 또는 레지스트리 템플릿)
+   * @param {string} templateId 템플릿 식별자
+   * @returns {boolean} 존재 여부
+   */
+  hasTemplate(templateId) {
+    return this.templateCache.has(templateId) || this.promptRegistry.has(templateId);
   }
   
   /**
@@ -36,73 +68,66 @@ export class MCPContextManager {
    * @returns {Array<string>} 템플릿 ID 배열
    */
   listTemplates() {
-    return Array.from(this.templateCache.keys());
+    return Array.from(new Set([...this.templateCache.keys(), ...this.promptRegistry.list()]));
+  }
+  
+  /**
+   * 컨텍스트 저장소 가져오기 (최초 사용 시 설정에 맞는 백엔드로 생성)
+   * @returns {MCPContextStore} 컨텍스트 저장소
+   */
+  getContextStore() {
+    if (!this.contextStore) {
+      this.contextStore = createContextStore(this.storeOptions);
+    }
+    return this.contextStore;
   }
   
   /**
    * 사용자별 컨텍스트 저장
    * @param {string} userId 사용자 식별자
    * @param {Object} contextData 컨텍스트 데이터
-   * @param {number} ttl 만료 시간 (밀리초, 기본값: 30분)
-   */
-  storeContext(userId, contextData, ttl = this.expirationTime) {
-    this.contextStore.set(userId, {
-      ...this.contextStore.get(userId) || {},
-      ...contextData,
-      updatedAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + ttl).toISOString()
-    });
+   * @param {number} ttl 만료 시간 (밀리초, 기본값: config.mcp.contextTTL)
+   * @returns {Promise<Object>} 저장된 컨텍스트
+   */
+  async storeContext(userId, contextData, ttl = this.expirationTime) {
+    const currentContext = await this.getContext(userId) || {};
+    return await this.getContextStore().set(userId, { ...currentContext, ...contextData }, ttl);
   }
   
   /**
-   * 사용자 컨텍스트 가져오기
+   * 사용자 컨텍스트 가져오기 (만료된 컨텍스트는 저장소가 반환하지 않음)
    * @param {string} userId 사용자 식별자
-   * @returns {Object} 사용자 컨텍스트 데이터
+   * @returns {Promise<Object|null>} 사용자 컨텍스트 데이터
    */
-  getContext(userId) {
-    const context = this.contextStore.get(userId);
-    
-    if (!context) {
-      return null;
-    }
-    
-    // 만료된 컨텍스트 확인
-    if (context.expiresAt && new Date(context.expiresAt) < new Date()) {
-      this.contextStore.delete(userId);
-      return null;
-    }
-    
-    return context;
+  async getContext(userId) {
+    return await this.getContextStore().get(userId);
   }
   
   /**
    * 컨텍스트에서 특정 키 가져오기
    * @param {string} userId 사용자 식별자
    * @param {string} key 데이터 키
-   * @returns {any} 키에 해당하는 값
+   * @returns {Promise<any>} 키에 해당하는 값
    */
-  getContextValue(userId, key) {
-    const context = this.getContext(userId);
+  async getContextValue(userId, key) {
+    const context = await this.getContext(userId);
     return context ? context[key] : undefined;
   }
   
   /**
-   * 컨텍스트 일부 업데이트
+   * 컨텍스트 일부 업데이트 (기존 만료 시각 유지, 없으면 기본 만료 시간 적용)
    * @param {string} userId 사용자 식별자
    * @param {string} key 데이터 키
    * @param {any} value 업데이트할 값
+   * @returns {Promise<Object>} 저장된 컨텍스트
    */
-  updateContext(userId, key, value) {
-    const currentContext = this.getContext(userId) || {};
-    currentContext[key] = value;
-    currentContext.updatedAt = new Date().toISOString();
-    
-    // 만료 시간이 없는 경우 기본 만료 시간 설정
-    if (!currentContext.expiresAt) {
-      currentContext.expiresAt = new Date(Date.now() + this.expirationTime).toISOString();
-    }
+  async updateContext(userId, key, value) {
+    const currentContext = await this.getContext(userId);
+    const ttl = currentContext
+      ? Math.max(new Date(currentContext.expiresAt).getTime() - Date.now(), 0)
+      : this.expirationTime;
     
-    this.contextStore.set(userId, currentContext);
+    return await this.getContextStore().set(userId, { ...currentContext, [key]: value }, ttl);
   }
   
   /**
@@ -110,12 +135,11 @@ export class MCPContextManager {
    * @param {string} userId 사용자 식별자
    * @param {number} ttl 새 만료 시간 (밀리초)
    */
-  extendContextExpiration(userId, ttl = this.expirationTime) {
-    const context = this.getContext(userId);
+  async extendContextExpiration(userId, ttl = this.expirationTime) {
+    const context = await this.getContext(userId);
     
     if (context) {
-      context.expiresAt = new Date(Date.now() + ttl).toISOString();
-      this.contextStore.set(userId, context);
+      await this.getContextStore().set(userId, context, ttl);
     }
   }
   
@@ -123,8 +147,8 @@ export class MCPContextManager {
    * 사용자 컨텍스트 삭제
    * @param {string} userId 사용자 식별자
    */
-  deleteContext(userId) {
-    this.contextStore.delete(userId);
+  async deleteContext(userId) {
+    await this.getContextStore().delete(userId);
   }
   
   /**
@@ -132,48 +156,93 @@ export class MCPContextManager {
    * @param {string} userId 사용자 식별자
    * @param {string} templateId 템플릿 식별자
    * @param {Object} additionalData 추가 데이터
-   * @returns {string} 완성된 프롬프트
+   * @returns {Promise<string>} 완성된 프롬프트
    */
-  generatePrompt(userId, templateId, additionalData = {}) {
-    if (!this.templateCache.has(templateId)) {
+  async generatePrompt(userId, templateId, additionalData = {}) {
+    const { prompt } = await this.assemblePrompt(userId, templateId, additionalData);
+    return prompt;
+  }
+  
+  /**
+   * 토큰 예산에 맞춘 프롬프트 조립 (사용량 포함)
+   * @param {string} userId 사용자 식별자
+   * @param {string} templateId 템플릿 식별자
+   * @param {Object} additionalData 추가 데이터
+   * @returns {Promise<{prompt: string, usage: Object|null}>} 완성된 프롬프트와 토큰 사용량 (예산 미적용 시 null)
+   * @throws {PromptTemplateError} 변수가 누락되었거나 타입이 맞지 않는 경우
+   */
+  async assemblePrompt(userId, templateId, additionalData = {}) {
+    if (!this.hasTemplate(templateId)) {
       throw new Error(`Template ${templateId} not found`);
     }
     
-    const template = this.templateCache.get(templateId);
-    const userContext = this.getContext(userId) || {};
+    const userContext = await this.getContext(userId) || {};
     
     const contextData = {
       ...userContext,
       ...additionalData
     };
     
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return contextData[key] !== undefined ? contextData[key] : match;
+    const { text, values, language } = this.resolveTemplate(templateId, contextData);
+    
+    const budget = this.promptBudget || new PromptBudget({ maxTokens: Infinity });
+    const { prompt, usage } = budget.assemble(text, values, {
+      templateId,
+      locale: language,
+      partials: partialId => this.getPartial(partialId, language)
     });
+    
+    return { prompt, usage: this.promptBudget ? usage : null };
   }
   
   /**
-   * 만료된 컨텍스트 청소
-   * @returns {number} 삭제된 컨텍스트 수
+   * 템플릿 본문 선택 및 변수 검증 (직접 등록한 템플릿은 모든 플레이스홀더가 필수)
+   * @param {string} templateId 템플릿 식별자
+   * @param {Object} data 변수 값
+   * @returns {{text: string, values: Object, language: string}} 템플릿 본문, 기본값이 적용된 값, 본문 언어
+   * @private
    */
-  cleanupExpiredContexts() {
-    const now = new Date();
-    let deletedCount = 0;
-    
-    for (const [userId, context] of this.contextStore.entries()) {
-      if (context.expiresAt && new Date(context.expiresAt) < now) {
-        this.contextStore.delete(userId);
-        deletedCount++;
-      }
+  resolveTemplate(templateId, data) {
+    if (this.templateCache.has(templateId)) {
+      const text = this.templateCache.get(templateId);
+      return { text, values: resolveVariables(templateId, inferVariables(text), data), language: data.language };
     }
     
-    return deletedCount;
+    return this.promptRegistry.resolve(templateId, data, {
+      version: this.promptVersions[templateId],
+      language: data.language
+    });
+  }
+  
+  /**
+   * partial 템플릿 본문 조회 (직접 등록한 템플릿 또는 같은 언어의 레지스트리 템플릿)
+   * @param {string} templateId partial 템플릿 식별자
+   * @param {string} language 본문 언어
+   * @returns {string|undefined} 템플릿 본문 (없으면 undefined)
+   * @private
+   */
+  getPartial(templateId, language) {
+    if (this.templateCache.has(templateId)) {
+      return this.templateCache.get(templateId);
+    }
+    if (!this.promptRegistry.has(templateId)) {
+      return undefined;
+    }
+    return this.promptRegistry.getText(templateId, { version: this.promptVersions[templateId], language }).text;
+  }
+  
+  /**
+   * 만료된 컨텍스트 즉시 정리 (평소에는 저장소 백엔드가 만료를 처리)
+   * @returns {Promise<number>} 삭제된 컨텍스트 수
+   */
+  async cleanupExpiredContexts() {
+    return await this.getContextStore().purgeExpired();
   }
   
   /**
    * 컨텍스트 저장소 전체 정리
    */
-  clearAllContexts() {
-    this.contextStore.clear();
+  async clearAllContexts() {
+    await this.getContextStore().clear();
   }
 }
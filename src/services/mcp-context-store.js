@@ -0,0 +1,145 @@
+// src/services/mcp-context-store.js - MCP 컨텍스트 저장소
+import { repositoryFactory, RepositoryType } from '../storage/repositories';
+import { initializeFirebase } from './firebase';
+import config from '../../config';
+
+/**
+ * MCP 컨텍스트 저장소 어댑터
+ * 사용자별 컨텍스트를 저장소(Repository)에 { userId, context, expiresAt } 엔티티로 보관합니다.
+ * 만료 처리는 저장소 백엔드가 담당합니다. (ttlField: 'expiresAt')
+ *
+ * 저장소 어댑터 인터페이스:
+ * - get(userId): Promise<Object|null>
+ * - set(userId, contextData, ttl): Promise<Object>
+ * - delete(userId): Promise<void>
+ * - clear(): Promise<void>
+ * - purgeExpired(): Promise<number>
+ */
+export class MCPContextStore {
+  /**
+   * @param {Object} repository 만료 필드(expiresAt)를 지원하는 저장소 인스턴스
+   */
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  /**
+   * 사용자 컨텍스트 조회
+   * @param {string} userId 사용자 식별자
+   * @returns {Promise<Object|null>} 컨텍스트 데이터 (updatedAt, expiresAt 포함, 없거나 만료되면 null)
+   */
+  async get(userId) {
+    const record = await this.repository.findOne({ userId });
+    return record ? this.toContext(record) : null;
+  }
+
+  /**
+   * 사용자 컨텍스트 저장 (기존 컨텍스트를 대체)
+   * @param {string} userId 사용자 식별자
+   * @param {Object} contextData 컨텍스트 데이터
+   * @param {number} ttl 만료 시간 (밀리초)
+   * @returns {Promise<Object>} 저장된 컨텍스트 데이터
+   */
+  async set(userId, contextData, ttl) {
+    const { updatedAt, expiresAt, ...context } = contextData;
+    const data = {
+      context,
+      expiresAt: new Date(Date.now() + ttl).toISOString()
+    };
+
+    const existing = await this.repository.findOne({ userId });
+    const record = existing
+      ? await this.repository.update(existing.id, data)
+      : await this.repository.create({ userId, ...data });
+
+    return this.toContext(record);
+  }
+
+  /**
+   * 사용자 컨텍스트 삭제
+   * @param {string} userId 사용자 식별자
+   */
+  async delete(userId) {
+    const records = await this.repository.find({ userId });
+    await Promise.all(records.map(record => this.repository.delete(record.id)));
+  }
+
+  /**
+   * 모든 컨텍스트 삭제
+   */
+  async clear() {
+    const records = await this.repository.find();
+    await Promise.all(records.map(record => this.repository.delete(record.id)));
+  }
+
+  /**
+   * 만료된 컨텍스트 정리 (백엔드의 주기적 정리 / TTL 정책을 기다리지 않고 즉시 정리)
+   * @returns {Promise<number>} 삭제된 컨텍스트 수
+   */
+  async purgeExpired() {
+    return typeof this.repository.purgeExpired === 'function'
+      ? await this.repository.purgeExpired()
+      : 0;
+  }
+
+  /**
+   * 저장소 정리 (타이머 해제 및 미저장 변경사항 저장)
+   */
+  destroy() {
+    if (typeof this.repository.destroy === 'function') {
+      this.repository.destroy();
+    }
+  }
+
+  /**
+   * 저장소 엔티티를 컨텍스트 데이터로 변환
+   * @param {Object} record 저장소 엔티티
+   * @returns {Object} 컨텍스트 데이터
+   * @private
+   */
+  toContext(record) {
+    return {
+      ...record.context,
+      updatedAt: record.updatedAt,
+      expiresAt: record.expiresAt
+    };
+  }
+}
+
+/**
+ * 설정에 맞는 컨텍스트 저장소 생성 (src/storage/repositories 팩토리 사용)
+ * @param {Object} options 저장소 설정 (기본값: config.mcp.contextStore)
+ * @param {string} options.backend 'memory' | 'json_file' | 'firebase'
+ * @returns {MCPContextStore} 컨텍스트 저장소
+ */
+export function createContextStore(options = config.mcp.contextStore) {
+  const backend = options.backend || RepositoryType.MEMORY;
+  const entityType = options.entityType || 'mcp-contexts';
+
+  switch (backend) {
+    case RepositoryType.MEMORY:
+      return new MCPContextStore(repositoryFactory.createRepository(entityType, RepositoryType.MEMORY, {
+        ttlField: 'expiresAt',
+        sweepInterval: options.sweepInterval
+      }));
+
+    case RepositoryType.JSON_FILE:
+      return new MCPContextStore(repositoryFactory.createRepository(entityType, RepositoryType.JSON_FILE, {
+        dataDir: options.dataDir,
+        saveInterval: options.saveInterval,
+        ttlField: 'expiresAt',
+        sweepInterval: options.sweepInterval
+      }));
+
+    case RepositoryType.FIREBASE:
+      initializeFirebase();
+      return new MCPContextStore(repositoryFactory.createRepository(entityType, RepositoryType.FIREBASE, {
+        collectionName: options.collectionName || entityType,
+        useCache: false, // 여러 인스턴스가 같은 컨텍스트를 갱신하므로 캐시하지 않음
+        ttlField: 'expiresAt'
+      }));
+
+    default:
+      throw new Error(`Unknown context store backend: ${backend}`);
+  }
+}
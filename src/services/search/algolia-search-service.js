@@ -2,13 +2,77 @@
  * Algolia 검색 서비스
  * 크롤링된 제품 데이터를 인덱싱하고 검색 기능을 제공합니다.
  */
+const fs = require('fs');
 const algoliasearch = require('algoliasearch');
 const { getAlgoliaConfig } = require('../../utils/config');
+const { traceCall } = require('../../protocols/a2a-tracing');
+const { toNumericSpecs, extractEnergyRating } = require('../../utils/product-specs');
+const { SpecVectorStore, scoreSimilarity, explainSimilarity } = require('./spec-vectors');
+const appConfig = require('../../../config');
+
+// 제품별 상호작용 유형 → 카운터 속성 (Algolia Increment 는 최상위 속성에만 적용되므로 중첩하지 않음)
+const INTERACTION_COUNTERS = {
+  view: 'viewCount',
+  cartAdd: 'cartAddCount',
+  crossSellAccept: 'crossSellAcceptCount'
+};
+
+// 함께 구매한 횟수 속성 접두사 (상대 제품별 최상위 속성 boughtWith_<제품 ID>, Increment 로 갱신)
+const BOUGHT_WITH_PREFIX = 'boughtWith_';
+
+/**
+ * 레코드의 함께 구매한 횟수를 상대 제품 ID 별로 모읍니다.
+ * @param {Object} product - 제품 레코드 (boughtWith_<제품 ID> 속성)
+ * @returns {Object} 제품 ID → 함께 구매한 횟수
+ */
+function boughtWithCounts(product) {
+  return Object.entries(product || {})
+    .filter(([key, count]) => key.startsWith(BOUGHT_WITH_PREFIX) && typeof count === 'number')
+    .reduce((counts, [key, count]) => ({ ...counts, [key.slice(BOUGHT_WITH_PREFIX.length)]: count }), {});
+}
+
+/**
+ * 제품의 평점 수와 평균 평점을 구합니다. (rating: 숫자 | { average, count }, reviews: { averageRating, totalReviews })
+ * @param {Object} product - 제품 데이터
+ * @returns {{count: number, average: number|null}} 평점 수, 평균 평점
+ * @private
+ */
+function ratingSummary(product) {
+  const { rating, reviews = {} } = product;
+  if (rating && typeof rating === 'object') {
+    return { count: rating.count || 0, average: rating.average ?? null };
+  }
+  return {
+    count: reviews.totalReviews || product.reviewCount || 0,
+    average: typeof rating === 'number' ? rating : (reviews.averageRating ?? null)
+  };
+}
+
+/**
+ * 인기도 점수를 계산합니다. (조회 / 장바구니 추가 / 평균 평점 비율을 반영한 평점 수의 가중 합)
+ * 상호작용 가중치는 유형 이름(view, cartAdd)을 키로 하므로 기록할 때도 같은 가중치만큼 Increment 합니다.
+ * @param {Object} counters - 상호작용 카운터 ({ viewCount, cartAddCount })
+ * @param {Object} product - 제품 데이터 (평점)
+ * @param {Object} weights - 가중치 ({ view, cartAdd, review })
+ * @returns {number} 인기도
+ * @private
+ */
+function computePopularity(counters, product, weights) {
+  const { count, average } = ratingSummary(product);
+  const reviewScore = count * (average !== null ? average / 5 : 1);
+  const score = (counters.viewCount || 0) * weights.view + (counters.cartAddCount || 0) * weights.cartAdd + reviewScore * weights.review;
+  return Math.round(score * 100) / 100;
+}
 
 class AlgoliaSearchService {
   /**
    * 생성자
    * @param {Object} config - 설정 객체
+   * @param {Object} config.index - 사용할 인덱스 (예: 테스트용 MemorySearchIndex, 없으면 Algolia 인덱스)
+   * @param {Object} config.listings - 추천 제품 목록 설정 (기본값: config.recommendation.listings)
+   * @param {Array<Object>} config.featuredProducts - 큐레이션한 추천 제품 목록 (없으면 listings.featuredFile 에서 읽음)
+   * @param {Object} config.similarity - 유사 제품 추천 설정 (기본값: config.recommendation.similarity)
+   * @param {SpecVectorStore} config.vectorStore - 사양 벡터 저장소 (없으면 similarity.vectorFile 파일 저장소)
    */
   constructor(config = {}) {
     const defaultConfig = getAlgoliaConfig();
@@ -20,11 +84,25 @@ class AlgoliaSearchService {
       ...config
     };
     
-    // Algolia 클라이언트 초기화
-    this.client = algoliasearch(this.config.appId, this.config.apiKey);
-    this.index = this.client.initIndex(this.config.indexName);
-    
     this.logger = console; // 나중에 더 좋은 로깅 시스템으로 교체 가능
+    
+    // Algolia 클라이언트 초기화 (인덱스를 주입하면 생략)
+    if (this.config.index) {
+      this.index = this.config.index;
+    } else {
+      this.client = algoliasearch(this.config.appId, this.config.apiKey);
+      this.index = this.client.initIndex(this.config.indexName);
+    }
+    
+    this.listings = { ...appConfig.recommendation.listings, ...this.config.listings };
+    this.featuredProducts = this.config.featuredProducts || this._loadFeaturedProducts(this.listings.featuredFile);
+    
+    this.similarity = { ...appConfig.recommendation.similarity, ...this.config.similarity };
+    this.vectorStore = this.config.vectorStore || new SpecVectorStore(this.similarity.vectorFile);
+    
+    // 제품별로 모아 두었다가 한 번에 반영할 상호작용 카운터 증가분 (productId → { 유형: 횟수 })
+    this.pendingInteractions = new Map();
+    this.interactionFlushTimer = null;
   }
   
   /**
@@ -36,15 +114,39 @@ class AlgoliaSearchService {
     try {
       this.logger.info(`${products.length}개 제품 인덱싱 시작`);
       
+      // 다시 인덱싱해도 처음 크롤링 시각과 상호작용 카운터는 유지
+      const { results: existing } = await this._trace('getObjects', { 'algolia.object_count': products.length },
+        () => this.index.getObjects(products.map(product => product.id)));
+      const crawledAt = new Date().toISOString();
+      
       // 제품 데이터 전처리
-      const processedProducts = products.map(product => ({
-        objectID: product.id, // Algolia에서 필요한 고유 식별자
-        ...product,
-        _tags: this._generateTags(product)
-      }));
+      const processedProducts = products.map((product, index) => {
+        const previous = existing[index] || {};
+        const counters = Object.values(INTERACTION_COUNTERS)
+          .reduce((values, counter) => ({ ...values, [counter]: previous[counter] || 0 }), {});
+        const firstSeenAt = previous.firstSeenAt || product.firstSeenAt || product.lastCrawledAt || crawledAt;
+        
+        return {
+          objectID: product.id, // Algolia에서 필요한 고유 식별자
+          ...product,
+          specs: toNumericSpecs(product.specifications), // 숫자 사양 필터용 (예: specs.screenSize > 55)
+          energyRating: extractEnergyRating(product.specifications), // 에너지 효율 등급 필터용 (예: energyRating:A)
+          ...counters,
+          popularity: computePopularity(counters, product, this.listings.popularityWeights), // 인기 제품 정렬용
+          firstSeenAt,
+          firstSeenAtTimestamp: Date.parse(firstSeenAt), // 신제품 숫자 필터용
+          _tags: this._generateTags(product)
+        };
+      });
       
       // 제품 데이터 인덱싱
-      const result = await this.index.saveObjects(processedProducts);
+      const result = await this._trace('saveObjects', { 'algolia.object_count': processedProducts.length },
+        () => this.index.saveObjects(processedProducts));
+      
+      // 유사 제품 추천용 사양 벡터를 미리 계산해 로컬에 저장 (저장 실패는 인덱싱 결과에 영향 없음)
+      this.vectorStore.upsert(processedProducts);
+      await this.vectorStore.save()
+        .catch(error => this.logger.warn(`사양 벡터 저장 실패: ${error.message}`));
       
       this.logger.info(`제품 인덱싱 완료: ${result.objectIDs.length}개 객체`);
       
@@ -71,7 +173,8 @@ class AlgoliaSearchService {
       }));
       
       // 제품 데이터 부분 업데이트
-      const result = await this.index.partialUpdateObjects(processedProducts);
+      const result = await this._trace('partialUpdateObjects', { 'algolia.object_count': processedProducts.length },
+        () => this.index.partialUpdateObjects(processedProducts));
       
       this.logger.info(`제품 부분 업데이트 완료: ${result.objectIDs.length}개 객체`);
       
@@ -108,7 +211,8 @@ class AlgoliaSearchService {
       };
       
       // 검색 수행
-      const result = await this.index.search(query, searchOptions);
+      const result = await this._trace('search', { 'algolia.query': query },
+        () => this.index.search(query, searchOptions));
       
       this.logger.info(`제품 검색 완료: ${result.hits.length}개 결과 (총 ${result.nbHits}개 중)`);
       
@@ -143,7 +247,8 @@ class AlgoliaSearchService {
       };
       
       // 필터 검색 수행
-      const result = await this.index.search('', searchOptions);
+      const result = await this._trace('search', { 'algolia.filters': filterString },
+        () => this.index.search('', searchOptions));
       
       this.logger.info(`필터 검색 완료: ${result.hits.length}개 결과 (총 ${result.nbHits}개 중)`);
       
@@ -156,11 +261,14 @@ class AlgoliaSearchService {
   
   /**
    * 제품 추천 (유사 제품 검색)
+   * 같은 카테고리 제품의 사양 벡터(사양, 에너지 효율 등급, 가격, 기능)로 유사도를 계산해 높은 순으로 반환합니다.
+   * 카테고리에 저장된 사양 벡터가 없으면 같은 카테고리 검색 결과를 반환합니다.
    * @param {string} productId - 기준 제품 ID
    * @param {number} limit - 최대 결과 수
-   * @returns {Promise<Array>} 추천 제품 배열
+   * @param {string} language - 설명 문구 언어 코드
+   * @returns {Promise<Array>} 추천 제품 배열 (similarity: { score, matches }, explanation 포함)
    */
-  async recommendSimilarProducts(productId, limit = 5) {
+  async recommendSimilarProducts(productId, limit = 5, language = 'pt-BR') {
     try {
       this.logger.info(`제품 ID: ${productId}에 대한 유사 제품 추천 시작`);
       
@@ -171,15 +279,39 @@ class AlgoliaSearchService {
         throw new Error(`ID가 ${productId}인 제품을 찾을 수 없습니다.`);
       }
       
-      // 유사 제품 검색 (동일 카테고리 내에서)
-      const result = await this.index.search('', {
-        filters: `category:${product.category} AND NOT objectID:${productId}`,
-        hitsPerPage: limit
-      });
+      // 사양 벡터 없이 인덱싱된 제품이면 메모리에서만 계산 (요청 경로에서는 파일에 쓰지 않음)
+      if (!this.vectorStore.get(productId)) {
+        this.vectorStore.upsert([product]);
+      }
+      const source = this.vectorStore.get(productId);
+      const ranked = this.vectorStore.list(product.category)
+        .filter(entry => entry.productId !== productId)
+        .map(entry => ({ productId: entry.productId, ...scoreSimilarity(source, entry, this.similarity) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
       
-      this.logger.info(`유사 제품 추천 완료: ${result.hits.length}개 결과`);
+      if (ranked.length === 0) {
+        // 유사 제품 검색 (동일 카테고리 내에서)
+        const filters = `category:${product.category} AND NOT objectID:${productId}`;
+        const result = await this._trace('search', { 'algolia.filters': filters },
+          () => this.index.search('', { filters, hitsPerPage: limit }));
+        
+        this.logger.info(`유사 제품 추천 완료 (사양 벡터 없음): ${result.hits.length}개 결과`);
+        return result.hits;
+      }
+      
+      const products = await this.getProductsByIds(ranked.map(entry => entry.productId));
+      const similarProducts = products
+        .map((similar, index) => similar && {
+          ...similar,
+          similarity: { score: ranked[index].score, matches: ranked[index].matches },
+          explanation: explainSimilarity(ranked[index].matches, language)
+        })
+        .filter(Boolean);
       
-      return result.hits;
+      this.logger.info(`유사 제품 추천 완료: ${similarProducts.length}개 결과`);
+      
+      return similarProducts;
     } catch (error) {
       this.logger.error(`유사 제품 추천 오류:`, error);
       throw error;
@@ -195,7 +327,8 @@ class AlgoliaSearchService {
     try {
       this.logger.info(`ID로 제품 조회: ${productId}`);
       
-      const product = await this.index.getObject(productId).catch(() => null);
+      const product = await this._trace('getObject', { 'algolia.object_id': productId },
+        () => this.index.getObject(productId)).catch(() => null);
       
       if (product) {
         this.logger.info(`제품 조회 성공: ${productId}`);
@@ -210,6 +343,163 @@ class AlgoliaSearchService {
     }
   }
   
+  /**
+   * 제품 상호작용(조회, 장바구니 추가)을 기록합니다.
+   * 요청마다 쓰지 않고 제품별 증가분을 모아 두었다가 interactionBatchSize 개 제품이 쌓이거나
+   * interactionFlushMs 가 지나면 flushInteractions 로 한 번에 반영합니다.
+   * @param {string} productId - 제품 ID
+   * @param {string} type - 상호작용 유형 (view, cartAdd, crossSellAccept)
+   * @returns {Promise<void>}
+   */
+  async recordProductInteraction(productId, type) {
+    if (!INTERACTION_COUNTERS[type]) {
+      throw new Error(`알 수 없는 제품 상호작용 유형: ${type}`);
+    }
+    
+    const pending = this.pendingInteractions.get(productId) || {};
+    pending[type] = (pending[type] || 0) + 1;
+    this.pendingInteractions.set(productId, pending);
+    
+    if (this.pendingInteractions.size >= this.listings.interactionBatchSize) {
+      await this.flushInteractions();
+    } else if (!this.interactionFlushTimer) {
+      this.interactionFlushTimer = setTimeout(() => this.flushInteractions(), this.listings.interactionFlushMs);
+      if (typeof this.interactionFlushTimer.unref === 'function') {
+        this.interactionFlushTimer.unref();
+      }
+    }
+  }
+  
+  /**
+   * 모아 둔 상호작용을 Algolia Increment 부분 업데이트 한 번으로 반영합니다.
+   * 카운터와 인기도를 서버에서 더하므로 동시에 기록해도 횟수를 잃지 않고, 인덱스에 없는 제품은 만들지 않습니다.
+   * 실패는 로그만 남깁니다. (해당 증가분은 버림)
+   * @returns {Promise<number>} 갱신한 제품 수
+   */
+  async flushInteractions() {
+    clearTimeout(this.interactionFlushTimer);
+    this.interactionFlushTimer = null;
+    
+    if (this.pendingInteractions.size === 0) {
+      return 0;
+    }
+    
+    const weights = this.listings.popularityWeights;
+    const updates = [...this.pendingInteractions].map(([productId, counts]) => {
+      const update = { objectID: productId };
+      let popularity = 0;
+      Object.entries(counts).forEach(([type, value]) => {
+        update[INTERACTION_COUNTERS[type]] = { _operation: 'Increment', value };
+        popularity += value * (weights[type] || 0);
+      });
+      if (popularity) {
+        update.popularity = { _operation: 'Increment', value: popularity };
+      }
+      return update;
+    });
+    this.pendingInteractions.clear();
+    
+    try {
+      await this._trace('partialUpdateObjects', { 'algolia.object_count': updates.length },
+        () => this.index.partialUpdateObjects(updates, { createIfNotExists: false }));
+      return updates.length;
+    } catch (error) {
+      this.logger.error('제품 상호작용 반영 오류:', error);
+      return 0;
+    }
+  }
+  
+  /**
+   * 완료된 장바구니의 제품끼리 함께 구매한 횟수를 기록합니다. (교차 판매용)
+   * 상대 제품별 최상위 속성(boughtWith_<제품 ID>)을 Increment 부분 업데이트 한 번으로 더하므로
+   * 동시에 완료된 장바구니도 횟수를 잃지 않고, 인덱스에 없는 제품은 만들지 않습니다. (boughtWithCounts 로 조회)
+   * @param {Array<string>} productIds - 함께 구매한 제품 ID 목록
+   * @returns {Promise<number>} 갱신을 요청한 제품 수
+   */
+  async recordCompletedCart(productIds) {
+    const ids = [...new Set(productIds)];
+    if (ids.length < 2) {
+      return 0;
+    }
+    
+    const updates = ids.map(productId => ids
+      .filter(id => id !== productId)
+      .reduce((update, id) => ({ ...update, [`${BOUGHT_WITH_PREFIX}${id}`]: { _operation: 'Increment', value: 1 } }), { objectID: productId }));
+    
+    await this._trace('partialUpdateObjects', { 'algolia.object_count': updates.length },
+      () => this.index.partialUpdateObjects(updates, { createIfNotExists: false }));
+    
+    return updates.length;
+  }
+  
+  /**
+   * 여러 제품을 ID로 조회합니다.
+   * @param {Array<string>} productIds - 제품 ID 목록
+   * @returns {Promise<Array<Object|null>>} 제품 정보 (요청 순서, 없는 제품은 null)
+   */
+  async getProductsByIds(productIds) {
+    const { results } = await this._trace('getObjects', { 'algolia.object_count': productIds.length },
+      () => this.index.getObjects(productIds));
+    return results;
+  }
+  
+  /**
+   * 인기 제품 조회 (인기도 내림차순, 같으면 평점 순)
+   * @param {string} categoryId - 카테고리 ID (category 또는 subCategory, 없으면 전체)
+   * @param {number} limit - 최대 결과 수
+   * @returns {Promise<Array>} 인기 제품 배열
+   */
+  async getPopularProducts(categoryId, limit = 5) {
+    const candidates = await this._listCandidates(this._categoryFilter(categoryId));
+    
+    return candidates
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0)
+        || (ratingSummary(b).average || 0) - (ratingSummary(a).average || 0))
+      .slice(0, limit);
+  }
+  
+  /**
+   * 큐레이션한 추천 제품 조회 (목록 순서, 노출 기간과 카테고리 적용)
+   * @param {string} categoryId - 카테고리 ID (없으면 전체)
+   * @param {number} limit - 최대 결과 수
+   * @returns {Promise<Array>} 추천 제품 배열 (인덱스에 없는 제품은 제외)
+   */
+  async getFeaturedProducts(categoryId, limit = 5) {
+    const now = Date.now();
+    const entries = this.featuredProducts.filter(entry =>
+      (!entry.startsAt || Date.parse(entry.startsAt) <= now) && (!entry.endsAt || now < Date.parse(entry.endsAt)));
+    if (entries.length === 0) {
+      return [];
+    }
+    
+    const { results } = await this._trace('getObjects', { 'algolia.object_count': entries.length },
+      () => this.index.getObjects(entries.map(entry => entry.productId)));
+    
+    return results
+      .map((product, index) => ({ product, entry: entries[index] }))
+      .filter(({ product, entry }) => product && (!categoryId || (entry.categories
+        ? entry.categories.includes(categoryId)
+        : [product.category, product.subCategory].includes(categoryId))))
+      .map(({ product }) => product)
+      .slice(0, limit);
+  }
+  
+  /**
+   * 신제품 조회 (처음 크롤링된 시각이 listings.newArrivalWindowMs 이내, 최신순)
+   * @param {string} categoryId - 카테고리 ID (없으면 전체)
+   * @param {number} limit - 최대 결과 수
+   * @returns {Promise<Array>} 신제품 배열
+   */
+  async getNewArrivals(categoryId, limit = 5) {
+    const since = Date.now() - this.listings.newArrivalWindowMs;
+    const filters = [this._categoryFilter(categoryId), `firstSeenAtTimestamp >= ${since}`].filter(Boolean).join(' AND ');
+    const candidates = await this._listCandidates(filters);
+    
+    return candidates
+      .sort((a, b) => b.firstSeenAtTimestamp - a.firstSeenAtTimestamp)
+      .slice(0, limit);
+  }
+  
   /**
    * 인덱스 설정
    * @returns {Promise<Object>} 설정 결과
@@ -232,7 +522,9 @@ class AlgoliaSearchService {
           'category',
           'stockStatus',
           'price',
+          'subCategory',
           'features',
+          'energyRating',
           'specifications.brand'
         ],
         // 순위 설정
@@ -262,6 +554,59 @@ class AlgoliaSearchService {
     }
   }
   
+  /**
+   * 카테고리 범위 필터를 만듭니다. (category 또는 subCategory 가 일치)
+   * @param {string} categoryId - 카테고리 ID
+   * @returns {string} Algolia 필터 문자열 (카테고리가 없으면 빈 문자열)
+   * @private
+   */
+  _categoryFilter(categoryId) {
+    return categoryId ? `(category:"${categoryId}" OR subCategory:"${categoryId}")` : '';
+  }
+  
+  /**
+   * 정렬 전 후보 제품을 가져옵니다. (최대 listings.candidateLimit 개)
+   * @param {string} filters - Algolia 필터 문자열
+   * @returns {Promise<Array>} 후보 제품 배열
+   * @private
+   */
+  async _listCandidates(filters) {
+    const options = { hitsPerPage: this.listings.candidateLimit, ...(filters ? { filters } : {}) };
+    const result = await this._trace('search', { 'algolia.filters': filters || '' },
+      () => this.index.search('', options));
+    return result.hits;
+  }
+  
+  /**
+   * 큐레이션한 추천 제품 목록 파일을 읽습니다.
+   * @param {string} file - 목록 파일 경로 ({ products: [{ productId, categories, startsAt, endsAt }] })
+   * @returns {Array<Object>} 추천 제품 항목 (파일이 없거나 잘못되면 빈 배열)
+   * @private
+   */
+  _loadFeaturedProducts(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).products || [];
+    } catch (error) {
+      this.logger.warn(`추천 제품 목록을 읽을 수 없습니다: ${file} - ${error.message}`);
+      return [];
+    }
+  }
+  
+  /**
+   * Algolia 호출을 추적 스팬으로 감쌉니다.
+   * @param {string} operation - 인덱스 메서드 이름
+   * @param {Object} attributes - 추가 스팬 속성
+   * @param {Function} fn - 실행할 호출
+   * @returns {Promise<any>} 호출 결과
+   * @private
+   */
+  _trace(operation, attributes, fn) {
+    return traceCall(`algolia.${operation}`, {
+      'algolia.index': this.config.indexName,
+      ...attributes
+    }, fn);
+  }
+  
   /**
    * 필터 문자열 생성
    * @param {Object} filters - 필터 객체
@@ -329,3 +674,4 @@ class AlgoliaSearchService {
 }
 
 module.exports = AlgoliaSearchService;
+module.exports.boughtWithCounts = boughtWithCounts;
@@ -0,0 +1,83 @@
+/**
+ * 하이브리드 검색 서비스
+ * AlgoliaSearchService 의 키워드 검색(searchProducts)과 로컬 임베딩 의미 검색 결과를 reciprocal rank fusion 으로 결합합니다.
+ * "TV boa para jogar videogame" 처럼 제품 설명에 같은 단어가 없어 키워드 검색이 놓치는 검색어도 용도가 가까운 제품을 찾습니다.
+ *
+ * 인덱싱할 때 제품 텍스트(이름, 카테고리, 설명, 기능, 사양)를 임베딩해 디스크 벡터 인덱스(config.search.semantic.vectorFile)에
+ * 저장하고, 텍스트가 바뀌지 않은 제품은 저장된 임베딩을 재사용합니다. 검색 서비스 타입 'hybrid' 로 선택합니다.
+ * 임베딩, 의미 검색, 결과 결합은 TS 하이브리드 검색 서비스와 같은 구현(semantic-search.js)을 사용합니다.
+ */
+const AlgoliaSearchService = require('./algolia-search-service');
+const LocalTextEmbedder = require('./text-embedder');
+const VectorIndex = require('./vector-index');
+const SemanticSearch = require('./semantic-search');
+const appConfig = require('../../../config');
+
+class HybridSearchService extends AlgoliaSearchService {
+  /**
+   * 생성자
+   * @param {Object} config - 설정 객체 (AlgoliaSearchService 설정 포함)
+   * @param {Object} config.semantic - 의미 검색 설정 (기본값: config.search.semantic)
+   * @param {Object} config.embedder - 임베딩 모델 ({ modelId, embed(text) }, 없으면 LocalTextEmbedder)
+   * @param {VectorIndex} config.vectorIndex - 벡터 인덱스 (없으면 semantic.vectorFile 파일 인덱스)
+   */
+  constructor(config = {}) {
+    super(config);
+
+    this.semantic = { ...appConfig.search.semantic, ...this.config.semantic };
+    this.embedder = this.config.embedder || new LocalTextEmbedder({
+      dimensions: this.semantic.dimensions,
+      concepts: LocalTextEmbedder.loadConcepts(this.semantic.conceptsFile)
+    });
+    this.vectorIndex = this.config.vectorIndex || new VectorIndex(this.semantic.vectorFile);
+    this.semanticSearch = new SemanticSearch({
+      embedder: this.embedder,
+      vectorIndex: this.vectorIndex,
+      candidateLimit: this.semantic.candidateLimit,
+      minSimilarity: this.semantic.minSimilarity,
+      rrfK: this.semantic.rrfK,
+      logger: { info: message => this.logger.info(message), warn: message => this.logger.warn(message) }
+    });
+  }
+
+  /**
+   * 제품 인덱싱 (키워드 인덱스 저장 후 제품 텍스트 임베딩)
+   * @param {Array} products - 인덱싱할 제품 배열
+   * @returns {Promise<Object>} 인덱싱 결과
+   */
+  async indexProducts(products) {
+    const result = await super.indexProducts(products);
+
+    const { embedded, cached } = this.semanticSearch.embed(products.map(product => ({ ...product, objectID: product.id })));
+    this.logger.info(`제품 임베딩 완료: ${embedded}개 계산, ${cached}개 재사용`);
+
+    return result;
+  }
+
+  /**
+   * 제품 검색 (키워드 검색과 의미 검색 결과를 RRF 로 결합)
+   * @param {string} query - 검색 쿼리
+   * @param {Object} options - 검색 옵션 (filters 는 의미 검색 결과에도 적용)
+   * @returns {Promise<Object>} 검색 결과 (hit 마다 _hybrid: { score, ranks: { keyword, semantic } })
+   */
+  async searchProducts(query, options = {}) {
+    const { page = 0, hitsPerPage = 10, ...keywordOptions } = options;
+
+    const { keyword, ...fused } = await this.semanticSearch.search(
+      query,
+      { filters: options.filters, page, hitsPerPage },
+      candidateLimit => super.searchProducts(query, { ...keywordOptions, page: 0, hitsPerPage: candidateLimit }),
+      objectIDs => this.getProductsByIds(objectIDs)
+    );
+
+    return {
+      ...keyword,
+      ...fused,
+      page,
+      hitsPerPage,
+      query
+    };
+  }
+}
+
+module.exports = HybridSearchService;
@@ -0,0 +1,264 @@
+/**
+ * 인메모리 검색 인덱스
+ * AlgoliaSearchService 가 사용하는 Algolia 인덱스 메서드(saveObjects, partialUpdateObjects, getObject, getObjects,
+ * search, setSettings)와 크롤링 코디네이터가 사용하는 saveObject 를 메모리에서 구현합니다. 테스트나 로컬 실행에서 실제 Algolia 인덱스 대신 주입해 사용합니다.
+ *
+ * 필터는 Algolia 문법 중 다음을 지원합니다.
+ *   facet:값, facet:"공백 있는 값", 속성 <연산자> 숫자 (=, !=, <, <=, >, >=), NOT, AND, OR, 괄호
+ * 검색어는 name / description / features / category 에 모든 단어가 포함된 레코드와 일치합니다. (순위 없이 저장 순서)
+ */
+
+// 필터 토큰 (괄호, 논리 연산자, 숫자 비교, 패싯 조건)
+const FILTER_TOKEN = /\s*(\(|\)|AND\b|OR\b|NOT\b|[\w.]+\s*(?:<=|>=|!=|<|>|=)\s*-?\d+(?:\.\d+)?|[\w.]+:(?:"[^"]*"|'[^']*'|[^\s()]+))/y;
+
+// 검색어 비교 대상 속성
+const SEARCHABLE_ATTRIBUTES = ['name', 'description', 'features', 'category'];
+
+/**
+ * 점으로 구분한 경로의 값을 가져옵니다. ("specs.screenSize")
+ * @param {Object} record - 레코드
+ * @param {string} path - 속성 경로
+ * @returns {any} 값
+ * @private
+ */
+function valueAt(record, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+/**
+ * 필터 문자열을 토큰으로 나눕니다.
+ * @param {string} filters - 필터 문자열
+ * @returns {Array<string>} 토큰 목록
+ * @private
+ */
+function tokenize(filters) {
+  const tokens = [];
+  FILTER_TOKEN.lastIndex = 0;
+  while (FILTER_TOKEN.lastIndex < filters.length) {
+    const start = FILTER_TOKEN.lastIndex;
+    const match = FILTER_TOKEN.exec(filters);
+    if (!match) {
+      if (filters.slice(start).trim() === '') {
+        break;
+      }
+      throw new Error(`지원하지 않는 필터 구문: ${filters.slice(start)}`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * 단일 조건을 판정 함수로 바꿉니다.
+ * @param {string} token - 조건 토큰 ("category:tv", "price <= 1000")
+ * @returns {function(Object): boolean} 판정 함수
+ * @private
+ */
+function toPredicate(token) {
+  const numeric = token.match(/^([\w.]+)\s*(<=|>=|!=|<|>|=)\s*(-?\d+(?:\.\d+)?)$/);
+  if (numeric) {
+    const [, path, op, number] = numeric;
+    const target = Number(number);
+    const compare = {
+      '=': value => value === target,
+      '!=': value => value !== target,
+      '<': value => value < target,
+      '<=': value => value <= target,
+      '>': value => value > target,
+      '>=': value => value >= target
+    }[op];
+    return record => {
+      const value = valueAt(record, path);
+      return typeof value === 'number' && compare(value);
+    };
+  }
+
+  const separator = token.indexOf(':');
+  const path = token.slice(0, separator);
+  const expected = token.slice(separator + 1).replace(/^(["'])(.*)\1$/, '$2').toLowerCase();
+  return record => {
+    const value = path === 'objectID' ? record.objectID : valueAt(record, path);
+    const values = Array.isArray(value) ? value : [value];
+    return values.some(item => item !== null && item !== undefined && String(item).toLowerCase() === expected);
+  };
+}
+
+/**
+ * 필터 문자열을 판정 함수로 바꿉니다. (OR < AND < NOT 순으로 결합)
+ * @param {string} filters - Algolia 필터 문자열
+ * @returns {function(Object): boolean} 판정 함수
+ */
+function compileFilters(filters) {
+  if (!filters || !filters.trim()) {
+    return () => true;
+  }
+
+  const tokens = tokenize(filters);
+  let position = 0;
+
+  const parseFactor = () => {
+    const token = tokens[position++];
+    if (token === 'NOT') {
+      const inner = parseFactor();
+      return record => !inner(record);
+    }
+    if (token === '(') {
+      const inner = parseOr();
+      if (tokens[position++] !== ')') {
+        throw new Error(`괄호가 닫히지 않은 필터: ${filters}`);
+      }
+      return inner;
+    }
+    if (!token || ['AND', 'OR', ')'].includes(token)) {
+      throw new Error(`잘못된 필터: ${filters}`);
+    }
+    return toPredicate(token);
+  };
+  const parseAnd = () => {
+    const parts = [parseFactor()];
+    while (tokens[position] === 'AND') {
+      position++;
+      parts.push(parseFactor());
+    }
+    return record => parts.every(part => part(record));
+  };
+  const parseOr = () => {
+    const parts = [parseAnd()];
+    while (tokens[position] === 'OR') {
+      position++;
+      parts.push(parseAnd());
+    }
+    return record => parts.some(part => part(record));
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`잘못된 필터: ${filters}`);
+  }
+  return predicate;
+}
+
+class MemorySearchIndex {
+  /**
+   * 생성자
+   * @param {Array<Object>} objects - 초기 레코드 (objectID 필수)
+   */
+  constructor(objects = []) {
+    this.records = new Map();
+    this.settings = {};
+    objects.forEach(object => this.records.set(object.objectID, { ...object }));
+  }
+
+  /**
+   * 레코드를 저장합니다. (같은 objectID 는 교체)
+   * @param {Array<Object>} objects - 레코드 목록
+   * @returns {Promise<{objectIDs: Array<string>}>} 저장한 objectID
+   */
+  async saveObjects(objects) {
+    objects.forEach(object => this.records.set(object.objectID, { ...object }));
+    return { objectIDs: objects.map(object => object.objectID) };
+  }
+
+  /**
+   * 레코드 하나를 저장합니다. (같은 objectID 는 교체)
+   * @param {Object} object - 저장할 레코드 (objectID 필수)
+   * @returns {Promise<{objectID: string}>} 저장한 objectID
+   */
+  async saveObject(object) {
+    await this.saveObjects([object]);
+    return { objectID: object.objectID };
+  }
+
+  /**
+   * 레코드 일부 속성을 갱신합니다. ({ _operation: 'Increment', value } 지원)
+   * @param {Array<Object>} objects - 갱신할 속성 (objectID 필수)
+   * @param {Object} options - { createIfNotExists } (기본값: true, false 면 없는 레코드는 건너뜀)
+   * @returns {Promise<{objectIDs: Array<string>}>} 갱신한 objectID
+   */
+  async partialUpdateObjects(objects, options = {}) {
+    const { createIfNotExists = true } = options;
+    objects.forEach(({ objectID, ...attributes }) => {
+      if (!createIfNotExists && !this.records.has(objectID)) {
+        return;
+      }
+      const record = { ...(this.records.get(objectID) || { objectID }) };
+      Object.entries(attributes).forEach(([key, value]) => {
+        record[key] = value && value._operation === 'Increment'
+          ? (Number(record[key]) || 0) + value.value
+          : value;
+      });
+      this.records.set(objectID, record);
+    });
+    return { objectIDs: objects.map(object => object.objectID) };
+  }
+
+  /**
+   * 레코드를 조회합니다. 없으면 Algolia 처럼 404 오류로 거부합니다.
+   * @param {string} objectID - 레코드 ID
+   * @returns {Promise<Object>} 레코드
+   */
+  async getObject(objectID) {
+    if (!this.records.has(objectID)) {
+      const error = new Error('ObjectID does not exist');
+      error.status = 404;
+      throw error;
+    }
+    return { ...this.records.get(objectID) };
+  }
+
+  /**
+   * 여러 레코드를 조회합니다. (없는 레코드는 null)
+   * @param {Array<string>} objectIDs - 레코드 ID 목록
+   * @returns {Promise<{results: Array<Object|null>}>} 조회 결과 (요청 순서)
+   */
+  async getObjects(objectIDs) {
+    return {
+      results: objectIDs.map(objectID => (this.records.has(objectID) ? { ...this.records.get(objectID) } : null))
+    };
+  }
+
+  /**
+   * 검색합니다.
+   * @param {string} query - 검색어
+   * @param {Object} options - 검색 옵션 (filters, page, hitsPerPage)
+   * @returns {Promise<Object>} Algolia 형식 검색 결과 ({ hits, nbHits, page, nbPages, hitsPerPage, query })
+   */
+  async search(query = '', options = {}) {
+    const { filters, page = 0, hitsPerPage = 20 } = options;
+    const matchesFilters = compileFilters(filters);
+    const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matches = Array.from(this.records.values()).filter(record => {
+      if (!matchesFilters(record)) {
+        return false;
+      }
+      const text = SEARCHABLE_ATTRIBUTES
+        .map(attribute => [].concat(record[attribute] || []).join(' '))
+        .join(' ')
+        .toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+
+    return {
+      hits: matches.slice(page * hitsPerPage, (page + 1) * hitsPerPage).map(record => ({ ...record })),
+      nbHits: matches.length,
+      page,
+      nbPages: Math.ceil(matches.length / hitsPerPage),
+      hitsPerPage,
+      query
+    };
+  }
+
+  /**
+   * 인덱스 설정을 저장합니다. (검색 동작에는 반영하지 않음)
+   * @param {Object} settings - 인덱스 설정
+   * @returns {Promise<Object>} 결과
+   */
+  async setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    return { updatedAt: new Date().toISOString() };
+  }
+}
+
+module.exports = MemorySearchIndex;
+module.exports.compileFilters = compileFilters;
@@ -0,0 +1,66 @@
+/**
+ * 검색 결과 순위 결합 (reciprocal rank fusion)
+ * 여러 검색(키워드, 의미)의 순위 목록을 점수 = Σ 1 / (k + 순위) 로 합칩니다.
+ * 점수 척도가 다른 검색 결과도 순위만으로 결합할 수 있고, 여러 목록에 함께 오른 결과가 위로 올라갑니다.
+ */
+
+/**
+ * 순위 목록들을 reciprocal rank fusion 으로 결합합니다.
+ * @param {Object<string, Array<string>>} rankings - 출처별 ID 순위 목록 ({ keyword: [...], semantic: [...] })
+ * @param {number} k - RRF 상수 (기본값: 60, 클수록 하위 순위의 영향이 커짐)
+ * @returns {Array<{id: string, score: number, ranks: Object<string, number|null>}>} 점수 내림차순 결과 (출처별 1부터 시작하는 순위)
+ */
+function reciprocalRankFusion(rankings, k = 60) {
+  const sources = Object.keys(rankings);
+  const fused = new Map();
+
+  sources.forEach(source => {
+    rankings[source].forEach((id, index) => {
+      const entry = fused.get(id) || { id, score: 0, ranks: Object.fromEntries(sources.map(name => [name, null])) };
+      entry.score += 1 / (k + index + 1);
+      entry.ranks[source] = index + 1;
+      fused.set(id, entry);
+    });
+  });
+
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 출처별 검색 결과(hits)를 결합하고 페이지를 나눕니다.
+ * @param {Object<string, Array<Object>>} hitsBySource - 출처별 검색 결과 ({ keyword: hits, semantic: hits }, objectID 필수)
+ * @param {Object} options - 결합 옵션
+ * @param {number} options.page - 페이지 번호 (0부터)
+ * @param {number} options.hitsPerPage - 페이지당 결과 수
+ * @param {number} options.k - RRF 상수
+ * @returns {{hits: Array<Object>, nbHits: number, nbPages: number}} 결합한 결과 (hit 마다 _hybrid: { score, ranks })
+ */
+function fuseHits(hitsBySource, { page = 0, hitsPerPage = 10, k = 60 } = {}) {
+  const records = new Map();
+  const rankings = {};
+  Object.entries(hitsBySource).forEach(([source, hits]) => {
+    rankings[source] = hits.map(hit => hit.objectID);
+    hits.forEach(hit => {
+      if (!records.has(hit.objectID)) {
+        records.set(hit.objectID, hit);
+      }
+    });
+  });
+
+  const fused = reciprocalRankFusion(rankings, k);
+  return {
+    hits: fused
+      .slice(page * hitsPerPage, (page + 1) * hitsPerPage)
+      .map(({ id, score, ranks }) => ({
+        ...records.get(id),
+        _hybrid: { score: Math.round(score * 1e4) / 1e4, ranks }
+      })),
+    nbHits: fused.length,
+    nbPages: Math.ceil(fused.length / hitsPerPage)
+  };
+}
+
+module.exports = {
+  reciprocalRankFusion,
+  fuseHits
+};
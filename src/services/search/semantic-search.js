@@ -0,0 +1,125 @@
+/**
+ * 의미 검색
+ * 하이브리드 검색 서비스(hybrid-search-service.js, storage/search/hybrid.search.ts)가 함께 사용하는 구현입니다.
+ * 문서 텍스트를 임베딩해 벡터 인덱스에 반영하고, 검색어 임베딩과 가까운 문서를 찾아 키워드 검색 결과와
+ * reciprocal rank fusion 으로 결합합니다.
+ */
+const { fuseHits } = require('./rank-fusion');
+const { compileFilters } = require('./memory-search-index');
+
+// 임베딩할 기본 필드
+const DEFAULT_TEXT_FIELDS = ['name', 'category', 'subCategory', 'description', 'features', 'specifications'];
+
+/**
+ * 임베딩할 문서 텍스트를 만듭니다. (배열은 항목별로, 객체는 `이름 값` 으로 펼침)
+ * @param {Object} record - 문서 (예: { name, category, subCategory, description, features, specifications })
+ * @param {Array<string>} fields - 임베딩할 필드
+ * @returns {string} 문서 텍스트
+ */
+function productText(record, fields = DEFAULT_TEXT_FIELDS) {
+  return fields
+    .map(field => record[field])
+    .flatMap(value => {
+      if (Array.isArray(value)) {
+        return value;
+      }
+      if (value && typeof value === 'object') {
+        return Object.entries(value).map(([label, detail]) => `${label} ${detail}`);
+      }
+      return [value];
+    })
+    .filter(Boolean)
+    .join('. ');
+}
+
+class SemanticSearch {
+  /**
+   * 생성자
+   * @param {Object} options - 의미 검색 옵션
+   * @param {Object} options.embedder - 임베딩 모델 ({ modelId, embed(text) })
+   * @param {VectorIndex} options.vectorIndex - 벡터 인덱스
+   * @param {Array<string>} options.textFields - 임베딩할 필드 (기본값: DEFAULT_TEXT_FIELDS)
+   * @param {number} options.candidateLimit - 검색별 후보 수
+   * @param {number} options.minSimilarity - 의미 검색 최소 코사인 유사도
+   * @param {number} options.rrfK - RRF 상수
+   * @param {Object} options.logger - 로거 ({ info, warn })
+   */
+  constructor(options) {
+    this.embedder = options.embedder;
+    this.vectorIndex = options.vectorIndex;
+    this.textFields = options.textFields || DEFAULT_TEXT_FIELDS;
+    this.candidateLimit = options.candidateLimit;
+    this.minSimilarity = options.minSimilarity;
+    this.rrfK = options.rrfK;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * 문서를 임베딩해 벡터 인덱스에 반영합니다. (텍스트가 그대로인 문서는 저장된 임베딩 재사용)
+   * @param {Array<Object>} records - 문서 배열 (objectID 필수)
+   * @returns {{embedded: number, cached: number}} 새로 임베딩한 수, 재사용한 수
+   */
+  embed(records) {
+    return this.vectorIndex.upsert(
+      records.map(record => ({ objectID: record.objectID, text: productText(record, this.textFields) })),
+      this.embedder
+    );
+  }
+
+  /**
+   * 키워드 검색과 의미 검색 결과를 결합합니다.
+   * 각 검색에서 candidateLimit 개씩 후보를 가져와 결합한 뒤 page / hitsPerPage 로 나눕니다.
+   * @param {string} query - 검색어
+   * @param {Object} options - 검색 옵션 ({ filters, page, hitsPerPage }, filters 는 의미 검색 결과에도 적용)
+   * @param {Function} keywordSearch - (hitsPerPage) => Promise<키워드 검색 결과>
+   * @param {Function} getRecords - (objectIDs) => Promise<Array<Object|null>> (요청 순서)
+   * @returns {Promise<Object>} { keyword, hits, nbHits, nbPages } (hit 마다 _hybrid: { score, ranks })
+   */
+  async search(query, options, keywordSearch, getRecords) {
+    const { filters, page = 0, hitsPerPage = 10 } = options;
+
+    const keyword = await keywordSearch(this.candidateLimit);
+    const semanticHits = await this._semanticHits(query, filters, getRecords);
+    const fused = fuseHits({ keyword: keyword.hits, semantic: semanticHits }, { page, hitsPerPage, k: this.rrfK });
+
+    this.logger.info(`하이브리드 검색 완료: 키워드 ${keyword.hits.length}개, 의미 ${semanticHits.length}개 → ${fused.nbHits}개`);
+
+    return { keyword, ...fused };
+  }
+
+  /**
+   * 의미 검색 (검색어 임베딩과 코사인 유사도가 높은 문서, 필터 적용)
+   * @param {string} query - 검색어
+   * @param {string} filters - Algolia 필터 문자열
+   * @param {Function} getRecords - 문서 조회 함수
+   * @returns {Promise<Array<Object>>} 유사도 순 문서 (필터를 해석할 수 없으면 빈 배열)
+   * @private
+   */
+  async _semanticHits(query, filters, getRecords) {
+    if (!String(query || '').trim() || this.vectorIndex.size === 0) {
+      return [];
+    }
+
+    let matchesFilters;
+    try {
+      matchesFilters = compileFilters(filters);
+    } catch (error) {
+      this.logger.warn(`의미 검색에 적용할 수 없는 필터, 키워드 검색만 사용: ${filters} - ${error.message}`);
+      return [];
+    }
+
+    const matches = this.vectorIndex.query(this.embedder.embed(query), this.candidateLimit, this.minSimilarity, this.embedder.modelId);
+    if (matches.length === 0) {
+      return [];
+    }
+
+    const records = await getRecords(matches.map(match => match.objectID));
+    return records
+      .map((record, index) => record && { ...record, objectID: matches[index].objectID })
+      .filter(record => record && matchesFilters(record));
+  }
+}
+
+module.exports = SemanticSearch;
+module.exports.productText = productText;
+module.exports.DEFAULT_TEXT_FIELDS = DEFAULT_TEXT_FIELDS;
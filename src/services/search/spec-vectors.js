@@ -0,0 +1,278 @@
+/**
+ * 제품 사양 벡터 (유사 제품 추천)
+ * 인덱싱할 때 제품마다 숫자 사양(화면 크기, 용량, BTU), 에너지 효율 등급, 가격, 기능을 모은 사양 벡터를 만들고,
+ * 숫자 사양은 같은 카테고리 제품의 최솟값~최댓값 기준 0~1 로 정규화해 로컬 파일에 저장합니다.
+ *
+ * 유사도는 사양 / 에너지 효율 등급 / 가격 근접도 / 기능 겹침(Jaccard) 점수의 가중 평균이며,
+ * 두 제품 모두 값이 있는 항목만 반영합니다. 어떤 속성이 일치했는지(matches)로 설명 문구를 만듭니다.
+ */
+const fs = require('fs');
+const path = require('path');
+const { toNumericSpecs, extractEnergyRating } = require('../../utils/product-specs');
+
+// 유사도에 반영하는 숫자 사양
+const VECTOR_SPEC_KEYS = ['screenSize', 'capacity', 'btu'];
+
+// 에너지 효율 등급 (좋은 순)
+const ENERGY_RATINGS = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+// 같은 값이면 설명에 쓰는 사양 이름과 단위
+const SPEC_PHRASES = {
+  screenSize: { 'pt-BR': value => `mesmo tamanho de ${value}"`, ko: value => `같은 ${value}" 크기` },
+  capacity: { 'pt-BR': value => `mesma capacidade de ${value} L`, ko: value => `같은 ${value}L 용량` },
+  btu: { 'pt-BR': value => `mesma potência de ${value} BTUs`, ko: value => `같은 ${value} BTU 냉방 능력` }
+};
+
+/**
+ * 제품으로 사양 벡터 항목을 만듭니다. (정규화 전, vector 는 normalizeVectors 에서 채움)
+ * @param {Object} product - 제품 데이터 ({ id | objectID, category, price, specifications | specs, energyRating, features })
+ * @returns {Object} 사양 벡터 항목 ({ productId, category, price, specs, energyRating, features, vector })
+ */
+function toSpecVector(product) {
+  const numeric = product.specs || toNumericSpecs(product.specifications);
+  const specs = {};
+  VECTOR_SPEC_KEYS.forEach(key => {
+    if (typeof numeric[key] === 'number') {
+      specs[key] = numeric[key];
+    }
+  });
+
+  return {
+    productId: product.objectID || product.id,
+    category: product.category || null,
+    price: typeof product.price === 'number' ? product.price : null,
+    specs,
+    energyRating: product.energyRating || extractEnergyRating(product.specifications),
+    features: Array.isArray(product.features) ? product.features : [],
+    vector: {}
+  };
+}
+
+/**
+ * 같은 카테고리 항목끼리 숫자 사양을 0~1 로 정규화하고 에너지 효율 등급을 순위 값(A = 1, G = 0)으로 바꿉니다.
+ * (카테고리 안 값이 모두 같으면 1)
+ * @param {Array<Object>} entries - 같은 카테고리의 사양 벡터 항목
+ * @returns {Array<Object>} vector 를 채운 항목
+ */
+function normalizeVectors(entries) {
+  const ranges = {};
+  VECTOR_SPEC_KEYS.forEach(key => {
+    const values = entries.map(entry => entry.specs[key]).filter(value => typeof value === 'number');
+    if (values.length > 0) {
+      ranges[key] = { min: Math.min(...values), max: Math.max(...values) };
+    }
+  });
+
+  return entries.map(entry => {
+    const vector = {};
+    Object.entries(entry.specs).forEach(([key, value]) => {
+      const { min, max } = ranges[key];
+      vector[key] = max > min ? (value - min) / (max - min) : 1;
+    });
+    const rank = ENERGY_RATINGS.indexOf(entry.energyRating);
+    if (rank !== -1) {
+      vector.energyRating = 1 - rank / (ENERGY_RATINGS.length - 1);
+    }
+    return { ...entry, vector };
+  });
+}
+
+/**
+ * 두 제품의 유사도와 일치한 속성을 계산합니다.
+ * @param {Object} source - 기준 제품의 사양 벡터 항목
+ * @param {Object} candidate - 후보 제품의 사양 벡터 항목
+ * @param {Object} options - 유사도 설정 (config.recommendation.similarity)
+ * @param {Object} options.weights - 항목별 가중치 ({ specs, energyRating, price, features })
+ * @param {number} options.priceMatchRatio - 설명에 가격 차이를 언급할 최대 비율
+ * @returns {{score: number, matches: Array<Object>}} 유사도(0~1)와 일치한 속성 ({ type, key, value, ... })
+ */
+function scoreSimilarity(source, candidate, options) {
+  const { weights, priceMatchRatio } = options;
+  const components = [];
+  const matches = [];
+
+  const specKeys = VECTOR_SPEC_KEYS.filter(key => key in source.vector && key in candidate.vector);
+  if (specKeys.length > 0) {
+    const distance = specKeys.reduce((sum, key) => sum + Math.abs(source.vector[key] - candidate.vector[key]), 0);
+    components.push({ type: 'specs', score: 1 - distance / specKeys.length });
+    specKeys
+      .filter(key => source.specs[key] === candidate.specs[key])
+      .forEach(key => matches.push({ type: 'spec', key, value: candidate.specs[key] }));
+  }
+
+  if ('energyRating' in source.vector && 'energyRating' in candidate.vector) {
+    components.push({ type: 'energyRating', score: 1 - Math.abs(source.vector.energyRating - candidate.vector.energyRating) });
+    if (source.energyRating === candidate.energyRating) {
+      matches.push({ type: 'energyRating', value: candidate.energyRating });
+    }
+  }
+
+  if (source.price > 0 && candidate.price !== null) {
+    const ratio = (candidate.price - source.price) / source.price;
+    components.push({ type: 'price', score: Math.max(0, 1 - Math.abs(ratio)) });
+    if (Math.abs(ratio) <= priceMatchRatio) {
+      matches.push({ type: 'price', value: Math.round(ratio * 100) });
+    }
+  }
+
+  const sourceFeatures = new Set(source.features.map(feature => String(feature).toLowerCase()));
+  if (sourceFeatures.size > 0 || candidate.features.length > 0) {
+    const shared = candidate.features.filter(feature => sourceFeatures.has(String(feature).toLowerCase()));
+    const union = new Set([...sourceFeatures, ...candidate.features.map(feature => String(feature).toLowerCase())]);
+    components.push({ type: 'features', score: shared.length / union.size });
+    if (shared.length > 0) {
+      matches.push({ type: 'feature', value: shared.slice(0, 2) });
+    }
+  }
+
+  const totalWeight = components.reduce((sum, component) => sum + (weights[component.type] || 0), 0);
+  const score = totalWeight > 0
+    ? components.reduce((sum, component) => sum + (weights[component.type] || 0) * component.score, 0) / totalWeight
+    : 0;
+
+  return { score: Math.round(score * 1000) / 1000, matches };
+}
+
+/**
+ * 일치한 속성으로 설명 문구를 만듭니다. (예: 'mesmo tamanho de 55", 20% mais barato, também tem webOS')
+ * @param {Array<Object>} matches - scoreSimilarity 의 일치한 속성
+ * @param {string} language - 언어 코드
+ * @returns {string|null} 설명 문구 (일치한 속성이 없으면 null)
+ */
+function explainSimilarity(matches, language = 'pt-BR') {
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const isPtBR = language === 'pt-BR';
+  const numberFormat = new Intl.NumberFormat(isPtBR ? 'pt-BR' : 'ko-KR');
+  const phrases = matches.map(match => {
+    switch (match.type) {
+      case 'spec':
+        return SPEC_PHRASES[match.key][isPtBR ? 'pt-BR' : 'ko'](numberFormat.format(match.value));
+      case 'energyRating':
+        return isPtBR ? `mesma classe de energia ${match.value}` : `같은 에너지 효율 ${match.value} 등급`;
+      case 'price':
+        if (match.value === 0) {
+          return isPtBR ? 'mesmo preço' : '같은 가격';
+        }
+        return isPtBR
+          ? `${Math.abs(match.value)}% mais ${match.value < 0 ? 'barato' : 'caro'}`
+          : `${Math.abs(match.value)}% 더 ${match.value < 0 ? '저렴' : '비쌈'}`;
+      default:
+        return isPtBR ? `também tem ${match.value.join(' e ')}` : `${match.value.join(', ')} 기능도 있음`;
+    }
+  });
+
+  return isPtBR ? phrases.join(', ') : `비슷한 점: ${phrases.join(', ')}`;
+}
+
+/**
+ * 사양 벡터 저장소
+ * 사양 벡터 항목을 제품 ID 별로 메모리에 보관하고, save 를 호출하면 로컬 JSON 파일에 비동기로 저장합니다.
+ * (파일 경로가 없으면 메모리에만 보관)
+ */
+class SpecVectorStore {
+  /**
+   * 생성자
+   * @param {string|null} filePath - 저장 파일 경로 (예: data/spec-vectors.json)
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.vectors = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * 사양 벡터 항목을 조회합니다.
+   * @param {string} productId - 제품 ID
+   * @returns {Object|null} 사양 벡터 항목
+   */
+  get(productId) {
+    return this._load().get(productId) || null;
+  }
+
+  /**
+   * 카테고리의 사양 벡터 항목 목록을 조회합니다.
+   * @param {string} category - 카테고리 ID
+   * @returns {Array<Object>} 사양 벡터 항목
+   */
+  list(category) {
+    return Array.from(this._load().values()).filter(entry => entry.category === category);
+  }
+
+  /**
+   * 제품의 사양 벡터를 추가 / 교체하고 영향을 받은 카테고리 전체를 다시 정규화합니다. (메모리만 변경)
+   * @param {Array<Object>} products - 제품 목록
+   * @returns {number} 반영한 항목 수
+   */
+  upsert(products) {
+    const vectors = this._load();
+    const categories = new Set();
+    products.map(toSpecVector).forEach(entry => {
+      vectors.set(entry.productId, entry);
+      categories.add(entry.category);
+    });
+
+    categories.forEach(category => {
+      normalizeVectors(this.list(category)).forEach(entry => vectors.set(entry.productId, entry));
+    });
+
+    return products.length;
+  }
+
+  /**
+   * 현재 항목을 저장 파일에 씁니다. 임시 파일에 쓴 뒤 교체하며, 동시에 호출하면 순서대로 씁니다.
+   * @returns {Promise<boolean>} 저장 여부 (파일 경로가 없으면 false)
+   */
+  save() {
+    if (!this.filePath) {
+      return Promise.resolve(false);
+    }
+
+    const data = JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      vectors: Array.from(this._load().values())
+    });
+    const write = async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, data, 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+      return true;
+    };
+
+    const saving = this.saving.then(write);
+    this.saving = saving.catch(() => false);
+    return saving;
+  }
+
+  /**
+   * 저장 파일을 읽습니다. (처음 한 번, 파일이 없거나 잘못되면 빈 저장소)
+   * @returns {Map<string, Object>} 제품 ID → 사양 벡터 항목
+   * @private
+   */
+  _load() {
+    if (!this.vectors) {
+      this.vectors = new Map();
+      if (this.filePath && fs.existsSync(this.filePath)) {
+        try {
+          const { vectors = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+          vectors.forEach(entry => this.vectors.set(entry.productId, entry));
+        } catch (error) {
+          console.warn(`사양 벡터 파일을 읽을 수 없습니다: ${this.filePath} - ${error.message}`);
+        }
+      }
+    }
+    return this.vectors;
+  }
+}
+
+module.exports = {
+  VECTOR_SPEC_KEYS,
+  toSpecVector,
+  normalizeVectors,
+  scoreSimilarity,
+  explainSimilarity,
+  SpecVectorStore
+};
@@ -0,0 +1,122 @@
+/**
+ * 로컬 텍스트 임베딩
+ * 외부 모델 없이 검색어와 제품 설명을 고정 차원 벡터로 바꿉니다. (feature hashing)
+ *   - 단어(복수형 s 제거)와 단어의 문자 3-gram 을 해시해 차원에 더하고
+ *   - 개념 사전(config/semantic-concepts.json)의 표현이 있으면 개념 차원에 큰 가중치를 더해
+ *     "jogar videogame" 과 "Game Optimizer, HDMI 2.1" 처럼 표현이 다른 같은 용도를 가깝게 만듭니다.
+ * 결과 벡터는 L2 정규화하므로 내적이 코사인 유사도입니다.
+ */
+const fs = require('fs');
+
+// 임베딩에서 빼는 단어
+const STOPWORDS = new Set([
+  'de', 'da', 'do', 'das', 'dos', 'para', 'pra', 'com', 'sem', 'que', 'uma', 'um', 'por', 'em', 'no', 'na', 'nos', 'nas',
+  'boa', 'bom', 'melhor', 'quero', 'preciso', 'procuro', 'algo', 'mais', 'muito', 'the', 'and', 'for', 'with'
+]);
+
+/**
+ * 32비트 FNV-1a 해시
+ * @param {string} text - 문자열
+ * @returns {number} 해시 (부호 없는 32비트 정수)
+ * @private
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 비교용으로 텍스트를 정규화합니다. (소문자, 악센트 제거, 숫자 사이가 아닌 구두점은 공백)
+ * @param {string} text - 텍스트
+ * @returns {string} 정규화된 텍스트
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{N}.+-]+/gu, ' ')
+    .replace(/\.(?!\d)|(?<!\d)\./g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 개념 사전 파일을 읽습니다.
+ * @param {string} file - 개념 사전 파일 경로 ({ concepts: [{ id, terms }] })
+ * @returns {Array<{id: string, terms: Array<string>}>} 개념 목록 (파일이 없거나 잘못되면 빈 배열)
+ */
+function loadConcepts(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).concepts || [];
+  } catch (error) {
+    console.warn(`개념 사전을 읽을 수 없습니다: ${file} - ${error.message}`);
+    return [];
+  }
+}
+
+class LocalTextEmbedder {
+  /**
+   * 생성자
+   * @param {Object} options - 임베딩 설정
+   * @param {number} options.dimensions - 벡터 차원 수 (기본값: 512)
+   * @param {Array<Object>} options.concepts - 개념 사전 ([{ id, terms }])
+   * @param {number} options.conceptWeight - 개념 차원 가중치 (기본값: 3)
+   * @param {number} options.trigramWeight - 문자 3-gram 가중치 (기본값: 0.3)
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || 512;
+    this.conceptWeight = options.conceptWeight ?? 3;
+    this.trigramWeight = options.trigramWeight ?? 0.3;
+    this.concepts = (options.concepts || []).map(concept => ({
+      id: concept.id,
+      terms: concept.terms.map(term => ` ${normalizeText(term)} `)
+    }));
+
+    // 차원 수나 개념 사전이 바뀌면 저장된 임베딩을 다시 계산하도록 모델 ID 에 반영
+    const lexicon = this.concepts.map(concept => `${concept.id}:${concept.terms.join('|')}`).join(';');
+    this.modelId = `local-hashing-v1-${this.dimensions}-${fnv1a(lexicon).toString(16)}`;
+  }
+
+  /**
+   * 텍스트를 임베딩합니다.
+   * @param {string} text - 텍스트
+   * @returns {Array<number>} L2 정규화한 벡터 (내용이 없으면 영벡터)
+   */
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const add = (feature, weight) => {
+      const hash = fnv1a(feature);
+      vector[hash % this.dimensions] += (hash & 0x80000000 ? -1 : 1) * weight;
+    };
+
+    const normalized = normalizeText(text);
+    normalized.split(' ')
+      .filter(word => word.length > 1 && !STOPWORDS.has(word))
+      .map(word => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word))
+      .forEach(word => {
+        add(`w:${word}`, 1);
+        const padded = `#${word}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          add(`t:${padded.slice(i, i + 3)}`, this.trigramWeight);
+        }
+      });
+
+    const padded = ` ${normalized} `;
+    this.concepts
+      .filter(concept => concept.terms.some(term => padded.includes(term)))
+      .forEach(concept => add(`c:${concept.id}`, this.conceptWeight));
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
+
+module.exports = LocalTextEmbedder;
+module.exports.normalizeText = normalizeText;
+module.exports.loadConcepts = loadConcepts;
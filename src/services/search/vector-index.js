@@ -0,0 +1,162 @@
+/**
+ * 디스크 벡터 인덱스
+ * 제품별 임베딩 벡터를 로컬 JSON 파일에 저장하고 코사인 유사도로 가까운 제품을 찾습니다. (전체 비교)
+ * 제품 텍스트의 해시를 함께 저장해, 다시 인덱싱할 때 텍스트가 그대로인 제품은 저장된 임베딩을 재사용합니다.
+ * 임베딩 모델(modelId)이 바뀌면 다시 인덱싱할 때 저장된 임베딩을 모두 버리고, 그 전까지는 검색에 사용하지 않습니다.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 텍스트 해시 (임베딩 재사용 판단용)
+ * @param {string} text - 텍스트
+ * @returns {string} SHA-1 해시
+ * @private
+ */
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+class VectorIndex {
+  /**
+   * 생성자
+   * @param {string|null} filePath - 저장 파일 경로 (예: data/vector-index.json, 없으면 메모리에만 보관)
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.modelId = null;
+    this.entries = null;
+    this.staleWarned = false;
+  }
+
+  /**
+   * 저장된 벡터 수
+   * @returns {number} 벡터 수
+   */
+  get size() {
+    return this._load().size;
+  }
+
+  /**
+   * 제품 텍스트를 임베딩해 추가 / 교체하고 저장합니다. (텍스트가 그대로면 저장된 임베딩 재사용)
+   * @param {Array<{objectID: string, text: string}>} items - 제품 ID 와 임베딩할 텍스트
+   * @param {Object} embedder - 임베딩 모델 ({ modelId, embed(text) })
+   * @returns {{embedded: number, cached: number}} 새로 임베딩한 수, 재사용한 수
+   */
+  upsert(items, embedder) {
+    const entries = this._load();
+    if (this.modelId !== embedder.modelId) {
+      entries.clear();
+      this.modelId = embedder.modelId;
+      this.staleWarned = false;
+    }
+
+    let embedded = 0;
+    items.forEach(({ objectID, text }) => {
+      const textHash = hashText(text);
+      const existing = entries.get(objectID);
+      if (existing && existing.textHash === textHash) {
+        return;
+      }
+      entries.set(objectID, {
+        objectID,
+        textHash,
+        vector: embedder.embed(text).map(value => Math.round(value * 1e4) / 1e4)
+      });
+      embedded++;
+    });
+
+    this._save();
+    return { embedded, cached: items.length - embedded };
+  }
+
+  /**
+   * 벡터를 삭제하고 저장합니다.
+   * @param {Array<string>} objectIDs - 제품 ID 목록
+   * @returns {number} 삭제한 수
+   */
+  remove(objectIDs) {
+    const entries = this._load();
+    const removed = objectIDs.filter(objectID => entries.delete(objectID)).length;
+    this._save();
+    return removed;
+  }
+
+  /**
+   * 모든 벡터를 삭제하고 저장합니다.
+   */
+  clear() {
+    this._load().clear();
+    this._save();
+  }
+
+  /**
+   * 질의 벡터와 가까운 제품을 찾습니다.
+   * 저장된 임베딩이 질의 벡터와 다른 모델(modelId)이나 차원으로 만들어졌으면 비교하지 않습니다. (다시 인덱싱 필요)
+   * @param {Array<number>} vector - 질의 벡터 (L2 정규화)
+   * @param {number} limit - 최대 결과 수
+   * @param {number} minScore - 최소 코사인 유사도
+   * @param {string} modelId - 질의 벡터를 만든 임베딩 모델 ID (없으면 모델 확인 생략)
+   * @returns {Array<{objectID: string, score: number}>} 유사도 내림차순 결과
+   */
+  query(vector, limit = 10, minScore = 0, modelId = null) {
+    const entries = this._load();
+    if (modelId && entries.size > 0 && this.modelId !== modelId) {
+      if (!this.staleWarned) {
+        console.warn(`벡터 인덱스의 임베딩 모델(${this.modelId})이 현재 모델(${modelId})과 달라 의미 검색을 건너뜁니다. 제품을 다시 인덱싱하세요.`);
+        this.staleWarned = true;
+      }
+      return [];
+    }
+
+    return Array.from(entries.values())
+      .filter(entry => entry.vector.length === vector.length)
+      .map(entry => ({
+        objectID: entry.objectID,
+        score: entry.vector.reduce((sum, value, index) => sum + value * vector[index], 0)
+      }))
+      .filter(result => result.score > minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * 저장 파일을 읽습니다. (처음 한 번, 파일이 없거나 잘못되면 빈 인덱스)
+   * @returns {Map<string, Object>} 제품 ID → { objectID, textHash, vector }
+   * @private
+   */
+  _load() {
+    if (!this.entries) {
+      this.entries = new Map();
+      if (this.filePath && fs.existsSync(this.filePath)) {
+        try {
+          const { modelId = null, entries = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+          this.modelId = modelId;
+          entries.forEach(entry => this.entries.set(entry.objectID, entry));
+        } catch (error) {
+          console.warn(`벡터 인덱스 파일을 읽을 수 없습니다: ${this.filePath} - ${error.message}`);
+        }
+      }
+    }
+    return this.entries;
+  }
+
+  /**
+   * 저장 파일에 씁니다.
+   * @private
+   */
+  _save() {
+    if (!this.filePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      modelId: this.modelId,
+      updatedAt: new Date().toISOString(),
+      entries: Array.from(this.entries.values())
+    }), 'utf8');
+  }
+}
+
+module.exports = VectorIndex;
@@ -10,6 +10,7 @@ const {
   getDoc, 
   setDoc, 
   updateDoc, 
+  runTransaction,
   Timestamp,
   arrayUnion,
   arrayRemove,
@@ -133,6 +134,42 @@ class FirebaseSessionService {
     }
   }
   
+  /**
+   * 세션 배열 필드에 항목 추가
+   * 트랜잭션 안에서 읽고 쓰므로 같은 세션에 동시에 추가해도 항목을 잃지 않습니다. (충돌 시 Firestore 가 재시도)
+   * @param {string} sessionId - 세션 ID
+   * @param {string} field - 배열 필드 이름 (예: 'behaviorEvents')
+   * @param {Object} item - 추가할 항목
+   * @param {number} maxItems - 보관할 최대 항목 수 (최근 항목 유지, 기본값: 제한 없음)
+   * @returns {Promise<Array>} 추가 후 배열
+   */
+  async appendToSessionArray(sessionId, field, item, maxItems = Infinity) {
+    try {
+      this.logger.info(`세션 배열 항목 추가: ${sessionId} (${field})`);
+      
+      const sessionRef = doc(this.db, 'sessions', sessionId);
+      
+      return await runTransaction(this.db, async (transaction) => {
+        const sessionDoc = await transaction.get(sessionRef);
+        
+        if (!sessionDoc.exists()) {
+          throw new Error(`세션을 찾을 수 없음: ${sessionId}`);
+        }
+        
+        const items = [...(sessionDoc.data()[field] || []), item].slice(-maxItems);
+        transaction.update(sessionRef, {
+          [field]: items,
+          lastActive: Timestamp.now()
+        });
+        
+        return items;
+      });
+    } catch (error) {
+      this.logger.error(`세션 배열 항목 추가 오류: ${sessionId} (${field})`, error);
+      throw error;
+    }
+  }
+  
   /**
    * 대화 기록 추가
    * @param {string} sessionId - 세션 ID
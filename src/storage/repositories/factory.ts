@@ -54,7 +54,8 @@ export class RepositoryFactoryImpl {
     const repositoryOptions: FirebaseRepositoryOptions = {
       collectionName: options?.collectionName || entityType,
       useCache: options?.useCache !== undefined ? options.useCache : true,
-      cacheTTL: options?.cacheTTL || 300000 // 기본값 5분
+      cacheTTL: options?.cacheTTL || 300000, // 기본값 5분
+      ttlField: options?.ttlField
     };
 
     return new FirebaseRepository<T>(repositoryOptions);
@@ -77,7 +78,9 @@ export class RepositoryFactoryImpl {
     const repositoryOptions: JsonFileRepositoryOptions = {
       dataDir: options.dataDir,
       entityType,
-      saveInterval: options.saveInterval || 5000 // 기본값 5초
+      saveInterval: options.saveInterval !== undefined ? options.saveInterval : 5000, // 기본값 5초
+      ttlField: options.ttlField,
+      sweepInterval: options.sweepInterval
     };
 
     const repository = new JsonFileRepository<T>(repositoryOptions);
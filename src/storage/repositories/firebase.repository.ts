@@ -3,13 +3,14 @@
  */
 import { BaseEntity } from '../models';
 import { Repository, QueryOptions } from './repository.interface';
+import { TtlOptions, getExpiresAt, isExpired } from './ttl';
 import * as admin from 'firebase-admin';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
  * Firebase 저장소 옵션 인터페이스
  */
-export interface FirebaseRepositoryOptions {
+export interface FirebaseRepositoryOptions extends TtlOptions {
   /**
    * Firestore 컬렉션 이름
    */
@@ -28,6 +29,8 @@ export interface FirebaseRepositoryOptions {
 
 /**
  * Firebase 기반 저장소 구현체
+ * ttlField 는 Firestore Timestamp 로 저장되므로 해당 필드에 Firestore TTL 정책을 걸면 만료 문서가 서버에서 삭제됩니다.
+ * TTL 삭제는 만료 후 최대 24시간까지 지연될 수 있어, 조회 시에도 만료된 문서는 제외합니다.
  */
 export class FirebaseRepository<T extends BaseEntity> implements Repository<T> {
   private db: FirebaseFirestore.Firestore;
@@ -60,7 +63,7 @@ export class FirebaseRepository<T extends BaseEntity> implements Repository<T> {
       updatedAt: now
     } as T;
 
-    await this.collection.doc(id).set(newEntity);
+    await this.collection.doc(id).set(this.toDocument(newEntity));
     
     if (this.options.useCache) {
       this.cache.set(id, { data: newEntity, timestamp: Date.now() });
@@ -80,7 +83,7 @@ export class FirebaseRepository<T extends BaseEntity> implements Repository<T> {
     if (this.options.useCache) {
       const cached = this.cache.get(id);
       if (cached && Date.now() - cached.timestamp < (this.options.cacheTTL || 300000)) {
-        return cached.data;
+        return isExpired(cached.data, this.options.ttlField) ? undefined : cached.data;
       }
     }
 
@@ -89,7 +92,10 @@ export class FirebaseRepository<T extends BaseEntity> implements Repository<T> {
       return undefined;
     }
 
-    const entity = doc.data() as T;
+    const entity = this.fromDocument(doc.data());
+    if (isExpired(entity, this.options.ttlField)) {
+      return undefined;
+    }
     
     // 캐시 업데이트
     if (this.options.useCache) {
@@ -146,7 +152,10 @@ export class FirebaseRepository<T extends BaseEntity> implements Repository<T> {
     }
 
     const snapshot = await query.get();
-    const entities = snapshot.docs.map(doc => doc.data() as T);
+    const now = Date.now();
+    const entities = snapshot.docs
+      .map(doc => this.fromDocument(doc.data()))
+      .filter(entity => !isExpired(entity, this.options.ttlField, now));
     
     // 스킵 적용 (클라이언트에서 처리)
     const results = options?.skip ? entities.slice(options.skip) : entities;
@@ -183,7 +192,7 @@ export class FirebaseRepository<T extends BaseEntity> implements Repository<T> {
       updatedAt: now
     };
 
-    await this.collection.doc(id).update(updateData);
+    await this.collection.doc(id).update(this.toDocument(updateData));
     
     // 캐시 무효화
     if (this.options.useCache) {
@@ -236,7 +245,7 @@ export class FirebaseRepository<T extends BaseEntity> implements Repository<T> {
       } as T;
 
       const docRef = this.collection.doc(id);
-      batch.set(docRef, newEntity);
+      batch.set(docRef, this.toDocument(newEntity));
       results.push(newEntity);
       
       // 캐시 업데이트
@@ -275,6 +284,61 @@ export class FirebaseRepository<T extends BaseEntity> implements Repository<T> {
     return true;
   }
 
+  /**
+   * 만료되었지만 아직 TTL 정책으로 삭제되지 않은 문서를 정리합니다.
+   * @returns 삭제된 문서 수
+   */
+  async purgeExpired(): Promise<number> {
+    if (!this.options.ttlField) {
+      return 0;
+    }
+
+    const snapshot = await this.collection.where(this.options.ttlField, '<=', new Date()).get();
+    if (snapshot.empty) {
+      return 0;
+    }
+
+    const batch = this.db.batch();
+    snapshot.docs.forEach(doc => {
+      batch.delete(doc.ref);
+      this.cache.delete(doc.id);
+    });
+    await batch.commit();
+    this.invalidateListCache();
+
+    return snapshot.size;
+  }
+
+  /**
+   * 저장할 문서로 변환 (만료 시각 필드를 Timestamp 로 저장)
+   * @param data 엔티티 또는 업데이트 데이터
+   * @returns Firestore 문서 데이터
+   */
+  private toDocument(data: any): any {
+    const ttlField = this.options.ttlField;
+    if (!ttlField || data[ttlField] === undefined || data[ttlField] === null) {
+      return data;
+    }
+
+    const expiresAt = getExpiresAt(data, ttlField);
+    return expiresAt === null ? data : { ...data, [ttlField]: new Date(expiresAt) };
+  }
+
+  /**
+   * 조회한 문서를 엔티티로 변환 (만료 시각 필드를 ISO 문자열로 복원)
+   * @param data Firestore 문서 데이터
+   * @returns 엔티티
+   */
+  private fromDocument(data: any): T {
+    const ttlField = this.options.ttlField;
+    const expiresAt = getExpiresAt(data, ttlField);
+    if (!ttlField || expiresAt === null) {
+      return data as T;
+    }
+
+    return { ...data, [ttlField]: new Date(expiresAt).toISOString() } as T;
+  }
+
   /**
    * 리스트 캐시 무효화
    */
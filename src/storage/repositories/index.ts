@@ -2,6 +2,7 @@
  * 저장소 모듈 내보내기
  */
 export * from './repository.interface';
+export * from './ttl';
 export * from './firebase.repository';
 export * from './json-file.repository';
 export * from './memory.repository';
@@ -3,6 +3,7 @@
  */
 import { BaseEntity } from '../models';
 import { Repository, QueryOptions } from './repository.interface';
+import { TtlOptions, isExpired } from './ttl';
 import * as fs from 'fs';
 import * as path from 'path';
 import { v4 as uuidv4 } from 'uuid';
@@ -10,7 +11,7 @@ import { v4 as uuidv4 } from 'uuid';
 /**
  * JSON 파일 저장소 옵션 인터페이스
  */
-export interface JsonFileRepositoryOptions {
+export interface JsonFileRepositoryOptions extends TtlOptions {
   /**
    * 데이터 디렉토리 경로
    */
@@ -26,6 +27,12 @@ export interface JsonFileRepositoryOptions {
    * 0이면 매 변경마다 저장
    */
   saveInterval?: number;
+
+  /**
+   * 만료 엔티티 정리 주기 (밀리초)
+   * ttlField 가 지정된 경우에만 사용하며, 0이면 조회 / 저장 시에만 정리
+   */
+  sweepInterval?: number;
 }
 
 /**
@@ -36,6 +43,7 @@ export class JsonFileRepository<T extends BaseEntity> implements Repository<T> {
   private entities: Map<string, T> = new Map();
   private dirty = false;
   private saveTimer: NodeJS.Timeout | null = null;
+  private sweepTimer: NodeJS.Timeout | null = null;
 
   /**
    * JSON 파일 저장소 생성자
@@ -47,6 +55,7 @@ export class JsonFileRepository<T extends BaseEntity> implements Repository<T> {
       `${options.entityType}.json`
     );
     this.setupAutoSave();
+    this.setupSweep();
   }
 
   /**
@@ -77,7 +86,13 @@ export class JsonFileRepository<T extends BaseEntity> implements Repository<T> {
    * @returns 조회된 엔티티 또는 undefined
    */
   async findById(id: string): Promise<T | undefined> {
-    return this.entities.get(id);
+    const entity = this.entities.get(id);
+    if (entity && isExpired(entity, this.options.ttlField)) {
+      this.entities.delete(id);
+      this.markDirty();
+      return undefined;
+    }
+    return entity;
   }
 
   /**
@@ -87,6 +102,9 @@ export class JsonFileRepository<T extends BaseEntity> implements Repository<T> {
    * @returns 조회된 엔티티 배열
    */
   async find(filter?: Partial<T>, options?: QueryOptions): Promise<T[]> {
+    if (this.removeExpired() > 0) {
+      this.markDirty();
+    }
     let results = Array.from(this.entities.values());
 
     // 필터 적용
@@ -249,10 +267,11 @@ export class JsonFileRepository<T extends BaseEntity> implements Repository<T> {
         const data = fs.readFileSync(this.filePath, 'utf8');
         const jsonData = JSON.parse(data);
         
-        // Map으로 변환
+        // Map으로 변환 (만료된 엔티티는 불러오지 않음)
         this.entities.clear();
+        const now = Date.now();
         for (const entity of jsonData) {
-          if (entity && entity.id) {
+          if (entity && entity.id && !isExpired(entity, this.options.ttlField, now)) {
             this.entities.set(entity.id, entity as T);
           }
         }
@@ -274,6 +293,7 @@ export class JsonFileRepository<T extends BaseEntity> implements Repository<T> {
    */
   private async saveToFile(): Promise<void> {
     this.ensureDataDir();
+    this.removeExpired();
     
     const data = Array.from(this.entities.values());
     const jsonData = JSON.stringify(data, null, 2);
@@ -318,6 +338,49 @@ export class JsonFileRepository<T extends BaseEntity> implements Repository<T> {
     }
   }
 
+  /**
+   * 만료된 엔티티 정리
+   * @returns 삭제된 엔티티 수
+   */
+  async purgeExpired(): Promise<number> {
+    const removed = this.removeExpired();
+    if (removed > 0) {
+      this.markDirty();
+    }
+    return removed;
+  }
+
+  /**
+   * 만료된 엔티티 삭제 (파일 저장은 호출자가 처리)
+   * @returns 삭제된 엔티티 수
+   */
+  private removeExpired(): number {
+    if (!this.options.ttlField) {
+      return 0;
+    }
+
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, entity] of this.entities) {
+      if (isExpired(entity, this.options.ttlField, now)) {
+        this.entities.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 만료 엔티티 정리 타이머 설정
+   */
+  private setupSweep(): void {
+    if (this.options.ttlField && this.options.sweepInterval && this.options.sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.purgeExpired(), this.options.sweepInterval);
+      // 정리 타이머가 프로세스 종료를 막지 않도록 합니다.
+      this.sweepTimer.unref?.();
+    }
+  }
+
   /**
    * 소멸자 (타이머 정리)
    */
@@ -326,6 +389,11 @@ export class JsonFileRepository<T extends BaseEntity> implements Repository<T> {
       clearInterval(this.saveTimer);
       this.saveTimer = null;
     }
+
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
     
     // 변경사항이 있으면 마지막으로 저장
     if (this.dirty) {
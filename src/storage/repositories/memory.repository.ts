@@ -3,16 +3,23 @@
  */
 import { BaseEntity } from '../models';
 import { Repository, QueryOptions } from './repository.interface';
+import { TtlOptions, isExpired } from './ttl';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
  * 메모리 저장소 옵션 인터페이스
  */
-export interface MemoryRepositoryOptions {
+export interface MemoryRepositoryOptions extends TtlOptions {
   /**
    * 초기 데이터
    */
   initialData?: BaseEntity[];
+
+  /**
+   * 만료 엔티티 정리 주기 (밀리초)
+   * ttlField 가 지정된 경우에만 사용하며, 0이면 조회 시에만 정리
+   */
+  sweepInterval?: number;
 }
 
 /**
@@ -20,6 +27,7 @@ export interface MemoryRepositoryOptions {
  */
 export class MemoryRepository<T extends BaseEntity> implements Repository<T> {
   private entities: Map<string, T> = new Map();
+  private sweepTimer: NodeJS.Timeout | null = null;
 
   /**
    * 메모리 저장소 생성자
@@ -31,6 +39,7 @@ export class MemoryRepository<T extends BaseEntity> implements Repository<T> {
         this.entities.set(entity.id, entity as T);
       }
     }
+    this.setupSweep();
   }
 
   /**
@@ -59,7 +68,12 @@ export class MemoryRepository<T extends BaseEntity> implements Repository<T> {
    * @returns 조회된 엔티티 또는 undefined
    */
   async findById(id: string): Promise<T | undefined> {
-    return this.entities.get(id);
+    const entity = this.entities.get(id);
+    if (entity && isExpired(entity, this.options.ttlField)) {
+      this.entities.delete(id);
+      return undefined;
+    }
+    return entity;
   }
 
   /**
@@ -69,6 +83,7 @@ export class MemoryRepository<T extends BaseEntity> implements Repository<T> {
    * @returns 조회된 엔티티 배열
    */
   async find(filter?: Partial<T>, options?: QueryOptions): Promise<T[]> {
+    this.removeExpired();
     let results = Array.from(this.entities.values());
 
     // 필터 적용
@@ -221,10 +236,59 @@ export class MemoryRepository<T extends BaseEntity> implements Repository<T> {
     return true;
   }
 
+  /**
+   * 만료된 엔티티 정리
+   * @returns 삭제된 엔티티 수
+   */
+  async purgeExpired(): Promise<number> {
+    return this.removeExpired();
+  }
+
   /**
    * 저장소 클리어
    */
   clear(): void {
     this.entities.clear();
   }
+
+  /**
+   * 소멸자 (타이머 정리)
+   */
+  destroy(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * 만료된 엔티티 삭제
+   * @returns 삭제된 엔티티 수
+   */
+  private removeExpired(): number {
+    if (!this.options.ttlField) {
+      return 0;
+    }
+
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, entity] of this.entities) {
+      if (isExpired(entity, this.options.ttlField, now)) {
+        this.entities.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 만료 엔티티 정리 타이머 설정
+   */
+  private setupSweep(): void {
+    if (this.options.ttlField && this.options.sweepInterval && this.options.sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.removeExpired(), this.options.sweepInterval);
+      // 정리 타이머가 프로세스 종료를 막지 않도록 합니다.
+      this.sweepTimer.unref?.();
+    }
+  }
 }
@@ -72,6 +72,12 @@ export interface Repository<T extends BaseEntity> {
    * @returns 성공 여부
    */
   initialize(): Promise<boolean>;
+
+  /**
+   * 만료된 엔티티 정리 (ttlField 옵션을 지원하는 구현체만)
+   * @returns 삭제된 엔티티 수
+   */
+  purgeExpired?(): Promise<number>;
 }
 
 /**
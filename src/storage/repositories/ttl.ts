@@ -0,0 +1,60 @@
+/**
+ * 저장소 만료(TTL) 지원 유틸리티
+ * 저장소 옵션의 ttlField 로 지정한 필드를 만료 시각으로 보고, 만료된 엔티티를 저장소가 직접 숨기고 정리합니다.
+ */
+
+/**
+ * 만료 옵션 인터페이스
+ */
+export interface TtlOptions {
+  /**
+   * 만료 시각 필드 이름 (ISO 문자열, Date, 밀리초, Firestore Timestamp 지원)
+   * 지정하지 않으면 만료 처리를 하지 않습니다.
+   */
+  ttlField?: string;
+}
+
+/**
+ * 엔티티의 만료 시각을 밀리초로 반환합니다.
+ * @param entity 엔티티
+ * @param ttlField 만료 시각 필드 이름
+ * @returns 만료 시각 (밀리초) 또는 null
+ */
+export function getExpiresAt(entity: any, ttlField?: string): number | null {
+  if (!ttlField || !entity) {
+    return null;
+  }
+
+  const value = entity[ttlField];
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  // Firestore Timestamp
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * 엔티티가 만료되었는지 확인합니다.
+ * @param entity 엔티티
+ * @param ttlField 만료 시각 필드 이름
+ * @param now 기준 시각 (밀리초, 기본값: 현재)
+ * @returns 만료 여부
+ */
+export function isExpired(entity: any, ttlField?: string, now: number = Date.now()): boolean {
+  const expiresAt = getExpiresAt(entity, ttlField);
+  return expiresAt !== null && expiresAt <= now;
+}
@@ -4,13 +4,24 @@
 import { SearchService } from './search.interface';
 import { AlgoliaSearchService, AlgoliaSearchOptions } from './algolia.search';
 import { InMemorySearchService, InMemorySearchOptions } from './memory.search';
+import { HybridSearchService, HybridSearchOptions } from './hybrid.search';
 
 /**
  * 검색 서비스 타입 열거형
  */
 export enum SearchServiceType {
   ALGOLIA = 'algolia',
-  IN_MEMORY = 'in_memory'
+  IN_MEMORY = 'in_memory',
+  HYBRID = 'hybrid'
+}
+
+/**
+ * 하이브리드 검색 서비스 생성 옵션
+ * 키워드 검색 서비스는 keywordType(기본값: ALGOLIA) / keywordOptions 로 팩토리에서 생성
+ */
+export interface HybridSearchFactoryOptions extends Omit<HybridSearchOptions, 'keywordService'> {
+  keywordType?: SearchServiceType;
+  keywordOptions?: any;
 }
 
 /**
@@ -44,6 +55,9 @@ export class SearchServiceFactoryImpl implements SearchServiceFactory {
       case SearchServiceType.IN_MEMORY:
         return this.createInMemorySearchService<T>(options);
       
+      case SearchServiceType.HYBRID:
+        return this.createHybridSearchService<T>(options);
+      
       default:
         throw new Error(`Unknown search service type: ${type}`);
     }
@@ -78,6 +92,24 @@ export class SearchServiceFactoryImpl implements SearchServiceFactory {
   private createInMemorySearchService<T = any>(options: InMemorySearchOptions): SearchService<T> {
     return new InMemorySearchService<T>(options);
   }
+
+  /**
+   * 하이브리드 검색 서비스 생성
+   * @param options 하이브리드 검색 서비스 옵션
+   * @returns 하이브리드 검색 서비스 인스턴스
+   */
+  private createHybridSearchService<T = any>(options: HybridSearchFactoryOptions): SearchService<T> {
+    const { keywordType = SearchServiceType.ALGOLIA, keywordOptions = {}, ...hybridOptions } = options;
+
+    if (keywordType === SearchServiceType.HYBRID) {
+      throw new Error('keywordType for HybridSearchService must be a keyword search service type');
+    }
+
+    return new HybridSearchService<T>({
+      ...hybridOptions,
+      keywordService: this.createSearchService<T>(keywordType, keywordOptions)
+    });
+  }
 }
 
 // 싱글톤 인스턴스
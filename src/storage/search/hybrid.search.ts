@@ -0,0 +1,213 @@
+/**
+ * 하이브리드 검색 서비스 구현체
+ * 키워드 검색 서비스(Algolia 또는 인메모리) 결과와 로컬 임베딩 의미 검색 결과를 reciprocal rank fusion 으로 결합
+ * 임베딩, 의미 검색, 결과 결합은 services/search/semantic-search 에 위임
+ */
+import { SearchService, SearchOptions, SearchResult } from './search.interface';
+import LocalTextEmbedder, { loadConcepts } from '../../services/search/text-embedder';
+import VectorIndex from '../../services/search/vector-index';
+import SemanticSearch from '../../services/search/semantic-search';
+
+/**
+ * 하이브리드 검색 서비스 옵션 인터페이스
+ */
+export interface HybridSearchOptions {
+  /**
+   * 키워드 검색 서비스 (팩토리에서 keywordType / keywordOptions 로 생성)
+   */
+  keywordService: SearchService<any>;
+
+  /**
+   * 벡터 인덱스 저장 파일 경로 (없으면 메모리에만 보관)
+   */
+  vectorFile?: string | null;
+
+  /**
+   * 개념 사전 파일 경로 (예: config/semantic-concepts.json)
+   */
+  conceptsFile?: string;
+
+  /**
+   * 임베딩 차원 수
+   */
+  dimensions?: number;
+
+  /**
+   * 임베딩할 필드
+   */
+  textFields?: string[];
+
+  /**
+   * 검색별 후보 수
+   */
+  candidateLimit?: number;
+
+  /**
+   * 의미 검색 최소 코사인 유사도
+   */
+  minSimilarity?: number;
+
+  /**
+   * RRF 상수
+   */
+  rrfK?: number;
+
+  /**
+   * 로깅 활성화 여부
+   */
+  enableLogging?: boolean;
+}
+
+/**
+ * 하이브리드 검색 서비스 구현체
+ * 문서 변경은 키워드 검색 서비스에 위임하고 같은 문서의 임베딩을 벡터 인덱스에 반영
+ */
+export class HybridSearchService<T = any> implements SearchService<T> {
+  private keywordService: SearchService<T>;
+  private vectorIndex: VectorIndex;
+  private semanticSearch: SemanticSearch;
+  private enableLogging: boolean;
+
+  /**
+   * 하이브리드 검색 서비스 생성자
+   * @param options 검색 서비스 옵션
+   */
+  constructor(options: HybridSearchOptions) {
+    this.keywordService = options.keywordService;
+    this.enableLogging = options.enableLogging || false;
+    this.vectorIndex = new VectorIndex(options.vectorFile || null);
+    this.semanticSearch = new SemanticSearch({
+      embedder: new LocalTextEmbedder({
+        dimensions: options.dimensions || 512,
+        concepts: options.conceptsFile ? loadConcepts(options.conceptsFile) : []
+      }),
+      vectorIndex: this.vectorIndex,
+      textFields: options.textFields,
+      candidateLimit: options.candidateLimit || 50,
+      minSimilarity: options.minSimilarity !== undefined ? options.minSimilarity : 0.1,
+      rrfK: options.rrfK || 60,
+      logger: { info: (message: string) => this.log(message), warn: (message: string) => this.log(message) }
+    });
+  }
+
+  /**
+   * 인덱스에 문서 추가
+   * @param records 추가할 문서 배열
+   * @returns 추가된 문서 ID 배열
+   */
+  async addRecords(records: T[]): Promise<string[]> {
+    const objectIds = await this.keywordService.addRecords(records);
+    await this.embedRecords(objectIds);
+    return objectIds;
+  }
+
+  /**
+   * 인덱스에 문서 업데이트
+   * @param records 업데이트할 문서 배열
+   * @returns 업데이트된 문서 ID 배열
+   */
+  async updateRecords(records: T[]): Promise<string[]> {
+    const objectIds = await this.keywordService.updateRecords(records);
+    await this.embedRecords(objectIds);
+    return objectIds;
+  }
+
+  /**
+   * 인덱스에서 문서 삭제
+   * @param objectIds 삭제할 문서 ID 배열
+   * @returns 성공 여부
+   */
+  async deleteRecords(objectIds: string[]): Promise<boolean> {
+    this.vectorIndex.remove(objectIds);
+    return this.keywordService.deleteRecords(objectIds);
+  }
+
+  /**
+   * 인덱스에서 문서 가져오기
+   * @param objectId 문서 ID
+   * @returns 문서 또는 undefined
+   */
+  async getRecord(objectId: string): Promise<T | undefined> {
+    return this.keywordService.getRecord(objectId);
+  }
+
+  /**
+   * 인덱스 검색 (키워드 검색과 의미 검색 결과를 RRF 로 결합)
+   * @param query 검색어
+   * @param options 검색 옵션
+   * @returns 검색 결과
+   */
+  async search(query: string, options: SearchOptions = {}): Promise<SearchResult<T>> {
+    const startTime = Date.now();
+    const page = options.page || 0;
+    const hitsPerPage = options.hitsPerPage || 20;
+
+    const { keyword, hits, nbHits, nbPages } = await this.semanticSearch.search(
+      query,
+      { filters: options.filters, page, hitsPerPage },
+      (candidateLimit: number) => this.keywordService.search(query, { ...options, page: 0, hitsPerPage: candidateLimit }),
+      (objectIds: string[]) => Promise.all(objectIds.map(objectId => this.keywordService.getRecord(objectId)))
+    );
+
+    return {
+      ...keyword,
+      hits,
+      nbHits,
+      page,
+      nbPages,
+      hitsPerPage,
+      processingTimeMS: Date.now() - startTime,
+      query
+    };
+  }
+
+  /**
+   * 인덱스 설정 가져오기
+   * @returns 인덱스 설정
+   */
+  async getSettings(): Promise<any> {
+    return this.keywordService.getSettings();
+  }
+
+  /**
+   * 인덱스 설정 업데이트
+   * @param settings 업데이트할 설정
+   * @returns 성공 여부
+   */
+  async updateSettings(settings: any): Promise<boolean> {
+    return this.keywordService.updateSettings(settings);
+  }
+
+  /**
+   * 인덱스 초기화 (모든 문서와 임베딩 삭제)
+   * @returns 성공 여부
+   */
+  async clearIndex(): Promise<boolean> {
+    this.vectorIndex.clear();
+    return this.keywordService.clearIndex();
+  }
+
+  /**
+   * 저장된 문서를 임베딩해 벡터 인덱스에 반영 (부분 업데이트도 전체 문서 기준)
+   * @param objectIds 문서 ID 배열
+   */
+  private async embedRecords(objectIds: string[]): Promise<void> {
+    const records = await Promise.all(objectIds.map(objectId => this.keywordService.getRecord(objectId)));
+    const { embedded, cached } = this.semanticSearch.embed(
+      records
+        .map((record, index) => record && { ...record, objectID: objectIds[index] })
+        .filter(Boolean)
+    );
+    this.log(`Embedded ${embedded} records (${cached} cached)`);
+  }
+
+  /**
+   * 로그 출력
+   * @param message 로그 메시지
+   */
+  private log(message: string): void {
+    if (this.enableLogging) {
+      console.log(`[HybridSearch] ${message}`);
+    }
+  }
+}
@@ -4,4 +4,5 @@
 export * from './search.interface';
 export * from './algolia.search';
 export * from './memory.search';
+export * from './hybrid.search';
 export * from './factory';
@@ -143,6 +143,11 @@ export class ShoppingAssistantWidget {
         this.showProducts(data.products);
       }
       
+      // 제품 비교표 표시
+      if (data.comparison && data.comparison.products.length > 0) {
+        this.showComparison(data.comparison);
+      }
+      
       // 특정 액션 처리
       if (data.action) {
         this.handleAction(data.action);
@@ -197,6 +202,44 @@ export class ShoppingAssistantWidget {
     });
   }
 
+  /**
+   * 제품 비교표 표시
+   * 제품별 열에 가격 / 평점 / 사양 행을 나란히 보여 주고, 값이 다른 행은 강조합니다.
+   * @param {Object} comparison 비교표 ({ products, rows, verdict })
+   */
+  showComparison(comparison) {
+    const escape = value => String(value === null || value === undefined ? '-' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    
+    const header = comparison.products
+      .map(product => `<th><a href="${escape(product.url)}" target="_blank">${escape(product.name)}</a></th>`)
+      .join('');
+    const rows = comparison.rows
+      .map(row => `
+          <tr class="${row.differs ? 'differs' : ''}">
+            <th>${escape(row.label)}</th>
+            ${row.values.map(value => `<td>${escape(value)}</td>`).join('')}
+          </tr>`)
+      .join('');
+    
+    const html = `
+      <div class="intercom-product-comparison">
+        <table>
+          <thead>
+            <tr><th></th>${header}</tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+      </div>
+    `;
+    
+    window.Intercom('showNewMessage', html);
+  }
+
   /**
    * 액션 처리
    * @param {Object} action 액션 객체
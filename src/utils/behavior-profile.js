@@ -0,0 +1,175 @@
+/**
+ * 행동 기반 사용자 프로필
+ * 세션에 쌓인 행동 이벤트(제품 조회, 장바구니 추가, 결제 시작, 구매)와 최근 검색(recentSearches)을 시간 감쇠 가중치로 합산해
+ * 카테고리 / 가격대 / 기능별 선호도(affinity)를 계산합니다.
+ *
+ * 이벤트는 세션의 behaviorEvents 배열에 그대로 쌓고(최근 maxEvents 개), 선호도는 조회할 때마다 다시 계산합니다.
+ * (감쇠는 조회 시점 기준이므로 저장된 점수를 갱신할 필요가 없음)
+ */
+const config = require('../../config');
+
+// 행동 이벤트 유형 (checkoutStart: 결제 링크까지 진행, purchase: 주문 완료가 확인된 구매)
+const BEHAVIOR_TYPES = ['view', 'search', 'cartAdd', 'checkoutStart', 'purchase'];
+
+// 검색어에서 기능 선호도로 보지 않는 단어
+const SEARCH_STOPWORDS = new Set([
+  'que', 'para', 'com', 'uma', 'uns', 'umas', 'dos', 'das', 'por', 'pra', 'quero', 'queria', 'preciso', 'procuro',
+  'mais', 'barato', 'barata', 'melhor', 'reais', 'the', 'and', 'with', 'for'
+]);
+
+/**
+ * 제품 정보로 행동 이벤트를 만듭니다.
+ * @param {string} type - 이벤트 유형 (view, search, cartAdd, checkoutStart, purchase)
+ * @param {Object} product - 제품 정보 ({ id | objectID, category, price, features })
+ * @param {Date|string|number} timestamp - 발생 시각 (기본값: 현재)
+ * @returns {Object} 행동 이벤트 ({ type, productId, category, price, features, timestamp })
+ */
+function toBehaviorEvent(type, product = {}, timestamp = Date.now()) {
+  if (!BEHAVIOR_TYPES.includes(type)) {
+    throw new Error(`알 수 없는 행동 이벤트 유형: ${type}`);
+  }
+
+  return {
+    type,
+    productId: product.objectID || product.id || null,
+    category: product.category || null,
+    price: typeof product.price === 'number' ? product.price : null,
+    features: Array.isArray(product.features) ? product.features : [],
+    timestamp: new Date(timestamp).toISOString()
+  };
+}
+
+/**
+ * 세션에 행동 이벤트를 기록합니다. (최근 maxEvents 개만 유지)
+ * 세션 서비스의 appendToSessionArray 로 원자적으로 추가하므로 같은 세션의 이벤트가 동시에 들어와도 잃지 않습니다.
+ * (appendToSessionArray 가 없는 세션 서비스는 getSession / updateSession 으로 기록)
+ * @param {Object} sessionService - 세션 서비스 (appendToSessionArray 또는 getSession / updateSession)
+ * @param {string} sessionId - 세션 ID
+ * @param {Object} event - 행동 이벤트 (toBehaviorEvent 결과)
+ * @param {number} maxEvents - 보관할 최대 이벤트 수 (기본값: config.recommendation.personalization.maxEvents)
+ * @returns {Promise<Array<Object>>} 기록 후 이벤트 목록
+ */
+async function recordBehaviorEvent(sessionService, sessionId, event, maxEvents = config.recommendation.personalization.maxEvents) {
+  if (typeof sessionService.appendToSessionArray === 'function') {
+    return sessionService.appendToSessionArray(sessionId, 'behaviorEvents', event, maxEvents);
+  }
+
+  const session = (await sessionService.getSession(sessionId)) || {};
+  const behaviorEvents = [...(session.behaviorEvents || []), event].slice(-maxEvents);
+  await sessionService.updateSession(sessionId, { behaviorEvents });
+  return behaviorEvents;
+}
+
+/**
+ * 가격이 속한 가격대를 구합니다.
+ * @param {number} price - 가격
+ * @param {Array<number>} bands - 가격대 경계 (오름차순, 예: [1000, 3000, 6000])
+ * @returns {string|null} 가격대 ("min-max", 마지막 가격대는 "min-")
+ */
+function priceBandOf(price, bands = []) {
+  if (typeof price !== 'number') {
+    return null;
+  }
+  const upper = bands.findIndex(bound => price < bound);
+  if (upper === -1) {
+    return `${bands.length > 0 ? bands[bands.length - 1] : 0}-`;
+  }
+  return `${upper === 0 ? 0 : bands[upper - 1]}-${bands[upper]}`;
+}
+
+/**
+ * 선호도 맵의 점수를 최댓값 기준 0~1 로 맞춥니다.
+ * @param {Object} scores - 항목별 점수
+ * @returns {Object} 정규화된 점수
+ * @private
+ */
+function normalize(scores) {
+  const max = Math.max(0, ...Object.values(scores));
+  return Object.fromEntries(Object.entries(scores).map(([key, score]) => [key, max > 0 ? score / max : 0]));
+}
+
+/**
+ * 세션의 행동 이벤트와 최근 검색으로 사용자 프로필을 만듭니다.
+ * 이벤트 가중치는 유형별 가중치 × 0.5^(경과 시간 / 반감기) 입니다.
+ * @param {Object} session - 세션 데이터 (behaviorEvents, recentSearches)
+ * @param {Object} options - 개인화 설정 (config.recommendation.personalization)
+ * @param {number} options.halfLifeMs - 가중치 반감기
+ * @param {Object} options.eventWeights - 이벤트 유형별 가중치
+ * @param {Array<number>} options.priceBands - 가격대 경계
+ * @param {number} now - 기준 시각 (밀리초)
+ * @returns {{categories: Object, priceBands: Object, features: Object, viewedProductIds: Array<string>, eventCount: number}}
+ *   카테고리 / 가격대 / 기능(소문자)별 선호도(0~1), 조회한 제품 ID, 반영한 이벤트 수
+ */
+function buildBehaviorProfile(session = {}, options = {}, now = Date.now()) {
+  const { halfLifeMs, eventWeights = {}, priceBands = [] } = options;
+  const categories = {};
+  const bands = {};
+  const features = {};
+  const viewedProductIds = new Set();
+  const add = (scores, key, weight) => {
+    if (key) {
+      scores[key] = (scores[key] || 0) + weight;
+    }
+  };
+  const decayed = (type, timestamp) => {
+    const age = Math.max(0, now - Date.parse(timestamp));
+    const decay = halfLifeMs && !Number.isNaN(age) ? 0.5 ** (age / halfLifeMs) : 1;
+    return (eventWeights[type] || 0) * decay;
+  };
+
+  const events = (session.behaviorEvents || []).filter(event => BEHAVIOR_TYPES.includes(event.type));
+  events.forEach(event => {
+    const weight = decayed(event.type, event.timestamp);
+    add(categories, event.category, weight);
+    add(bands, priceBandOf(event.price, priceBands), weight);
+    (event.features || []).forEach(feature => add(features, String(feature).toLowerCase(), weight));
+    if (event.type === 'view' && event.productId) {
+      viewedProductIds.add(event.productId);
+    }
+  });
+
+  // 최근 검색: 검색어 단어와 검색 필터의 기능, 검색 결과 상위 카테고리
+  const searches = session.recentSearches || [];
+  searches.forEach(search => {
+    const weight = decayed('search', search.timestamp);
+    const words = String(search.query || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}+-]+/u)
+      .filter(word => word.length > 2 && !SEARCH_STOPWORDS.has(word) && !/^\d+$/.test(word));
+    new Set([...words, ...(search.features || []).map(feature => String(feature).toLowerCase())])
+      .forEach(feature => add(features, feature, weight));
+    (search.categories || []).forEach(category => add(categories, category, weight));
+  });
+
+  return {
+    categories: normalize(categories),
+    priceBands: normalize(bands),
+    features: normalize(features),
+    viewedProductIds: Array.from(viewedProductIds),
+    eventCount: events.length + searches.length
+  };
+}
+
+/**
+ * 선호도가 높은 항목을 구합니다.
+ * @param {Object} affinities - 항목별 선호도 (buildBehaviorProfile 결과의 categories 등)
+ * @param {number} limit - 최대 항목 수
+ * @param {number} minAffinity - 최소 선호도
+ * @returns {Array<{key: string, affinity: number}>} 선호도 내림차순 항목
+ */
+function topAffinities(affinities = {}, limit = 3, minAffinity = 0) {
+  return Object.entries(affinities)
+    .filter(([, affinity]) => affinity >= minAffinity)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key, affinity]) => ({ key, affinity }));
+}
+
+module.exports = {
+  BEHAVIOR_TYPES,
+  toBehaviorEvent,
+  recordBehaviorEvent,
+  priceBandOf,
+  buildBehaviorProfile,
+  topAffinities
+};
@@ -0,0 +1,237 @@
+/**
+ * 제품 사양(specifications) 정규화 및 정렬
+ * 제품마다 다른 사양 이름과 단위 표기("65 polegadas", 65", "65 pol")를 같은 키와 단위로 맞춰 비교표 행을 만듭니다.
+ */
+
+// 같은 사양을 가리키는 이름 (정규화된 이름 -> 사양 키)
+const SPEC_KEY_ALIASES = {
+  'tamanho da tela': 'screenSize',
+  'tamanho de tela': 'screenSize',
+  'tela': 'screenSize',
+  'polegadas': 'screenSize',
+  'screen size': 'screenSize',
+  '화면 크기': 'screenSize',
+  'resolucao': 'resolution',
+  'resolution': 'resolution',
+  '해상도': 'resolution',
+  'taxa de atualizacao': 'refreshRate',
+  'refresh rate': 'refreshRate',
+  'potencia': 'power',
+  'consumo de energia': 'power',
+  'power': 'power',
+  'peso': 'weight',
+  'weight': 'weight',
+  '무게': 'weight',
+  'capacidade': 'capacity',
+  'capacity': 'capacity',
+  '용량': 'capacity',
+  'capacidade de refrigeracao': 'btu',
+  'capacidade de refrigeracao btu': 'btu',
+  'btu': 'btu',
+  'btus': 'btu',
+  '냉방 능력': 'btu',
+  'dimensoes': 'dimensions',
+  'dimensions': 'dimensions',
+  'cor': 'color',
+  'color': 'color',
+  'voltagem': 'voltage',
+  'tensao': 'voltage',
+  'voltage': 'voltage'
+};
+
+// 단위 표기 (소문자) -> 표준 단위
+const UNIT_ALIASES = {
+  '"': 'in',
+  '”': 'in',
+  "''": 'in',
+  'pol': 'in',
+  'pol.': 'in',
+  'polegada': 'in',
+  'polegadas': 'in',
+  'in': 'in',
+  'inch': 'in',
+  'inches': 'in',
+  '인치': 'in',
+  'cm': 'cm',
+  'mm': 'mm',
+  'kg': 'kg',
+  'quilos': 'kg',
+  'g': 'g',
+  'w': 'W',
+  'watts': 'W',
+  'l': 'L',
+  'litro': 'L',
+  'litros': 'L',
+  'btu': 'BTU',
+  'btus': 'BTU',
+  'btu/h': 'BTU',
+  'btus/h': 'BTU',
+  'hz': 'Hz',
+  'v': 'V',
+  'volts': 'V'
+};
+
+// 에너지 효율 등급을 담는 사양 이름 (정규화된 이름)
+const ENERGY_RATING_KEYS = new Set([
+  'selo procel',
+  'procel',
+  'classificacao energetica',
+  'eficiencia energetica',
+  'classe de eficiencia energetica',
+  'energy rating',
+  'energy class',
+  '에너지 효율 등급'
+]);
+
+// 더 큰 단위로 환산해 비교하는 단위 (단위 -> [표준 단위, 배율])
+const UNIT_CONVERSIONS = {
+  g: ['kg', 0.001],
+  mm: ['cm', 0.1]
+};
+
+const numberFormat = new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 2 });
+
+/**
+ * 사양 이름을 비교용 문자열로 바꿉니다. (소문자, 발음 기호 제거, 공백 정리)
+ * @param {string} label - 사양 이름
+ * @returns {string} 정규화된 이름
+ * @private
+ */
+function simplifyLabel(label) {
+  return String(label)
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[_\-:()]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 사양 이름을 사양 키로 정규화합니다.
+ * @param {string} label - 사양 이름 ("Tamanho da Tela", "screen_size" 등)
+ * @returns {string} 사양 키 (별칭이 없으면 정규화된 이름)
+ */
+function normalizeSpecKey(label) {
+  const simplified = simplifyLabel(label);
+  return SPEC_KEY_ALIASES[simplified] || simplified;
+}
+
+/**
+ * 사양 값을 숫자와 표준 단위로 해석합니다.
+ * 숫자 + 알려진 단위가 아니면 원래 문자열을 그대로 표시합니다.
+ * @param {any} value - 사양 값 ("65 polegadas", '65"', "1,5 kg", 120)
+ * @returns {{number: number|null, unit: string|null, display: string}} 해석 결과
+ */
+function parseSpecValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return { number: null, unit: null, display: '' };
+  }
+  if (typeof value === 'number') {
+    return { number: value, unit: null, display: numberFormat.format(value) };
+  }
+
+  const text = String(value).trim();
+  // "12.000 BTUs" 처럼 점으로 천 단위를 구분한 값도 해석
+  const match = text.match(/^(-?\d{1,3}(?:\.\d{3})+(?:,\d+)?|-?\d+(?:[.,]\d+)?)\s*(.*)$/);
+  const unitText = match ? match[2].trim().toLowerCase() : null;
+
+  if (!match || (unitText !== '' && !UNIT_ALIASES[unitText])) {
+    return { number: null, unit: null, display: text };
+  }
+
+  let number = Number(match[1].replace(/\.(?=\d{3}(?:\D|$))/g, '').replace(',', '.'));
+  let unit = unitText === '' ? null : UNIT_ALIASES[unitText];
+  if (UNIT_CONVERSIONS[unit]) {
+    const [target, factor] = UNIT_CONVERSIONS[unit];
+    number = Math.round(number * factor * 1000) / 1000;
+    unit = target;
+  }
+
+  const formatted = numberFormat.format(number);
+  return {
+    number,
+    unit,
+    display: unit === 'in' ? `${formatted}"` : (unit ? `${formatted} ${unit}` : formatted)
+  };
+}
+
+/**
+ * 사양 맵에서 별칭이 있는 사양의 숫자 값만 모읍니다. (검색 인덱스의 숫자 필터용)
+ * @param {Object} specifications - 사양 맵 ({ "Tamanho da Tela": "65 polegadas", ... })
+ * @returns {Object} 사양 키별 숫자 값 ({ screenSize: 65, ... })
+ */
+function toNumericSpecs(specifications = {}) {
+  const specs = {};
+  Object.entries(specifications || {}).forEach(([label, value]) => {
+    const key = normalizeSpecKey(label);
+    const { number } = parseSpecValue(value);
+    if (Object.values(SPEC_KEY_ALIASES).includes(key) && number !== null && !(key in specs)) {
+      specs[key] = number;
+    }
+  });
+  return specs;
+}
+
+/**
+ * 사양 맵에서 에너지 효율 등급(A~G)을 찾습니다. (검색 인덱스의 energyRating 필터용)
+ * @param {Object} specifications - 사양 맵 ({ "Selo Procel": "A", "Classificação energética": "Classe A", ... })
+ * @returns {string|null} 등급 (없으면 null)
+ */
+function extractEnergyRating(specifications = {}) {
+  for (const [label, value] of Object.entries(specifications || {})) {
+    const match = ENERGY_RATING_KEYS.has(simplifyLabel(label))
+      ? String(value).trim().match(/^(?:(?:selo\s+)?procel\s+|classe\s+)?([a-g])$/i)
+      : null;
+    if (match) {
+      return match[1].toUpperCase();
+    }
+  }
+  return null;
+}
+
+/**
+ * 여러 제품의 사양을 같은 키끼리 정렬해 비교표 행을 만듭니다.
+ * 행 순서는 제품 순서대로 처음 나온 사양 순서를 따르며, 사양이 없는 제품의 값은 null 입니다.
+ * @param {Array<Object>} products - 제품 목록 (specifications 맵 포함)
+ * @returns {Array<{key: string, label: string, values: Array<string|null>, numbers: Array<number|null>, unit: string|null, differs: boolean}>} 비교표 행
+ */
+function alignSpecifications(products) {
+  const rows = new Map();
+
+  products.forEach((product, index) => {
+    Object.entries(product.specifications || {}).forEach(([label, value]) => {
+      const key = normalizeSpecKey(label);
+      if (!rows.has(key)) {
+        rows.set(key, { key, label, parsed: new Array(products.length).fill(null) });
+      }
+      const row = rows.get(key);
+      if (row.parsed[index] === null) {
+        row.parsed[index] = parseSpecValue(value);
+      }
+    });
+  });
+
+  return Array.from(rows.values()).map(({ key, label, parsed }) => {
+    const units = new Set(parsed.filter(Boolean).map(entry => entry.unit));
+    const comparable = units.size === 1 && parsed.every(entry => entry && entry.number !== null);
+    const values = parsed.map(entry => (entry ? entry.display : null));
+
+    return {
+      key,
+      label,
+      values,
+      numbers: comparable ? parsed.map(entry => entry.number) : parsed.map(() => null),
+      unit: comparable ? Array.from(units)[0] : null,
+      differs: new Set(values.map(value => (value === null ? null : value.toLowerCase()))).size > 1
+    };
+  });
+}
+
+module.exports = {
+  normalizeSpecKey,
+  parseSpecValue,
+  toNumericSpecs,
+  extractEnergyRating,
+  alignSpecifications
+};
@@ -1,5 +1,6 @@
 const A2ABaseAgent = require('@/protocols/a2a-base-agent');
 const A2ARouter = require('@/protocols/a2a-router');
+const { A2ABusyError } = require('@/protocols/a2a-errors');
 
 describe('A2ABaseAgent', () => {
   let router;
@@ -66,4 +67,174 @@ describe('A2ABaseAgent', () => {
       payload
     }));
   });
+
+  test('should pass the router context to handlers', async () => {
+    const controller = new AbortController();
+    const message = { messageId: 'msg_1', intent: 'testIntent', payload: {} };
+    const context = { signal: controller.signal, correlationId: 'corr_1' };
+
+    await agent.processMessage(message, context);
+
+    expect(mockHandler).toHaveBeenCalledWith(message, context);
+  });
+
+  test('should refuse to handle messages that were already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled upstream'));
+
+    await expect(agent.processMessage(
+      { messageId: 'msg_1', intent: 'testIntent', payload: {} },
+      { signal: controller.signal }
+    )).rejects.toThrow('cancelled upstream');
+    expect(mockHandler).not.toHaveBeenCalled();
+  });
+
+  test('should inherit correlation, deadline and signal from the parent context', async () => {
+    const controller = new AbortController();
+    const parent = {
+      signal: controller.signal,
+      deadline: '2025-05-19T15:31:00.000Z',
+      correlationId: 'corr_1'
+    };
+
+    await agent.sendMessage('targetAgent', 'request', 'testIntent', {}, { parent, timeout: 500 });
+
+    expect(router.sendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ correlationId: 'corr_1', deadline: parent.deadline }),
+      { timeout: 500, signal: controller.signal }
+    );
+  });
+
+  test('should reply to the sender with inReplyTo set', async () => {
+    await agent.replyTo(
+      { messageId: 'msg_9', fromAgent: 'otherAgent', correlationId: 'corr_9' },
+      'testResult',
+      { ok: true }
+    );
+
+    expect(router.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+      toAgent: 'otherAgent',
+      messageType: 'response',
+      intent: 'testResult',
+      correlationId: 'corr_9',
+      inReplyTo: 'msg_9'
+    }));
+  });
+
+  test('should keep intent contracts alongside handlers', () => {
+    const contract = { payloadSchema: { type: 'object', required: ['id'] } };
+    agent.registerMessageHandler('contractIntent', jest.fn(), contract);
+
+    expect(agent.getIntentContract('contractIntent')).toBe(contract);
+    expect(agent.getIntentContract('testIntent')).toBeNull();
+    expect(agent.describeIntents()).toEqual([
+      { intent: 'testIntent', description: null, payloadSchema: null, responseSchema: null },
+      { intent: 'contractIntent', description: null, payloadSchema: contract.payloadSchema, responseSchema: null }
+    ]);
+  });
+
+  test('should report progress through the handler context when available', () => {
+    const emit = jest.fn();
+
+    agent.reportProgress({ emit }, { step: 'crawl', progress: 0.3 });
+    agent.reportProgress(undefined, { step: 'ignored' });
+
+    expect(emit).toHaveBeenCalledTimes(1);
+    expect(emit).toHaveBeenCalledWith({ type: 'progress', step: 'crawl', progress: 0.3 });
+  });
+
+  describe('concurrency limits', () => {
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise(res => { resolve = res; });
+      return { promise, resolve };
+    };
+    const message = (intent, messageId) => ({ messageId, toAgent: 'limitedAgent', intent, payload: {} });
+    const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+    let limited;
+    let gates;
+    let started;
+
+    beforeEach(() => {
+      limited = new A2ABaseAgent('limitedAgent', router, {
+        concurrency: {
+          maxConcurrent: 3,
+          maxQueue: 0,
+          intents: { crawl: { maxConcurrent: 1, maxQueue: 1 } }
+        }
+      });
+      gates = [];
+      started = [];
+      const handler = async (msg) => {
+        started.push(msg.messageId);
+        const gate = deferred();
+        gates.push(gate);
+        await gate.promise;
+        return { id: msg.messageId };
+      };
+      limited.registerMessageHandler('crawl', handler);
+      limited.registerMessageHandler('chat', handler);
+    });
+
+    test('should queue up to maxQueue and reject beyond it with a retryable A2ABusyError', async () => {
+      const first = limited.processMessage(message('crawl', 'a'));
+      const second = limited.processMessage(message('crawl', 'b'));
+      const third = limited.processMessage(message('crawl', 'c'));
+
+      await expect(third).rejects.toBeInstanceOf(A2ABusyError);
+      await third.catch(error => {
+        expect(error.retryable).toBe(true);
+        expect(error.scope).toBe('intent');
+        expect(error.code).toBe('A2A_BUSY');
+      });
+
+      await flushPromises();
+      expect(started).toEqual(['a']);
+
+      gates[0].resolve();
+      await expect(first).resolves.toEqual({ id: 'a' });
+      await flushPromises();
+      expect(started).toEqual(['a', 'b']);
+
+      gates[1].resolve();
+      await expect(second).resolves.toEqual({ id: 'b' });
+    });
+
+    test('should expose queue metrics through getStatus()', async () => {
+      const running = ['a', 'b', 'c'].map(id => limited.processMessage(message(id === 'a' ? 'crawl' : 'chat', id)));
+      const queued = limited.processMessage(message('crawl', 'd'));
+      await flushPromises();
+
+      await expect(limited.processMessage(message('chat', 'e'))).rejects.toThrow('limitedAgent is busy');
+
+      const status = limited.getStatus();
+      expect(status.queue.agent).toEqual(expect.objectContaining({ maxConcurrent: 3, active: 3, queued: 0, rejected: 1 }));
+      expect(status.queue.intents.crawl).toEqual(expect.objectContaining({ active: 1, queued: 1, peakQueued: 1 }));
+
+      gates.forEach(gate => gate.resolve());
+      await Promise.all(running);
+      await flushPromises();
+      gates[3].resolve();
+      await queued;
+
+      expect(limited.getStatus().queue.intents.crawl).toEqual(expect.objectContaining({ active: 0, queued: 0, processed: 2 }));
+    });
+
+    test('should drop queued messages when their signal is aborted', async () => {
+      const first = limited.processMessage(message('crawl', 'a'));
+      const controller = new AbortController();
+      const second = limited.processMessage(message('crawl', 'b'), { signal: controller.signal });
+      await flushPromises();
+
+      controller.abort(new Error('caller went away'));
+
+      await expect(second).rejects.toThrow('caller went away');
+      expect(limited.getStatus().queue.intents.crawl.queued).toBe(0);
+
+      gates[0].resolve();
+      await first;
+      expect(started).toEqual(['a']);
+    });
+  });
 });
@@ -0,0 +1,141 @@
+const A2ARouter = require('@/protocols/a2a-router');
+const A2ABaseAgent = require('@/protocols/a2a-base-agent');
+const ProductRecommendationAgent = require('@/agents/product-recommendation/product-recommendation-agent');
+const CartAgent = require('@/agents/cart/cart-agent');
+const { A2ACircuitOpenError } = require('@/protocols/a2a-errors');
+const { CircuitState } = require('@/protocols/a2a-circuit-breaker');
+
+describe('A2A circuit breaker', () => {
+  let router;
+  let crawler;
+  let checkStock;
+  let searchService;
+
+  const stockMessage = (payload = { productId: 'p1' }) => ({
+    fromAgent: 'cartAgent',
+    toAgent: 'crawlingCoordinatorAgent',
+    messageType: 'request',
+    intent: 'checkProductStock',
+    payload
+  });
+
+  beforeEach(() => {
+    router = new A2ARouter({
+      defaultTimeout: 0,
+      circuitBreaker: {
+        failureThreshold: 2,
+        resetTimeout: 1000,
+        targets: {
+          crawlingCoordinatorAgent: { countUnsuccessfulResponses: true }
+        },
+        fallbacks: {
+          'crawlingCoordinatorAgent.checkProductStock': { toAgent: 'productRecommendationAgent', intent: 'getStockStatus' }
+        }
+      }
+    });
+    router.logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    crawler = new A2ABaseAgent('crawlingCoordinatorAgent', router);
+    checkStock = jest.fn().mockRejectedValue(new Error('apify down'));
+    crawler.registerMessageHandler('checkProductStock', checkStock, {
+      payloadSchema: { type: 'object', required: ['productId'] }
+    });
+    crawler.registerMessageHandler('crawlProductInfo', jest.fn().mockResolvedValue({ success: false, error: 'quota' }));
+
+    searchService = { getProductById: jest.fn().mockResolvedValue({ id: 'p1', stockStatus: 'OUT_OF_STOCK' }) };
+    new ProductRecommendationAgent(router, searchService);
+  });
+
+  test('should open after consecutive failures and answer from the declared fallback', async () => {
+    await expect(router.sendMessage(stockMessage())).rejects.toThrow('apify down');
+    await expect(router.sendMessage(stockMessage())).rejects.toThrow('apify down');
+
+    const response = await router.sendMessage(stockMessage());
+
+    expect(checkStock).toHaveBeenCalledTimes(2);
+    expect(response).toEqual({
+      success: true,
+      source: 'algolia',
+      stockInfo: { available: false, stockStatus: 'OUT_OF_STOCK' }
+    });
+    expect(searchService.getProductById).toHaveBeenCalledWith('p1');
+    expect(router.getCircuitStates('crawlingCoordinatorAgent')).toEqual([
+      expect.objectContaining({
+        key: 'crawlingCoordinatorAgent.checkProductStock',
+        state: CircuitState.OPEN,
+        failures: 2,
+        lastError: 'apify down',
+        retryAfterMs: 1000,
+        totalRejected: 1
+      })
+    ]);
+  });
+
+  test('should keep the original deadline when answering from the fallback', async () => {
+    await expect(router.sendMessage(stockMessage())).rejects.toThrow();
+    await expect(router.sendMessage(stockMessage())).rejects.toThrow();
+    const dispatch = jest.spyOn(router, 'dispatch');
+    const fallbackDeadlines = () => dispatch.mock.calls
+      .filter(([message]) => message.toAgent === 'productRecommendationAgent')
+      .map(([message]) => message.deadline);
+
+    const deadline = new Date(Date.now() + 5000).toISOString();
+    await router.sendMessage({ ...stockMessage(), deadline });
+    await router.sendMessage(stockMessage(), { timeout: 2000 });
+
+    expect(fallbackDeadlines()).toEqual([deadline, new Date(Date.now() + 2000).toISOString()]);
+  });
+
+  test('should reject with A2ACircuitOpenError when no fallback is declared', async () => {
+    const message = () => ({ ...stockMessage(), intent: 'crawlProductInfo' });
+
+    await router.sendMessage(message());
+    await router.sendMessage(message());
+
+    const error = await router.sendMessage(message()).catch(err => err);
+    expect(error).toBeInstanceOf(A2ACircuitOpenError);
+    expect(error.retryable).toBe(true);
+    expect(error.retryAfterMs).toBe(1000);
+  });
+
+  test('should probe after the reset timeout and close on success', async () => {
+    await expect(router.sendMessage(stockMessage())).rejects.toThrow();
+    await expect(router.sendMessage(stockMessage())).rejects.toThrow();
+
+    jest.advanceTimersByTime(1000);
+    checkStock.mockRejectedValueOnce(new Error('still down'));
+    await expect(router.sendMessage(stockMessage())).rejects.toThrow('still down');
+    expect(router.getCircuitStates()[0].state).toBe(CircuitState.OPEN);
+
+    jest.advanceTimersByTime(1000);
+    checkStock.mockResolvedValueOnce({ success: true, source: 'crawl', stockInfo: { available: true } });
+    await expect(router.sendMessage(stockMessage())).resolves.toEqual(expect.objectContaining({ source: 'crawl' }));
+    expect(router.getCircuitStates()[0]).toEqual(expect.objectContaining({ state: CircuitState.CLOSED, failures: 0 }));
+  });
+
+  test('should not count caller errors or undeclared targets', async () => {
+    await expect(router.sendMessage(stockMessage({}))).rejects.toThrow('Invalid payload');
+    await expect(router.sendMessage(stockMessage({}))).rejects.toThrow('Invalid payload');
+
+    expect(router.getCircuitStates()[0]).toEqual(expect.objectContaining({ state: CircuitState.CLOSED, failures: 0 }));
+    expect(router.circuitBreakers.getBreaker('productRecommendationAgent', 'getStockStatus')).toBeNull();
+  });
+
+  test('should consult the declared fallback instead of assuming stock while the circuit is closed', async () => {
+    const cartAgent = new CartAgent(router, {}, {}, searchService);
+    cartAgent.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    checkStock.mockResolvedValueOnce({ success: false, error: 'no stock data' });
+    await expect(cartAgent.checkProductAvailability('p1', 1)).resolves.toBe(false);
+    expect(router.getCircuitStates()[0].state).toBe(CircuitState.CLOSED);
+    expect(searchService.getProductById).toHaveBeenCalledWith('p1');
+
+    searchService.getProductById.mockResolvedValueOnce({ id: 'p1', stockStatus: 'IN_STOCK' });
+    checkStock.mockRejectedValueOnce(new Error('apify down'));
+    await expect(cartAgent.checkProductAvailability('p1', 1)).resolves.toBe(true);
+
+    searchService.getProductById.mockResolvedValueOnce(null);
+    checkStock.mockRejectedValueOnce(new Error('apify down'));
+    await expect(cartAgent.checkProductAvailability('p1', 1)).resolves.toBe(false);
+  });
+});
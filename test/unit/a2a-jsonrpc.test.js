@@ -0,0 +1,306 @@
+const A2ARouter = require('@/protocols/a2a-router');
+const A2ABaseAgent = require('@/protocols/a2a-base-agent');
+const A2AJsonRpcHandler = require('@/protocols/a2a-jsonrpc');
+const { JSONRPC_ERRORS } = require('@/protocols/a2a-jsonrpc');
+const { buildAgentCard, parseSkillId } = require('@/protocols/a2a-agent-card');
+const { createA2AAuthMiddleware } = require('@/protocols/a2a-auth');
+
+describe('A2A Agent Card / JSON-RPC', () => {
+  let router;
+  let cartAgent;
+  let dialogAgent;
+  let addToCart;
+  let userMessage;
+
+  const exposedIntents = {
+    cartAgent: ['addToCart'],
+    dialogAgent: ['userMessage']
+  };
+
+  const sendRequest = (params, id = 1) => ({
+    jsonrpc: '2.0',
+    id,
+    method: 'tasks/send',
+    params
+  });
+
+  beforeEach(() => {
+    router = new A2ARouter({ defaultTimeout: 0 });
+
+    cartAgent = new A2ABaseAgent('cartAgent', router);
+    addToCart = jest.fn().mockResolvedValue({ success: true, sessionId: 's1', response: 'Adicionado!' });
+    cartAgent.registerMessageHandler('addToCart', addToCart, {
+      description: 'Adds a product to the cart',
+      payloadSchema: {
+        type: 'object',
+        properties: { sessionId: { type: 'string' }, productId: { type: 'string' } },
+        required: ['sessionId', 'productId']
+      }
+    });
+    cartAgent.registerMessageHandler('internalSync', jest.fn());
+
+    dialogAgent = new A2ABaseAgent('dialogAgent', router);
+    userMessage = jest.fn().mockResolvedValue({ success: true, sessionId: 's1', response: 'Olá!' });
+    dialogAgent.registerMessageHandler('userMessage', userMessage);
+  });
+
+  describe('buildAgentCard', () => {
+    test('should expose only allow-listed intents as skills', () => {
+      const card = buildAgentCard(router, { name: 'Test', url: 'http://test/a2a', exposedIntents });
+
+      expect(card.name).toBe('Test');
+      expect(card.url).toBe('http://test/a2a');
+      expect(card.skills.map(skill => skill.id)).toEqual(['cartAgent.addToCart', 'dialogAgent.userMessage']);
+      expect(card.skills[0]).toEqual(expect.objectContaining({
+        name: 'addToCart',
+        description: 'Adds a product to the cart',
+        inputSchema: expect.objectContaining({ required: ['sessionId', 'productId'] })
+      }));
+      expect(card.skills[1].inputSchema).toBeUndefined();
+    });
+
+    test('should parse skill ids', () => {
+      expect(parseSkillId('cartAgent.addToCart')).toEqual({ agentId: 'cartAgent', intent: 'addToCart' });
+      expect(parseSkillId('cartAgent')).toBeNull();
+      expect(parseSkillId(undefined)).toBeNull();
+    });
+  });
+
+  describe('A2AJsonRpcHandler', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = new A2AJsonRpcHandler(router, { exposedIntents });
+    });
+
+    test('should route text messages to the default dialog skill', async () => {
+      const response = await handler.handle(sendRequest({
+        id: 'task-1',
+        sessionId: 's1',
+        message: { role: 'user', parts: [{ type: 'text', text: 'Quero uma TV' }] }
+      }));
+
+      expect(response.id).toBe(1);
+      expect(response.result.status.state).toBe('completed');
+      expect(response.result.status.message.parts[0]).toEqual({ type: 'text', text: 'Olá!' });
+      expect(userMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fromAgent: 'a2aGateway',
+          correlationId: 'task-1',
+          payload: { sessionId: 's1', userMessage: 'Quero uma TV' }
+        }),
+        expect.any(Object)
+      );
+    });
+
+    test('should route data parts to the requested skill', async () => {
+      const response = await handler.handle(sendRequest({
+        id: 'task-2',
+        sessionId: 's1',
+        message: { role: 'user', parts: [{ type: 'data', data: { productId: 'p1', quantity: 2 } }] },
+        metadata: { skill: 'cartAgent.addToCart' }
+      }));
+
+      expect(response.result.artifacts[0].parts[0].data).toEqual(expect.objectContaining({ success: true }));
+      expect(addToCart.mock.calls[0][0].payload).toEqual({ productId: 'p1', quantity: 2, sessionId: 's1' });
+    });
+
+    test('should reject skills that are not exposed', async () => {
+      const response = await handler.handle(sendRequest({
+        id: 'task-3',
+        message: { role: 'user', parts: [] },
+        metadata: { skill: 'cartAgent.internalSync' }
+      }));
+
+      expect(response.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+      expect(handler.tasks.has('task-3')).toBe(false);
+    });
+
+    test('should map contract violations to invalid params errors', async () => {
+      const response = await handler.handle(sendRequest({
+        id: 'task-4',
+        sessionId: 's1',
+        message: { role: 'user', parts: [{ type: 'data', data: {} }] },
+        metadata: { skill: 'cartAgent.addToCart' }
+      }));
+
+      expect(response.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+      expect(response.error.data.errors[0]).toEqual(expect.objectContaining({ path: '/productId' }));
+      expect(addToCart).not.toHaveBeenCalled();
+    });
+
+    test('should mark the task failed when the agent throws', async () => {
+      userMessage.mockRejectedValue(new Error('boom'));
+
+      const response = await handler.handle(sendRequest({
+        id: 'task-5',
+        message: { role: 'user', parts: [{ type: 'text', text: 'oi' }] }
+      }));
+
+      expect(response.result.status.state).toBe('failed');
+      expect(response.result.status.message.parts[0].text).toBe('boom');
+    });
+
+    test('should return stored tasks from tasks/get', async () => {
+      await handler.handle(sendRequest({
+        id: 'task-6',
+        sessionId: 's1',
+        message: { role: 'user', parts: [{ type: 'text', text: 'oi' }] }
+      }));
+
+      const response = await handler.handle({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tasks/get',
+        params: { id: 'task-6', historyLength: 1 }
+      });
+
+      expect(response.result.id).toBe('task-6');
+      expect(response.result.history).toHaveLength(1);
+      expect(response.result.history[0].role).toBe('agent');
+    });
+
+    test('should report unknown tasks, methods and malformed requests', async () => {
+      const missing = await handler.handle({ jsonrpc: '2.0', id: 3, method: 'tasks/get', params: { id: 'nope' } });
+      const unknown = await handler.handle({ jsonrpc: '2.0', id: 4, method: 'tasks/cancel', params: {} });
+      const malformed = await handler.handle({ id: 5, method: 'tasks/get' });
+
+      expect(missing.error.code).toBe(JSONRPC_ERRORS.TASK_NOT_FOUND);
+      expect(unknown.error.code).toBe(JSONRPC_ERRORS.METHOD_NOT_FOUND);
+      expect(malformed.error.code).toBe(JSONRPC_ERRORS.INVALID_REQUEST);
+    });
+
+    test('should evict the oldest tasks beyond maxTasks', async () => {
+      handler = new A2AJsonRpcHandler(router, { exposedIntents, maxTasks: 2 });
+
+      for (const id of ['a', 'b', 'c']) {
+        await handler.handle(sendRequest({ id, message: { role: 'user', parts: [{ type: 'text', text: 'oi' }] } }));
+      }
+
+      expect(Array.from(handler.tasks.keys())).toEqual(['b', 'c']);
+    });
+
+    test('should stream task updates for tasks/sendSubscribe', async () => {
+      userMessage.mockImplementation(async (message, context) => {
+        dialogAgent.reportProgress(context, { step: 'search', message: 'Buscando produtos' });
+        return { success: true, sessionId: 's1', response: 'Pronto!' };
+      });
+      const updates = [];
+
+      const response = await handler.handle({
+        jsonrpc: '2.0',
+        id: 7,
+        method: 'tasks/sendSubscribe',
+        params: { id: 'task-7', sessionId: 's1', message: { role: 'user', parts: [{ type: 'text', text: 'TV' }] } }
+      }, update => updates.push(update));
+
+      const progress = updates.find(update => update.result.status && update.result.status.message.parts[0].text === 'Buscando produtos');
+      expect(progress.id).toBe(7);
+      expect(progress.result).toEqual(expect.objectContaining({ id: 'task-7', final: false }));
+      expect(updates[updates.length - 1].result.artifact.parts[0].data.response).toBe('Pronto!');
+      expect(response.result).toEqual(expect.objectContaining({ id: 'task-7', final: true }));
+      expect(response.result.status.state).toBe('completed');
+    });
+
+    test('should bind sessions and tasks to the authenticated caller', async () => {
+      const partner = { id: 'partner' };
+      const other = { id: 'other' };
+
+      await handler.handle(sendRequest({
+        id: 'task-9',
+        sessionId: 's1',
+        message: { role: 'user', parts: [{ type: 'data', data: { productId: 'p1', sessionId: 'victim' } }] },
+        metadata: { skill: 'cartAgent.addToCart' }
+      }), undefined, partner);
+
+      expect(addToCart.mock.calls[0][0].payload.sessionId).toBe('a2a:partner:s1');
+
+      const own = await handler.handle({ jsonrpc: '2.0', id: 2, method: 'tasks/get', params: { id: 'task-9' } }, undefined, partner);
+      const foreign = await handler.handle({ jsonrpc: '2.0', id: 3, method: 'tasks/get', params: { id: 'task-9' } }, undefined, other);
+      const anonymous = await handler.handle({ jsonrpc: '2.0', id: 4, method: 'tasks/get', params: { id: 'task-9' } });
+
+      expect(own.result).toEqual(expect.objectContaining({ id: 'task-9', sessionId: 's1' }));
+      expect(foreign.error.code).toBe(JSONRPC_ERRORS.TASK_NOT_FOUND);
+      expect(anonymous.error.code).toBe(JSONRPC_ERRORS.TASK_NOT_FOUND);
+    });
+
+    test('should keep progress events of callers reusing the same task id apart', async () => {
+      let release;
+      const started = new Promise(resolve => { release = resolve; });
+      userMessage.mockImplementation(async (message, context) => {
+        await started;
+        dialogAgent.reportProgress(context, { step: 'search', message: message.payload.sessionId });
+        return { success: true, response: 'Pronto!' };
+      });
+      const subscribe = (caller, updates) => handler.handle({
+        jsonrpc: '2.0',
+        id: 10,
+        method: 'tasks/sendSubscribe',
+        params: { id: 'task-10', sessionId: 's1', message: { role: 'user', parts: [{ type: 'text', text: 'TV' }] } }
+      }, update => updates.push(update), caller);
+      const progressTexts = updates => updates
+        .filter(update => update.result.status && update.result.final === false)
+        .map(update => update.result.status.message.parts[0].text)
+        .filter(text => text && text.startsWith('a2a:'));
+
+      const partnerUpdates = [];
+      const otherUpdates = [];
+      const pending = [subscribe({ id: 'partner' }, partnerUpdates), subscribe({ id: 'other' }, otherUpdates)];
+      release();
+      await Promise.all(pending);
+
+      expect(userMessage.mock.calls.map(([message]) => message.correlationId)).toEqual(['partner/task-10', 'other/task-10']);
+      expect(progressTexts(partnerUpdates)).toEqual(['a2a:partner:s1']);
+      expect(progressTexts(otherUpdates)).toEqual(['a2a:other:s1']);
+    });
+
+    test('should reject tasks/sendSubscribe without a streaming transport', async () => {
+      const response = await handler.handle({
+        jsonrpc: '2.0',
+        id: 8,
+        method: 'tasks/sendSubscribe',
+        params: { id: 'task-8', message: { role: 'user', parts: [] } }
+      });
+
+      expect(response.error.code).toBe(JSONRPC_ERRORS.INVALID_REQUEST);
+    });
+  });
+
+  describe('Authentication', () => {
+    const createResponse = () => ({
+      statusCode: 200,
+      headers: {},
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      setHeader(name, value) { this.headers[name] = value; },
+      json(body) { this.body = body; }
+    });
+
+    test('should advertise the bearer scheme in the agent card', () => {
+      expect(buildAgentCard(router, { exposedIntents }).authentication).toEqual({ schemes: ['bearer'] });
+    });
+
+    test('should accept configured keys and reject missing or unknown ones', () => {
+      const authenticate = createA2AAuthMiddleware({ apiKeys: 'intercom:key-1,whatsapp:key-2' });
+      const next = jest.fn();
+
+      const bearer = { headers: { authorization: 'Bearer key-2' }, body: { id: 1 } };
+      authenticate(bearer, createResponse(), next);
+      const apiKey = { headers: { 'x-api-key': 'key-1' }, body: { id: 2 } };
+      authenticate(apiKey, createResponse(), next);
+
+      expect(bearer.a2aCaller).toEqual({ id: 'whatsapp' });
+      expect(apiKey.a2aCaller).toEqual({ id: 'intercom' });
+      expect(next).toHaveBeenCalledTimes(2);
+
+      for (const headers of [{}, { authorization: 'Bearer wrong' }]) {
+        const res = createResponse();
+        authenticate({ headers, body: { id: 3 } }, res, next);
+        expect(res.statusCode).toBe(401);
+        expect(res.headers['WWW-Authenticate']).toBe('Bearer realm="a2a"');
+        expect(res.body).toEqual({ jsonrpc: '2.0', id: 3, error: { code: JSONRPC_ERRORS.INVALID_REQUEST, message: 'Unauthorized' } });
+      }
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const A2ARouter = require('@/protocols/a2a-router');
+const A2ABaseAgent = require('@/protocols/a2a-base-agent');
+const A2AMessageJournal = require('@/protocols/a2a-message-journal');
+const { replayEntries } = require('@/protocols/a2a-message-journal');
+const { MemoryRepository } = require('@/storage/repositories/memory.repository');
+
+describe('A2AMessageJournal', () => {
+  const message = (overrides = {}) => ({
+    messageId: 'msg_1',
+    correlationId: 'corr_1',
+    fromAgent: 'apiGateway',
+    toAgent: 'checkoutAgent',
+    messageType: 'request',
+    intent: 'collectCheckoutInfo',
+    payload: {
+      sessionId: 's1',
+      customer: { name: 'Ana', CPF: '123.456.789-00', email: 'ana@example.com', Endereco: 'Rua A, 10' },
+      cards: [{ cardNumber: '4111111111111111', holder: 'ANA' }]
+    },
+    ...overrides
+  });
+
+  test('should redact sensitive fields recursively', () => {
+    const journal = new A2AMessageJournal();
+
+    const entry = journal.record('request', message(), { external: true });
+
+    expect(entry.payload.customer).toEqual({ name: '[REDACTED]', CPF: '[REDACTED]', email: '[REDACTED]', Endereco: '[REDACTED]' });
+    expect(entry.payload.cards[0]).toEqual({ cardNumber: '[REDACTED]', holder: 'ANA' });
+    expect(entry.sessionId).toBe('s1');
+    expect(entry.external).toBe(true);
+  });
+
+  test('should mask CPF, CEP and card numbers inside free text', () => {
+    const journal = new A2AMessageJournal();
+
+    const entry = journal.record('request', message({
+      payload: {
+        sessionId: 's1',
+        userMessage: 'Meu CPF é 123.456.789-00, CEP 01310-100 e cartão 4111 1111 1111 1111. Quero 2 TVs de 55 polegadas',
+        userInput: 'cpf 12345678900 cep 01310100'
+      }
+    }));
+
+    expect(entry.payload.userMessage).toBe('Meu CPF é [REDACTED], CEP [REDACTED] e cartão [REDACTED]. Quero 2 TVs de 55 polegadas');
+    expect(entry.payload.userInput).toBe('cpf [REDACTED] cep [REDACTED]');
+    expect(entry.sessionId).toBe('s1');
+  });
+
+  test('should keep only the most recent entries in memory', () => {
+    const journal = new A2AMessageJournal({ maxEntries: 2 });
+
+    ['a', 'b', 'c'].forEach(id => journal.record('request', message({ messageId: id })));
+
+    expect(journal.getEntries().map(entry => entry.messageId)).toEqual(['b', 'c']);
+    expect(journal.getEntries({ limit: 1 })[0].messageId).toBe('c');
+  });
+
+  test('should persist entries to the repository and prune old ones', async () => {
+    const repository = new MemoryRepository();
+    const journal = new A2AMessageJournal({ repository, maxPersistedEntries: 2, pruneEvery: 1 });
+
+    journal.record('request', message({ messageId: 'a' }));
+    await journal.flush();
+    jest.advanceTimersByTime(10);
+    journal.record('request', message({ messageId: 'b' }));
+    await journal.flush();
+    jest.advanceTimersByTime(10);
+    journal.record('request', message({ messageId: 'c', correlationId: 'corr_2' }));
+    await journal.flush();
+
+    const stored = await repository.find({}, { sort: { recordedAt: 'asc' } });
+    expect(stored.map(entry => entry.messageId)).toEqual(['b', 'c']);
+    expect((await journal.loadConversation({ correlationId: 'corr_1' })).map(entry => entry.messageId)).toEqual(['b']);
+  });
+
+  test('should log and swallow repository failures', async () => {
+    const repository = { create: jest.fn().mockRejectedValue(new Error('disk full')) };
+    const journal = new A2AMessageJournal({ repository });
+    const errorSpy = jest.spyOn(journal.logger, 'error').mockImplementation(() => {});
+
+    journal.record('request', message());
+    await journal.flush();
+
+    expect(errorSpy).toHaveBeenCalledWith('메시지 저널 기록 오류:', expect.any(Error));
+    expect(journal.getEntries()).toHaveLength(1);
+    errorSpy.mockRestore();
+  });
+
+  describe('router integration', () => {
+    let router;
+    let handler;
+
+    beforeEach(() => {
+      router = new A2ARouter({ defaultTimeout: 0 });
+      const agent = new A2ABaseAgent('checkoutAgent', router);
+      handler = jest.fn().mockResolvedValue({ success: true, email: 'ana@example.com' });
+      agent.registerMessageHandler('collectCheckoutInfo', handler);
+    });
+
+    test('should journal requests, responses and errors through the middleware', async () => {
+      await router.sendMessage(message());
+      handler.mockRejectedValueOnce(new Error('boom'));
+      await expect(router.sendMessage(message({ messageId: 'msg_2' }))).rejects.toThrow('boom');
+
+      const entries = router.journal.getEntries();
+      expect(entries.map(entry => entry.kind)).toEqual(['request', 'response', 'request', 'error']);
+      expect(entries[1].response).toEqual({ success: true, email: '[REDACTED]' });
+      expect(entries[1].durationMs).toEqual(expect.any(Number));
+      expect(entries[3].error).toEqual({ name: 'Error', code: null, message: 'boom' });
+      expect(router.getMessageQueue(1)[0].messageId).toBe('msg_2');
+    });
+
+    test('should replay external requests and report changed responses', async () => {
+      await router.sendMessage(message());
+      const recorded = router.journal.getEntries();
+
+      handler.mockResolvedValue({ success: false });
+      const steps = [];
+      const results = await replayEntries(router, recorded, { onStep: step => steps.push(step) });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].changed).toBe(true);
+      expect(results[0].replayed).toEqual({ success: false });
+      expect(handler).toHaveBeenLastCalledWith(
+        expect.objectContaining({ correlationId: 'replay_corr_1', intent: 'collectCheckoutInfo' }),
+        expect.any(Object)
+      );
+      expect(steps).toEqual(results);
+    });
+  });
+});
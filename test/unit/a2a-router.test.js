@@ -1,4 +1,6 @@
 const A2ARouter = require('@/protocols/a2a-router');
+const { A2ATimeoutError, A2ACancelledError, A2AValidationError } = require('@/protocols/a2a-errors');
+const A2ABaseAgent = require('@/protocols/a2a-base-agent');
 
 describe('A2ARouter', () => {
   let router;
@@ -52,7 +54,10 @@ describe('A2ARouter', () => {
 
     const result = await router.sendMessage(message);
     
-    expect(mockAgent2.processMessage).toHaveBeenCalledWith(message);
+    expect(mockAgent2.processMessage).toHaveBeenCalledWith(message, expect.objectContaining({
+      signal: expect.any(AbortSignal),
+      correlationId: 'msg_123'
+    }));
     expect(result).toEqual({ response: 'from agent 2' });
   });
 
@@ -88,7 +93,7 @@ describe('A2ARouter', () => {
       messageType,
       intent,
       payload
-    }));
+    }), expect.objectContaining({ signal: expect.any(AbortSignal) }));
   });
 
   test('should log messages', async () => {
@@ -117,4 +122,324 @@ describe('A2ARouter', () => {
     // Restore console.log
     console.log.mockRestore();
   });
+
+  test('should fill in missing messageId and timestamp', async () => {
+    const message = {
+      fromAgent: 'agent1',
+      toAgent: 'agent2',
+      messageType: 'request',
+      intent: 'testIntent',
+      payload: { data: 'test' }
+    };
+
+    await router.sendMessage(message);
+
+    expect(message.messageId).toMatch(/^msg_/);
+    expect(message.timestamp).toBeDefined();
+  });
+
+  test('should allow ping messages without payload', async () => {
+    await router.sendMessage({
+      fromAgent: 'agent1',
+      toAgent: 'agent2',
+      messageType: 'ping',
+      intent: 'healthCheck'
+    });
+
+    expect(mockAgent2.processMessage).toHaveBeenCalled();
+  });
+
+  test('should run middleware hooks in pipeline order', async () => {
+    const calls = [];
+    router.use({
+      name: 'first',
+      beforeSend: () => { calls.push('first:before'); },
+      afterResponse: () => { calls.push('first:after'); }
+    });
+    router.use({
+      name: 'second',
+      beforeSend: (message) => {
+        calls.push('second:before');
+        return { ...message, payload: { data: 'rewritten' } };
+      },
+      afterResponse: (response) => {
+        calls.push('second:after');
+        return { ...response, decorated: true };
+      }
+    });
+
+    const result = await router.sendMessage({
+      fromAgent: 'agent1',
+      toAgent: 'agent2',
+      messageType: 'request',
+      intent: 'testIntent',
+      payload: { data: 'test' }
+    });
+
+    expect(calls).toEqual(['first:before', 'second:before', 'second:after', 'first:after']);
+    expect(mockAgent2.processMessage).toHaveBeenCalledWith(expect.objectContaining({
+      payload: { data: 'rewritten' }
+    }), expect.any(Object));
+    expect(result).toEqual({ response: 'from agent 2', decorated: true });
+  });
+
+  test('should let onError middleware recover from failures', async () => {
+    mockAgent2.processMessage.mockRejectedValueOnce(new Error('boom'));
+    router.use({
+      name: 'fallback',
+      onError: (error) => ({ recovered: true, reason: error.message })
+    });
+
+    const result = await router.sendMessage({
+      fromAgent: 'agent1',
+      toAgent: 'agent2',
+      messageType: 'request',
+      intent: 'testIntent',
+      payload: { data: 'test' }
+    });
+
+    expect(result).toEqual({ recovered: true, reason: 'boom' });
+  });
+
+  test('should remove middleware by name', () => {
+    expect(router.removeMiddleware('logging')).toBe(true);
+    expect(router.middleware.map(mw => mw.name)).toEqual(['messageDefaults', 'validation', 'circuitBreaker', 'tracing', 'contract', 'journal']);
+    expect(router.removeMiddleware('logging')).toBe(false);
+  });
+
+  test('should expose the same implementation through the services path', () => {
+    const { A2ARouter: ServicesRouter } = require('@/services/a2a-router');
+    expect(ServicesRouter).toBe(A2ARouter);
+  });
+
+  describe('deadlines and cancellation', () => {
+    const pendingMessage = () => ({
+      messageId: 'msg_slow',
+      fromAgent: 'agent1',
+      toAgent: 'agent2',
+      messageType: 'request',
+      intent: 'slowIntent',
+      payload: {}
+    });
+
+    test('should keep an existing correlationId and record inReplyTo', async () => {
+      await router.sendMessage({
+        ...pendingMessage(),
+        correlationId: 'corr_1',
+        inReplyTo: 'msg_original'
+      });
+
+      const [received, context] = mockAgent2.processMessage.mock.calls[0];
+      expect(received.correlationId).toBe('corr_1');
+      expect(received.inReplyTo).toBe('msg_original');
+      expect(context.correlationId).toBe('corr_1');
+    });
+
+    test('should reject with A2ATimeoutError and abort the handler signal', async () => {
+      let handlerSignal;
+      mockAgent2.processMessage.mockImplementation((message, context) => {
+        handlerSignal = context.signal;
+        return new Promise(() => {});
+      });
+
+      const pending = router.sendMessage(pendingMessage(), { timeout: 1000 });
+      const assertion = expect(pending).rejects.toBeInstanceOf(A2ATimeoutError);
+      await jest.advanceTimersByTimeAsync(1000);
+      await assertion;
+
+      expect(handlerSignal.aborted).toBe(true);
+    });
+
+    test('should reject immediately when the deadline has already passed', async () => {
+      const message = { ...pendingMessage(), deadline: new Date(Date.now() - 1).toISOString() };
+
+      await expect(router.sendMessage(message)).rejects.toBeInstanceOf(A2ATimeoutError);
+      expect(mockAgent2.processMessage).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unparseable deadline as a validation error', async () => {
+      const message = { ...pendingMessage(), deadline: 'tomorrow' };
+
+      await expect(router.sendMessage(message)).rejects.toEqual(expect.objectContaining({
+        code: 'A2A_VALIDATION',
+        target: 'message',
+        errors: [expect.objectContaining({ path: '/deadline', keyword: 'format' })]
+      }));
+      expect(mockAgent2.processMessage).not.toHaveBeenCalled();
+    });
+
+    test('should reject with A2ACancelledError when the caller aborts', async () => {
+      mockAgent2.processMessage.mockImplementation(() => new Promise(() => {}));
+      const controller = new AbortController();
+
+      const pending = router.sendMessage(pendingMessage(), { signal: controller.signal, timeout: 0 });
+      const assertion = expect(pending).rejects.toBeInstanceOf(A2ACancelledError);
+      await Promise.resolve();
+      controller.abort();
+      await assertion;
+    });
+  });
+
+  describe('intent contracts', () => {
+    let contractAgent;
+    let handler;
+
+    const contractMessage = (payload) => ({
+      messageId: 'msg_contract',
+      fromAgent: 'agent1',
+      toAgent: 'contractAgent',
+      messageType: 'request',
+      intent: 'addItem',
+      payload
+    });
+
+    beforeEach(() => {
+      contractAgent = new A2ABaseAgent('contractAgent', router);
+      handler = jest.fn().mockResolvedValue({ success: true });
+      contractAgent.registerMessageHandler('addItem', handler, {
+        description: 'Adds an item',
+        payloadSchema: {
+          type: 'object',
+          properties: { itemId: { type: 'string' }, quantity: { type: 'integer', minimum: 1 } },
+          required: ['itemId']
+        },
+        responseSchema: {
+          type: 'object',
+          properties: { success: { type: 'boolean' } },
+          required: ['success']
+        }
+      });
+    });
+
+    test('should reject payloads that violate the intent contract', async () => {
+      const error = await router.sendMessage(contractMessage({ quantity: 0 })).catch(e => e);
+
+      expect(error).toBeInstanceOf(A2AValidationError);
+      expect(error.code).toBe('A2A_VALIDATION');
+      expect(error.target).toBe('payload');
+      expect(error.errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ path: '/itemId', keyword: 'required' }),
+        expect.objectContaining({ path: '/quantity', keyword: 'minimum' })
+      ]));
+      expect(error.toJSON().errors).toHaveLength(2);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('should pass valid payloads through to the handler', async () => {
+      const response = await router.sendMessage(contractMessage({ itemId: 'p1', quantity: 2 }));
+
+      expect(response).toEqual({ success: true });
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only warn about response contract violations by default', async () => {
+      handler.mockResolvedValue({ ok: true });
+      const warn = jest.spyOn(router.logger, 'warn').mockImplementation(() => {});
+
+      await expect(router.sendMessage(contractMessage({ itemId: 'p1' }))).resolves.toEqual({ ok: true });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Invalid response for contractAgent.addItem'));
+
+      warn.mockRestore();
+    });
+
+    test('should enforce response contracts when configured', async () => {
+      const { createContractMiddleware } = require('@/protocols/a2a-middleware');
+      router.removeMiddleware('contract');
+      router.use(createContractMiddleware({ enforceResponses: true }));
+      handler.mockResolvedValue({ ok: true });
+
+      const error = await router.sendMessage(contractMessage({ itemId: 'p1' })).catch(e => e);
+
+      expect(error).toBeInstanceOf(A2AValidationError);
+      expect(error.target).toBe('response');
+    });
+
+    test('should describe registered agents and their intents', () => {
+      const catalogue = router.describe();
+      const entry = catalogue.agents.find(agent => agent.agentId === 'contractAgent');
+
+      expect(catalogue.agents.map(agent => agent.agentId)).toEqual(['agent1', 'agent2', 'contractAgent']);
+      expect(catalogue.agents[0].intents).toEqual([]);
+      expect(entry.intents).toEqual([
+        expect.objectContaining({
+          intent: 'addItem',
+          description: 'Adds an item',
+          payloadSchema: expect.objectContaining({ required: ['itemId'] })
+        })
+      ]);
+    });
+  });
+
+  describe('progress events', () => {
+    const eventMessage = (correlationId = 'corr_events') => ({
+      messageId: 'msg_events',
+      fromAgent: 'agent1',
+      toAgent: 'agent2',
+      messageType: 'request',
+      intent: 'longTask',
+      payload: {},
+      correlationId
+    });
+
+    test('should forward handler events to onEvent with message metadata', async () => {
+      mockAgent2.processMessage.mockImplementation(async (message, context) => {
+        context.emit({ step: 'crawl', progress: 0.5 });
+        return { success: true };
+      });
+      const onEvent = jest.fn();
+
+      await router.sendMessage(eventMessage(), { onEvent });
+
+      expect(onEvent.mock.calls.map(([event]) => event.type)).toEqual(['status', 'progress', 'status']);
+      expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'progress',
+        step: 'crawl',
+        progress: 0.5,
+        messageId: 'msg_events',
+        correlationId: 'corr_events',
+        agentId: 'agent2',
+        intent: 'longTask'
+      }));
+      expect(onEvent.mock.calls[2][0]).toEqual(expect.objectContaining({ state: 'completed' }));
+      expect(router.eventListeners.size).toBe(0);
+    });
+
+    test('should deliver events from nested messages sharing the correlation id', async () => {
+      mockAgent2.processMessage.mockImplementation(async () => {
+        return router.sendMessage({ ...eventMessage(), messageId: 'msg_nested', toAgent: 'agent1' });
+      });
+      mockAgent1.processMessage.mockImplementation(async (message, context) => {
+        context.emit({ step: 'nested' });
+        return { success: true };
+      });
+      const events = [];
+      const unsubscribe = router.subscribe('corr_events', event => events.push(event));
+
+      await router.sendMessage(eventMessage());
+      unsubscribe();
+
+      expect(events.find(event => event.step === 'nested')).toEqual(expect.objectContaining({
+        agentId: 'agent1',
+        messageId: 'msg_nested'
+      }));
+      expect(router.eventListeners.has('corr_events')).toBe(false);
+    });
+
+    test('should publish a failed status and keep going when a listener throws', async () => {
+      mockAgent2.processMessage.mockRejectedValue(new Error('crawl failed'));
+      const errorSpy = jest.spyOn(router.logger, 'error').mockImplementation(() => {});
+      const events = [];
+      router.subscribe('corr_events', () => { throw new Error('listener broke'); });
+      router.subscribe('corr_events', event => events.push(event));
+
+      await expect(router.sendMessage(eventMessage())).rejects.toThrow('crawl failed');
+
+      expect(events[events.length - 1]).toEqual(expect.objectContaining({
+        type: 'status',
+        state: 'failed',
+        error: 'crawl failed'
+      }));
+      errorSpy.mockRestore();
+    });
+  });
 });
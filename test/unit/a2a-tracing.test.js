@@ -0,0 +1,124 @@
+const A2ARouter = require('@/protocols/a2a-router');
+const A2ABaseAgent = require('@/protocols/a2a-base-agent');
+const A2ATracer = require('@/protocols/a2a-tracing');
+const { parseTraceparent, formatTraceparent, SpanStatusCode } = require('@/protocols/a2a-tracing');
+
+describe('A2A tracing', () => {
+  const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const SPAN_ID = '00f067aa0ba902b7';
+
+  describe('traceparent', () => {
+    test('should parse and format W3C traceparent headers', () => {
+      const context = parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`);
+
+      expect(context).toEqual({ traceId: TRACE_ID, spanId: SPAN_ID, sampled: true });
+      expect(formatTraceparent(context)).toBe(`00-${TRACE_ID}-${SPAN_ID}-01`);
+    });
+
+    test('should reject malformed or invalid traceparent headers', () => {
+      expect(parseTraceparent('garbage')).toBeNull();
+      expect(parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`)).toBeNull();
+      expect(parseTraceparent(`ff-${TRACE_ID}-${SPAN_ID}-01`)).toBeNull();
+      expect(parseTraceparent(undefined)).toBeNull();
+    });
+  });
+
+  describe('router integration', () => {
+    let tracer;
+    let router;
+    let dialogAgent;
+    let recommendationAgent;
+
+    beforeEach(() => {
+      tracer = new A2ATracer();
+      router = new A2ARouter({ defaultTimeout: 0, tracer });
+
+      dialogAgent = new A2ABaseAgent('dialogAgent', router);
+      recommendationAgent = new A2ABaseAgent('productRecommendationAgent', router);
+
+      dialogAgent.registerMessageHandler('userMessage', async (message, context) => {
+        await tracer.trace('llm.generateContent', { attributes: { 'llm.system': 'gemini' } }, async () => 'ok');
+        return await dialogAgent.sendMessage('productRecommendationAgent', 'request', 'getRecommendation', {
+          sessionId: message.payload.sessionId
+        }, { parent: context });
+      });
+
+      recommendationAgent.registerMessageHandler('getRecommendation', async (message) => {
+        await tracer.trace('algolia.search', {}, async () => []);
+        await recommendationAgent.sendMessage('dialogAgent', 'response', 'recommendationResult', {
+          sessionId: message.payload.sessionId
+        });
+        return { success: true };
+      });
+
+      dialogAgent.registerMessageHandler('recommendationResult', async () => ({ success: true }));
+    });
+
+    const sendUserMessage = (overrides = {}) => router.sendMessage({
+      fromAgent: 'apiGateway',
+      toAgent: 'dialogAgent',
+      messageType: 'request',
+      intent: 'userMessage',
+      payload: { sessionId: 's1' },
+      ...overrides
+    });
+
+    test('should record nested agent hops and external calls as one trace', async () => {
+      await sendUserMessage();
+
+      const traces = tracer.getSessionTraces('s1');
+      expect(traces).toHaveLength(1);
+      expect(traces[0].spanCount).toBe(5);
+
+      const [root] = traces[0].spans;
+      expect(root.name).toBe('dialogAgent.processMessage');
+      expect(root.parentSpanId).toBeNull();
+      expect(root.status.code).toBe(SpanStatusCode.OK);
+      expect(root.children.map(span => span.name)).toEqual(['llm.generateContent', 'productRecommendationAgent.processMessage']);
+
+      const recommendation = root.children[1];
+      expect(recommendation.attributes).toEqual(expect.objectContaining({
+        'a2a.from_agent': 'dialogAgent',
+        'a2a.intent': 'getRecommendation',
+        'session.id': 's1'
+      }));
+      expect(recommendation.children.map(span => span.name)).toEqual(['algolia.search', 'dialogAgent.processMessage']);
+      expect(recommendation.children[1].attributes['a2a.intent']).toBe('recommendationResult');
+    });
+
+    test('should continue an incoming trace and record handler errors', async () => {
+      dialogAgent.registerMessageHandler('userMessage', async () => {
+        throw new Error('boom');
+      });
+
+      await expect(sendUserMessage({ traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` })).rejects.toThrow('boom');
+
+      const [span] = tracer.getSpans({ traceId: TRACE_ID });
+      expect(span.parentSpanId).toBe(SPAN_ID);
+      expect(span.status).toEqual({ code: SpanStatusCode.ERROR, message: 'boom' });
+      expect(span.events[0].attributes['exception.message']).toBe('boom');
+    });
+
+    test('should export finished spans as OTLP-JSON in batches', async () => {
+      const exporter = { export: jest.fn().mockResolvedValue() };
+      tracer.exporter = exporter;
+
+      await sendUserMessage();
+      expect(exporter.export).not.toHaveBeenCalled();
+
+      await tracer.flush();
+
+      expect(exporter.export).toHaveBeenCalledTimes(1);
+      const [payload] = exporter.export.mock.calls[0];
+      const { resource, scopeSpans } = payload.resourceSpans[0];
+      expect(resource.attributes[0]).toEqual({ key: 'service.name', value: { stringValue: 'lg-a2a-shopping-assistant' } });
+      expect(scopeSpans[0].spans).toHaveLength(5);
+      expect(scopeSpans[0].spans[0]).toEqual(expect.objectContaining({
+        traceId: expect.stringMatching(/^[0-9a-f]{32}$/),
+        startTimeUnixNano: expect.stringMatching(/^\d+$/),
+        attributes: expect.arrayContaining([{ key: 'llm.system', value: { stringValue: 'gemini' } }])
+      }));
+      expect(tracer.exportQueue).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const AlgoliaSearchService = require('@/services/search/algolia-search-service');
+const MemorySearchIndex = require('@/services/search/memory-search-index');
+const { compileFilters } = require('@/services/search/memory-search-index');
+const { SpecVectorStore } = require('@/services/search/spec-vectors');
+const appConfig = require('../../config');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const products = [
+  {
+    id: 'TV-OLED-65', name: 'OLED TV 65', category: 'tv', subCategory: 'oled-tv', price: 8999,
+    rating: { average: 4.8, count: 10 }, lastCrawledAt: '2026-10-17T00:00:00.000Z'
+  },
+  {
+    id: 'TV-LED-50', name: 'LED TV 50', category: 'tv', subCategory: 'led-tv', price: 2499,
+    reviews: { averageRating: 4, totalReviews: 5 }, lastCrawledAt: '2026-08-01T00:00:00.000Z'
+  },
+  {
+    id: 'REF-400', name: 'Geladeira 400L', category: 'refrigerator', subCategory: 'french-door', price: 5499,
+    rating: 4.5, lastCrawledAt: '2026-10-10T00:00:00.000Z'
+  }
+];
+
+describe('AlgoliaSearchService listings', () => {
+  let index;
+  let service;
+
+  beforeEach(async () => {
+    jest.setSystemTime(new Date('2026-10-19T00:00:00.000Z'));
+    index = new MemorySearchIndex();
+    service = new AlgoliaSearchService({
+      index,
+      vectorStore: new SpecVectorStore(),
+      featuredProducts: [
+        { productId: 'MISSING' },
+        { productId: 'REF-400', categories: ['refrigerator'] },
+        { productId: 'TV-LED-50' },
+        { productId: 'TV-OLED-65', endsAt: '2026-10-01T00:00:00.000Z' }
+      ]
+    });
+    service.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    await service.indexProducts(products);
+  });
+
+  test('should rank popular products by views, cart adds and ratings within a category', async () => {
+    expect((await service.getPopularProducts('tv', 5)).map(product => product.id)).toEqual(['TV-OLED-65', 'TV-LED-50']);
+
+    await service.recordProductInteraction('TV-LED-50', 'cartAdd');
+    await service.recordProductInteraction('TV-LED-50', 'cartAdd');
+    await service.recordProductInteraction('TV-LED-50', 'view');
+    await service.recordProductInteraction('TV-LED-50', 'view');
+    await service.recordProductInteraction('MISSING', 'view');
+    expect((await service.getPopularProducts('tv', 5)).map(product => product.id)).toEqual(['TV-OLED-65', 'TV-LED-50']);
+
+    expect(await service.flushInteractions()).toBe(2);
+    const popular = await service.getPopularProducts('tv', 5);
+    expect(popular.map(product => product.id)).toEqual(['TV-LED-50', 'TV-OLED-65']);
+    expect(popular[0]).toEqual(expect.objectContaining({ viewCount: 2, cartAddCount: 2 }));
+    expect((await service.getPopularProducts(undefined, 1))).toHaveLength(1);
+    expect(await service.getProductById('MISSING')).toBeNull();
+  });
+
+  test('should batch interactions into a single Increment update per flush', async () => {
+    const partialUpdateObjects = jest.spyOn(service.index, 'partialUpdateObjects');
+
+    await Promise.all([
+      service.recordProductInteraction('TV-LED-50', 'view'),
+      service.recordProductInteraction('TV-LED-50', 'view'),
+      service.recordProductInteraction('REF-400', 'cartAdd')
+    ]);
+    expect(partialUpdateObjects).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(appConfig.recommendation.listings.interactionFlushMs);
+
+    expect(partialUpdateObjects).toHaveBeenCalledTimes(1);
+    expect(partialUpdateObjects).toHaveBeenCalledWith([
+      { objectID: 'TV-LED-50', viewCount: { _operation: 'Increment', value: 2 }, popularity: { _operation: 'Increment', value: 2 } },
+      { objectID: 'REF-400', cartAddCount: { _operation: 'Increment', value: 1 }, popularity: { _operation: 'Increment', value: 5 } }
+    ], { createIfNotExists: false });
+    expect(await service.flushInteractions()).toBe(0);
+  });
+
+  test('should return featured products in list order, skipping expired and missing entries', async () => {
+    expect((await service.getFeaturedProducts(undefined, 5)).map(product => product.id)).toEqual(['REF-400', 'TV-LED-50']);
+    expect((await service.getFeaturedProducts('tv', 5)).map(product => product.id)).toEqual(['TV-LED-50']);
+    expect((await service.getFeaturedProducts('led-tv', 5)).map(product => product.id)).toEqual(['TV-LED-50']);
+    expect(await service.getFeaturedProducts('french-door', 5)).toEqual([]);
+  });
+
+  test('should list new arrivals by first crawl time and keep it when re-indexed', async () => {
+    expect((await service.getNewArrivals(undefined, 5)).map(product => product.id)).toEqual(['TV-OLED-65', 'REF-400']);
+
+    await service.recordProductInteraction('REF-400', 'view');
+    await service.flushInteractions();
+    jest.setSystemTime(new Date('2026-10-19T00:00:00.000Z').getTime() + DAY);
+    await service.indexProducts([{ ...products[2], lastCrawledAt: '2026-10-20T00:00:00.000Z' }]);
+
+    const [refrigerator] = await service.getNewArrivals('refrigerator', 5);
+    expect(refrigerator.firstSeenAt).toBe('2026-10-10T00:00:00.000Z');
+    expect(refrigerator).toEqual(expect.objectContaining({ viewCount: 1, cartAddCount: 0, crossSellAcceptCount: 0 }));
+  });
+
+  test('should evaluate Algolia filter syntax in the memory index', () => {
+    const matches = compileFilters('(category:"tv" OR subCategory:"tv") AND NOT objectID:TV-LED-50 AND price >= 5000');
+
+    expect(matches({ objectID: 'TV-OLED-65', category: 'tv', price: 8999 })).toBe(true);
+    expect(matches({ objectID: 'TV-LED-50', category: 'tv', price: 8999 })).toBe(false);
+    expect(matches({ objectID: 'X', category: 'audio', subCategory: 'TV', price: 6000 })).toBe(true);
+    expect(() => compileFilters('category:tv AND (')).toThrow();
+  });
+});
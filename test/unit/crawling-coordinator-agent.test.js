@@ -277,4 +277,27 @@ describe('CrawlingCoordinatorAgent', () => {
     // Should call runScheduledCrawling
     expect(crawlingAgent.runScheduledCrawling).toHaveBeenCalled();
   });
+
+  test('should report checkout analysis progress to the caller', async () => {
+    const apifyClient = {
+      actor: jest.fn().mockReturnValue({ call: jest.fn().mockResolvedValue({ defaultDatasetId: 'ds1' }) }),
+      dataset: jest.fn().mockReturnValue({
+        listItems: jest.fn().mockResolvedValue({ items: [{ url: 'https://www.lge.com/br/cart', html: 'carrinho' }] })
+      })
+    };
+    const cacheService = {
+      getCheckoutProcess: jest.fn().mockResolvedValue(null),
+      setCheckoutProcess: jest.fn().mockResolvedValue(true)
+    };
+    const agent = new CrawlingCoordinatorAgent(mockRouter, apifyClient, mockAlgoliaService, cacheService);
+    const context = { emit: jest.fn() };
+
+    const result = await agent.messageHandlers.get('crawlCheckoutProcess')({
+      payload: { productUrl: 'https://www.lge.com/br/tvs/oled55c3' }
+    }, context);
+
+    expect(result).toEqual(expect.objectContaining({ success: true, source: 'crawl' }));
+    expect(context.emit.mock.calls.map(([event]) => event.step)).toEqual(['cache', 'crawl', 'collect', 'analyzeSteps']);
+    expect(context.emit).toHaveBeenCalledWith(expect.objectContaining({ type: 'progress', progress: 0.8 }));
+  });
 });
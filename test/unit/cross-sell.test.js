@@ -0,0 +1,161 @@
+const CartAgent = require('@/agents/cart/cart-agent');
+const AlgoliaSearchService = require('@/services/search/algolia-search-service');
+const { boughtWithCounts } = require('@/services/search/algolia-search-service');
+const MemorySearchIndex = require('@/services/search/memory-search-index');
+const CrawlingCoordinatorAgent = require('@/agents/crawling-coordinator/crawling-coordinator-agent');
+const { selectCrossSellOffers, describeCrossSellOffers } = require('@/agents/cart/cross-sell');
+const { SpecVectorStore } = require('@/services/search/spec-vectors');
+const config = require('../../config');
+
+const products = [
+  { id: 'TV-OLED-65', name: 'OLED TV 65', category: 'tv', subCategory: 'oled-tv', price: 8999, relatedProductIds: ['TV-LED-50', 'SB-S90'] },
+  { id: 'TV-LED-50', name: 'LED TV 50', category: 'tv', subCategory: 'led-tv', price: 2499 },
+  { id: 'MOUNT-1', name: 'Suporte de parede', category: 'tv-accessory', subCategory: 'wall-mount', price: 199 },
+  { id: 'MOUNT-2', name: 'Suporte articulado', category: 'tv-accessory', subCategory: 'wall-mount', price: 399, stockStatus: 'OUT_OF_STOCK' },
+  { id: 'SB-S90', name: 'Soundbar S90', category: 'soundbar', price: 2499 },
+  { id: 'SB-S40', name: 'Soundbar S40', category: 'soundbar', price: 999 },
+  { id: 'AC-SPLIT', name: 'Ar-condicionado Split', category: 'air-conditioner', subCategory: 'split', price: 2799 },
+  { id: 'KIT-1', name: 'Kit de instalação', category: 'ac-accessory', subCategory: 'installation-kit', price: 349 }
+];
+
+describe('cross-sell', () => {
+  let searchService;
+  let sessions;
+  let cartAgent;
+
+  beforeEach(async () => {
+    searchService = new AlgoliaSearchService({
+      index: new MemorySearchIndex(),
+      featuredProducts: [],
+      vectorStore: new SpecVectorStore()
+    });
+    searchService.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    await searchService.indexProducts(products);
+
+    sessions = { s1: { cart: { items: [], totalItems: 0, totalPrice: 0 } } };
+    const sessionService = {
+      getSession: jest.fn(async id => sessions[id]),
+      updateSession: jest.fn(async (id, data) => Object.assign(sessions[id], data)),
+      getCart: jest.fn(async id => sessions[id].cart),
+      addToCart: jest.fn(async (id, product, quantity) => {
+        const { cart } = sessions[id];
+        cart.items.push({ product, quantity });
+        cart.totalItems += quantity;
+        cart.totalPrice += product.price * quantity;
+        return cart;
+      })
+    };
+
+    const router = {
+      registerAgent: jest.fn(),
+      sendMessage: jest.fn(async message => (message.intent === 'checkProductStock'
+        ? { success: true, stockInfo: { available: true } }
+        : {}))
+    };
+    cartAgent = new CartAgent(router, {}, sessionService, searchService, {});
+    cartAgent.logger = { info: jest.fn(), warn: jest.fn(), debug: jest.fn(), error: jest.fn() };
+  });
+
+  test('should offer the top accessories when an OLED TV is added', async () => {
+    const result = await cartAgent.messageHandlers.get('addToCart')({
+      payload: { sessionId: 's1', productId: 'TV-OLED-65' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.crossSell.offers.map(offer => [offer.productId, offer.source])).toEqual([
+      ['SB-S90', 'accessory'],
+      ['MOUNT-1', 'accessory']
+    ]);
+    expect(result.crossSell.offers[0].reason).toBe('som de cinema para a sua OLED');
+    expect(result.response).toContain('Que tal levar também:\n- Soundbar S90 (R$ 2499.00)');
+    expect(sessions.s1.crossSellOffers).toEqual([
+      expect.objectContaining({ productId: 'SB-S90', sourceProductId: 'TV-OLED-65', status: 'offered' }),
+      expect.objectContaining({ productId: 'MOUNT-1', sourceProductId: 'TV-OLED-65', status: 'offered' })
+    ]);
+  });
+
+  test('should fall back to English for other locales and give every offer a unique id', async () => {
+    const tv = await searchService.getProductById('TV-OLED-65');
+    const first = await selectCrossSellOffers(tv, [], searchService, config.cart.crossSell, 'es-ES');
+    const second = await selectCrossSellOffers(tv, [], searchService, config.cart.crossSell, 'es-ES');
+
+    expect(first.map(offer => offer.reason)).toEqual(['cinema sound for your OLED', 'wall mount to install your TV']);
+    expect(describeCrossSellOffers(first, 'es-ES')).toMatch(/^You might also like:\n/);
+    expect(first[0].productId).toBe(second[0].productId);
+    expect(new Set([...first, ...second].map(offer => offer.offerId)).size).toBe(4);
+  });
+
+  test('should offer related products crawled from the product page once indexed', async () => {
+    const html = `
+      <h1 class="product-name">OLED TV 77</h1><span class="price">R$ 12.999,00</span>
+      <section class="related-products">
+        <div class="card"><a href="/br/product/TV-LED-50">LED TV 50</a></div>
+        <div class="card"><a href="https://www.lge.com/br/product/SB-S40?ref=related">Soundbar S40</a></div>
+        <div class="card"><a href="/br/product/TV-OLED-77">OLED TV 77</a></div>
+      </section>
+      <footer><a href="/br/product/AC-SPLIT">Ar-condicionado</a></footer>`;
+    const apifyClient = {
+      actor: jest.fn().mockReturnValue({ call: jest.fn().mockResolvedValue({ defaultDatasetId: 'ds1' }) }),
+      dataset: jest.fn().mockReturnValue({
+        listItems: jest.fn().mockResolvedValue({ items: [{ url: 'https://www.lge.com/br/product/TV-OLED-77', html }] })
+      })
+    };
+    const cacheService = { getProduct: jest.fn().mockResolvedValue(null), setProduct: jest.fn().mockResolvedValue(true) };
+    const coordinator = new CrawlingCoordinatorAgent({ registerAgent: jest.fn() }, apifyClient, { initIndex: () => searchService.index }, cacheService);
+    coordinator.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    const crawled = await coordinator.messageHandlers.get('crawlProductInfo')({
+      payload: { url: 'https://www.lge.com/br/product/TV-OLED-77' }
+    });
+    expect(crawled.success).toBe(true);
+
+    const indexed = await searchService.getProductById('TV-OLED-77');
+    expect(indexed.relatedProductIds).toEqual(['TV-LED-50', 'SB-S40']);
+
+    const offers = await selectCrossSellOffers(indexed, [], searchService, { ...config.cart.crossSell, accessoryRules: [] });
+    expect(offers.map(offer => [offer.productId, offer.source])).toEqual([['TV-LED-50', 'related'], ['SB-S40', 'related']]);
+  });
+
+  test('should track an accepted offer in the session and the search index', async () => {
+    const first = await cartAgent.messageHandlers.get('addToCart')({
+      payload: { sessionId: 's1', productId: 'TV-OLED-65' }
+    });
+    const offer = first.crossSell.offers[1];
+
+    const accepted = await cartAgent.messageHandlers.get('addToCart')({
+      payload: { sessionId: 's1', productId: 'MOUNT-1', crossSellOfferId: offer.offerId }
+    });
+
+    expect(accepted.crossSell).toEqual({ offers: [], acceptedOfferId: offer.offerId });
+    expect(sessions.s1.crossSellOffers[1]).toEqual(expect.objectContaining({ offerId: offer.offerId, status: 'accepted' }));
+    await searchService.flushInteractions();
+    expect((await searchService.getProductById('MOUNT-1')).crossSellAcceptCount).toBe(1);
+
+    const unknown = await cartAgent.messageHandlers.get('addToCart')({
+      payload: { sessionId: 's1', productId: 'SB-S40', crossSellOfferId: 'offer_unknown' }
+    });
+    expect(unknown.crossSell.acceptedOfferId).toBeNull();
+  });
+
+  test('should rank frequently bought together products from completed carts', async () => {
+    await searchService.recordCompletedCart(['AC-SPLIT', 'TV-LED-50']);
+    await Promise.all([
+      searchService.recordCompletedCart(['AC-SPLIT', 'TV-LED-50', 'AC-SPLIT']),
+      searchService.recordCompletedCart(['AC-SPLIT', 'TV-LED-50', 'GHOST-1'])
+    ]);
+    const airConditioner = await searchService.getProductById('AC-SPLIT');
+
+    expect(airConditioner['boughtWith_TV-LED-50']).toBe(3);
+    expect(boughtWithCounts(airConditioner)).toEqual({ 'TV-LED-50': 3, 'GHOST-1': 1 });
+    expect(await searchService.getProductById('GHOST-1')).toBeNull();
+
+    const offers = await selectCrossSellOffers(airConditioner, [], searchService, config.cart.crossSell, 'ko');
+    expect(offers.map(offer => [offer.productId, offer.reason])).toEqual([
+      ['TV-LED-50', '함께 구매한 고객이 많은 제품'],
+      ['KIT-1', '스플릿 에어컨 설치 키트']
+    ]);
+
+    const strict = await selectCrossSellOffers(airConditioner, [], searchService, { ...config.cart.crossSell, minCoOccurrence: 4 });
+    expect(strict.map(offer => offer.productId)).toEqual(['KIT-1']);
+  });
+});
@@ -1,4 +1,7 @@
 const DialogAgent = require('@/agents/dialog/dialog-agent');
+const { A2ATimeoutError } = require('@/protocols/a2a-errors');
+const A2ARouter = require('@/protocols/a2a-router');
+const A2AMessageJournal = require('@/protocols/a2a-message-journal');
 
 describe('DialogAgent', () => {
   let dialogAgent;
@@ -132,4 +135,371 @@ describe('DialogAgent', () => {
     );
     expect(result).toBe('Mocked Gemini response');
   });
+
+  describe('downstream deadlines', () => {
+    let agent;
+    let router;
+
+    beforeEach(() => {
+      router = {
+        registerAgent: jest.fn(),
+        sendMessage: jest.fn()
+      };
+      const sessionService = {
+        getSession: jest.fn().mockResolvedValue({}),
+        addConversationMessage: jest.fn(),
+        getConversationHistory: jest.fn().mockResolvedValue([])
+      };
+      agent = new DialogAgent(router, mockPromptManager, sessionService);
+    });
+
+    test('should forward the parent context and per-agent timeout', async () => {
+      router.sendMessage.mockResolvedValue({ response: 'Aqui estão as TVs' });
+      const parent = { correlationId: 'corr_1', deadline: '2025-05-19T15:31:00.000Z' };
+
+      const response = await agent.handleProductSearch('session1', 'TV OLED', { filters: {} }, 'pt-BR', parent);
+
+      expect(response).toBe('Aqui estão as TVs');
+      expect(router.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          toAgent: 'productRecommendationAgent',
+          correlationId: 'corr_1',
+          deadline: parent.deadline
+        }),
+        { timeout: agent.downstreamTimeouts.productRecommendationAgent }
+      );
+    });
+
+    test('should fall back gracefully when the recommendation agent times out', async () => {
+      router.sendMessage.mockRejectedValue(new A2ATimeoutError({
+        messageId: 'msg_1',
+        toAgent: 'productRecommendationAgent',
+        intent: 'getRecommendation'
+      }, 15000));
+
+      const response = await agent.handleProductSearch('session1', 'TV OLED', { filters: {} }, 'pt-BR');
+
+      expect(response).toContain('demorando mais do que o esperado');
+    });
+
+    test('should still propagate non-timeout errors', async () => {
+      router.sendMessage.mockRejectedValue(new Error('Agent cartAgent not registered'));
+
+      await expect(
+        agent.handleCartOperation('session1', 'ver carrinho', { operation: 'getCart' }, 'pt-BR')
+      ).rejects.toThrow('Agent cartAgent not registered');
+    });
+  });
+
+  describe('conversation summary', () => {
+    let agent;
+    let sessionService;
+    let promptManager;
+
+    const turns = count => Array.from({ length: count }, (_, i) => ({
+      role: i % 2 ? 'assistant' : 'user',
+      content: `mensagem ${i}`
+    }));
+
+    beforeEach(() => {
+      sessionService = {
+        updateSession: jest.fn().mockResolvedValue(true)
+      };
+      promptManager = {
+        summarizeConversation: jest.fn().mockResolvedValue('Cliente procura TV OLED de 55"')
+      };
+      agent = new DialogAgent({ registerAgent: jest.fn() }, promptManager, sessionService);
+      agent.summaryOptions = { triggerMessages: 6, keepRecentMessages: 2 };
+    });
+
+    test('should fold older turns into a rolling summary stored in the session', async () => {
+      const session = {
+        conversationHistory: turns(9),
+        conversationSummary: { text: 'Resumo anterior', summarizedCount: 2 }
+      };
+
+      const conversation = await agent.prepareConversation('session1', session, 'e a de 65?');
+
+      const [, previousSummary, folded] = promptManager.summarizeConversation.mock.calls[0];
+      expect(previousSummary).toBe('Resumo anterior');
+      expect(folded.map(turn => turn.content)).toEqual(['mensagem 2', 'mensagem 3', 'mensagem 4', 'mensagem 5', 'mensagem 6', 'mensagem 7']);
+      expect(conversation).toEqual({
+        summary: 'Cliente procura TV OLED de 55"',
+        history: [{ role: 'user', content: 'mensagem 8' }, { role: 'user', content: 'e a de 65?' }]
+      });
+      expect(sessionService.updateSession).toHaveBeenCalledWith('session1', {
+        conversationSummary: expect.objectContaining({ text: 'Cliente procura TV OLED de 55"', summarizedCount: 8 })
+      });
+    });
+
+    test('should keep unsummarized turns when below the threshold or when summarization fails', async () => {
+      const short = await agent.prepareConversation('session1', { conversationHistory: turns(3) }, 'oi');
+      expect(short).toEqual({ summary: '', history: [...turns(3), { role: 'user', content: 'oi' }] });
+
+      promptManager.summarizeConversation.mockRejectedValue(new Error('quota exceeded'));
+      const failed = await agent.prepareConversation('session1', { conversationHistory: turns(8) }, 'oi');
+
+      expect(failed.history).toHaveLength(9);
+      expect(sessionService.updateSession).not.toHaveBeenCalled();
+    });
+  });
+  describe('tool calling loop', () => {
+    let agent;
+    let router;
+    let promptManager;
+
+    const catalog = {
+      agents: [
+        {
+          agentId: 'productRecommendationAgent',
+          intents: [{
+            intent: 'getRecommendation',
+            description: 'Recomenda produtos',
+            payloadSchema: {
+              type: 'object',
+              properties: { sessionId: { type: 'string' }, userQuery: { type: 'string' }, language: { type: 'string' } },
+              required: ['userQuery']
+            }
+          }]
+        },
+        {
+          agentId: 'cartAgent',
+          intents: [{
+            intent: 'addToCart',
+            description: 'Adiciona ao carrinho',
+            payloadSchema: {
+              type: 'object',
+              properties: { sessionId: { type: 'string' }, productId: { type: 'string' }, quantity: { type: 'integer' } },
+              required: ['sessionId', 'productId']
+            }
+          }]
+        }
+      ]
+    };
+
+    const sendUserMessage = userMessage => agent.processMessage({
+      intent: 'userMessage',
+      payload: { sessionId: 'session1', userMessage, language: 'pt-BR' }
+    });
+
+    beforeEach(() => {
+      router = {
+        registerAgent: jest.fn(),
+        describe: jest.fn().mockReturnValue(catalog),
+        sendMessage: jest.fn(async message => (message.intent === 'getRecommendation'
+          ? { success: true, products: [{ id: 'OLED55C3', price: 6999 }, { id: 'QNED80', price: 4599 }] }
+          : { success: true, response: 'Produto adicionado ao carrinho!' }))
+      };
+      promptManager = {
+        analyzeIntent: jest.fn().mockResolvedValue({
+          type: 'comparison',
+          confidence: 0.9,
+          intents: [{ type: 'comparison', confidence: 0.9, slots: {} }]
+        }),
+        generateStructuredResponse: jest.fn()
+      };
+      const sessionService = {
+        getSession: jest.fn().mockResolvedValue({}),
+        addConversationMessage: jest.fn()
+      };
+      agent = new DialogAgent(router, promptManager, sessionService);
+      agent.toolLoopOptions = {
+        enabled: true,
+        maxSteps: 2,
+        maxResultLength: 2000,
+        tools: [
+          { agentId: 'productRecommendationAgent', intent: 'getRecommendation' },
+          { agentId: 'cartAgent', intent: 'addToCart' },
+          { agentId: 'crawlingCoordinatorAgent', intent: 'checkProductStock' }
+        ]
+      };
+    });
+
+    test('should chain tool calls and return the full trace', async () => {
+      agent.toolLoopOptions.maxSteps = 3;
+      promptManager.generateStructuredResponse
+        .mockResolvedValueOnce({ action: 'callTool', tool: 'getRecommendation', arguments: { userQuery: 'OLED55C3 ou QNED80' } })
+        .mockResolvedValueOnce({ action: 'callTool', tool: 'addToCart', arguments: { productId: 'QNED80', quantity: 1 } })
+        .mockResolvedValueOnce({ action: 'respond', response: 'A QNED80 é mais barata e foi adicionada ao carrinho.' });
+
+      const result = await sendUserMessage('Compare a OLED55C3 e a QNED80 e adicione a mais barata ao carrinho');
+
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        response: 'A QNED80 é mais barata e foi adicionada ao carrinho.',
+        intent: 'toolLoop',
+        stepLimitReached: false
+      }));
+      expect(result.toolCalls).toEqual([
+        expect.objectContaining({ step: 1, tool: 'getRecommendation', agentId: 'productRecommendationAgent', success: true }),
+        expect.objectContaining({ step: 2, tool: 'addToCart', agentId: 'cartAgent', success: true, error: null })
+      ]);
+      expect(router.sendMessage).toHaveBeenLastCalledWith(expect.objectContaining({
+        toAgent: 'cartAgent',
+        intent: 'addToCart',
+        payload: { productId: 'QNED80', quantity: 1, sessionId: 'session1', language: 'pt-BR' }
+      }), { timeout: agent.downstreamTimeouts.cartAgent });
+
+      const [, templateId, data] = promptManager.generateStructuredResponse.mock.calls[1];
+      expect(templateId).toBe('dialogToolStep');
+      expect(data.intents).toEqual([{ type: 'comparison', confidence: 0.9, slots: {} }]);
+      expect(data.tools.map(tool => tool.name)).toEqual(['getRecommendation', 'addToCart']);
+      expect(data.tools[1].parameters.required).toEqual(['productId']);
+      expect(data.steps[0].observation).toContain('"price":4599');
+    });
+
+    test('should report invalid tool calls to the model and stop at the step limit', async () => {
+      promptManager.generateStructuredResponse.mockResolvedValue({ action: 'callTool', tool: 'addToCart', arguments: {} });
+
+      const result = await sendUserMessage('Adicione ao carrinho');
+
+      expect(promptManager.generateStructuredResponse).toHaveBeenCalledTimes(3);
+      expect(promptManager.generateStructuredResponse.mock.calls[2][2]).toEqual(expect.objectContaining({
+        stepLimitReached: true,
+        steps: [
+          expect.objectContaining({ step: 1, observation: expect.stringContaining('must have required property') }),
+          expect.objectContaining({ step: 2 })
+        ]
+      }));
+      expect(router.sendMessage).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ success: true, stepLimitReached: true }));
+      expect(result.toolCalls).toHaveLength(2);
+      expect(result.response).toContain('não consegui concluir');
+    });
+  });
+  describe('intent ranking and clarification', () => {
+    let agent;
+    let router;
+    let promptManager;
+
+    const sendUserMessage = userMessage => agent.processMessage({
+      intent: 'userMessage',
+      payload: { sessionId: 'session1', userMessage, language: 'pt-BR' }
+    });
+
+    beforeEach(() => {
+      router = {
+        registerAgent: jest.fn(),
+        sendMessage: jest.fn().mockResolvedValue({ response: 'Aqui estão as geladeiras' })
+      };
+      promptManager = {
+        analyzeIntent: jest.fn(),
+        generateGeminiResponse: jest.fn().mockResolvedValue('O frete é grátis acima de R$ 299.')
+      };
+      const sessionService = {
+        getSession: jest.fn().mockResolvedValue({}),
+        addConversationMessage: jest.fn()
+      };
+      agent = new DialogAgent(router, promptManager, sessionService);
+      agent.toolLoopOptions = { ...agent.toolLoopOptions, enabled: false };
+      agent.intentOptions = { clarificationThreshold: 0.6, maxIntents: 3 };
+    });
+
+    test('should handle every confident intent in order', async () => {
+      promptManager.analyzeIntent.mockResolvedValue({
+        type: 'productSearch',
+        confidence: 0.9,
+        intents: [
+          { type: 'productSearch', confidence: 0.9, slots: { filters: { categories: ['geladeira'] } } },
+          { type: 'generalQuery', confidence: 0.8, slots: { topic: 'frete' } },
+          { type: 'cartOperation', confidence: 0.3, slots: { operation: 'getCart' } }
+        ]
+      });
+
+      const result = await sendUserMessage('Quero uma geladeira, e quanto custa o frete?');
+
+      expect(promptManager.analyzeIntent).toHaveBeenCalledWith(
+        'session1', 'Quero uma geladeira, e quanto custa o frete?', expect.any(Array), '', 'pt-BR'
+      );
+      expect(router.sendMessage).toHaveBeenCalledTimes(1);
+      expect(router.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        intent: 'getRecommendation',
+        payload: expect.objectContaining({ filters: { categories: ['geladeira'] } })
+      }), expect.any(Object));
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        response: 'Aqui estão as geladeiras\n\nO frete é grátis acima de R$ 299.',
+        intent: 'productSearch',
+        intents: expect.arrayContaining([expect.objectContaining({ type: 'generalQuery', confidence: 0.8 })])
+      }));
+    });
+
+    test('should ask a clarifying question instead of guessing when confidence is low', async () => {
+      promptManager.analyzeIntent.mockResolvedValueOnce({
+        type: 'cartOperation',
+        confidence: 0.45,
+        intents: [
+          { type: 'cartOperation', confidence: 0.45, slots: {} },
+          { type: 'purchaseIntent', confidence: 0.4, slots: {} }
+        ],
+        clarificationQuestion: null
+      }).mockResolvedValueOnce({
+        type: 'productSearch',
+        confidence: 0.5,
+        intents: [{ type: 'productSearch', confidence: 0.5, slots: {} }],
+        clarificationQuestion: 'Você procura uma TV ou um monitor?'
+      });
+
+      const fallback = await sendUserMessage('quero essa');
+      const suggested = await sendUserMessage('uma tela grande');
+
+      expect(fallback).toEqual(expect.objectContaining({
+        intent: 'clarification',
+        response: expect.stringContaining('alterar o seu carrinho ou comprar um produto')
+      }));
+      expect(suggested.response).toBe('Você procura uma TV ou um monitor?');
+      expect(router.sendMessage).not.toHaveBeenCalled();
+      expect(promptManager.generateGeminiResponse).not.toHaveBeenCalled();
+    });
+
+    test('should delegate comparisons and return the comparison table', async () => {
+      const comparison = { products: [{ id: 'OLED65C3' }, { id: '65UR8750' }], rows: [], verdict: 'O OLED65C3 é melhor.' };
+      router.sendMessage.mockResolvedValue({ success: true, response: comparison.verdict, comparison });
+      promptManager.analyzeIntent.mockResolvedValueOnce({
+        type: 'comparison',
+        confidence: 0.9,
+        intents: [{ type: 'comparison', confidence: 0.9, slots: { comparisonProducts: ['OLED65C3', '65UR8750'] } }]
+      }).mockResolvedValueOnce({
+        type: 'comparison',
+        confidence: 0.9,
+        intents: [{ type: 'comparison', confidence: 0.9, slots: { comparisonProducts: ['OLED65C3'] } }]
+      });
+
+      const result = await sendUserMessage('Compare a OLED65C3 com a 65UR8750');
+      const incomplete = await sendUserMessage('Compare a OLED65C3');
+
+      expect(router.sendMessage).toHaveBeenCalledTimes(1);
+      expect(router.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        toAgent: 'productComparisonAgent',
+        intent: 'compareProducts',
+        payload: expect.objectContaining({ productIds: ['OLED65C3', '65UR8750'], userQuery: 'Compare a OLED65C3 com a 65UR8750' })
+      }), expect.any(Object));
+      expect(result).toEqual(expect.objectContaining({ response: 'O OLED65C3 é melhor.', intent: 'comparison', comparison }));
+      expect(incomplete.response).toContain('Quais produtos você gostaria de comparar?');
+      expect(incomplete.comparison).toBeUndefined();
+    });
+  });
+  describe('external API messages', () => {
+    test('should route user messages through the router so they are correlated and journaled', async () => {
+      const journal = new A2AMessageJournal();
+      const router = new A2ARouter({ defaultTimeout: 0, journal });
+      const agent = new DialogAgent(router, mockPromptManager);
+      const handler = jest.fn(async message => ({ success: true, sessionId: message.payload.sessionId, response: 'Olá!' }));
+      agent.registerMessageHandler('userMessage', handler);
+
+      const response = await agent.processUserMessage('s1', 'Oi', 'pt-BR');
+      const [entry] = journal.getEntries({ kind: 'request' });
+
+      expect(response).toEqual({ success: true, sessionId: 's1', response: 'Olá!' });
+      expect(handler.mock.calls[0][0].correlationId).toEqual(expect.any(String));
+      expect(entry).toEqual(expect.objectContaining({
+        fromAgent: 'api',
+        toAgent: 'dialogAgent',
+        intent: 'userMessage',
+        sessionId: 's1',
+        external: true,
+        correlationId: handler.mock.calls[0][0].correlationId
+      }));
+    });
+  });
 });
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HybridSearchService = require('@/services/search/hybrid-search-service');
+const MemorySearchIndex = require('@/services/search/memory-search-index');
+const VectorIndex = require('@/services/search/vector-index');
+const { SpecVectorStore } = require('@/services/search/spec-vectors');
+const { reciprocalRankFusion } = require('@/services/search/rank-fusion');
+const { searchServiceFactory, SearchServiceType } = require('@/storage/search');
+
+const products = [
+  {
+    id: 'TV-GAME', name: 'Smart TV LG OLED evo 55" C3', category: 'tv', price: 5999,
+    description: 'Pretos perfeitos e resposta instantânea.',
+    features: ['Game Optimizer', 'HDMI 2.1', 'VRR e G-Sync', '120Hz'],
+    specifications: { 'Tamanho da Tela': '55 polegadas' }
+  },
+  {
+    id: 'TV-CINEMA', name: 'Smart TV LG NanoCell 65" NANO80', category: 'tv', price: 4299,
+    description: 'Cores puras para filmes e séries.',
+    features: ['Dolby Vision', 'HDR10', 'webOS'],
+    specifications: { 'Tamanho da Tela': '65 polegadas' }
+  },
+  {
+    id: 'TV-BASIC', name: 'Smart TV LG LED 43" UR78', category: 'tv', price: 1999,
+    description: 'Smart TV 4K com webOS.',
+    features: ['webOS', 'ThinQ AI'],
+    specifications: { 'Tamanho da Tela': '43 polegadas' }
+  },
+  {
+    id: 'REF-COMPACT', name: 'Geladeira LG Frost Free 250L Inox', category: 'refrigerator', price: 2899,
+    description: 'Geladeira compacta e de baixo ruído.',
+    features: ['Inverter Linear', 'Door Cooling+'],
+    specifications: { 'Capacidade': '250 litros' }
+  },
+  {
+    id: 'REF-LARGE', name: 'Geladeira LG French Door 600L', category: 'refrigerator', price: 12999,
+    description: 'Muito espaço para a família grande.',
+    features: ['Inverter Linear', 'InstaView', 'Door-in-Door'],
+    specifications: { 'Capacidade': '600 litros' }
+  }
+];
+
+const createService = (vectorIndex, embedder) => {
+  const service = new HybridSearchService({
+    index: new MemorySearchIndex(),
+    featuredProducts: [],
+    vectorStore: new SpecVectorStore(),
+    vectorIndex,
+    embedder
+  });
+  service.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  return service;
+};
+
+describe('hybrid semantic search', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = createService(new VectorIndex());
+    await service.indexProducts(products);
+  });
+
+  test('should fuse rankings by reciprocal rank and favor results found by both searches', () => {
+    const fused = reciprocalRankFusion({ keyword: ['A', 'B', 'C'], semantic: ['C', 'D'] }, 60);
+
+    expect(fused.map(result => result.id)).toEqual(['C', 'A', 'B', 'D']);
+    expect(fused[0]).toEqual({ id: 'C', score: 1 / 63 + 1 / 61, ranks: { keyword: 3, semantic: 1 } });
+    expect(fused[3].ranks).toEqual({ keyword: null, semantic: 2 });
+  });
+
+  test.each([
+    ['TV boa para jogar videogame', 'TV-GAME'],
+    ['geladeira silenciosa para apartamento pequeno', 'REF-COMPACT']
+  ])('should find "%s" by meaning when keyword search has no hits', async (query, expectedId) => {
+    const keywordOnly = await service.index.search(query);
+    const result = await service.searchProducts(query, { hitsPerPage: 3 });
+
+    expect(keywordOnly.nbHits).toBe(0);
+    expect(result.hits[0].objectID).toBe(expectedId);
+    expect(result.hits[0]._hybrid.ranks).toEqual({ keyword: null, semantic: 1 });
+    expect(result).toEqual(expect.objectContaining({ page: 0, hitsPerPage: 3, query }));
+  });
+
+  test('should keep keyword matches first and apply filters to semantic results', async () => {
+    const keyword = await service.searchProducts('OLED');
+    expect(keyword.hits[0]._hybrid.ranks.keyword).toBe(1);
+    expect(keyword.hits[0].objectID).toBe('TV-GAME');
+
+    const filtered = await service.searchProducts('TV boa para jogar videogame', { filters: 'price <= 3000' });
+    expect(filtered.hits.map(hit => hit.objectID)).not.toContain('TV-GAME');
+    expect(filtered.hits.every(hit => hit.price <= 3000)).toBe(true);
+  });
+
+  test('should reuse stored embeddings from the on-disk index for unchanged products', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-index-'));
+    const file = path.join(dir, 'vector-index.json');
+    try {
+      const first = createService(new VectorIndex(file));
+      await first.indexProducts(products);
+      expect(first.logger.info).toHaveBeenCalledWith('제품 임베딩 완료: 5개 계산, 0개 재사용');
+
+      const reloaded = createService(new VectorIndex(file));
+      expect(reloaded.vectorIndex.size).toBe(5);
+      await reloaded.indexProducts([...products.slice(0, 4), { ...products[4], description: 'Nova descrição.' }]);
+      expect(reloaded.logger.info).toHaveBeenCalledWith('제품 임베딩 완료: 1개 계산, 4개 재사용');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should refuse stored vectors from a different embedding model until re-indexed', async () => {
+    const vectorIndex = new VectorIndex();
+    const current = createService(vectorIndex);
+    await createService(vectorIndex, { modelId: 'old-model', embed: text => current.embedder.embed(text) }).indexProducts(products);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      await current.index.saveObjects(products.map(product => ({ objectID: product.id, ...product })));
+      const result = await current.searchProducts('TV boa para jogar videogame');
+
+      expect(vectorIndex.query(current.embedder.embed('videogame'), 5, 0, current.embedder.modelId)).toEqual([]);
+      expect(result.nbHits).toBe(0);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('old-model'));
+
+      await current.indexProducts(products);
+      expect((await current.searchProducts('TV boa para jogar videogame')).hits[0].objectID).toBe('TV-GAME');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('should be selectable as the hybrid search service type', async () => {
+    const hybrid = searchServiceFactory.createSearchService(SearchServiceType.HYBRID, {
+      keywordType: SearchServiceType.IN_MEMORY,
+      keywordOptions: { searchFields: ['name', 'description'], threshold: 0.2 },
+      conceptsFile: path.join(__dirname, '..', '..', 'config', 'semantic-concepts.json')
+    });
+    await hybrid.addRecords(products);
+
+    const result = await hybrid.search('geladeira silenciosa para apartamento pequeno');
+    expect(result.hits[0].objectID).toBe('REF-COMPACT');
+
+    await hybrid.deleteRecords(['REF-COMPACT']);
+    const afterDelete = await hybrid.search('geladeira silenciosa para apartamento pequeno');
+    expect(afterDelete.hits.map(hit => hit.objectID)).not.toContain('REF-COMPACT');
+  });
+
+  test('should default the hybrid keyword search to Algolia', () => {
+    expect(() => searchServiceFactory.createSearchService(SearchServiceType.HYBRID, {}))
+      .toThrow('appId is required for AlgoliaSearchService');
+  });
+});
@@ -0,0 +1,145 @@
+const LLMGateway = require('@/services/llm/llm-gateway');
+const { LLMGatewayError } = require('@/services/llm/llm-gateway');
+const { FakeProvider } = require('@/services/llm/llm-providers');
+const MCPGeminiPromptManager = require('@/services/llm/mcp-gemini-prompt-manager');
+const MCPContextManager = require('@/protocols/mcp-context-manager');
+
+describe('LLMGateway', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+
+  const createGateway = (options = {}) => new LLMGateway({
+    routes: {
+      default: ['primary:model-a', 'backup:model-b'],
+      conversationSummary: ['backup:model-b']
+    },
+    pricing: { 'model-a': { input: 1, output: 2 }, 'model-b': { input: 0.5, output: 0.5 } },
+    circuitBreaker: { failureThreshold: 2, resetTimeout: 1000 },
+    logger,
+    ...options
+  });
+
+  test('should return deterministic responses from the fake provider', async () => {
+    const gateway = new LLMGateway({ routes: { default: ['fake:test'] }, cache: { enabled: false }, logger });
+    gateway.registerProvider('fake', new FakeProvider({ responses: [{ match: /intent/, text: '{"type":"productSearch"}' }] }));
+
+    const first = await gateway.generate('hello');
+    const second = await gateway.generate('hello');
+
+    expect(first.text).toBe(second.text);
+    expect(first.text).toMatch(/^\[fake:test\] [0-9a-f]{12}$/);
+    expect(await gateway.generateText('analyze intent')).toBe('{"type":"productSearch"}');
+  });
+
+  test('should fall back to the next provider and route by task', async () => {
+    const primary = new FakeProvider({ fail: true });
+    const backup = new FakeProvider({ defaultText: 'from backup' });
+    const gateway = createGateway({ cache: { enabled: false } });
+    gateway.registerProvider('primary', primary).registerProvider('backup', backup);
+
+    const result = await gateway.generate('oi', { task: 'productSearch' });
+    expect(result).toEqual(expect.objectContaining({ text: 'from backup', provider: 'backup', model: 'model-b' }));
+
+    await gateway.generate('resumo', { task: 'conversationSummary' });
+    expect(primary.calls).toHaveLength(1);
+
+    // 두 번째 실패로 primary 회로가 열리면 호출하지 않고 건너뜀
+    await gateway.generate('oi de novo');
+    await gateway.generate('mais uma vez');
+    expect(primary.calls).toHaveLength(2);
+
+    backup.fail = true;
+    await expect(gateway.generate('falha')).rejects.toThrow(LLMGatewayError);
+    await expect(gateway.generate('falha 2')).rejects.toEqual(expect.objectContaining({
+      attempts: [
+        expect.objectContaining({ provider: 'primary', skipped: true }),
+        expect.objectContaining({ provider: 'backup', error: expect.stringContaining('fake provider failure') })
+      ]
+    }));
+  });
+
+  test('should cache responses and account usage and cost per session', async () => {
+    const primary = new FakeProvider({ defaultText: 'x'.repeat(8) });
+    const gateway = createGateway({ cache: { ttl: 1000 } });
+    gateway.registerProvider('primary', primary);
+
+    const prompt = 'y'.repeat(40);
+    const first = await gateway.generate(prompt, { sessionId: 's1' });
+    const second = await gateway.generate(prompt, { sessionId: 's1' });
+    await gateway.generate(prompt, { sessionId: 's1', temperature: 0 });
+
+    expect(first.usage).toEqual({ inputTokens: 10, outputTokens: 2, cost: (10 * 1 + 2 * 2) / 1000 });
+    expect(second.cached).toBe(true);
+    expect(primary.calls).toHaveLength(2);
+    expect(gateway.getUsage('s1')).toEqual(expect.objectContaining({
+      requests: 3,
+      cachedRequests: 1,
+      inputTokens: 20,
+      outputTokens: 4,
+      cost: 0.028
+    }));
+    expect(gateway.getUsage('s1').byProvider['primary:model-a'].requests).toBe(2);
+
+    jest.advanceTimersByTime(1000);
+    await gateway.generate(prompt, { sessionId: 's2' });
+    expect(primary.calls).toHaveLength(3);
+  });
+
+  test('should keep usage only for recent sessions', async () => {
+    const gateway = createGateway({ usage: { ttl: 1000, maxEntries: 2 } });
+    gateway.registerProvider('primary', new FakeProvider());
+
+    await gateway.generate('a', { sessionId: 's1' });
+    await gateway.generate('b', { sessionId: 's2' });
+    await gateway.generate('c', { sessionId: 's1' });
+    await gateway.generate('d', { sessionId: 's3' });
+
+    expect(gateway.getUsage('s2')).toBeNull();
+    expect(gateway.listUsage().map(entry => entry.sessionId)).toEqual(['s3', 's1']);
+    expect(gateway.listUsage(1)[0]).toEqual(expect.objectContaining({ sessionId: 's3', requests: 1 }));
+
+    jest.advanceTimersByTime(1000);
+    expect(gateway.getUsage('s1')).toBeNull();
+    expect(gateway.listUsage()).toEqual([]);
+    expect(gateway.usage.size).toBe(0);
+  });
+
+  test('should throttle calls per provider to the configured rate limit', async () => {
+    const primary = new FakeProvider();
+    const backup = new FakeProvider();
+    const gateway = createGateway({
+      cache: { enabled: false },
+      rateLimits: { primary: { maxRequests: 2, perSeconds: 60 } },
+      routes: { default: ['primary:model-a'], conversationSummary: ['backup:model-b'] }
+    });
+    gateway.registerProvider('primary', primary).registerProvider('backup', backup);
+
+    const results = ['a', 'b', 'c'].map(prompt => gateway.generate(prompt));
+    const unthrottled = await gateway.generate('d', { task: 'conversationSummary' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(primary.calls).toHaveLength(2);
+    expect(backup.calls).toHaveLength(1);
+    expect(unthrottled.provider).toBe('backup');
+
+    await jest.advanceTimersByTimeAsync(59999);
+    expect(primary.calls).toHaveLength(2);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await Promise.all(results);
+    expect(primary.calls).toHaveLength(3);
+  });
+
+  test('should generate MCP responses through the gateway', async () => {
+    const gateway = new LLMGateway({ routes: { default: ['fake:test'] }, logger });
+    gateway.registerProvider('fake', new FakeProvider({ responses: [{ match: 'TV OLED', text: 'Recomendo a LG OLED C3.' }] }));
+    const contextManager = new MCPContextManager();
+    contextManager.logger = logger;
+    const promptManager = new MCPGeminiPromptManager(contextManager, { gateway });
+    promptManager.logger = logger;
+
+    const response = await promptManager.generateGeminiResponse('user1', 'productSearch', { userQuery: 'TV OLED' });
+
+    expect(response).toBe('Recomendo a LG OLED C3.');
+    expect(gateway.getUsage('user1').byProvider['fake:test'].requests).toBe(1);
+  });
+});
@@ -0,0 +1,100 @@
+const LLMGateway = require('@/services/llm/llm-gateway');
+const { FakeProvider } = require('@/services/llm/llm-providers');
+const {
+  StructuredOutputError,
+  extractJson,
+  getStructuredOutputStats,
+  resetStructuredOutputStats
+} = require('@/services/llm/llm-structured-output');
+const outputSchemas = require('@/services/llm/llm-output-schemas');
+const MCPGeminiPromptManager = require('@/services/llm/mcp-gemini-prompt-manager');
+const MCPContextManager = require('@/protocols/mcp-context-manager');
+
+describe('LLM structured output', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), debug: jest.fn(), error: jest.fn() };
+
+  const createGateway = responses => {
+    const provider = new FakeProvider({ responses });
+    const gateway = new LLMGateway({ routes: { default: ['fake:test'] }, cache: { enabled: false }, logger });
+    gateway.registerProvider('fake', provider);
+    return { gateway, provider };
+  };
+
+  beforeEach(() => {
+    resetStructuredOutputStats();
+  });
+
+  test('should extract JSON from code fences and trailing prose', () => {
+    expect(extractJson('{"type":"productSearch"}')).toEqual({ value: { type: 'productSearch' }, extracted: false });
+    expect(extractJson('```json\n{"type":"cartOperation"}\n```')).toEqual({ value: { type: 'cartOperation' }, extracted: true });
+    expect(extractJson('Claro! {"intent":"getCart","note":"a } b"} Espero ter ajudado.').value)
+      .toEqual({ intent: 'getCart', note: 'a } b' });
+    expect(() => extractJson('Desculpe, não entendi.')).toThrow(SyntaxError);
+  });
+
+  test('should request JSON mode and repair invalid output with the validation errors', async () => {
+    const { gateway, provider } = createGateway([
+      { match: '# 이전 응답', text: '{"intent":"addToCart","productId":"OLED65C3","quantity":1,"confidence":0.9}' },
+      { match: 'carrinho', text: 'Aqui está:\n```json\n{"intent":"adicionar","confidence":"alta"}\n```' }
+    ]);
+
+    const result = await gateway.generateStructured('Adicione a TV ao carrinho', outputSchemas.cartIntent, { task: 'extractCartIntent' });
+
+    expect(result).toEqual(expect.objectContaining({
+      data: { intent: 'addToCart', productId: 'OLED65C3', quantity: 1, confidence: 0.9 },
+      provider: 'fake',
+      repairs: 1
+    }));
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls[0].options.responseFormat).toBe('json');
+    expect(provider.calls[1].prompt).toContain('/intent: must be equal to one of the allowed values');
+    expect(provider.calls[1].prompt).toContain('/confidence: must be number');
+    expect(getStructuredOutputStats('extractCartIntent')).toEqual({
+      requests: 1, parsed: 0, extracted: 0, repaired: 1, repairAttempts: 1, failed: 0
+    });
+  });
+
+  test('should fail with StructuredOutputError after the repair attempts', async () => {
+    const { gateway, provider } = createGateway([{ match: /.*/, text: 'não sei' }]);
+
+    await expect(gateway.generateStructured('Olá', outputSchemas.intentAnalysis, { task: 'intentAnalysis', maxRepairs: 1 }))
+      .rejects.toEqual(expect.objectContaining({
+        code: 'LLM_STRUCTURED_OUTPUT_INVALID',
+        attempts: [expect.objectContaining({ text: 'não sei' }), expect.objectContaining({ text: 'não sei' })]
+      }));
+    expect(provider.calls).toHaveLength(2);
+    expect(getStructuredOutputStats()).toEqual({
+      intentAnalysis: { requests: 1, parsed: 0, extracted: 0, repaired: 0, repairAttempts: 1, failed: 1 }
+    });
+  });
+
+  test('should rank multiple intents from fenced responses and fall back to generalQuery', async () => {
+    const { gateway } = createGateway([
+      {
+        match: 'geladeira',
+        text: '```json\n{"intents":['
+          + '{"type":"generalQuery","confidence":0.8,"slots":{"topic":"frete"}},'
+          + '{"type":"productSearch","confidence":0.9,"slots":{"filters":{"categories":["geladeira"]}}}]}\n```'
+      },
+      { match: /.*/, text: '{"type":"chitchat"}' }
+    ]);
+    const contextManager = new MCPContextManager();
+    contextManager.logger = logger;
+    const promptManager = new MCPGeminiPromptManager(contextManager, { gateway });
+    promptManager.logger = logger;
+
+    expect(await promptManager.analyzeIntent('user1', 'Quero uma geladeira, e quanto custa o frete?')).toEqual({
+      type: 'productSearch',
+      confidence: 0.9,
+      filters: { categories: ['geladeira'] },
+      intents: [
+        { type: 'productSearch', confidence: 0.9, slots: { filters: { categories: ['geladeira'] } } },
+        { type: 'generalQuery', confidence: 0.8, slots: { topic: 'frete' } }
+      ],
+      clarificationQuestion: null
+    });
+    expect(await promptManager.analyzeIntent('user1', 'Bom dia')).toEqual(expect.objectContaining({ type: 'generalQuery', intents: [] }));
+    expect(logger.error).toHaveBeenCalledWith('의도 분석 오류:', expect.any(StructuredOutputError));
+    expect(getStructuredOutputStats('intentAnalysis')).toEqual(expect.objectContaining({ extracted: 1, failed: 1 }));
+  });
+});
@@ -1,4 +1,5 @@
 const MCPContextManager = require('@/protocols/mcp-context-manager');
+const { PromptTemplateError } = require('@/protocols/mcp-prompt-registry');
 
 describe('MCPContextManager', () => {
   let contextManager;
@@ -82,20 +83,19 @@ describe('MCPContextManager', () => {
     }).toThrow(`Template ${nonExistentTemplate} not found`);
   });
 
-  test('should handle missing user context', () => {
+  test('should reject missing variables when there is no user context', () => {
     const unknownUserId = 'unknown';
     const templateId = 'testTemplate';
     const template = 'Hello {{name}}, welcome!';
     
     contextManager.registerTemplate(templateId, template);
     
-    const prompt = contextManager.generatePrompt(unknownUserId, templateId);
-    
-    // Should keep the placeholder as is
-    expect(prompt).toBe('Hello {{name}}, welcome!');
+    expect(() => {
+      contextManager.generatePrompt(unknownUserId, templateId);
+    }).toThrow(PromptTemplateError);
   });
 
-  test('should leave unmatched placeholders unchanged', () => {
+  test('should report every missing variable', () => {
     const userId = 'user123';
     const templateId = 'testTemplate';
     const template = 'Hello {{name}}, your ID is {{userId}}!';
@@ -103,9 +103,21 @@ describe('MCPContextManager', () => {
     contextManager.registerTemplate(templateId, template);
     contextManager.storeContext(userId, { name: 'John' });
     
-    const prompt = contextManager.generatePrompt(userId, templateId);
+    // name comes from the stored context, userId is missing
+    expect(() => {
+      contextManager.generatePrompt(userId, templateId);
+    }).toThrow(expect.objectContaining({ code: 'PROMPT_VARIABLE_MISSING', variables: ['userId'] }));
+    expect(contextManager.generatePrompt(userId, templateId, { userId: 'u-1' })).toBe('Hello John, your ID is u-1!');
+  });
+
+  test('should load registry templates from prompts/ with a language variant', () => {
+    const prompt = contextManager.generatePrompt('user123', 'generalQuery', {
+      userMessage: 'Qual o horário da loja?',
+      language: 'pt-BR'
+    });
     
-    // Only name should be replaced, userId remains a placeholder
-    expect(prompt).toBe('Hello John, your ID is {{userId}}!');
+    expect(contextManager.hasTemplate('generalQuery')).toBe(true);
+    expect(prompt).toContain('Qual o horário da loja?');
+    expect(prompt).not.toMatch(/\{\{\w+\}\}/);
   });
 });
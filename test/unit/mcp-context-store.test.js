@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPContextManager } = require('@/services/mcp-context-manager');
+const { MCPContextStore, createContextStore } = require('@/services/mcp-context-store');
+const { MemoryRepository } = require('@/storage/repositories/memory.repository');
+
+describe('MCP context store backends', () => {
+  const TTL = 60 * 1000;
+
+  describe('memory backend', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new MCPContextManager({
+        contextStore: { backend: 'memory', sweepInterval: 0 },
+        expirationTime: TTL
+      });
+    });
+
+    test('should merge stored context and keep expiry on partial updates', async () => {
+      await manager.storeContext('user1', { name: 'Ana' });
+      const { expiresAt } = await manager.getContext('user1');
+
+      jest.advanceTimersByTime(1000);
+      await manager.storeContext('user1', { city: 'São Paulo' });
+      await manager.updateContext('user1', 'cart', ['prod1']);
+
+      const context = await manager.getContext('user1');
+      expect(context).toEqual(expect.objectContaining({ name: 'Ana', city: 'São Paulo', cart: ['prod1'] }));
+      expect(new Date(context.expiresAt).getTime()).toBe(new Date(expiresAt).getTime() + 1000);
+      expect(await manager.generatePrompt('user1', 'missing').catch(error => error.message)).toBe('Template missing not found');
+    });
+
+    test('should let the backend hide and purge expired contexts', async () => {
+      await manager.storeContext('user1', { name: 'Ana' });
+      await manager.storeContext('user2', { name: 'Bruno' }, TTL * 2);
+
+      jest.advanceTimersByTime(TTL);
+
+      expect(await manager.getContext('user1')).toBeNull();
+      expect(await manager.getContextValue('user2', 'name')).toBe('Bruno');
+      expect(await manager.cleanupExpiredContexts()).toBe(0);
+    });
+  });
+
+  test('should sweep expired entities on the repository interval', async () => {
+    const repository = new MemoryRepository({ ttlField: 'expiresAt', sweepInterval: 1000 });
+    const store = new MCPContextStore(repository);
+
+    await store.set('user1', { name: 'Ana' }, 500);
+    expect(await repository.count()).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(repository.entities.size).toBe(0);
+    repository.destroy();
+  });
+
+  describe('json_file backend', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-context-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('should keep context across instances and drop expired entries on load', async () => {
+      const options = { backend: 'json_file', dataDir, saveInterval: 0, sweepInterval: 0 };
+      const first = createContextStore(options);
+      await first.set('user1', { name: 'Ana' }, TTL);
+      await first.set('user2', { name: 'Bruno' }, TTL * 2);
+
+      const second = new MCPContextManager({ contextStore: options });
+      expect(await second.getContextValue('user1', 'name')).toBe('Ana');
+
+      jest.advanceTimersByTime(TTL);
+
+      const third = createContextStore(options);
+      expect(await third.get('user1')).toBeNull();
+      expect(third.repository.entities.size).toBe(1);
+      expect(await third.get('user2')).toEqual(expect.objectContaining({ name: 'Bruno' }));
+    });
+  });
+
+  test('should reject unknown backends', () => {
+    expect(() => createContextStore({ backend: 'redis' })).toThrow('Unknown context store backend: redis');
+  });
+});
@@ -0,0 +1,64 @@
+const PromptBudget = require('@/protocols/mcp-prompt-budget');
+const { estimateTokens } = require('@/protocols/mcp-prompt-budget');
+const MCPContextManager = require('@/protocols/mcp-context-manager');
+
+describe('PromptBudget', () => {
+  const turn = (role, index) => ({ role, content: `message number ${index} `.padEnd(40, '.') });
+
+  test('should drop the oldest turns first and report usage per slot', () => {
+    const budget = new PromptBudget({
+      maxTokens: 60,
+      slots: { conversationHistory: { priority: 1, maxTokens: 40 } }
+    });
+    const history = Array.from({ length: 6 }, (_, i) => turn(i % 2 ? 'assistant' : 'user', i));
+
+    const { prompt, usage } = budget.assemble('History:\n{{conversationHistory}}\nQ: {{userMessage}}', {
+      conversationHistory: history,
+      userMessage: 'oi'
+    });
+
+    expect(prompt).toContain('assistant: message number 5');
+    expect(prompt).not.toContain('message number 0');
+    expect(usage.slots.conversationHistory.dropped).toBeGreaterThan(0);
+    expect(usage.slots.conversationHistory.tokens).toBeLessThanOrEqual(40);
+    expect(usage.totalTokens).toBeLessThanOrEqual(60);
+  });
+
+  test('should fill slots by priority and pass unused budget to the next slot', () => {
+    const budget = new PromptBudget({
+      maxTokens: 50,
+      slots: {
+        collectedInfo: { priority: 2 },
+        productContext: { priority: 1, maxTokens: 100 }
+      }
+    });
+
+    const { prompt, usage } = budget.assemble('{{productContext}}|{{collectedInfo}}', {
+      productContext: { name: 'LG OLED C3' },
+      collectedInfo: 'x'.repeat(400)
+    });
+
+    expect(prompt.startsWith('{"name":"LG OLED C3"}|')).toBe(true);
+    expect(usage.slots.productContext.budget).toBe(50 - usage.fixedTokens);
+    expect(usage.slots.collectedInfo.budget).toBe(usage.slots.productContext.budget - usage.slots.productContext.tokens);
+    expect(usage.slots.collectedInfo.truncated).toBe(true);
+    expect(prompt.endsWith('…')).toBe(true);
+    expect(usage.totalTokens).toBeLessThanOrEqual(50);
+  });
+
+  test('should apply the budget in MCPContextManager.generatePrompt', () => {
+    const contextManager = new MCPContextManager({
+      promptBudget: new PromptBudget({ maxTokens: 30, slots: { productContext: { priority: 1 } } })
+    });
+    contextManager.logger = { info: jest.fn(), debug: jest.fn() };
+    contextManager.registerTemplate('search', 'Produtos: {{productContext}} / {{userQuery}}');
+    contextManager.storeContext('user1', { productContext: [{ sku: 'A' }, { sku: 'B' }].concat(Array(20).fill({ sku: 'old' })) });
+
+    const { prompt, usage } = contextManager.assemblePrompt('user1', 'search', { userQuery: 'tv' });
+
+    expect(prompt).toContain('/ tv');
+    expect(estimateTokens(prompt)).toBe(usage.totalTokens);
+    expect(usage.totalTokens).toBeLessThanOrEqual(30);
+    expect(contextManager.generatePrompt('user1', 'search', { userQuery: 'tv' })).toBe(prompt);
+  });
+});
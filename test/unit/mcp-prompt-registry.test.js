@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PromptTemplateRegistry = require('@/protocols/mcp-prompt-registry');
+const { PromptTemplateError, diffTemplateVersions } = require('@/protocols/mcp-prompt-registry');
+
+describe('PromptTemplateRegistry', () => {
+  const registry = new PromptTemplateRegistry({ dir: path.resolve(__dirname, '../../prompts') });
+
+  test('should load every template version and language from prompts/', () => {
+    expect(registry.list()).toEqual(expect.arrayContaining([
+      'productSearch', 'purchaseProcess', 'intentAnalysis', 'formatRecommendations', 'conversationSummary', 'generalQuery'
+    ]));
+    expect(registry.getVersions('intentAnalysis')).toEqual([1, 2, 3]);
+    expect(Object.keys(registry.get('productSearch').languages).sort()).toEqual(['en', 'ko', 'pt-BR']);
+  });
+
+  test('should apply defaults and fall back to the default language', () => {
+    const resolved = registry.resolve('productSearch', { userQuery: 'TV OLED' }, { language: 'es' });
+
+    expect(resolved.language).toBe('ko');
+    expect(resolved.version).toBe(1);
+    expect(resolved.values.userQuery).toBe('TV OLED');
+    expect(resolved.values.recentSearches).toEqual([]);
+    expect(registry.resolve('productSearch', { userQuery: 'TV' }, { language: 'pt-BR' }).text)
+      .toBe(registry.get('productSearch').languages['pt-BR']);
+  });
+
+  test('should reject missing and mistyped variables', () => {
+    expect(() => registry.resolve('formatRecommendations', { userQuery: 'tv' }))
+      .toThrow(expect.objectContaining({ code: 'PROMPT_VARIABLE_MISSING', variables: ['recommendations'] }));
+    expect(() => registry.resolve('intentAnalysis', { userMessage: 42 }))
+      .toThrow(expect.objectContaining({ code: 'PROMPT_VARIABLE_TYPE', variables: ['userMessage'] }));
+    expect(() => registry.get('intentAnalysis', { version: 9 })).toThrow(PromptTemplateError);
+  });
+
+  test('should pin versions and diff them', () => {
+    expect(registry.resolve('intentAnalysis', { userMessage: 'oi' }, { version: 1 }).text)
+      .not.toContain('comparisonProducts');
+    expect(registry.resolve('intentAnalysis', { userMessage: 'oi' }).text).toContain('comparisonProducts');
+
+    const diff = diffTemplateVersions(registry, 'intentAnalysis', 1, 2);
+    expect(diff.variables.added).toEqual(['conversationSummary']);
+    expect(diff.languages.ko.some(line => line.type === '+' && line.line.includes('{{conversationSummary}}'))).toBe(true);
+  });
+
+  describe('loading', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+      fs.mkdirSync(path.join(dir, 'greeting', 'v1'), { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should reject placeholders that are not declared as variables', () => {
+      fs.writeFileSync(path.join(dir, 'greeting', 'v1', 'template.json'), JSON.stringify({
+        variables: { name: { type: 'string', required: true } }
+      }));
+      fs.writeFileSync(path.join(dir, 'greeting', 'v1', 'en.txt'), 'Hello {{name}}, from {{store}}');
+
+      expect(() => new PromptTemplateRegistry({ dir }))
+        .toThrow(expect.objectContaining({ code: 'PROMPT_TEMPLATE_INVALID' }));
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { render, extractVariables } = require('@/protocols/mcp-prompt-template');
+const { PromptTemplateError } = require('@/protocols/mcp-prompt-errors');
+const MCPContextManager = require('@/protocols/mcp-context-manager');
+
+describe('MCP prompt template rendering', () => {
+  test('should render sections only when the value has items and iterate arrays', () => {
+    const template = [
+      'Olá {{user.name}}',
+      '{{#cart}}',
+      'Carrinho:',
+      '{{#items}}',
+      '- {{name}} x{{quantity}}',
+      '{{/items}}',
+      '{{/cart}}',
+      '{{^cart}}',
+      'Carrinho vazio',
+      '{{/cart}}',
+      'Fim'
+    ].join('\n');
+
+    expect(render(template, {
+      user: { name: 'Ana' },
+      cart: { items: [{ name: 'TV', quantity: 1 }, { name: 'Soundbar', quantity: 2 }] }
+    })).toBe('Olá Ana\nCarrinho:\n- TV x1\n- Soundbar x2\nFim');
+    expect(render(template, { user: { name: 'Ana' }, cart: null })).toBe('Olá Ana\nCarrinho vazio\nFim');
+  });
+
+  test('should stringify objects and apply formatters', () => {
+    const prompt = render('{{filters}} | {{filters | json}} | {{price | price}} | {{createdAt | date}} | {{missing}}', {
+      filters: { category: 'tv' },
+      price: 1234.5,
+      createdAt: '2025-05-19T15:30:00Z'
+    });
+
+    expect(prompt).toBe('{"category":"tv"} | {"category":"tv"} | R$ 1.234,50 | 19/05/2025 | ');
+    expect(prompt).not.toContain('[object Object]');
+  });
+
+  test('should render partials with the current values and reject bad templates', () => {
+    const partials = { header: 'Loja {{store}}' };
+
+    expect(render('{{> header}}\n{{#items}}{{.}};{{/items}}', { store: 'LG', items: ['a', 'b'] }, {
+      partials: id => partials[id]
+    })).toBe('Loja LG\na;b;');
+    expect(() => render('{{> footer}}', {}, { partials: id => partials[id] })).toThrow(PromptTemplateError);
+    expect(() => render('{{#items}}open')).toThrow(expect.objectContaining({ code: 'PROMPT_TEMPLATE_INVALID' }));
+    expect(() => render('{{price | upper}}')).toThrow(expect.objectContaining({ code: 'PROMPT_TEMPLATE_INVALID' }));
+    expect(() => render('{{price + 1}}')).toThrow(PromptTemplateError);
+  });
+
+  test('should separate top-level variables from fields inside sections', () => {
+    expect(extractVariables('{{userQuery}} {{#recommendations}}{{name}}{{/recommendations}} {{> header}}')).toEqual({
+      variables: ['userQuery'],
+      sections: ['recommendations'],
+      nested: ['name'],
+      partials: ['header']
+    });
+  });
+
+  test('should treat sections as optional in MCPContextManager inline templates', () => {
+    const contextManager = new MCPContextManager({ promptBudget: null });
+    contextManager.logger = { info: jest.fn(), debug: jest.fn() };
+    contextManager.registerTemplate('cartSummary', '{{#cart}}{{> cartLine}}{{/cart}}{{^cart}}Carrinho vazio{{/cart}} / {{userQuery}}');
+    contextManager.registerTemplate('cartLine', '{{name}} {{price | price}}\n');
+
+    expect(contextManager.generatePrompt('user1', 'cartSummary', { userQuery: 'oi' })).toBe('Carrinho vazio / oi');
+    expect(contextManager.generatePrompt('user1', 'cartSummary', {
+      userQuery: 'oi',
+      cart: [{ name: 'TV', price: 100 }, { name: 'Soundbar', price: 50 }]
+    })).toBe('TV R$ 100,00\nSoundbar R$ 50,00\n / oi');
+  });
+});
@@ -0,0 +1,128 @@
+const ProductComparisonAgent = require('@/agents/product-comparison/product-comparison-agent');
+const { parseSpecValue, alignSpecifications } = require('@/utils/product-specs');
+const LLMGateway = require('@/services/llm/llm-gateway');
+const { FakeProvider } = require('@/services/llm/llm-providers');
+const MCPGeminiPromptManager = require('@/services/llm/mcp-gemini-prompt-manager');
+const MCPContextManager = require('@/protocols/mcp-context-manager');
+
+describe('ProductComparisonAgent', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), debug: jest.fn(), error: jest.fn() };
+  const products = {
+    OLED65C3: {
+      objectID: 'OLED65C3',
+      name: 'LG OLED evo C3 65"',
+      price: 8999.9,
+      rating: 4.8,
+      url: 'https://www.lg.com/br/tv/oled65c3',
+      specifications: {
+        'Tamanho da Tela': '65 polegadas',
+        'Resolução': '4K UHD',
+        'Taxa de atualização': '120 Hz',
+        'Peso': '18,6 kg'
+      }
+    },
+    '65UR8750': {
+      objectID: '65UR8750',
+      name: 'LG UHD UR8750 65"',
+      price: 3999,
+      rating: 4.5,
+      url: 'https://www.lg.com/br/tv/65ur8750',
+      specifications: {
+        screen_size: '65"',
+        resolution: '4k uhd',
+        refresh_rate: '60Hz',
+        weight: '21300 g'
+      }
+    }
+  };
+
+  let agent;
+  let searchService;
+
+  const compare = (productIds, extra = {}) => agent.processMessage({
+    intent: 'compareProducts',
+    payload: { sessionId: 'session1', productIds, language: 'pt-BR', ...extra }
+  });
+
+  beforeEach(() => {
+    searchService = {
+      getProductById: jest.fn(async productId => products[productId] || null)
+    };
+    agent = new ProductComparisonAgent({ registerAgent: jest.fn() }, searchService);
+    agent.logger = logger;
+  });
+
+  test('should normalize spec values and units', () => {
+    expect(parseSpecValue('65 polegadas')).toEqual({ number: 65, unit: 'in', display: '65"' });
+    expect(parseSpecValue('65"')).toEqual({ number: 65, unit: 'in', display: '65"' });
+    expect(parseSpecValue('1,5 kg')).toEqual({ number: 1.5, unit: 'kg', display: '1,5 kg' });
+    expect(parseSpecValue('21300 g')).toEqual({ number: 21.3, unit: 'kg', display: '21,3 kg' });
+    expect(parseSpecValue('Wi-Fi 6')).toEqual({ number: null, unit: null, display: 'Wi-Fi 6' });
+  });
+
+  test('should align specification maps by normalized key', () => {
+    const rows = alignSpecifications([products.OLED65C3, products['65UR8750'], { specifications: { Cor: 'Preto' } }]);
+
+    expect(rows.map(row => row.key)).toEqual(['screenSize', 'resolution', 'refreshRate', 'weight', 'color']);
+    expect(rows[0]).toEqual(expect.objectContaining({
+      label: 'Tamanho da Tela',
+      values: ['65"', '65"', null],
+      numbers: [null, null, null],
+      differs: true
+    }));
+    expect(rows[1].values).toEqual(['4K UHD', '4k uhd', null]);
+    expect(alignSpecifications([products.OLED65C3, products['65UR8750']])[1].differs).toBe(false);
+    expect(alignSpecifications([products.OLED65C3, products['65UR8750']])[3]).toEqual(expect.objectContaining({
+      values: ['18,6 kg', '21,3 kg'],
+      numbers: [18.6, 21.3],
+      unit: 'kg',
+      differs: true
+    }));
+  });
+
+  test('should compare products side by side with a fallback verdict', async () => {
+    const result = await compare(['OLED65C3', '65UR8750', 'OLED65C3']);
+
+    expect(searchService.getProductById).toHaveBeenCalledTimes(2);
+    expect(result.success).toBe(true);
+    expect(result.comparison.products.map(product => product.id)).toEqual(['OLED65C3', '65UR8750']);
+    expect(result.comparison.rows.map(row => row.key)).toEqual([
+      'price', 'rating', 'screenSize', 'resolution', 'refreshRate', 'weight'
+    ]);
+    expect(result.comparison.rows[0].values).toEqual(['R$\u00a08.999,90', 'R$\u00a03.999,00']);
+    expect(result.response).toBe(result.comparison.verdict);
+    expect(result.response).toBe(
+      'LG UHD UR8750 65" é o mais barato (R$\u00a03.999,00). LG OLED evo C3 65" tem a melhor avaliação (4.8). '
+      + 'Principais diferenças: Taxa de atualização (120 Hz vs 60 Hz); Peso (18,6 kg vs 21,3 kg).'
+    );
+  });
+
+  test('should reject invalid product lists and report missing products', async () => {
+    expect(await compare(['OLED65C3', 'OLED65C3'])).toEqual(expect.objectContaining({
+      success: false,
+      error: 'INVALID_PRODUCT_COUNT'
+    }));
+    expect(searchService.getProductById).not.toHaveBeenCalled();
+    expect(await compare(['OLED65C3', 'OLED77G3'])).toEqual(expect.objectContaining({
+      success: false,
+      error: 'PRODUCT_NOT_FOUND',
+      missingProductIds: ['OLED77G3']
+    }));
+  });
+
+  test('should write the verdict with the productComparison template', async () => {
+    const provider = new FakeProvider({ responses: [{ match: 'Tabela de comparação', text: ' O OLED vale a diferença. ' }] });
+    const gateway = new LLMGateway({ routes: { default: ['fake:test'] }, cache: { enabled: false }, logger });
+    gateway.registerProvider('fake', provider);
+    const contextManager = new MCPContextManager();
+    contextManager.logger = logger;
+    agent.mcpPromptManager = new MCPGeminiPromptManager(contextManager, { gateway });
+    agent.mcpPromptManager.logger = logger;
+
+    const result = await compare(['OLED65C3', '65UR8750'], { userQuery: 'Qual é melhor para jogos?' });
+
+    expect(result.response).toBe('O OLED vale a diferença.');
+    expect(provider.calls[0].prompt).toContain('Pergunta do usuário: Qual é melhor para jogos?');
+    expect(provider.calls[0].prompt).toContain('- Taxa de atualização: ["120 Hz","60 Hz"] (diferente)');
+  });
+});
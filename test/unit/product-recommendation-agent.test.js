@@ -1,4 +1,6 @@
 const ProductRecommendationAgent = require('@/agents/product-recommendation/product-recommendation-agent');
+const { parseRefinement } = require('@/agents/product-recommendation/recommendation-refinement');
+const { toBehaviorEvent, recordBehaviorEvent, buildBehaviorProfile } = require('@/utils/behavior-profile');
 
 describe('ProductRecommendationAgent', () => {
   let recommendationAgent;
@@ -148,4 +150,176 @@ describe('ProductRecommendationAgent', () => {
       })
     }));
   });
+
+  describe('conversational refinement', () => {
+    let sessions;
+
+    const recommend = userQuery => recommendationAgent.processMessage({
+      intent: 'getRecommendation',
+      payload: { sessionId: 'session1', userQuery, language: 'pt-BR' }
+    });
+    const lastSearch = () => mockAlgoliaClient.search.mock.calls[mockAlgoliaClient.search.mock.calls.length - 1][0];
+
+    beforeEach(() => {
+      sessions = {};
+      recommendationAgent.sessionService = {
+        getSession: jest.fn(async id => sessions[id] || null),
+        updateSession: jest.fn(async (id, data) => {
+          sessions[id] = { ...sessions[id], ...data };
+        })
+      };
+      mockRouter.sendMessage.mockResolvedValue({ success: true, response: 'Veja estas opções.' });
+    });
+
+    test('should parse follow-ups as filter deltas', () => {
+      const context = { prices: [1200, 800, 5000] };
+
+      expect(parseRefinement('Tem mais barato?', context).changes).toEqual([{ type: 'maxPrice', value: 1199 }]);
+      expect(parseRefinement('só OLED e maior que 55 polegadas', context).changes).toEqual([
+        { type: 'spec', key: 'screenSize', op: 'gt', value: 55 },
+        { type: 'onlyFeature', value: 'OLED' }
+      ]);
+      expect(parseRefinement('entre R$ 2.000 e R$ 4.500,50', context).changes).toEqual([
+        { type: 'minPrice', value: 2000 },
+        { type: 'maxPrice', value: 4500.5 }
+      ]);
+      expect(parseRefinement('até 3 mil reais', context).changes).toEqual([{ type: 'maxPrice', value: 3000 }]);
+      expect(parseRefinement('até 50"', context).changes).toEqual([{ type: 'spec', key: 'screenSize', op: 'lte', value: 50 }]);
+      expect(parseRefinement('Quero uma soundbar', context).changes).toEqual([]);
+    });
+
+    test('should keep the active query and apply follow-up deltas', async () => {
+      await recommend('Smart TV');
+      const cheaper = await recommend('Tem mais barato?');
+
+      expect(lastSearch()).toEqual(expect.objectContaining({ query: 'Smart TV', filters: 'price <= 999' }));
+      expect(cheaper.response).toBe('Mostrando 2 produtos até R$\u00a0999.\n\nVeja estas opções.');
+      expect(cheaper.refinement.filters).toEqual({ priceRange: '-999' });
+
+      const onlyOled = await recommend('só OLED e maior que 55 polegadas');
+
+      expect(lastSearch()).toEqual(expect.objectContaining({
+        query: 'Smart TV',
+        filters: 'price <= 999 AND (features:OLED) AND specs.screenSize > 55'
+      }));
+      expect(onlyOled.response).toMatch(/^Mostrando 2 produtos OLED, até R\$\u00a0999, tela maior que 55"\./);
+      expect(sessions.session1.recommendationState).toEqual(expect.objectContaining({
+        query: 'Smart TV',
+        filters: { priceRange: '-999', features: ['OLED'], specs: { screenSize: { gt: 55 } } },
+        prices: [1200, 800]
+      }));
+    });
+
+    test('should start a new search for unrelated queries or expired state', async () => {
+      await recommend('Smart TV');
+      const fridge = await recommend('geladeira até 5 mil');
+
+      expect(lastSearch()).toEqual(expect.objectContaining({ query: 'geladeira', filters: 'price <= 5000' }));
+      expect(fridge.refinement).toBeUndefined();
+
+      jest.advanceTimersByTime(recommendationAgent.refinementOptions.stateTtlMs + 1);
+      await recommend('mais barato');
+
+      expect(lastSearch()).toEqual(expect.objectContaining({ query: 'mais barato' }));
+    });
+  });
+
+  describe('behavior-based personalization', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.parse('2026-01-15T00:00:00Z');
+    const fridge = { objectID: 'prod3', name: 'LG Geladeira', category: 'Geladeira', price: 4200, features: ['Inverter'] };
+
+    test('should build decayed affinities from behavior events and recent searches', () => {
+      const profile = buildBehaviorProfile({
+        behaviorEvents: [
+          toBehaviorEvent('view', { id: 'tv1', category: 'TV', price: 1200, features: ['OLED'] }, now),
+          toBehaviorEvent('cartAdd', { id: 'tv2', category: 'TV', price: 1500, features: ['OLED', 'HDR'] }, now - 7 * day),
+          toBehaviorEvent('purchase', { id: 'fr1', category: 'Geladeira', price: 4000 }, now - 14 * day)
+        ],
+        recentSearches: [{ query: 'TV OLED 65', timestamp: new Date(now).toISOString(), categories: ['TV'] }]
+      }, recommendationAgent.personalizationOptions, now);
+
+      expect(profile.categories).toEqual({ TV: 1, Geladeira: 1.25 / 3 });
+      expect(profile.priceBands).toEqual({ '1000-3000': 1, '3000-6000': 0.5 });
+      expect(profile.features).toEqual({ oled: 1, hdr: 0.5 });
+      expect(profile.viewedProductIds).toEqual(['tv1']);
+      expect(profile.eventCount).toBe(4);
+    });
+
+    test('should weight checkout starts between cart additions and purchases', () => {
+      const profile = buildBehaviorProfile({
+        behaviorEvents: [
+          toBehaviorEvent('checkoutStart', { id: 'tv1', category: 'TV', price: 1200 }, now),
+          toBehaviorEvent('cartAdd', { id: 'fr1', category: 'Geladeira', price: 4000 }, now)
+        ]
+      }, recommendationAgent.personalizationOptions, now);
+
+      expect(profile.categories).toEqual({ TV: 1, Geladeira: 3 / 4 });
+      expect(() => toBehaviorEvent('checkout', {})).toThrow('알 수 없는 행동 이벤트 유형');
+    });
+
+    test('should keep only the most recent behavior events', async () => {
+      const sessions = { session1: { behaviorEvents: [toBehaviorEvent('view', { id: 'old' }, now)] } };
+      const sessionService = {
+        getSession: jest.fn(async id => sessions[id]),
+        updateSession: jest.fn(async (id, data) => { sessions[id] = { ...sessions[id], ...data }; })
+      };
+
+      await recordBehaviorEvent(sessionService, 'session1', toBehaviorEvent('cartAdd', fridge, now), 1);
+
+      expect(sessions.session1.behaviorEvents).toEqual([expect.objectContaining({ type: 'cartAdd', productId: 'prod3' })]);
+    });
+
+    test('should append behavior events atomically when the session service supports it', async () => {
+      const sessionService = {
+        appendToSessionArray: jest.fn(async (id, field, item) => [item]),
+        getSession: jest.fn(),
+        updateSession: jest.fn()
+      };
+      const event = toBehaviorEvent('view', fridge, now);
+
+      await expect(recordBehaviorEvent(sessionService, 'session1', event, 5)).resolves.toEqual([event]);
+
+      expect(sessionService.appendToSessionArray).toHaveBeenCalledWith('session1', 'behaviorEvents', event, 5);
+      expect(sessionService.getSession).not.toHaveBeenCalled();
+      expect(sessionService.updateSession).not.toHaveBeenCalled();
+    });
+
+    test('should rank recommendations with the profile and explain each choice', async () => {
+      const session = { behaviorEvents: [toBehaviorEvent('cartAdd', fridge, Date.now())] };
+      recommendationAgent.sessionService = {
+        getSession: jest.fn(async () => session),
+        updateSession: jest.fn(async (id, data) => Object.assign(session, data))
+      };
+      mockAlgoliaClient.search.mockResolvedValue({
+        hits: [
+          { objectID: 'prod1', name: 'LG OLED TV', category: 'TV', price: 1200, features: ['4K'] },
+          { objectID: 'prod2', name: 'LG UHD TV', category: 'TV', price: 800, features: ['4K'] },
+          fridge
+        ]
+      });
+      mockRouter.sendMessage.mockResolvedValue({ success: true, response: 'Veja estas opções.' });
+
+      const result = await recommendationAgent.processMessage({
+        intent: 'getRecommendation',
+        payload: { sessionId: 'session1', userQuery: 'novidades LG', language: 'pt-BR' }
+      });
+
+      expect(mockAlgoliaClient.search).toHaveBeenCalledWith(expect.objectContaining({
+        optionalFilters: ['category:Geladeira<score=5>', 'features:inverter<score=3>']
+      }));
+      const { recommendations } = mockRouter.sendMessage.mock.calls[0][0].payload;
+      expect(recommendations.map(product => product.id)).toEqual(['prod1', 'prod3', 'prod2']);
+      expect(recommendations[1].explanation).toBe(
+        'Escolhido porque você tem se interessado por Geladeira, está na faixa de preço que você costuma ver '
+        + '(R$\u00a03.000 a R$\u00a06.000) e tem Inverter, um recurso do seu interesse.'
+      );
+      expect(recommendations[0].explanation).toBeNull();
+      expect(result.personalization.items).toEqual([
+        expect.objectContaining({ productId: 'prod3', explanation: recommendations[1].explanation })
+      ]);
+      expect(session.recommendationState.explanations).toEqual({ prod3: recommendations[1].explanation });
+      expect(session.recentSearches[0]).toEqual(expect.objectContaining({ categories: ['TV', 'Geladeira'] }));
+    });
+  });
 });
@@ -395,4 +395,41 @@ describe('PurchaseProcessAgent', () => {
       })
     );
   });
+
+  describe('structured info extraction', () => {
+    const fields = [
+      { name: 'paymentType', type: 'select', required: true, description: 'Payment Method' }
+    ];
+    let promptManager;
+    let agent;
+
+    beforeEach(() => {
+      promptManager = { generateStructuredResponse: jest.fn() };
+      agent = new PurchaseProcessAgent(mockRouter, promptManager, {}, {}, {});
+      agent.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    });
+
+    test('should extract requested fields through the structured output template', async () => {
+      promptManager.generateStructuredResponse.mockResolvedValue({ paymentType: 'pix', cardNumber: '4111111111111111' });
+
+      const info = await agent.extractInfoFromUserInput('Vou pagar com pix', fields, 'pt-BR');
+
+      expect(info).toEqual({ paymentType: 'pix' });
+      expect(promptManager.generateStructuredResponse).toHaveBeenCalledWith(
+        'system',
+        'extractPurchaseInfo',
+        expect.objectContaining({ userInput: 'Vou pagar com pix', language: 'pt-BR', fieldsToExtract: expect.stringContaining('paymentType') }),
+        expect.objectContaining({ type: 'object' })
+      );
+    });
+
+    test('should return no fields when the response stays invalid after repairs', async () => {
+      promptManager.generateStructuredResponse.mockRejectedValue(
+        Object.assign(new Error('invalid structured output'), { code: 'LLM_STRUCTURED_OUTPUT_INVALID' })
+      );
+
+      await expect(agent.extractInfoFromUserInput('pix', fields)).resolves.toEqual({});
+      expect(agent.logger.error).toHaveBeenCalledWith('정보 추출 응답 검증 오류:', expect.any(Error));
+    });
+  });
 });
@@ -0,0 +1,51 @@
+const corpus = require('../fixtures/pt-br-query-corpus.json');
+const {
+  parseAmount,
+  parsePriceRange,
+  extractConstraints,
+  parseQuery
+} = require('@/agents/product-recommendation/query-parser');
+const ProductRecommendationAgent = require('@/agents/product-recommendation/product-recommendation-agent');
+
+describe('query parser', () => {
+  test.each(corpus)('should parse "$text"', ({ text, query, filters }) => {
+    const parsed = parseQuery(text);
+
+    expect(parsed.query).toBe(query);
+    expect(parsed.filters).toEqual(filters);
+  });
+
+  test('should parse pt-BR amounts and price ranges', () => {
+    expect(parseAmount('5.000')).toBe(5000);
+    expect(parseAmount('4.999,90')).toBe(4999.9);
+    expect(parseAmount('3', 'mil')).toBe(3000);
+    expect(parsePriceRange('2000-4500')).toEqual({ min: 2000, max: 4500 });
+    expect(parsePriceRange('-3000')).toEqual({ min: null, max: 3000 });
+    expect(parsePriceRange('1500')).toEqual({ min: 1500, max: null });
+    expect(parsePriceRange(undefined)).toEqual({ min: null, max: null });
+  });
+
+  test('should return the text left after removing constraints', () => {
+    const { constraints, text } = extractConstraints('TV 65" Procel A até 4 mil');
+
+    expect(constraints).toEqual([
+      { type: 'energyRating', value: 'A' },
+      { type: 'spec', key: 'screenSize', op: 'eq', value: 65 },
+      { type: 'maxPrice', value: 4000 }
+    ]);
+    expect(text.trim()).toBe('TV');
+  });
+
+  test('should translate parsed queries into Algolia numeric filters', () => {
+    const agent = new ProductRecommendationAgent({ registerAgent: jest.fn() }, {});
+    agent.logger = { info: jest.fn(), warn: jest.fn(), debug: jest.fn(), error: jest.fn() };
+
+    const search = agent.resolveSearch('geladeira de 400 litros Procel A até 5 mil', { priceRange: '-4000' });
+
+    expect(search.query).toBe('geladeira');
+    expect(agent.translateFiltersToAlgolia(search.filters)).toBe(
+      'price <= 4000 AND energyRating:A AND specs.capacity >= 360 AND specs.capacity <= 440'
+    );
+    expect(agent.translateFiltersToAlgolia({ specs: { btu: { eq: 12000 } } })).toBe('specs.btu = 12000');
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlgoliaSearchService = require('@/services/search/algolia-search-service');
+const MemorySearchIndex = require('@/services/search/memory-search-index');
+const { SpecVectorStore, toSpecVector } = require('@/services/search/spec-vectors');
+
+const products = [
+  {
+    id: 'TV-A', name: 'OLED 55', category: 'tv', price: 5000, features: ['webOS', 'ThinQ AI', 'HDR10'],
+    specifications: { 'Tamanho da Tela': '55 polegadas', 'Selo Procel': 'A' }
+  },
+  {
+    id: 'TV-B', name: 'NanoCell 55', category: 'tv', price: 4000, features: ['webOS', 'HDR10'],
+    specifications: { 'Tamanho da Tela': '55"', 'Selo Procel': 'A' }
+  },
+  {
+    id: 'TV-C', name: 'QNED 65', category: 'tv', price: 9000, features: ['webOS'],
+    specifications: { 'Tamanho da Tela': '65 polegadas', 'Selo Procel': 'B' }
+  },
+  {
+    id: 'TV-D', name: 'LED 43', category: 'tv', price: 2000, features: [],
+    specifications: { 'Tamanho da Tela': '43 polegadas', 'Selo Procel': 'C' }
+  },
+  {
+    id: 'REF-1', name: 'Geladeira 400L', category: 'refrigerator', price: 4500, features: [],
+    specifications: { 'Capacidade': '400 litros' }
+  }
+];
+
+describe('spec vector similarity', () => {
+  let vectorStore;
+  let service;
+
+  beforeEach(async () => {
+    vectorStore = new SpecVectorStore();
+    service = new AlgoliaSearchService({ index: new MemorySearchIndex(), featuredProducts: [], vectorStore });
+    service.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    await service.indexProducts(products);
+  });
+
+  test('should precompute normalized vectors per category at index time', () => {
+    expect(vectorStore.get('TV-A')).toEqual(expect.objectContaining({
+      category: 'tv',
+      specs: { screenSize: 55 },
+      energyRating: 'A',
+      vector: { screenSize: 12 / 22, energyRating: 1 }
+    }));
+    expect(vectorStore.get('TV-D').vector).toEqual({ screenSize: 0, energyRating: 1 - 2 / 6 });
+    expect(vectorStore.get('REF-1').vector).toEqual({ capacity: 1 });
+  });
+
+  test('should rank similar products and explain the matching attributes', async () => {
+    const similar = await service.recommendSimilarProducts('TV-A', 3);
+
+    expect(similar.map(product => product.objectID)).toEqual(['TV-B', 'TV-C', 'TV-D']);
+    expect(similar[0].similarity.score).toBeGreaterThan(similar[1].similarity.score);
+    expect(similar[0].explanation).toBe('mesmo tamanho de 55", mesma classe de energia A, 20% mais barato, também tem webOS e HDR10');
+    expect(similar[2].explanation).toBeNull();
+
+    const [korean] = await service.recommendSimilarProducts('TV-A', 1, 'ko');
+    expect(korean.explanation).toBe('비슷한 점: 같은 55" 크기, 같은 에너지 효율 A 등급, 20% 더 저렴, webOS, HDR10 기능도 있음');
+  });
+
+  test('should store vectors in a local file and reload them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-vectors-'));
+    const filePath = path.join(dir, 'data', 'spec-vectors.json');
+
+    try {
+      const store = new SpecVectorStore(filePath);
+      store.upsert(products);
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(await store.save()).toBe(true);
+      const reloaded = new SpecVectorStore(filePath);
+
+      expect(reloaded.list('tv')).toHaveLength(4);
+      expect(reloaded.get('TV-C')).toEqual(expect.objectContaining({ vector: { screenSize: 1, energyRating: 5 / 6 } }));
+      expect(toSpecVector(products[4]).specs).toEqual({ capacity: 400 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should compute missing vectors in memory on reads and persist only from indexing', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-vectors-'));
+    const filePath = path.join(dir, 'spec-vectors.json');
+
+    try {
+      const fileService = new AlgoliaSearchService({ index: new MemorySearchIndex(), featuredProducts: [], vectorStore: new SpecVectorStore(filePath) });
+      fileService.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      await fileService.index.saveObjects(products.map(product => ({ objectID: product.id, ...product })));
+
+      const similar = await fileService.recommendSimilarProducts('TV-A', 1);
+      expect(similar.map(product => product.objectID)).toEqual(['TV-B']);
+      expect(fs.existsSync(filePath)).toBe(false);
+
+      await fileService.indexProducts(products);
+      expect(new SpecVectorStore(filePath).list('tv')).toHaveLength(4);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should index products even when the vector file cannot be written', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-vectors-'));
+    const blocker = path.join(dir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+
+    try {
+      const readOnly = new AlgoliaSearchService({
+        index: new MemorySearchIndex(),
+        featuredProducts: [],
+        vectorStore: new SpecVectorStore(path.join(blocker, 'spec-vectors.json'))
+      });
+      readOnly.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+      await expect(readOnly.indexProducts(products)).resolves.toEqual({ objectIDs: products.map(product => product.id) });
+      expect(readOnly.logger.warn).toHaveBeenCalledWith(expect.stringContaining('사양 벡터 저장 실패'));
+      expect((await readOnly.recommendSimilarProducts('TV-A', 1))[0].objectID).toBe('TV-B');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
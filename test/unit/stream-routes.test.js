@@ -0,0 +1,169 @@
+// 실제 express / body-parser 로 HTTP 서버를 띄워 SSE 응답을 확인합니다. (moduleNameMapper 의 express 목 대신)
+jest.mock('express', () => require(require('path').join(process.cwd(), 'node_modules', 'express')));
+
+const http = require('http');
+const express = require('express');
+const bodyParser = require('body-parser');
+const A2ARouter = require('@/protocols/a2a-router');
+const A2ABaseAgent = require('@/protocols/a2a-base-agent');
+const config = require('../../config');
+const streamRouter = require('@/api/routes/stream');
+const a2aRoutes = require('@/api/routes/a2a');
+
+/**
+ * 요청을 보내고 응답이 끝날 때까지 본문을 모읍니다.
+ */
+const post = (port, path, body, headers = {}) => new Promise((resolve, reject) => {
+  const data = JSON.stringify(body);
+  const req = http.request({
+    port,
+    path,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...headers }
+  }, res => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+  });
+  req.on('error', reject);
+  req.end(data);
+});
+
+/**
+ * 이벤트 스트림을 열고, until 을 만족하는 본문을 받으면 연결을 끊습니다. (응답 헤더를 받으면 onOpen 호출)
+ */
+const subscribe = (port, path, headers, { onOpen, until }) => new Promise((resolve, reject) => {
+  const req = http.request({ port, path, method: 'GET', headers }, res => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      text += chunk;
+      if (until(text)) {
+        req.destroy();
+        resolve({ status: res.statusCode, text });
+      }
+    });
+    res.on('end', () => resolve({ status: res.statusCode, text }));
+    if (res.statusCode === 200) {
+      onOpen();
+    }
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+/**
+ * SSE 본문을 이벤트 목록으로 변환합니다.
+ */
+const parseEvents = text => text
+  .split('\n\n')
+  .filter(block => block.includes('data: '))
+  .map(block => {
+    const event = /^event: (.+)$/m.exec(block);
+    return { event: event ? event[1] : 'message', data: JSON.parse(/^data: (.+)$/m.exec(block)[1]) };
+  });
+
+describe('SSE routes over a real HTTP server', () => {
+  let server;
+  let port;
+  let userMessage;
+  let router;
+
+  beforeAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    router = new A2ARouter({ defaultTimeout: 0 });
+    const dialogAgent = new A2ABaseAgent('dialogAgent', router);
+    userMessage = jest.fn(async (message, context) => {
+      dialogAgent.reportProgress(context, { step: 'search', message: 'Buscando produtos' });
+      return { success: true, sessionId: message.payload.sessionId, response: 'Pronto!' };
+    });
+    dialogAgent.registerMessageHandler('userMessage', userMessage);
+
+    config.a2a.auth.apiKeys = 'partner:secret';
+    streamRouter.init({}, {}, router);
+    a2aRoutes.init({}, {}, router);
+
+    const app = express();
+    app.use(bodyParser.json());
+    app.use('/api/stream', streamRouter);
+    app.use(a2aRoutes);
+
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('POST /api/stream/dialog should stream progress and the result, then end the response', async () => {
+    const response = await post(port, '/api/stream/dialog', { message: 'Quero uma TV', sessionId: 's1' });
+    const events = parseEvents(response.text);
+
+    expect(response.headers['content-type']).toBe('text/event-stream');
+    expect(events[0]).toEqual({ event: 'accepted', data: expect.objectContaining({ sessionId: 's1' }) });
+    expect(events).toContainEqual({ event: 'progress', data: expect.objectContaining({ message: 'Buscando produtos' }) });
+    expect(events[events.length - 1]).toEqual({ event: 'result', data: expect.objectContaining({ response: 'Pronto!' }) });
+    expect(userMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('POST /api/stream/dialog should send an error event and end the response when the agent fails', async () => {
+    userMessage.mockRejectedValueOnce(new Error('boom'));
+
+    const response = await post(port, '/api/stream/dialog', { message: 'Quero uma TV', sessionId: 's1' });
+    const events = parseEvents(response.text);
+
+    expect(events[events.length - 1]).toEqual({ event: 'error', data: expect.objectContaining({ message: 'boom' }) });
+  });
+
+  test('POST /a2a tasks/sendSubscribe should stream status updates and the final task', async () => {
+    const response = await post(port, '/a2a', {
+      jsonrpc: '2.0',
+      id: 7,
+      method: 'tasks/sendSubscribe',
+      params: { id: 'task-7', sessionId: 's1', message: { role: 'user', parts: [{ type: 'text', text: 'TV' }] } }
+    }, { Authorization: 'Bearer secret' });
+    const results = parseEvents(response.text).map(({ data }) => data.result);
+
+    expect(results).toContainEqual(expect.objectContaining({
+      id: 'task-7',
+      final: false,
+      status: expect.objectContaining({ message: expect.objectContaining({ parts: expect.arrayContaining([{ type: 'text', text: 'Buscando produtos' }]) }) })
+    }));
+    expect(results).toContainEqual({ id: 'task-7', artifact: expect.objectContaining({ name: 'result' }) });
+    expect(results[results.length - 1]).toEqual(expect.objectContaining({ id: 'task-7', final: true, status: expect.objectContaining({ state: 'completed' }) }));
+  });
+
+  test('POST /a2a should reject unauthenticated callers', async () => {
+    const response = await post(port, '/a2a', { jsonrpc: '2.0', id: 1, method: 'tasks/get', params: { id: 'task-7' } });
+
+    expect(response.status).toBe(401);
+    expect(userMessage).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/stream/events/:taskId should reject unauthenticated callers', async () => {
+    const response = await subscribe(port, '/api/stream/events/task-8', {}, { onOpen: () => {}, until: () => false });
+
+    expect(response.status).toBe(401);
+    expect(router.eventListeners.size).toBe(0);
+  });
+
+  test('GET /api/stream/events/:taskId should only deliver events of the caller\'s own task', async () => {
+    const response = await subscribe(port, '/api/stream/events/task-8', { 'X-API-Key': 'secret' }, {
+      onOpen: () => {
+        router.publishEvent({ correlationId: 'task-8' }, { message: 'unscoped' });
+        router.publishEvent({ correlationId: 'other/task-8' }, { message: 'other caller' });
+        router.publishEvent({ correlationId: 'partner/task-8' }, { message: 'mine' });
+      },
+      until: text => text.includes('mine')
+    });
+    const events = parseEvents(response.text);
+
+    expect(events).toEqual([{ event: 'progress', data: expect.objectContaining({ correlationId: 'partner/task-8', message: 'mine' }) }]);
+  });
+});